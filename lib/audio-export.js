@@ -0,0 +1,147 @@
+/**
+ * Audio export module for squash workout definitions.
+ *
+ * This module provides functions for:
+ * - Rendering a workout's whole timeline into an AudioBuffer with an OfflineAudioContext
+ * - Encoding an AudioBuffer as a 16-bit PCM WAV file
+ *
+ * Rendering places the sound events timelineEventsToSoundEvents produces:
+ * beeps (shot and countdown) and split-step sweeps are synthesized as in live
+ * playback, and each announcement plays its clip from the voice pack.
+ * Speech synthesis cannot be recorded, so announcements without a clip are
+ * left silent and reported in missingClips.
+ */
+
+import { iterateWorkoutTimeline, timelineEventsToSoundEvents } from './parser.js';
+import { scheduleTwoToneBeep, scheduleSplitStepSweep } from './sounds.js';
+
+// Mono at 22.05 kHz keeps an hour-long session to ~160 MB of WAV
+export const EXPORT_SAMPLE_RATE = 22050;
+
+// Open-ended workouts are rendered up to this many seconds
+export const DEFAULT_EXPORT_MAX_DURATION = 3600;
+
+// Silence after the last event so its sounds can ring out
+const EXPORT_TAIL_SECONDS = 1;
+
+/**
+ * Renders a workout into an AudioBuffer.
+ * @param {WorkoutData} workout - The workout to render
+ * @param {object} [options] - { seed, voicePack (a VoicePack or anything with get(text) returning an AudioBuffer), language, sampleRate, maxDuration }
+ * @returns {Promise<object>} { buffer, duration, endTime, truncated, missingClips };
+ *   endTime is where the workout (or the maxDuration cut) ends, duration adds the ring-out
+ */
+export async function renderWorkoutAudio(workout, options = {}) {
+  const {
+    seed = null,
+    voicePack = null,
+    language = null,
+    sampleRate = EXPORT_SAMPLE_RATE,
+    maxDuration = DEFAULT_EXPORT_MAX_DURATION,
+  } = options;
+
+  // Take events until the timeline ends or reaches maxDuration
+  const events = [];
+  // Clip lengths time the announcements exactly, as in live playback
+  const speechDuration = voicePack?.getDuration ? text => voicePack.getDuration(text) : undefined;
+  const iterator = iterateWorkoutTimeline(workout, { seed, speechDuration, language });
+  let truncated = false;
+  for (let step = iterator.next(); !step.done; step = iterator.next()) {
+    if (step.value.startTime >= maxDuration) {
+      truncated = true;
+      break;
+    }
+    events.push(step.value);
+  }
+
+  const endTime = Math.min(maxDuration, Math.max(0, ...events.map(event => event.endTime || 0)));
+  const soundEvents = timelineEventsToSoundEvents(events, {
+    includeCompletion: !truncated,
+    language: language,
+    translations: workout.translations,
+    baseLanguage: workout.language,
+  })
+    .filter(soundEvent => soundEvent.time < maxDuration || soundEvent.isCompletion);
+
+  // Match announcements to clips first: the render must be long enough for the last one
+  const missingClips = new Set();
+  const clipPlacements = [];
+  soundEvents.filter(soundEvent => soundEvent.type === 'tts').forEach(soundEvent => {
+    const clip = voicePack?.get(soundEvent.text);
+    if (clip) {
+      clipPlacements.push({ clip, time: soundEvent.time });
+    } else {
+      missingClips.add(soundEvent.text);
+    }
+  });
+
+  const clipsEndTime = Math.max(0, ...clipPlacements.map(({ clip, time }) => time + clip.duration));
+  const duration = Math.max(endTime, clipsEndTime) + EXPORT_TAIL_SECONDS;
+  const context = new OfflineAudioContext(1, Math.ceil(duration * sampleRate), sampleRate);
+
+  soundEvents.forEach(soundEvent => {
+    if (soundEvent.type === 'beep') {
+      scheduleTwoToneBeep(context, soundEvent.time);
+    } else if (soundEvent.type === 'splitStep') {
+      scheduleSplitStepSweep(context, soundEvent.speed, soundEvent.time);
+    }
+  });
+
+  clipPlacements.forEach(({ clip, time }) => {
+    const source = context.createBufferSource();
+    source.buffer = clip;
+    source.connect(context.destination);
+    source.start(time);
+  });
+
+  const buffer = await context.startRendering();
+  return { buffer, duration, endTime, truncated, missingClips: [...missingClips] };
+}
+
+/**
+ * Encodes an AudioBuffer as a 16-bit PCM WAV file.
+ * @param {AudioBuffer} buffer - The audio to encode
+ * @returns {ArrayBuffer} The WAV file's bytes
+ */
+export function encodeWav(buffer) {
+  const channelCount = buffer.numberOfChannels;
+  const frameCount = buffer.length;
+  const bytesPerSample = 2;
+  const blockAlign = channelCount * bytesPerSample;
+  const dataSize = frameCount * blockAlign;
+  const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+  const writeString = (offset, text) => {
+    for (let i = 0; i < text.length; i++) {
+      view.setUint8(offset + i, text.charCodeAt(i));
+    }
+  };
+
+  // RIFF header and the "fmt " chunk for PCM
+  writeString(0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(8, 'WAVE');
+  writeString(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true);
+  view.setUint16(22, channelCount, true);
+  view.setUint32(24, buffer.sampleRate, true);
+  view.setUint32(28, buffer.sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, bytesPerSample * 8, true);
+  writeString(36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  // Interleave the channels, clipping to the 16-bit range
+  const channels = Array.from({ length: channelCount }, (_, channel) => buffer.getChannelData(channel));
+  let offset = 44;
+  for (let frame = 0; frame < frameCount; frame++) {
+    for (const samples of channels) {
+      const sample = Math.max(-1, Math.min(1, samples[frame]));
+      view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+      offset += bytesPerSample;
+    }
+  }
+
+  return view.buffer;
+}
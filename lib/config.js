@@ -70,21 +70,77 @@ export const SplitStepSpeed = {
 
 export const IterationType = {
   IN_ORDER: 'in-order',
-  SHUFFLE: 'shuffle'
+  SHUFFLE: 'shuffle',
+  WEIGHTED_RANDOM: 'weighted-random'
 };
 
 export const IntervalOffsetType = {
   FIXED: 'fixed',
-  RANDOM: 'random'
+  RANDOM: 'random',
+  NORMAL: 'normal',
+  TRIANGULAR: 'triangular',
+  ZERO_SUM: 'zero-sum'
 };
 
 export const LimitsType = {
   ALL_SHOTS: 'all-shots',
   SHOT_LIMIT: 'shot-limit',
-  TIME_LIMIT: 'time-limit'
+  TIME_LIMIT: 'time-limit',
+  OPEN_ENDED: 'open-ended'
 };
 
 export const IntervalType = {
   FIXED: 'fixed',
   ADDITIONAL: 'additional'
-};
\ No newline at end of file
+};
+
+export const IntervalMode = {
+  FIXED: 'fixed',
+  DISTANCE_SCALED: 'distance-scaled'
+};
+
+export const IntervalRampType = {
+  NONE: 'none',
+  LINEAR: 'linear',
+  STEPWISE: 'stepwise',
+  PYRAMID: 'pyramid'
+};
+
+export const ProtocolType = {
+  TABATA: 'tabata',
+  EMOM: 'emom',
+  WORK_REST: 'work-rest'
+};
+
+// Why timeline generation stopped (see iterateWorkoutTimeline)
+export const TimelineEndReason = {
+  COMPLETE: 'complete',
+  MAX_EVENTS: 'max-events',
+  NO_PROGRESS: 'no-progress'
+};
+
+// Events emitted by WorkoutRunner (see runner.js)
+export const RunnerEventType = {
+  SHOT_ANNOUNCED: 'shotAnnounced',
+  SPLIT_STEP: 'splitStep',
+  SHOT_BEEP: 'shotBeep',
+  MESSAGE_START: 'messageStart',
+  COUNTDOWN_TICK: 'countdownTick',
+  TICK: 'tick',
+  COMPLETE: 'complete'
+};
+
+// Cues the haptic channel vibrates for (see haptics.js)
+export const HapticCue = {
+  ANNOUNCEMENT: 'announcement',
+  SPLIT_STEP: 'splitStep',
+  SHOT_BEEP: 'shotBeep',
+  COUNTDOWN: 'countdown'
+};
+
+// Voice genders a voice profile can ask for (see voice-profiles.js)
+export const VoiceGender = {
+  ANY: 'any',
+  MALE: 'male',
+  FEMALE: 'female'
+};
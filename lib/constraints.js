@@ -0,0 +1,240 @@
+/**
+ * Sequence constraints module for squash workout definitions.
+ *
+ * This module provides pure functions for:
+ * - Classifying shots by court side and depth
+ * - Checking a shot against the shots played before it
+ * - Detecting constraint sets that no order of a pattern can satisfy
+ *
+ * Constraints are declared on a pattern's config, e.g.
+ *   sequenceConstraints: { noImmediateRepeat: true, maxConsecutiveSameSide: 2, mustAlternateFrontBack: true }
+ *
+ * Only shots take part; messages between shots are ignored.
+ */
+
+import { resolveCourtPosition } from './court.js';
+import { getCanonicalText } from './translations.js';
+
+export const SequenceConstraint = {
+  NO_IMMEDIATE_REPEAT: 'noImmediateRepeat',
+  MAX_CONSECUTIVE_SAME_SIDE: 'maxConsecutiveSameSide',
+  MUST_ALTERNATE_FRONT_BACK: 'mustAlternateFrontBack'
+};
+
+// Shots within this distance (meters) of the center line have no side
+const SIDE_TOLERANCE = 0.5;
+// Shots within this distance (meters) of the T are neither front nor back
+const DEPTH_TOLERANCE = 1.0;
+
+// How many played shots the generator needs to remember
+export const SEQUENCE_HISTORY_LENGTH = 16;
+
+/**
+ * Returns 'left' or 'right' for a shot, or null when the side is unknown or central.
+ */
+export function getShotSide(shot) {
+  const position = resolveCourtPosition(shot);
+  if (!position || Math.abs(position.x) < SIDE_TOLERANCE) {
+    return null;
+  }
+  return position.x < 0 ? 'left' : 'right';
+}
+
+/**
+ * Returns 'front' or 'back' for a shot, or null when the depth is unknown or mid court.
+ */
+export function getShotDepth(shot) {
+  const position = resolveCourtPosition(shot);
+  if (!position || Math.abs(position.y) < DEPTH_TOLERANCE) {
+    return null;
+  }
+  return position.y > 0 ? 'front' : 'back';
+}
+
+/**
+ * Returns the key identifying a shot for repeat checks: its name when it
+ * has one (so two "1L" entries count as the same shot), otherwise its id.
+ */
+function getShotKey(shot) {
+  const canonicalName = getCanonicalText(shot.name);
+  const name = typeof canonicalName === 'string' ? canonicalName.trim().toLowerCase() : '';
+  return name || shot.id || shot;
+}
+
+/**
+ * Checks whether a constraints object asks for anything.
+ */
+export function hasSequenceConstraints(constraints) {
+  if (!constraints || typeof constraints !== 'object') {
+    return false;
+  }
+  return Boolean(
+    constraints.noImmediateRepeat ||
+    constraints.maxConsecutiveSameSide ||
+    constraints.mustAlternateFrontBack
+  );
+}
+
+/**
+ * Checks whether playing a shot after the given history breaks a constraint.
+ * @param {Array} history - Entries played before, oldest first (messages are skipped)
+ * @param {Object} entry - The candidate entry
+ * @param {Object} constraints - The pattern's sequenceConstraints
+ * @returns {boolean} True if the entry may not be played next
+ */
+export function violatesSequenceConstraints(history, entry, constraints) {
+  if (!entry || entry.type !== 'Shot' || !hasSequenceConstraints(constraints)) {
+    return false;
+  }
+
+  const shots = history.filter(played => played && played.type === 'Shot');
+  const last = shots[shots.length - 1];
+
+  if (constraints.noImmediateRepeat && last && getShotKey(last) === getShotKey(entry)) {
+    return true;
+  }
+
+  if (constraints.maxConsecutiveSameSide) {
+    const side = getShotSide(entry);
+    if (side) {
+      let streak = 0;
+      for (let i = shots.length - 1; i >= 0 && getShotSide(shots[i]) === side; i--) {
+        streak++;
+      }
+      if (streak >= constraints.maxConsecutiveSameSide) {
+        return true;
+      }
+    }
+  }
+
+  if (constraints.mustAlternateFrontBack && last) {
+    const depth = getShotDepth(entry);
+    if (depth && getShotDepth(last) === depth) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Creates an accepts(placedSoFar, entry) callback for the constrained shuffle
+ * and weighted draws in utils.js, continuing from the shots already played.
+ */
+export function createSequenceAcceptor(constraints, history = []) {
+  return (placed, entry) => !violatesSequenceConstraints([...history, ...placed], entry, constraints);
+}
+
+/**
+ * Describes why a pattern's constraints can never be satisfied.
+ *
+ * In-order patterns are checked exactly (including the wrap-around when the
+ * pattern runs more than once). Shuffled and weighted-random patterns are
+ * checked by counting shots per side and depth, which ignores position locks.
+ * @param {Object} pattern - The pattern definition
+ * @param {string} iterationType - The pattern's effective iteration type
+ * @returns {Array<string>} Reasons, empty when the constraints look satisfiable
+ */
+export function findUnsatisfiableConstraints(pattern, iterationType) {
+  const constraints = pattern?.config?.sequenceConstraints;
+  if (!hasSequenceConstraints(constraints) || !Array.isArray(pattern.entries)) {
+    return [];
+  }
+
+  const reasons = [];
+  const maxSameSide = constraints.maxConsecutiveSameSide;
+  const shots = pattern.entries.filter(entry => entry && entry.type === 'Shot');
+
+  // Shot repeats are played back to back, so they count as consecutive shots
+  shots.forEach(shot => {
+    const repeatCount = shot.config?.repeatCount;
+    const maxRepeats = typeof repeatCount === 'number'
+      ? repeatCount
+      : repeatCount?.type === 'random' ? repeatCount.max : repeatCount?.count;
+    if (!(maxRepeats > 1)) {
+      return;
+    }
+    const label = shot.name || shot.id || 'shot';
+    if (constraints.noImmediateRepeat) {
+      reasons.push(`"${label}" repeats back to back, which noImmediateRepeat forbids`);
+    } else if (maxSameSide && getShotSide(shot) && maxRepeats > maxSameSide) {
+      reasons.push(`"${label}" repeats up to ${maxRepeats} times on one side, more than maxConsecutiveSameSide (${maxSameSide})`);
+    } else if (constraints.mustAlternateFrontBack && getShotDepth(shot)) {
+      reasons.push(`"${label}" repeats back to back, which mustAlternateFrontBack forbids`);
+    }
+  });
+
+  if (shots.length < 2) {
+    return reasons;
+  }
+
+  if (iterationType === 'weighted-random') {
+    const drawable = shots.filter(shot => (shot.weight ?? 1) > 0);
+    const distinctKeys = new Set(drawable.map(getShotKey));
+    if (constraints.noImmediateRepeat && distinctKeys.size < 2) {
+      reasons.push('noImmediateRepeat needs at least two different shots with a weight above 0');
+    }
+    if (maxSameSide) {
+      ['left', 'right'].forEach(side => {
+        if (drawable.length > 0 && drawable.every(shot => getShotSide(shot) === side)) {
+          reasons.push(`maxConsecutiveSameSide needs a drawable shot that is not on the ${side}`);
+        }
+      });
+    }
+    if (constraints.mustAlternateFrontBack) {
+      ['front', 'back'].forEach(depth => {
+        if (drawable.length > 0 && drawable.every(shot => getShotDepth(shot) === depth)) {
+          reasons.push(`mustAlternateFrontBack needs a drawable shot that is not at the ${depth}`);
+        }
+      });
+    }
+    return reasons;
+  }
+
+  if (iterationType !== 'shuffle') {
+    // In-order: the sequence is fixed, so check it directly
+    const limitsType = pattern.config?.limits?.type;
+    const repeatCount = pattern.config?.repeatCount;
+    const runsMoreThanOnce = limitsType === 'shot-limit' || limitsType === 'time-limit' ||
+      (typeof repeatCount === 'number' ? repeatCount > 1 : (repeatCount?.count > 1 || repeatCount?.max > 1));
+    const sequence = runsMoreThanOnce ? [...shots, ...shots] : shots;
+    for (let i = 1; i < sequence.length; i++) {
+      if (violatesSequenceConstraints(sequence.slice(0, i), sequence[i], constraints)) {
+        const label = sequence[i].name || sequence[i].id || `shot ${(i % shots.length) + 1}`;
+        const where = i >= shots.length ? ' when the pattern repeats' : '';
+        reasons.push(`In-order shot "${label}" breaks the sequence constraints${where}; use shuffle or reorder the shots`);
+        break;
+      }
+    }
+    return reasons;
+  }
+
+  // Shuffle: a pass is an arrangement of all shots, so compare group sizes
+  const total = shots.length;
+  if (constraints.noImmediateRepeat) {
+    const counts = new Map();
+    shots.forEach(shot => counts.set(getShotKey(shot), (counts.get(getShotKey(shot)) || 0) + 1));
+    counts.forEach((count, key) => {
+      if (count > total - count + 1) {
+        reasons.push(`noImmediateRepeat cannot separate the ${count} copies of "${key}" among ${total} shots`);
+      }
+    });
+  }
+  if (maxSameSide) {
+    ['left', 'right'].forEach(side => {
+      const count = shots.filter(shot => getShotSide(shot) === side).length;
+      if (count > maxSameSide * (total - count + 1)) {
+        reasons.push(`maxConsecutiveSameSide (${maxSameSide}) cannot be met with ${count} of ${total} shots on the ${side}`);
+      }
+    });
+  }
+  if (constraints.mustAlternateFrontBack) {
+    ['front', 'back'].forEach(depth => {
+      const count = shots.filter(shot => getShotDepth(shot) === depth).length;
+      if (count > total - count + 1) {
+        reasons.push(`mustAlternateFrontBack cannot be met with ${count} of ${total} shots at the ${depth}`);
+      }
+    });
+  }
+  return reasons;
+}
@@ -0,0 +1,140 @@
+/**
+ * Court diagram module for squash workout definitions.
+ *
+ * This module provides functions for:
+ * - Converting between court coordinates and diagram coordinates
+ * - Picking a position in a zone from a point tapped on the diagram
+ * - Rendering a top-down court as SVG markup with the current shot's zone lit
+ *   and a ghost marking the next shot
+ *
+ * The diagram puts the front wall at the top, as seen by a player at the back
+ * of the court. Zones are the six of getCourtZone; the markup carries no text,
+ * so callers caption it themselves.
+ */
+
+import {
+  COURT_LENGTH,
+  COURT_WIDTH,
+  T_DISTANCE_FROM_FRONT_WALL,
+  CourtPosition,
+  getCourtZoneBounds,
+} from './court.js';
+
+// Diagram units per meter
+const SCALE = 100;
+
+// Service boxes are 1.6 m squares behind the short line
+const SERVICE_BOX_SIZE = 1.6;
+
+const MARKER_RADIUS = 22;
+const GHOST_SIZE = 90;
+
+// Picked positions stay this far (meters) inside their zone's edges
+const ZONE_INSET = 0.05;
+
+/**
+ * Converts a position in meters from the T to diagram coordinates.
+ * @param {object} position - {x, y} in meters from the T
+ * @returns {object} {x, y} in diagram units from the front-left corner
+ */
+export function courtToDiagramPoint(position) {
+  return {
+    x: (position.x + COURT_WIDTH / 2) * SCALE,
+    y: (T_DISTANCE_FROM_FRONT_WALL - position.y) * SCALE,
+  };
+}
+
+/**
+ * Converts diagram coordinates to a position in meters from the T.
+ * @param {object} point - {x, y} in diagram units from the front-left corner
+ * @returns {object} {x, y} in meters from the T
+ */
+export function diagramToCourtPoint(point) {
+  return {
+    x: point.x / SCALE - COURT_WIDTH / 2,
+    y: T_DISTANCE_FROM_FRONT_WALL - point.y / SCALE,
+  };
+}
+
+/**
+ * Turns a point tapped on a zone into a courtPosition. The position is rounded
+ * to the centimeter and kept just inside the zone, so it resolves back to it.
+ * @param {object} point - {x, y} in diagram units
+ * @param {string} zone - The CourtPosition of the zone tapped
+ * @returns {object|null} {x, y} in meters from the T, or null for an unknown zone
+ */
+export function pickCourtPosition(point, zone) {
+  const bounds = getCourtZoneBounds(zone);
+  if (!bounds) {
+    return null;
+  }
+
+  const position = diagramToCourtPoint(point);
+  const clamp = (value, min, max) => Math.min(max - ZONE_INSET, Math.max(min + ZONE_INSET, value));
+  return {
+    x: Math.round(clamp(position.x, bounds.minX, bounds.maxX) * 100) / 100,
+    y: Math.round(clamp(position.y, bounds.minY, bounds.maxY) * 100) / 100,
+  };
+}
+
+function formatNumber(value) {
+  return Number(value.toFixed(1));
+}
+
+function renderZone(zone, className) {
+  const bounds = getCourtZoneBounds(zone);
+  const topLeft = courtToDiagramPoint({ x: bounds.minX, y: bounds.maxY });
+  const bottomRight = courtToDiagramPoint({ x: bounds.maxX, y: bounds.minY });
+  return `<rect class="${className}" data-zone="${zone}" x="${formatNumber(topLeft.x)}" y="${formatNumber(topLeft.y)}" `
+    + `width="${formatNumber(bottomRight.x - topLeft.x)}" height="${formatNumber(bottomRight.y - topLeft.y)}"/>`;
+}
+
+/**
+ * Renders the court diagram.
+ * @param {object} [options] - { current, next, ghostImage }: current and next
+ *   are { zone, position } for the shot being played and the one after it
+ *   (either may be null or lack a position); ghostImage is the ghost's image URL
+ * @returns {string} SVG markup that scales to its container
+ */
+export function renderCourtDiagram(options = {}) {
+  const { current = null, next = null, ghostImage = 'images/ghost-white.png' } = options;
+  const width = COURT_WIDTH * SCALE;
+  const length = COURT_LENGTH * SCALE;
+  const shortLine = T_DISTANCE_FROM_FRONT_WALL * SCALE;
+  const serviceBox = SERVICE_BOX_SIZE * SCALE;
+
+  const zones = Object.values(CourtPosition).map(zone => {
+    const classNames = ['court-zone'];
+    if (zone === current?.zone) {
+      classNames.push('active');
+    }
+    if (zone === next?.zone) {
+      classNames.push('next');
+    }
+    return renderZone(zone, classNames.join(' '));
+  });
+
+  const markers = [];
+  if (next?.position) {
+    const point = courtToDiagramPoint(next.position);
+    markers.push(`<image class="court-next-ghost" href="${ghostImage}" x="${formatNumber(point.x - GHOST_SIZE / 2)}" `
+      + `y="${formatNumber(point.y - GHOST_SIZE / 2)}" width="${GHOST_SIZE}" height="${GHOST_SIZE}"/>`);
+  }
+  if (current?.position) {
+    const point = courtToDiagramPoint(current.position);
+    markers.push(`<circle class="court-marker" cx="${formatNumber(point.x)}" cy="${formatNumber(point.y)}" r="${MARKER_RADIUS}"/>`);
+  }
+
+  return [
+    `<svg class="court-diagram-svg" viewBox="0 0 ${width} ${formatNumber(length)}" preserveAspectRatio="xMidYMid meet" role="img" aria-label="Squash court">`,
+    `<rect class="court-floor" x="0" y="0" width="${width}" height="${formatNumber(length)}"/>`,
+    ...zones,
+    `<line class="court-line" x1="0" y1="${shortLine}" x2="${width}" y2="${shortLine}"/>`,
+    `<line class="court-line" x1="${width / 2}" y1="${shortLine}" x2="${width / 2}" y2="${formatNumber(length)}"/>`,
+    `<rect class="court-line" x="0" y="${shortLine}" width="${serviceBox}" height="${serviceBox}"/>`,
+    `<rect class="court-line" x="${width - serviceBox}" y="${shortLine}" width="${serviceBox}" height="${serviceBox}"/>`,
+    `<rect class="court-wall" x="0" y="0" width="${width}" height="${formatNumber(length)}"/>`,
+    ...markers,
+    '</svg>',
+  ].join('');
+}
@@ -0,0 +1,242 @@
+/**
+ * Court geometry module for squash workout definitions.
+ *
+ * This module provides pure functions for:
+ * - Mapping shot names and structured positions to court coordinates
+ * - Dividing the court into the six zones named by CourtPosition
+ * - Measuring travel distance from the T
+ * - Scaling shot intervals by travel distance
+ *
+ * Coordinates are in meters relative to the T. x grows to the right (as seen
+ * facing the front wall) and y grows toward the front wall.
+ */
+
+import { getCanonicalText } from './translations.js';
+
+// Singles court dimensions (World Squash)
+export const COURT_LENGTH = 9.75;
+export const COURT_WIDTH = 6.4;
+export const T_DISTANCE_FROM_FRONT_WALL = 5.44;
+
+// Movement speed (m/s) used when distance-scaled intervals have no baseSpeed
+export const DEFAULT_BASE_SPEED = 3.0;
+
+// Ghosting depths: how far in front of (positive) or behind (negative) the T
+const FRONT_DEPTH = 4.4;
+const MID_DEPTH = 0;
+const BACK_DEPTH = -3.3;
+const FRONT_SIDE_OFFSET = 2.4;
+const MID_SIDE_OFFSET = 2.6;
+const BACK_SIDE_OFFSET = 2.4;
+
+// Numbered positions run from 1 (front) to 5 (back)
+const NUMBERED_DEPTH_COUNT = 5;
+
+// Zones split the court halfway between the T and the front and back ghosting depths
+const FRONT_ZONE_BOUNDARY = FRONT_DEPTH / 2;
+const BACK_ZONE_BOUNDARY = BACK_DEPTH / 2;
+
+export const CourtPosition = {
+  FRONT_LEFT: 'front-left',
+  FRONT_RIGHT: 'front-right',
+  MID_LEFT: 'mid-left',
+  MID_RIGHT: 'mid-right',
+  BACK_LEFT: 'back-left',
+  BACK_RIGHT: 'back-right'
+};
+
+const NAMED_POSITIONS = {
+  [CourtPosition.FRONT_LEFT]: { x: -FRONT_SIDE_OFFSET, y: FRONT_DEPTH },
+  [CourtPosition.FRONT_RIGHT]: { x: FRONT_SIDE_OFFSET, y: FRONT_DEPTH },
+  [CourtPosition.MID_LEFT]: { x: -MID_SIDE_OFFSET, y: MID_DEPTH },
+  [CourtPosition.MID_RIGHT]: { x: MID_SIDE_OFFSET, y: MID_DEPTH },
+  [CourtPosition.BACK_LEFT]: { x: -BACK_SIDE_OFFSET, y: BACK_DEPTH },
+  [CourtPosition.BACK_RIGHT]: { x: BACK_SIDE_OFFSET, y: BACK_DEPTH }
+};
+
+const NUMBERED_POSITION_PATTERN = /^([1-5])\s*([LR])\b/i;
+const DEPTH_KEYWORD_PATTERN = /\b(front|mid|middle|back)\b/i;
+const SIDE_KEYWORD_PATTERN = /\b(left|right)\b/i;
+
+/**
+ * Returns the coordinates of a numbered position such as "1L" or "5R".
+ */
+function numberedPosition(depthNumber, side) {
+  const step = (FRONT_DEPTH - BACK_DEPTH) / (NUMBERED_DEPTH_COUNT - 1);
+  const y = FRONT_DEPTH - (depthNumber - 1) * step;
+  // Side offset narrows slightly at mid court, matching the named positions
+  const sideOffset = depthNumber === 3 ? MID_SIDE_OFFSET : FRONT_SIDE_OFFSET;
+  return { x: side === 'L' ? -sideOffset : sideOffset, y };
+}
+
+/**
+ * Parses a position key ("front-left", "3R") or a free-form shot name
+ * ("5R Drive", "Front left") into court coordinates.
+ * Returns null when the text does not describe a position.
+ */
+export function parseCourtPosition(text) {
+  if (typeof text !== 'string') {
+    return null;
+  }
+
+  const trimmed = text.trim();
+  const key = trimmed.toLowerCase();
+  if (NAMED_POSITIONS[key]) {
+    return { ...NAMED_POSITIONS[key] };
+  }
+
+  const numbered = trimmed.match(NUMBERED_POSITION_PATTERN);
+  if (numbered) {
+    return numberedPosition(parseInt(numbered[1], 10), numbered[2].toUpperCase());
+  }
+
+  const depth = trimmed.match(DEPTH_KEYWORD_PATTERN);
+  const side = trimmed.match(SIDE_KEYWORD_PATTERN);
+  if (depth && side) {
+    const depthKey = depth[1].toLowerCase() === 'middle' ? 'mid' : depth[1].toLowerCase();
+    return { ...NAMED_POSITIONS[`${depthKey}-${side[1].toLowerCase()}`] };
+  }
+
+  return null;
+}
+
+/**
+ * Checks whether a value is a usable courtPosition: a position key or name
+ * that parses, or an {x, y} object within the court walls.
+ */
+export function isValidCourtPosition(position) {
+  if (typeof position === 'string') {
+    return parseCourtPosition(position) !== null;
+  }
+
+  if (!position || typeof position !== 'object' || Array.isArray(position)) {
+    return false;
+  }
+
+  const { x, y } = position;
+  if (typeof x !== 'number' || typeof y !== 'number' || !Number.isFinite(x) || !Number.isFinite(y)) {
+    return false;
+  }
+
+  const halfWidth = COURT_WIDTH / 2;
+  return (
+    Math.abs(x) <= halfWidth &&
+    y <= T_DISTANCE_FROM_FRONT_WALL &&
+    y >= T_DISTANCE_FROM_FRONT_WALL - COURT_LENGTH
+  );
+}
+
+/**
+ * Resolves the court coordinates of a shot. An explicit courtPosition takes
+ * precedence over the shot name. Returns null when neither describes a position.
+ */
+export function resolveCourtPosition(shot) {
+  if (!shot) {
+    return null;
+  }
+
+  const position = shot.courtPosition;
+  if (position !== undefined && position !== null) {
+    if (typeof position === 'string') {
+      return parseCourtPosition(position);
+    }
+    return isValidCourtPosition(position) ? { x: position.x, y: position.y } : null;
+  }
+
+  return parseCourtPosition(getCanonicalText(shot.name));
+}
+
+/**
+ * Finds the zone (a CourtPosition) a position falls in. Positions on the
+ * half-court line belong to neither side.
+ * @param {object|null} position - {x, y} in meters from the T
+ * @returns {string|null} The zone, or null without a position or side
+ */
+export function getCourtZone(position) {
+  if (!position || position.x === 0) {
+    return null;
+  }
+
+  let depth = 'mid';
+  if (position.y > FRONT_ZONE_BOUNDARY) {
+    depth = 'front';
+  } else if (position.y < BACK_ZONE_BOUNDARY) {
+    depth = 'back';
+  }
+  return `${depth}-${position.x < 0 ? 'left' : 'right'}`;
+}
+
+/**
+ * Gets the area a zone covers, in meters from the T.
+ * @param {string} zone - A CourtPosition
+ * @returns {object|null} { minX, maxX, minY, maxY }, or null for an unknown zone
+ */
+export function getCourtZoneBounds(zone) {
+  if (!NAMED_POSITIONS[zone]) {
+    return null;
+  }
+
+  const [depth, side] = zone.split('-');
+  const halfWidth = COURT_WIDTH / 2;
+  const frontWall = T_DISTANCE_FROM_FRONT_WALL;
+  const backWall = T_DISTANCE_FROM_FRONT_WALL - COURT_LENGTH;
+  const depthRanges = {
+    front: [FRONT_ZONE_BOUNDARY, frontWall],
+    mid: [BACK_ZONE_BOUNDARY, FRONT_ZONE_BOUNDARY],
+    back: [backWall, BACK_ZONE_BOUNDARY],
+  };
+
+  const [minY, maxY] = depthRanges[depth];
+  return side === 'left'
+    ? { minX: -halfWidth, maxX: 0, minY, maxY }
+    : { minX: 0, maxX: halfWidth, minY, maxY };
+}
+
+/**
+ * Gets the shot name for a zone, e.g. "Front Left" for 'front-left'.
+ * @param {string} zone - A CourtPosition
+ * @returns {string|null} The name, or null for an unknown zone
+ */
+export function getCourtZoneName(zone) {
+  if (!NAMED_POSITIONS[zone]) {
+    return null;
+  }
+  return zone
+    .split('-')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Finds the zone a shot is played in, from its courtPosition or name.
+ * @returns {string|null} A CourtPosition, or null when the shot has no position
+ */
+export function resolveShotZone(shot) {
+  return getCourtZone(resolveCourtPosition(shot));
+}
+
+/**
+ * Straight-line distance in meters from the T to a position.
+ */
+export function distanceFromT(position) {
+  if (!position) {
+    return 0;
+  }
+  return Math.hypot(position.x, position.y);
+}
+
+/**
+ * Calculates a distance-scaled shot interval.
+ *
+ * The base interval is the time spent at the T; the travel time out to the
+ * position and back at baseSpeed is added on top. Positions that cannot be
+ * resolved leave the base interval unchanged.
+ */
+export function calculateDistanceScaledInterval(baseInterval, position, baseSpeed = DEFAULT_BASE_SPEED) {
+  if (!position) {
+    return baseInterval;
+  }
+
+  const speed = typeof baseSpeed === 'number' && baseSpeed > 0 ? baseSpeed : DEFAULT_BASE_SPEED;
+  return baseInterval + (2 * distanceFromT(position)) / speed;
+}
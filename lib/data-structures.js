@@ -5,6 +5,9 @@
  * workout components, separating data from behavior.
  */
 
+import { VOICE_PROFILE_PRESETS } from './voice-profiles.js';
+import { getCanonicalText, getTextTranslations, withCanonicalText } from './translations.js';
+
 /**
  * Plain data structure for a shot in a workout pattern.
  */
@@ -15,31 +18,57 @@ export class ShotData {
     type = 'Shot',
     positionType = 'normal',
     config = {},
+    courtPosition = null,
+    weight = null,
+    linkedTo = null,
+    nameTranslations = null,
   } = {}) {
     this.id = id;
     this.name = name;
+    // Language -> name when the name is translated; name is the canonical one (see translations.js)
+    this.nameTranslations = nameTranslations;
     this.type = type;
     this.positionType = positionType;
+    // Id of the entry this one always directly follows (see shuffleArrayRespectingLinks)
+    this.linkedTo = linkedTo;
     this.config = config;
+    // Position key ("front-left", "3R") or {x, y} in meters from the T; see court.js
+    this.courtPosition = courtPosition;
+    // Relative draw weight for weighted-random patterns (null counts as 1)
+    this.weight = weight;
   }
 
   toDict() {
-    return {
+    const dict = {
       id: this.id,
-      name: this.name,
+      name: withCanonicalText(this.nameTranslations, this.name),
       type: this.type,
       positionType: this.positionType,
       config: this.config,
     };
+    if (this.courtPosition !== null) {
+      dict.courtPosition = this.courtPosition;
+    }
+    if (this.weight !== null) {
+      dict.weight = this.weight;
+    }
+    if (this.linkedTo !== null) {
+      dict.linkedTo = this.linkedTo;
+    }
+    return dict;
   }
 
   static fromDict(data) {
     return new ShotData({
       id: data.id || null,
-      name: data.name || null,
+      name: getCanonicalText(data.name) || null,
+      nameTranslations: getTextTranslations(data.name),
       type: data.type || 'Shot',
       positionType: data.positionType || 'normal',
       config: data.config || {},
+      courtPosition: data.courtPosition ?? null,
+      weight: data.weight ?? null,
+      linkedTo: data.linkedTo ?? null,
     });
   }
 }
@@ -54,37 +83,129 @@ export class MessageData {
     type = 'Message',
     positionType = 'normal',
     config = {},
+    linkedTo = null,
+    nameTranslations = null,
+    messageTranslations = null,
   } = {}) {
     this.id = id;
     this.name = name;
+    this.nameTranslations = nameTranslations;
     this.type = type;
     this.positionType = positionType;
+    // Id of the entry this one always directly follows
+    this.linkedTo = linkedTo;
     this.config = config;
+    // Language -> message when config.message is translated; config.message holds the canonical text
+    this.messageTranslations = messageTranslations;
   }
 
   toDict() {
-    return {
+    const dict = {
+      id: this.id,
+      name: withCanonicalText(this.nameTranslations, this.name),
+      type: this.type,
+      positionType: this.positionType,
+      config: this.messageTranslations
+        ? { ...this.config, message: withCanonicalText(this.messageTranslations, this.config.message) }
+        : this.config,
+    };
+    if (this.linkedTo !== null) {
+      dict.linkedTo = this.linkedTo;
+    }
+    return dict;
+  }
+
+  static fromDict(data) {
+    const config = data.config || {};
+    const messageTranslations = getTextTranslations(config.message);
+    return new MessageData({
+      id: data.id || null,
+      name: getCanonicalText(data.name) || null,
+      nameTranslations: getTextTranslations(data.name),
+      type: data.type || 'Message',
+      positionType: data.positionType || 'normal',
+      config: messageTranslations ? { ...config, message: getCanonicalText(config.message) } : config,
+      linkedTo: data.linkedTo ?? null,
+      messageTranslations: messageTranslations,
+    });
+  }
+}
+
+/**
+ * Plain data structure for a block of entries nested inside a pattern.
+ * A block plays its entries config.repeatCount times, ordered by its own
+ * config.iterationType; the rest of its config is inherited by its entries.
+ */
+export class BlockData {
+  constructor({
+    id = null,
+    name = null,
+    type = 'Block',
+    positionType = 'normal',
+    config = {},
+    entries = [],
+    weight = null,
+    linkedTo = null,
+  } = {}) {
+    this.id = id;
+    this.name = name;
+    this.type = type;
+    this.positionType = positionType;
+    // Id of the entry this block always directly follows
+    this.linkedTo = linkedTo;
+    this.config = config;
+    this.entries = entries;
+    // Relative draw weight when the block sits in a weighted-random pattern (null counts as 1)
+    this.weight = weight;
+  }
+
+  toDict() {
+    const dict = {
       id: this.id,
       name: this.name,
       type: this.type,
       positionType: this.positionType,
       config: this.config,
+      entries: this.entries.map(entry => entry.toDict()),
     };
+    if (this.weight !== null) {
+      dict.weight = this.weight;
+    }
+    if (this.linkedTo !== null) {
+      dict.linkedTo = this.linkedTo;
+    }
+    return dict;
   }
 
   static fromDict(data) {
-    return new MessageData({
+    return new BlockData({
       id: data.id || null,
       name: data.name || null,
-      type: data.type || 'Message',
+      type: data.type || 'Block',
       positionType: data.positionType || 'normal',
       config: data.config || {},
+      entries: (data.entries || []).map(entryFromDict),
+      weight: data.weight ?? null,
+      linkedTo: data.linkedTo ?? null,
     });
   }
 }
 
 /**
- * Plain data structure for a pattern containing shots and messages.
+ * Creates the data structure for a pattern or block entry from its dictionary.
+ */
+function entryFromDict(entry) {
+  if (entry.type === 'Message') {
+    return MessageData.fromDict(entry);
+  } else if (entry.type === 'Block') {
+    return BlockData.fromDict(entry);
+  } else {
+    return ShotData.fromDict(entry);
+  }
+}
+
+/**
+ * Plain data structure for a pattern containing shots, messages and blocks.
  */
 export class PatternData {
   constructor({
@@ -94,6 +215,7 @@ export class PatternData {
     positionType = 'normal',
     config = {},
     entries = [],
+    weight = null,
   } = {}) {
     this.id = id;
     this.name = name;
@@ -101,10 +223,12 @@ export class PatternData {
     this.positionType = positionType;
     this.config = config;
     this.entries = entries;
+    // Relative pick weight when the pattern is offered by a choice (null counts as 1)
+    this.weight = weight;
   }
 
   toDict() {
-    return {
+    const dict = {
       id: this.id,
       name: this.name,
       type: this.type,
@@ -112,6 +236,10 @@ export class PatternData {
       config: this.config,
       entries: this.entries.map(entry => entry.toDict()),
     };
+    if (this.weight !== null) {
+      dict.weight = this.weight;
+    }
+    return dict;
   }
 
   static fromDict(data) {
@@ -121,35 +249,86 @@ export class PatternData {
       type: data.type || 'Pattern',
       positionType: data.positionType || 'normal',
       config: data.config || {},
-      entries: (data.entries || []).map(entry => {
-        if (entry.type === 'Message') {
-          return MessageData.fromDict(entry);
-        } else {
-          return ShotData.fromDict(entry);
-        }
-      }),
+      entries: (data.entries || []).map(entryFromDict),
+      weight: data.weight ?? null,
+    });
+  }
+}
+
+/**
+ * Plain data structure for a choice slot in a workout. Each time the slot
+ * is reached it plays one of its patterns, picked at random by weight.
+ */
+export class ChoiceData {
+  constructor({
+    id = null,
+    name = null,
+    type = 'Choice',
+    patterns = [],
+  } = {}) {
+    this.id = id;
+    this.name = name;
+    this.type = type;
+    this.patterns = patterns;
+  }
+
+  toDict() {
+    return {
+      id: this.id,
+      name: this.name,
+      type: this.type,
+      patterns: this.patterns.map(pattern => pattern.toDict()),
+    };
+  }
+
+  static fromDict(data) {
+    return new ChoiceData({
+      id: data.id || null,
+      name: data.name || null,
+      type: data.type || 'Choice',
+      patterns: (data.patterns || []).map(pattern => PatternData.fromDict(pattern)),
     });
   }
 }
 
 /**
- * Plain data structure for a complete workout with multiple patterns.
+ * Creates the data structure for a workout slot (a pattern or a choice) from its dictionary.
+ */
+function patternFromDict(pattern) {
+  if (pattern.type === 'Choice') {
+    return ChoiceData.fromDict(pattern);
+  }
+  return PatternData.fromDict(pattern);
+}
+
+/**
+ * Plain data structure for a complete workout with multiple patterns and choices.
  */
 export class WorkoutData {
-  constructor({ name = null, type = 'Workout', config = {}, patterns = [] } = {}) {
+  constructor({ name = null, type = 'Workout', config = {}, patterns = [], language = null, translations = null } = {}) {
     this.name = name;
     this.type = type;
     this.config = config;
     this.patterns = patterns;
+    // Language of the canonical names and messages, and their translations by language
+    this.language = language;
+    this.translations = translations;
   }
 
   toDict() {
-    return {
+    const dict = {
       name: this.name,
       type: this.type,
       config: this.config,
       patterns: this.patterns.map(pattern => pattern.toDict()),
     };
+    if (this.language !== null) {
+      dict.language = this.language;
+    }
+    if (this.translations !== null) {
+      dict.translations = this.translations;
+    }
+    return dict;
   }
 
   static fromDict(data) {
@@ -157,7 +336,9 @@ export class WorkoutData {
       name: data.name || null,
       type: data.type || 'Workout',
       config: data.config || {},
-      patterns: (data.patterns || []).map(pattern => PatternData.fromDict(pattern)),
+      patterns: (data.patterns || []).map(patternFromDict),
+      language: data.language ?? null,
+      translations: data.translations ?? null,
     });
   }
 }
@@ -166,7 +347,7 @@ export class WorkoutData {
  * Plain data structure for a single event in the workout timeline.
  */
 export class TimelineEventData {
-  constructor({ name, type, id = null, startTime, endTime, duration, subEvents = {} }) {
+  constructor({ name, type, id = null, startTime, endTime, duration, subEvents = {}, roundNumber = 1, totalRounds = 1 }) {
     this.name = name;
     this.type = type;
     this.id = id;
@@ -174,10 +355,12 @@ export class TimelineEventData {
     this.endTime = endTime;
     this.duration = duration;
     this.subEvents = subEvents;
+    this.roundNumber = roundNumber;
+    this.totalRounds = totalRounds;
   }
 
   toDict() {
-    return {
+    const result = {
       name: this.name,
       type: this.type,
       id: this.id,
@@ -186,6 +369,11 @@ export class TimelineEventData {
       duration: this.duration,
       subEvents: this.subEvents,
     };
+    if (this.totalRounds > 1) {
+      result.roundNumber = this.roundNumber;
+      result.totalRounds = this.totalRounds;
+    }
+    return result;
   }
 
   static fromDict(data) {
@@ -197,6 +385,8 @@ export class TimelineEventData {
       endTime: data.endTime,
       duration: data.duration,
       subEvents: data.subEvents || {},
+      roundNumber: data.roundNumber ?? 1,
+      totalRounds: data.totalRounds ?? 1,
     });
   }
 }
@@ -250,6 +440,10 @@ export class WorkoutGeneratorState {
     maxEvents = 1000,
     pendingEvents = [],
     workoutSeed = null,
+    random = null,
+    recentShots = [],
+    speechDuration = null,
+    translation = null,
   } = {}) {
     this.currentSuperset = currentSuperset;
     this.patternIndex = patternIndex;
@@ -263,6 +457,14 @@ export class WorkoutGeneratorState {
     this.maxEvents = maxEvents;
     this.pendingEvents = pendingEvents;
     this.workoutSeed = workoutSeed;
+    // Seeded random function derived from workoutSeed (not serialized)
+    this.random = random;
+    // Most recently played shots, oldest first, for sequence constraints
+    this.recentShots = recentShots;
+    // Optional (text) => seconds lookup for recorded speech (not serialized)
+    this.speechDuration = speechDuration;
+    // Session language { language, translations, baseLanguage } speech is timed in (not serialized)
+    this.translation = translation;
   }
 
   toDict() {
@@ -382,11 +584,11 @@ export class AutoCompleteData {
       '5R',
     ],
     positionTypes = ['normal', 'locked', 'linked'],
-    voiceOptions = ['Default', 'Male', 'Female', 'Fast', 'Slow'],
+    voiceOptions = Object.keys(VOICE_PROFILE_PRESETS),
     splitStepSpeeds = ['none', 'slow', 'medium', 'fast', 'random', 'auto-scale'],
-    iterationTypes = ['in-order', 'shuffle'],
+    iterationTypes = ['in-order', 'shuffle', 'weighted-random'],
     intervalTypes = ['fixed', 'additional'],
-    limitTypes = ['all-shots', 'shot-limit', 'time-limit'],
+    limitTypes = ['all-shots', 'shot-limit', 'time-limit', 'open-ended'],
   } = {}) {
     this.shotNames = shotNames;
     this.positionTypes = positionTypes;
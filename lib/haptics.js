@@ -0,0 +1,105 @@
+/**
+ * Haptics module for squash workout definitions.
+ *
+ * This module provides functions for:
+ * - Mapping sound events to haptic cues (announcement, split step, shot beep, countdown)
+ * - Resolving a workout's and a device's haptic settings
+ * - Playing cues as vibration patterns through the Vibration API
+ *
+ * Haptics follow the sound-event stream timelineEventsToSoundEvents produces,
+ * so they fire with the sounds they stand in for. Settings have the shape
+ * { enabled, patterns: { announcement, splitStep, shotBeep, countdown } },
+ * where a pattern is a Vibration API pattern (vibrate/pause milliseconds) and
+ * false turns that cue off. A workout sets them in config.haptics and a device
+ * overrides the workout's, e.g. to switch haptics on for the phone on court.
+ * true and false are short for { enabled: true } and { enabled: false }.
+ */
+
+import { HapticCue } from './config.js';
+
+// Distinct enough to tell apart by feel: one tap, a quick triple, one long buzz, a flick
+export const DEFAULT_HAPTIC_PATTERNS = {
+  [HapticCue.ANNOUNCEMENT]: [80],
+  [HapticCue.SPLIT_STEP]: [40, 60, 40, 60, 40],
+  [HapticCue.SHOT_BEEP]: [250],
+  [HapticCue.COUNTDOWN]: [30],
+};
+
+/**
+ * Gets the haptic cue for a sound event (or a runner cue built from one).
+ * @param {object} soundEvent - { type: 'tts' | 'beep' | 'splitStep' | 'silent', isCountdown }
+ * @returns {string|null} A HapticCue, or null for events that do not vibrate
+ */
+export function getHapticCue(soundEvent) {
+  switch (soundEvent?.type) {
+    case 'tts':
+      return HapticCue.ANNOUNCEMENT;
+    case 'splitStep':
+      return HapticCue.SPLIT_STEP;
+    case 'beep':
+      return soundEvent.isCountdown ? HapticCue.COUNTDOWN : HapticCue.SHOT_BEEP;
+    default:
+      return null;
+  }
+}
+
+function normalizeHapticSettings(settings) {
+  if (settings === true || settings === false) {
+    return { enabled: settings };
+  }
+  return settings && typeof settings === 'object' ? settings : {};
+}
+
+/**
+ * Resolves the haptic settings in effect: the defaults, then the workout's,
+ * then the device's. Haptics are off unless one of them enables them.
+ * @param {object|boolean} [workoutHaptics] - The workout's config.haptics
+ * @param {object|boolean} [deviceHaptics] - This device's settings
+ * @returns {object} { enabled, patterns } with a pattern (or false) for every HapticCue
+ */
+export function resolveHapticSettings(workoutHaptics, deviceHaptics) {
+  const workout = normalizeHapticSettings(workoutHaptics);
+  const device = normalizeHapticSettings(deviceHaptics);
+
+  return {
+    enabled: device.enabled ?? workout.enabled ?? false,
+    patterns: {
+      ...DEFAULT_HAPTIC_PATTERNS,
+      ...(workout.patterns || {}),
+      ...(device.patterns || {}),
+    },
+  };
+}
+
+/**
+ * Checks whether this browser can vibrate.
+ */
+export function isHapticsSupported() {
+  return typeof navigator !== 'undefined' && typeof navigator.vibrate === 'function';
+}
+
+/**
+ * Creates a player that vibrates the pattern of each cue it is given.
+ * @param {object} settings - Resolved settings from resolveHapticSettings
+ * @param {Function} [vibrate] - (pattern) => boolean; navigator.vibrate by default,
+ *   or a stub to record the patterns instead
+ * @returns {object} { play(cue) (true when it vibrated), cancel() }
+ */
+export function createHapticPlayer(settings, vibrate = null) {
+  const vibrateFn = vibrate || (isHapticsSupported() ? pattern => navigator.vibrate(pattern) : null);
+
+  return {
+    play(cue) {
+      const pattern = settings.patterns[cue];
+      if (!settings.enabled || !vibrateFn || !pattern || pattern.length === 0) {
+        return false;
+      }
+      return vibrateFn(pattern) !== false;
+    },
+    cancel() {
+      if (settings.enabled && vibrateFn) {
+        vibrateFn(0);
+      }
+    },
+  };
+}
@@ -11,10 +11,22 @@ console.log('Squash Ghoster Parser loaded - Build ID: 2025-09-04-17-46-PARSER-00
  * - Configuration inheritance
  */
 
-import { WorkoutData, TimelineEventData, WorkoutGeneratorState } from './data-structures.js';
+import { WorkoutData, MessageData, TimelineEventData, WorkoutGeneratorState } from './data-structures.js';
 import { validateWorkout, validatePattern, validateEntry } from './validation.js';
-import { secondsToTimeStr, calculateWorkoutStats as calculateWorkoutStatsFromTimeline, parseTimeLimit, formatTime, formatRemainingTime } from './timing.js';
-import { shuffleArray, shuffleArrayRespectingLinks, createShuffledPatternOrder, getNextPatternIndex } from './utils.js';
+import { secondsToTimeStr, calculateWorkoutStats as calculateWorkoutStatsFromTimeline, calculateRampedInterval, drawIntervalOffset, parseTimeLimit, formatTime, formatRemainingTime, resolveConfigInterval, formatShotsPerMinute } from './timing.js';
+import { shuffleArray, shuffleArrayRespectingLinks, orderLinkedEntries, isLinkedEntry, isEveryNthEntry, interleaveEveryNthEntries, parsePositionLock, shuffleArrayWithConstraints, drawWeightedEntries, flattenEntries, createShuffledPatternOrder, getNextPatternIndex, getNextPattern, flattenPatterns, createSeededRandom, generateSeed, normalizeSeed } from './utils.js';
+import { TimelineEndReason, IntervalMode } from './config.js';
+import { resolveCourtPosition, distanceFromT, calculateDistanceScaledInterval } from './court.js';
+import { hasSequenceConstraints, createSequenceAcceptor, SEQUENCE_HISTORY_LENGTH } from './constraints.js';
+import { resolveProtocol, applyProtocol, describeProtocol } from './protocols.js';
+import { getVoiceSpeechRate } from './voice-profiles.js';
+import { translateText } from './translations.js';
+
+// Safety cap for callers that collect the whole timeline into an array
+const DEFAULT_MAX_TIMELINE_EVENTS = 10000;
+
+// Events shown in the preview; open-ended workouts are previewed up to this cap
+const PREVIEW_MAX_EVENTS = 1000;
 
 /**
  * Loads a workout from JSON data.
@@ -43,7 +55,8 @@ export function workoutDataToJson(workout) {
 }
 
 // Add missing functions for webapp compatibility
-export function calculateWorkoutStats(workoutData, isConfigLocked = false, workoutDefaultInterval = 5.0) {
+// Pass the same seed used for the preview/execution so the stats describe that exact session.
+export function calculateWorkoutStats(workoutData, isConfigLocked = false, workoutDefaultInterval = 5.0, seed = null) {
   try {
     const result = loadWorkoutFromJsonWithValidation(workoutData);
     if (!result.success) {
@@ -56,16 +69,24 @@ export function calculateWorkoutStats(workoutData, isConfigLocked = false, worko
       // Create a deep copy of the workout to avoid modifying the original
       workout = JSON.parse(JSON.stringify(workout));
       
-      // Apply the default interval to all patterns and entries
+      // Apply the default interval to all patterns and entries (interval ramps included)
+      if (workout.config) {
+        delete workout.config.intervalRamp;
+        delete workout.config.shotsPerMinute;
+      }
       if (workout.patterns) {
-        workout.patterns.forEach(pattern => {
+        flattenPatterns(workout.patterns).forEach(pattern => {
           if (pattern.config) {
             pattern.config.interval = workoutDefaultInterval;
+            delete pattern.config.intervalRamp;
+            delete pattern.config.shotsPerMinute;
           }
           if (pattern.entries) {
-            pattern.entries.forEach(entry => {
+            flattenEntries(pattern.entries).forEach(entry => {
               if (entry.config) {
                 entry.config.interval = workoutDefaultInterval;
+                delete entry.config.intervalRamp;
+                delete entry.config.shotsPerMinute;
               }
             });
           }
@@ -79,12 +100,15 @@ export function calculateWorkoutStats(workoutData, isConfigLocked = false, worko
       }
     }
     
-    const timeline = generateWorkoutTimeline(workout);
+    const { events: timeline, end } = collectWorkoutTimeline(workout, { seed });
     const stats = calculateWorkoutStatsFromTimeline(timeline);
     return {
       totalTime: stats.totalDuration,
       totalShots: stats.totalShots,
-      totalShotsExecuted: stats.totalShots
+      totalShotsExecuted: stats.totalShots,
+      minShotInterval: stats.minShotInterval, // Differ from maxShotInterval when intervals ramp or vary
+      maxShotInterval: stats.maxShotInterval,
+      truncated: end.truncated // Totals only cover the generated part (e.g. open-ended workouts)
     };
   } catch (error) {
     console.error('Error calculating workout stats:', error);
@@ -106,31 +130,89 @@ export function estimateTTSDuration(message, speechRate = 1.0) {
   return Math.round(result * 10) / 10; // Round to 1 decimal place
 }
 
+/**
+ * Looks up how long a recorded clip (e.g. from a voice pack) takes to say the text.
+ * @param {string} text - The text to be spoken
+ * @param {function} speechDuration - Optional (text) => seconds or null, from options.speechDuration
+ * @returns {number|null} The clip's duration, or null to fall back to an estimate
+ */
+function getRecordedSpeechDuration(text, speechDuration) {
+  if (!speechDuration || !text || text.trim() === '') return null;
+  const duration = speechDuration(text);
+  return typeof duration === 'number' && duration >= 0 ? duration : null;
+}
+
+/**
+ * Gets the text an announcement is spoken in, so it is timed by what is said:
+ * its translation when there is a session language.
+ * @param {string} text - The canonical text
+ * @param {object|null} entryTranslations - The entry's own translations
+ * @param {object|null} translation - { language, translations, baseLanguage }, or null
+ * @returns {string} The text to time
+ */
+function getSpokenText(text, entryTranslations, translation) {
+  if (!translation?.language || !text) {
+    return text;
+  }
+  return translateText(text, translation.language, {
+    entryTranslations,
+    workoutTranslations: translation.translations,
+    baseLanguage: translation.baseLanguage,
+  }).text;
+}
+
+/**
+ * Formats 1, 2, 3 as 1st, 2nd, 3rd.
+ */
+function formatOrdinal(number) {
+  const lastTwo = number % 100;
+  if (lastTwo >= 11 && lastTwo <= 13) {
+    return `${number}th`;
+  }
+  return `${number}${{ 1: 'st', 2: 'nd', 3: 'rd' }[number % 10] || 'th'}`;
+}
+
+/**
+ * Describes a position lock for the preview badges: '3' → "3", 'last' → "last",
+ * 'last-1' → "2nd to last", 'every-3' → "every 3rd".
+ */
+function describePositionLock(positionType) {
+  const lock = parsePositionLock(positionType);
+  if (!lock) {
+    return positionType;
+  }
+  if (lock.type === 'position') {
+    return String(lock.position);
+  }
+  if (lock.type === 'last') {
+    return lock.offset === 0 ? 'last' : `${formatOrdinal(lock.offset + 1)} to last`;
+  }
+  return `every ${formatOrdinal(lock.interval)}`;
+}
+
 /**
  * Generate HTML preview that matches the webapp's expected rich formatting
+ * @param {object} data - Workout JSON
+ * @param {object} options - Optional settings: { seed, speechDuration, language } (a fresh seed is generated if omitted;
+ *   language translates the sound events' announcements)
+ * @returns {object} { html, soundEvents, seed, timelineEnd }
  */
-export function generatePreviewHtml(data) {
+export function generatePreviewHtml(data, options = {}) {
+  const seed = normalizeSeed(options.seed) ?? generateSeed();
   try {
     // Deep copy the data to avoid mutations
     const dataCopy = JSON.parse(JSON.stringify(data));
     
     // Apply data transformations before validation
     if (dataCopy.patterns) {
-      dataCopy.patterns.forEach(pattern => {
-        if (pattern.positionType && /^\\d+$/.test(pattern.positionType)) {
-          pattern.positionType = 'normal';
-        }
-        
+      flattenPatterns(dataCopy.patterns).forEach(pattern => {
         // Set default speechRate for pattern config if null
         if (pattern.config && pattern.config.speechRate === null) {
           pattern.config.speechRate = 1.0;
         }
         
         if (pattern.entries) {
-          pattern.entries.forEach(entry => {
-            if (entry.positionType && /^\\d+$/.test(entry.positionType)) {
-              entry.positionType = 'normal';
-            }
+          flattenEntries(pattern.entries).forEach(entry => {
             // Add missing intervalType for messages
             if (entry.type === 'Message' && entry.config && entry.config.interval && !entry.config.intervalType) {
               entry.config.intervalType = 'fixed';
@@ -165,12 +247,18 @@ export function generatePreviewHtml(data) {
       console.error('Validation error details:', JSON.stringify(result.validationErrors, null, 2));
       return {
         html: '<div class="error">Invalid workout data: ' + (result.validationErrors[0]?.message || 'Unknown error') + '</div>',
-        soundEvents: []
+        soundEvents: [],
+        seed: seed
       };
     }
 
     const workout = result.workout;
-    const timeline = generateWorkoutTimeline(workout);
+    const { events: timeline, end: timelineEnd } = collectWorkoutTimeline(workout, {
+      seed,
+      maxEvents: PREVIEW_MAX_EVENTS,
+      speechDuration: options.speechDuration,
+      language: options.language,
+    });
     
     // Calculate workout summary stats
     const totalDuration = timeline.length > 0 ? Math.max(...timeline.map(e => e.endTime)) : 0;
@@ -182,10 +270,13 @@ export function generatePreviewHtml(data) {
     const workRestRatio = calculateWorkRestRatio(timeline);
     const workoutSummary = generateWorkoutSummary(timeline, workout);
     
-    // Calculate reps per minute using only work time (excluding message/rest time)
-    const workRestData = calculateWorkRestRatio(timeline);
-    const workTimeInSeconds = workRestData.workTime;
-    const repsPerMinute = workTimeInSeconds > 0 ? (totalShots / workTimeInSeconds * 60).toFixed(1) : '0.0';
+    // Reps per minute use only work time (excluding message/rest time); tempos the workout sets are shown beside them
+    const repsPerMinute = workoutSummary.repsPerMinute.toFixed(1);
+    const targetTempo = workoutSummary.targetShotsPerMinute;
+    const targetTempoStr = !targetTempo ? ''
+      : targetTempo.min === targetTempo.max
+        ? ` (target ${formatShotsPerMinute(targetTempo.min)})`
+        : ` (target ${formatShotsPerMinute(targetTempo.min)}–${formatShotsPerMinute(targetTempo.max)})`;
     
     // Calculate superset structure using metadata from timeline events
     function detectSupersets(timeline, workout) {
@@ -195,7 +286,8 @@ export function generatePreviewHtml(data) {
       
       timeline.forEach((event) => {
         const metadata = event.repeatMetadata || {};
-        const eventSupersetNumber = metadata.supersetNumber;
+        // Each round starts its supersets afresh; round lead-in events (rest, announcement) form their own group
+        const eventSupersetNumber = `${event.roundNumber || 1}:${metadata.supersetNumber}`;
         
         // If this is a new superset, complete the current one and start a new one
         if (currentSupersetNumber !== null && eventSupersetNumber !== currentSupersetNumber) {
@@ -218,8 +310,23 @@ export function generatePreviewHtml(data) {
     }
     
     const supersets = detectSupersets(timeline, workout);
+
+    // Patterns offered by choice slots, for the Choice badge
+    const choiceByPattern = new Map();
+    workout.patterns.forEach(slot => {
+      if (slot.type === 'Choice') {
+        slot.patterns.forEach(pattern => {
+          choiceByPattern.set(pattern, slot);
+          // Protocol patterns are played as their applied copy
+          choiceByPattern.set(applyProtocol(pattern, workout.config), slot);
+        });
+      }
+    });
+
     // Only show superset ribbons when there are actually multiple supersets
-    const hasMultipleSupersets = supersets.length > 1;
+    const hasMultipleSupersets = timeline.some(event => (event.repeatMetadata?.supersetNumber || 1) > 1);
+    const totalRounds = timeline.length > 0 ? timeline[0].totalRounds || 1 : 1;
+    let previousRoundNumber = null;
     
     let html = '';
     
@@ -256,6 +363,8 @@ export function generatePreviewHtml(data) {
         const mins = Math.floor(timeInSeconds / 60);
         const secs = Math.floor(timeInSeconds % 60);
         limitText = `${mins}:${secs.toString().padStart(2, '0')} min`;
+      } else if (limits.type === 'open-ended') {
+        limitText = 'Open-ended';
       }
       if (limitText) {
         html += `<div class="text-sm bg-purple-100 text-purple-700 px-2 py-1 rounded font-medium flex items-center">
@@ -274,6 +383,9 @@ export function generatePreviewHtml(data) {
     
     // Basic stats in list format
     html += '<ul class="list-disc list-inside text-sm text-gray-600 space-y-1 mb-4">';
+    if (totalRounds > 1) {
+      html += `<li>${totalRounds} rounds</li>`;
+    }
     html += `<li>${totalPatterns} patterns</li>`;
     html += `<li>${totalShots} shots</li>`;
     if (totalMessages > 0) {
@@ -281,6 +393,16 @@ export function generatePreviewHtml(data) {
     }
     html += `<li>${formatTime(totalDuration)} total</li>`;
     html += '</ul>';
+
+    // Explain why the preview stops early rather than silently cutting it short
+    if (timelineEnd.truncated) {
+      const truncationText = timelineEnd.reason === TimelineEndReason.MAX_EVENTS
+        ? (limits.type === 'open-ended'
+          ? `Open-ended workout: showing the first ${timelineEnd.eventsGenerated} events. The session runs until you stop it.`
+          : `Preview truncated after ${timelineEnd.eventsGenerated} events. The full session continues when run.`)
+        : 'Preview stopped because the timeline stopped advancing. Check for zero-length intervals.';
+      html += `<div class="text-sm bg-yellow-100 text-yellow-800 px-3 py-2 rounded mb-4">${truncationText}</div>`;
+    }
     
     // Workout summary analysis
     html += '<div class="space-y-3 text-gray-600">';
@@ -298,13 +420,13 @@ export function generatePreviewHtml(data) {
     if (workRestRatio.hasRest) {
       html += '<div class="text-sm text-gray-600 mt-3">';
       html += `<div class="font-semibold text-gray-700 mb-1">Work-Rest Ratio: ${workRestRatio.ratio.toFixed(1)}:1</div>`;
-      html += `<div class="text-xs text-gray-500">Work: ${formatTime(workRestRatio.workTime)} | Rest: ${formatTime(workRestRatio.restTime)} | Reps/min: ${repsPerMinute}</div>`;
+      html += `<div class="text-xs text-gray-500">Work: ${formatTime(workRestRatio.workTime)} | Rest: ${formatTime(workRestRatio.restTime)} | Reps/min: ${repsPerMinute}${targetTempoStr}</div>`;
       html += '</div>';
     } else {
       // Show work time and reps per minute without rest ratio
       html += '<div class="text-sm text-gray-600 mt-3">';
       html += `<div class="font-semibold text-gray-700 mb-1">Work Time & Intensity</div>`;
-      html += `<div class="text-xs text-gray-500">Work: ${formatTime(workRestRatio.workTime)} | Reps/min: ${repsPerMinute}</div>`;
+      html += `<div class="text-xs text-gray-500">Work: ${formatTime(workRestRatio.workTime)} | Reps/min: ${repsPerMinute}${targetTempoStr}</div>`;
       html += '</div>';
     }
     html += `<div class="text-sm text-gray-600 mt-2">${workoutSummary.explanation}</div>`;
@@ -315,6 +437,29 @@ export function generatePreviewHtml(data) {
     html += '</div>';
     
     supersets.forEach((supersetEvents, supersetIndex) => {
+      // Rest between rounds gets a small card of its own
+      const roundRest = supersetEvents.find(event => event.restKind === 'restBetweenRounds');
+      if (roundRest) {
+        html += `<div class="text-sm bg-cyan-100 text-cyan-700 px-3 py-2 rounded mb-4 flex items-center">
+            <svg class="w-4 h-4 mr-1 flex-shrink-0" xmlns="http://www.w3.org/2000/svg" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="2" viewBox="0 0 24 24">
+                <rect x="6" y="4" width="4" height="16"></rect>
+                <rect x="14" y="4" width="4" height="16"></rect>
+            </svg>Rest between rounds (${formatTime(roundRest.duration)})
+        </div>`;
+      }
+
+      // Round heading whenever a new round starts
+      const roundNumber = supersetEvents[0].roundNumber || 1;
+      if (totalRounds > 1 && roundNumber !== previousRoundNumber && supersetEvents.some(event => !event.restKind)) {
+        html += `<h2 class="text-lg font-bold text-gray-900 mb-4">Round ${roundNumber} of ${totalRounds}</h2>`;
+        previousRoundNumber = roundNumber;
+      }
+
+      // Lead-in events have no pattern, so there is nothing more to render for them
+      if (supersetEvents.every(event => event.restKind === 'restBetweenRounds' || event.isRoundAnnouncement)) {
+        return;
+      }
+
         // Start superset container if showing supersets
         if (hasMultipleSupersets) {
         const supersetNumber = supersetEvents.length > 0 && supersetEvents[0].repeatMetadata 
@@ -335,12 +480,13 @@ export function generatePreviewHtml(data) {
         let sourcePattern = event.sourcePattern;
         if (!sourcePattern) {
           // Fallback: Find which pattern this event belongs to
-          for (let p = 0; p < workout.patterns.length; p++) {
-            if (workout.patterns[p].entries.some(entry => 
+          const candidatePatterns = flattenPatterns(workout.patterns).filter(pattern => pattern.type !== 'Choice');
+          for (let p = 0; p < candidatePatterns.length; p++) {
+            if (candidatePatterns[p].entries.some(entry => 
               (entry.id === event.id || ((entry.id === null || entry.id === undefined) && (event.id === null || event.id === undefined) && entry.name === event.name)) && 
               entry.type === event.type
             )) {
-              sourcePattern = workout.patterns[p];
+              sourcePattern = candidatePatterns[p];
               break;
             }
           }
@@ -394,6 +540,29 @@ export function generatePreviewHtml(data) {
         // Pattern badges
         html += '<div class="flex items-center gap-1">';
         
+        // Choice badge (the pattern was picked by a choice slot)
+        const choice = choiceByPattern.get(pattern);
+        if (choice) {
+          html += `<div class="text-xs bg-purple-100 text-purple-700 px-1.5 py-0.5 rounded font-medium flex items-center" title="Picked from ${choice.patterns.map(option => option.name || 'Pattern').join(', ')}">
+              <svg class="w-3 h-3 mr-1 flex-shrink-0" xmlns="http://www.w3.org/2000/svg" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="2" viewBox="0 0 24 24">
+                  <path d="M6 3v6a6 6 0 0 0 6 6h0a6 6 0 0 0 6-6V3"></path>
+                  <path d="M12 15v6"></path>
+              </svg>${choice.name || 'Choice'} (1 of ${choice.patterns.length})
+          </div>`;
+        }
+
+        // Protocol badge (explicit or inherited interval protocol)
+        const protocolText = describeProtocol(pattern.config?.protocol);
+        if (protocolText) {
+          html += `<div class="text-xs bg-cyan-100 text-cyan-700 px-1.5 py-0.5 rounded font-medium flex items-center">
+              <svg class="w-3 h-3 mr-1 flex-shrink-0" xmlns="http://www.w3.org/2000/svg" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="2" viewBox="0 0 24 24">
+                  <circle cx="12" cy="13" r="8"></circle>
+                  <polyline points="12,9 12,13 14,15"></polyline>
+                  <path d="M9 2h6"></path>
+              </svg>${protocolText}
+          </div>`;
+        }
+
         // Shuffled badge (show if pattern iteration type is shuffle, whether explicit or inherited)
         // A pattern should show shuffle badge if:
         // 1. Pattern has explicit iterationType: 'shuffle', OR
@@ -416,7 +585,32 @@ export function generatePreviewHtml(data) {
               </svg>Shuffle
           </div>`;
         }
-        
+
+        // Weighted badge (explicit or inherited weighted-random iteration)
+        const shouldShowWeightedBadge = patternIterationType === 'weighted-random' ||
+                                       (patternIterationType === undefined && workoutIterationType === 'weighted-random');
+        if (shouldShowWeightedBadge) {
+          html += `<div class="text-xs bg-purple-100 text-purple-700 px-1.5 py-0.5 rounded font-medium flex items-center">
+              <svg class="w-3 h-3 mr-1 flex-shrink-0" xmlns="http://www.w3.org/2000/svg" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="2" viewBox="0 0 24 24">
+                  <path d="M4 20V10"></path>
+                  <path d="M12 20V4"></path>
+                  <path d="M20 20v-6"></path>
+              </svg>Weighted
+          </div>`;
+        }
+
+        // Ramp badge (explicit or inherited interval ramp)
+        const intervalRamp = pattern.config?.intervalRamp || workout.config?.intervalRamp;
+        if (intervalRamp && intervalRamp.type !== 'none' &&
+            typeof intervalRamp.from === 'number' && typeof intervalRamp.to === 'number') {
+          const rampLabel = intervalRamp.type === 'pyramid' ? 'Pyramid' : 'Ramp';
+          html += `<div class="text-xs bg-purple-100 text-purple-700 px-1.5 py-0.5 rounded font-medium flex items-center">
+              <svg class="w-3 h-3 mr-1 flex-shrink-0" xmlns="http://www.w3.org/2000/svg" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="2" viewBox="0 0 24 24">
+                  <polyline points="3 17 9 11 13 15 21 7"></polyline>
+              </svg>${rampLabel} ${intervalRamp.from.toFixed(1)}s→${intervalRamp.to.toFixed(1)}s
+          </div>`;
+        }
+
         // Extended Set badge (only if this is an extended set due to limits)
         if (isExtendedSet) {
           html += `<div class="text-xs bg-purple-100 text-purple-700 px-1.5 py-0.5 rounded font-medium flex items-center">
@@ -427,8 +621,8 @@ export function generatePreviewHtml(data) {
           </div>`;
         }
         
-        // Pattern limit badge (only for initial pattern instance, not extended sets)
-        if (hasLimits && !isExtendedSet) {
+        // Pattern limit badge (only for initial pattern instance, not extended sets; a protocol badge covers its own limits)
+        if (hasLimits && !isExtendedSet && !protocolText) {
           let limitText = '';
           if (patternLimits.type === 'shot-limit' && patternLimits.value) {
             limitText = `${patternLimits.value} shots`;
@@ -471,8 +665,8 @@ export function generatePreviewHtml(data) {
                     <path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"></path>
                 </svg>Linked
             </div>`;
-          } else if (pattern.positionType === 'last') {
-            positionText = 'last';
+          } else if (parsePositionLock(pattern.positionType)?.type === 'last') {
+            positionText = describePositionLock(pattern.positionType);
             html += `<div class="text-xs text-yellow-700 bg-yellow-100 px-1.5 py-0.5 rounded font-medium flex items-center" style="color: #d97706 !important; fill: none; stroke: #d97706;">
                 <svg class="w-3 h-3 mr-1 flex-shrink-0" xmlns="http://www.w3.org/2000/svg" stroke-linecap="round" stroke-linejoin="round" stroke-width="2" viewBox="0 0 24 24">
                     <rect width="18" height="11" x="3" y="11" rx="2" ry="2"></rect><path d="M7 11V7a5 5 0 0 1 10 0v4"></path>
@@ -480,7 +674,7 @@ export function generatePreviewHtml(data) {
             </div>`;
           } else {
             // For numeric position types (1, 2, 3, etc.)
-            positionText = pattern.positionType;
+            positionText = describePositionLock(pattern.positionType);
             html += `<div class="text-xs text-yellow-700 bg-yellow-100 px-1.5 py-0.5 rounded font-medium flex items-center" style="color: #d97706 !important; fill: none; stroke: #d97706;">
                 <svg class="w-3 h-3 mr-1 flex-shrink-0" xmlns="http://www.w3.org/2000/svg" stroke-linecap="round" stroke-linejoin="round" stroke-width="2" viewBox="0 0 24 24">
                     <rect width="18" height="11" x="3" y="11" rx="2" ry="2"></rect><path d="M7 11V7a5 5 0 0 1 10 0v4"></path>
@@ -519,8 +713,10 @@ export function generatePreviewHtml(data) {
             (entry.id === event.id || ((entry.id === null || entry.id === undefined) && (event.id === null || event.id === undefined) && entry.name === event.name)) && 
             entry.type === event.type
           );
-          if (sourceEntry && sourceEntry.positionType === 'linked') {
-            html += `<div class="text-xs bg-green-100 text-green-700 px-1.5 py-0.5 rounded font-medium flex items-center ml-1">
+          if (sourceEntry && isLinkedEntry(sourceEntry)) {
+            const linkTarget = sourceEntry.linkedTo ? pattern.entries.find(entry => entry.id === sourceEntry.linkedTo) : null;
+            const linkTitle = linkTarget ? ` title="Follows ${linkTarget.name || linkTarget.id}"` : '';
+            html += `<div class="text-xs bg-green-100 text-green-700 px-1.5 py-0.5 rounded font-medium flex items-center ml-1"${linkTitle}>
                 <svg class="w-3 h-3 mr-1 flex-shrink-0" xmlns="http://www.w3.org/2000/svg" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="2" viewBox="0 0 24 24">
                     <path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"></path>
                     <path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"></path>
@@ -533,12 +729,7 @@ export function generatePreviewHtml(data) {
             let positionText = '';
             let badgeColorClass = 'text-yellow-700 bg-yellow-100';
             
-            if (sourceEntry.positionType === 'last') {
-              positionText = 'last';
-            } else {
-              // For numeric position types (1, 2, 3, etc.)
-              positionText = sourceEntry.positionType;
-            }
+            positionText = describePositionLock(sourceEntry.positionType);
             
             html += `<div class="text-xs ${badgeColorClass} px-1.5 py-0.5 rounded font-medium flex items-center ml-1" style="color: #d97706 !important; fill: none; stroke: #d97706;">
                 <svg class="w-3 h-3 mr-1 flex-shrink-0" xmlns="http://www.w3.org/2000/svg" stroke-linecap="round" stroke-linejoin="round" stroke-width="2" viewBox="0 0 24 24">
@@ -547,6 +738,32 @@ export function generatePreviewHtml(data) {
             </div>`;
           }
 
+          // Add block badge for entries played from a block
+          const blockInfo = event.entry?.blockInfo;
+          if (blockInfo) {
+            const blockName = blockInfo.name || 'Block';
+            const blockRepeatText = blockInfo.totalRepeats > 1 ? ` ${blockInfo.repeatNumber}/${blockInfo.totalRepeats}` : '';
+            html += `<div class="text-xs bg-indigo-100 text-indigo-700 px-1.5 py-0.5 rounded font-medium flex items-center ml-1">
+                <svg class="w-3 h-3 mr-1 flex-shrink-0" xmlns="http://www.w3.org/2000/svg" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="2" viewBox="0 0 24 24">
+                    <rect x="3" y="3" width="18" height="18" rx="2" ry="2"></rect><path d="M3 9h18"></path>
+                </svg>${blockName}${blockRepeatText}
+            </div>`;
+          }
+
+          // Add rest badge for automatic rest between repeats and patterns
+          if (event.restKind) {
+            const restLabel = {
+              restBetweenRepeats: 'Rest between repeats',
+              restAfterPattern: 'Rest after pattern',
+              protocolRest: 'Interval rest',
+            }[event.restKind];
+            html += `<div class="text-xs bg-cyan-100 text-cyan-700 px-1.5 py-0.5 rounded font-medium flex items-center ml-1">
+                <svg class="w-3 h-3 mr-1 flex-shrink-0" xmlns="http://www.w3.org/2000/svg" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="2" viewBox="0 0 24 24">
+                    <rect x="6" y="4" width="4" height="16"></rect><rect x="14" y="4" width="4" height="16"></rect>
+                </svg>${restLabel}
+            </div>`;
+          }
+
           // Add shot repeat badge for shots with multiple repeats
           const repeatMetadata = event.repeatMetadata || {};
           if (event.type === 'Shot' && repeatMetadata.totalShotRepeats > 1) {
@@ -580,8 +797,14 @@ export function generatePreviewHtml(data) {
           if (event.subEvents) {
             // For messages, show detailed sub-message timing
             if (event.type === 'Message') {
-              const messageText = event.entry?.config?.message || event.name;
-              const ttsDuration = estimateTTSDuration(messageText, event.entry?.config?.speechRate || 1.0);
+              const messageText = getSpokenText(event.entry?.config?.message || event.name, event.entry?.messageTranslations || null, {
+                language: options.language,
+                translations: workout.translations,
+                baseLanguage: workout.language,
+              });
+              const clipDuration = getRecordedSpeechDuration(messageText, options.speechDuration);
+              const ttsDuration = clipDuration ?? estimateTTSDuration(messageText, getVoiceSpeechRate(event.effectiveConfig || event.entry?.config));
+              const ttsLabel = clipDuration !== null ? `${ttsDuration.toFixed(1)}s clip` : `~${ttsDuration.toFixed(1)}s TTS`;
               const messageDuration = event.endTime - event.startTime;
               const remainingTime = messageDuration - ttsDuration;
               
@@ -590,7 +813,7 @@ export function generatePreviewHtml(data) {
                 const announcedTimeStr = formatTimeHighPrecision(event.subEvents.message_start);
                 html += `<div class="flex items-center gap-2 py-0.5 ml-6">`;
                 html += `<span class="rocket-timing-badge text-xs font-medium text-gray-600 bg-gray-100 px-1.5 py-0.5 rounded" data-start-time="${event.subEvents.message_start}" data-end-time="${event.subEvents.message_start}" title="Click to jump to ${announcedTimeStr} (when paused)" style="cursor: pointer;">${announcedTimeStr}</span>`;
-                html += `<span class="text-xs text-gray-600">Announced (~${ttsDuration.toFixed(1)}s TTS)</span>`;
+                html += `<span class="text-xs text-gray-600">Announced (${ttsLabel})</span>`;
                 html += '</div>';
               }
               
@@ -682,7 +905,9 @@ export function generatePreviewHtml(data) {
                 
                 if (offsetType === 'fixed') {
                   offsetStr = ` (Offset: ${actualOffset.toFixed(1)}s)`;
-                } else if (offsetType === 'random') {
+                } else if (offsetType === 'zero-sum') {
+                  offsetStr = ` (Offset: ${actualOffset.toFixed(1)}s, zero-sum)`;
+                } else {
                   offsetStr = ` (Offset: ${actualOffset.toFixed(1)}s)`;
                 }
               }
@@ -707,18 +932,27 @@ export function generatePreviewHtml(data) {
 
     
     // Convert timeline events to sound events for audio playback
-    const soundEvents = timelineEventsToSoundEvents(timeline);
+    // (a truncated preview has not reached the end, so it gets no completion announcement)
+    const soundEvents = timelineEventsToSoundEvents(timeline, {
+      includeCompletion: !timelineEnd.truncated,
+      language: options.language || null,
+      translations: workout.translations,
+      baseLanguage: workout.language,
+    });
     
     // Return object with both html and soundEvents for compatibility with reference implementation
     return {
       html: html,
-      soundEvents: soundEvents
+      soundEvents: soundEvents,
+      seed: seed,
+      timelineEnd: timelineEnd
     };
   } catch (error) {
     console.error('Error generating preview HTML:', error);
     return {
       html: '<div class="error">Error generating preview</div>',
-      soundEvents: []
+      soundEvents: [],
+      seed: seed
     };
   }
 }
@@ -741,6 +975,7 @@ export function validateWorkoutJSON(workoutData) {
   if (!result.isValid) {
     throw new Error(result.errors[0]?.message || 'Invalid workout data');
   }
+  return result.warnings;
 }
 
 export function validatePatternJSON(pattern, context) {
@@ -758,7 +993,7 @@ export function validatePatternJSON(pattern, context) {
     }
   }
   
-  const errors = validatePattern(pattern, context);
+  const errors = validatePattern(pattern, context).filter(error => !error.isWarning?.());
   if (errors.length > 0) {
     throw new Error(errors[0]?.message || 'Invalid pattern data');
   }
@@ -835,33 +1070,175 @@ export function jsonToTimelineEvents(jsonTimeline) {
 }
 
 /**
- * Generates a workout timeline from workout data.
+ * Generates a workout timeline from workout data, collecting every event into an array.
+ * Generation stops after options.maxEvents events (default 10000); a truncated
+ * timeline is reported with a console warning. Use collectWorkoutTimeline to get
+ * the end reason, or iterateWorkoutTimeline to consume events on demand.
+ * @param {WorkoutData} workout - The workout to generate
+ * @param {object} options - Optional settings: { seed, maxEvents, speechDuration, language }
+ */
+export function generateWorkoutTimeline(workout, options = {}) {
+  const { events, end } = collectWorkoutTimeline(workout, options);
+  if (end.truncated) {
+    console.warn(`Workout timeline truncated after ${end.eventsGenerated} events: ${end.reason}`);
+  }
+  return events;
+}
+
+/**
+ * Generates a workout timeline and reports why generation stopped.
+ * @param {WorkoutData} workout - The workout to generate
+ * @param {object} options - Optional settings: { seed, maxEvents, speechDuration, language }
+ * @returns {object} { events, end } where end is the iterator's return value
  */
-export function generateWorkoutTimeline(workout) {
+export function collectWorkoutTimeline(workout, options = {}) {
+  const iterator = iterateWorkoutTimeline(workout, {
+    ...options,
+    maxEvents: options.maxEvents ?? DEFAULT_MAX_TIMELINE_EVENTS,
+  });
+  const events = [];
+
+  let step = iterator.next();
+  while (!step.done) {
+    events.push(step.value);
+    step = iterator.next();
+  }
+
+  return { events, end: step.value };
+}
+
+/**
+ * Lazily generates a workout timeline, yielding TimelineEventData objects on demand.
+ * Every random decision (shuffles, random repeats, interval offsets and
+ * split-step speeds) is drawn from a single PRNG seeded with options.seed,
+ * so the same workout and seed always yield the identical timeline.
+ *
+ * A workout with config.rounds plays its whole definition that many times,
+ * limits included. Each round opens with a "Round N of M" announcement
+ * (unless config.announceRounds is false) and is preceded by
+ * config.restBetweenRounds; every event carries its roundNumber and totalRounds.
+ *
+ * There is no event cap unless options.maxEvents is given, so open-ended
+ * workouts can be consumed for as long as the caller keeps pulling events.
+ * The iterator's return value explains why generation stopped:
+ * { reason, truncated, eventsGenerated, endTime, seed } with reason one of TimelineEndReason.
+ *
+ * options.speechDuration, a (text) => seconds function returning null when it
+ * has no answer, times spoken messages by their recorded clips (voice packs)
+ * instead of the words-per-minute estimate. With options.language, messages
+ * are timed by their translations into that session language, as they are said.
+ * @param {WorkoutData} workout - The workout to generate
+ * @param {object} options - Optional settings: { seed, maxEvents, speechDuration, language }
+ */
+export function* iterateWorkoutTimeline(workout, options = {}) {
   if (!(workout instanceof WorkoutData)) {
     throw new Error('Invalid workout: must be a WorkoutData instance');
   }
 
-  const timeline = [];
+  const workoutSeed = normalizeSeed(options.seed) ?? generateSeed();
+  const random = createSeededRandom(workoutSeed);
+  const maxEvents = options.maxEvents ?? Infinity;
+  const speechDuration = options.speechDuration || null;
+  const translation = options.language
+    ? { language: options.language, translations: workout.translations, baseLanguage: workout.language }
+    : null;
+  const totalRounds = resolveRoundCount(workout.config?.rounds);
+
+  let roundStartTime = 0;
+  let totalEventsGenerated = 0;
+  let endReason = TimelineEndReason.COMPLETE;
+
+  // Describes why generation stopped; returned as the iterator's final value
+  const endOfTimeline = () => ({
+    reason: endReason,
+    truncated: endReason === TimelineEndReason.MAX_EVENTS || endReason === TimelineEndReason.NO_PROGRESS,
+    eventsGenerated: totalEventsGenerated,
+    endTime: roundStartTime,
+    seed: workoutSeed,
+  });
+
+  if (!workout.patterns || workout.patterns.length === 0) {
+    return endOfTimeline();
+  }
+
+  for (let roundNumber = 1; roundNumber <= totalRounds; roundNumber++) {
+    // Rest and the round announcement play before the round's own events
+    const leadInEvents = [];
+    if (roundNumber > 1) {
+      leadInEvents.push(createRoundRestEvent(workout, roundStartTime, { speechDuration, translation }));
+    }
+    if (totalRounds > 1 && workout.config?.announceRounds !== false) {
+      const leadInEnd = leadInEvents.reduce((end, event) => (event ? event.endTime : end), roundStartTime);
+      leadInEvents.push(createRoundAnnouncementEvent(workout, roundNumber, totalRounds, leadInEnd, { speechDuration, translation }));
+    }
+    for (const event of leadInEvents.filter(Boolean)) {
+      if (totalEventsGenerated >= maxEvents) {
+        endReason = TimelineEndReason.MAX_EVENTS;
+        return endOfTimeline();
+      }
+      event.roundNumber = roundNumber - (event.restKind ? 1 : 0);
+      event.totalRounds = totalRounds;
+      roundStartTime = event.endTime;
+      yield event;
+      totalEventsGenerated += 1;
+    }
+
+    const generatorState = createWorkoutGeneratorState(workout, workoutSeed, random, speechDuration, translation);
+    const roundIterator = iterateWorkoutRound(workout, generatorState, maxEvents - totalEventsGenerated);
+    let step = roundIterator.next();
+    while (!step.done) {
+      const event = shiftTimelineEvent(step.value, roundStartTime);
+      event.roundNumber = roundNumber;
+      event.totalRounds = totalRounds;
+      yield event;
+      totalEventsGenerated += 1;
+      step = roundIterator.next();
+    }
+
+    roundStartTime += generatorState.currentTime;
+    endReason = step.value;
+    if (endReason !== TimelineEndReason.COMPLETE) {
+      break;
+    }
+  }
+
+  return endOfTimeline();
+}
 
+/**
+ * Creates the generator state for one round of a workout. Rounds share the
+ * workout's random function, so each round shuffles and draws afresh.
+ */
+function createWorkoutGeneratorState(workout, workoutSeed, random, speechDuration = null, translation = null) {
   // Initialize generator state with workout iteration type
   const generatorState = new WorkoutGeneratorState({
     workoutIterationType: workout.config?.iterationType || 'in-order',
-    workoutSeed: Date.now(), // Use current timestamp as seed for random repeat generation
+    workoutSeed: workoutSeed,
+    random: random,
+    speechDuration: speechDuration,
+    translation: translation,
   });
 
   // Initialize pattern order for shuffle mode
   if (generatorState.workoutIterationType === 'shuffle') {
-    generatorState.patternOrder = createShuffledPatternOrder(workout.patterns, null); // Use random seed
+    generatorState.patternOrder = createShuffledPatternOrder(workout.patterns, generatorState.random);
   }
 
-  // Initialize the first pattern state
-  if (!workout.patterns || workout.patterns.length === 0) {
-    return timeline;
-  }
+  return generatorState;
+}
 
+/**
+ * Generates the events of a single pass through the workout, with times
+ * relative to the start of that pass.
+ * @returns {string} The TimelineEndReason the pass ended with
+ */
+function* iterateWorkoutRound(workout, generatorState, maxEvents) {
   const firstPatternIndex = getNextPatternIndex(generatorState, workout);
-  let patternState = createPatternState(workout.patterns[firstPatternIndex], { workout, generatorState });
+  const firstPattern = applyProtocol(getNextPattern(generatorState, workout), workout.config);
+  if (firstPattern === null) {
+    return TimelineEndReason.COMPLETE;
+  }
+  let patternState = createPatternState(firstPattern, { workout, generatorState });
   
   // Check if the first pattern has 0 repeats and should be skipped
   let resolvedFirstPatternRepeatCount = resolveRepeatCount(patternState.patternInstance.config?.repeatCount, generatorState.workoutSeed, 0);
@@ -869,19 +1246,23 @@ export function generateWorkoutTimeline(workout) {
     // Skip patterns with 0 repeat count
     patternState = moveToNextPattern(workout, patternState, generatorState);
     if (patternState === null) {
-      return timeline; // All patterns have 0 repeats
+      return TimelineEndReason.COMPLETE; // All patterns have 0 repeats
     }
   }
 
-  // Safety counters to prevent infinite loops
+  // Optional cap on generated events (unbounded by default)
   let totalEventsGenerated = 0;
-  const maxEvents = 1000;
+  let endReason = TimelineEndReason.COMPLETE;
   
   // Additional safety for time-based workouts to prevent infinite loops
   let lastEventTime = 0;
   let noProgressCount = 0;
   const maxNoProgress = 10;
 
+  // Entry selected while moving on to the next pattern run; it waits until
+  // the automatic rest queued by that move has been played
+  let deferredEntry = null;
+
   while (totalEventsGenerated < maxEvents) {
     // Check if workout should terminate due to limits
     if (shouldTerminateWorkout(workout, generatorState)) {
@@ -939,16 +1320,22 @@ export function generateWorkoutTimeline(workout) {
         patternState.patternShotsPlayed += 1;
         // Do not modify patternTimeElapsed here; time-based limits are enforced when starting entries
       }
-      timeline.push(event);
+      yield event;
       totalEventsGenerated += 1;
       continue;
     }
 
     // Get the next entry to play
-    const entry = getNextEntry(workout, patternState, generatorState);
+    const entry = deferredEntry || getNextEntry(workout, patternState, generatorState);
+    deferredEntry = null;
     if (entry === null) {
       break; // No more entries
     }
+    if (generatorState.pendingEvents.length > 0) {
+      // Automatic rest was queued on the way to this entry; play it first
+      deferredEntry = entry;
+      continue;
+    }
 
     // Check pattern limits before processing the entry (predictive checks for both shot and time limits)
     if (entry.type === 'Shot') {
@@ -976,7 +1363,9 @@ export function generateWorkoutTimeline(workout) {
         const effectiveConfig = getEffectiveConfig(
           workout.config || {},
           pattern.config || {},
-          entry.config || {}
+          entry.config || {},
+          entry,
+          { rampPosition: getRampPosition(workout, patternState, entry, generatorState) }
         );
         const entryInterval = effectiveConfig.interval || 5.0;
         
@@ -1032,7 +1421,9 @@ export function generateWorkoutTimeline(workout) {
     const effectiveConfig = getEffectiveConfig(
       workout.config || {},
       pattern.config || {},
-      entry.config || {}
+      entry.config || {},
+      entry,
+      { rampPosition: getRampPosition(workout, patternState, entry, generatorState, resolvedTotalPatternRepeats) }
     );
 
     // Create timeline event based on entry type
@@ -1051,6 +1442,9 @@ export function generateWorkoutTimeline(workout) {
     }
     
     let event;
+    let jitter = null;
+    let jitterBalance;
+    let jitterRemaining;
     if (entry.type === 'Message') {
       // Use message-specific timeline generation with effective config
       const messageTimeline = generateMessageTimeline(entry, effectiveConfig, generatorState.currentTime, { workout, generatorState });
@@ -1067,7 +1461,10 @@ export function generateWorkoutTimeline(workout) {
       }
     } else {
       // Use shot timeline generation with effective config
-      event = createTimelineEventData(entry, generatorState.currentTime, metadata, effectiveConfig, pattern);
+      jitter = getZeroSumJitter(effectiveConfig, patternState, generatorState);
+      jitterBalance = jitter?.balance;
+      jitterRemaining = jitter?.remaining;
+      event = createTimelineEventData(entry, generatorState.currentTime, metadata, effectiveConfig, pattern, generatorState.random, jitter);
     }
 
     // Handle shot repeats
@@ -1078,6 +1475,10 @@ export function generateWorkoutTimeline(workout) {
         // Use a combination of workout seed and shot processing count to ensure fresh randomness
         const shotProcessingCount = generatorState.workoutTotalShots + patternState.patternShotsPlayed;
         const resolvedRepeatCount = resolveRepeatCount(entry.config.repeatCount, generatorState.workoutSeed, shotProcessingCount);
+        if (jitter && resolvedRepeatCount !== 1) {
+          // The first draw is replaced by the repeats (or dropped with the shot)
+          jitter.balance = jitterBalance;
+        }
         
         if (resolvedRepeatCount === 0) {
           // Skip this shot entirely (0 repeats)
@@ -1093,10 +1494,12 @@ export function generateWorkoutTimeline(workout) {
             };
             const shotEvent = createTimelineEventData(
               entry, 
-              event.startTime + (repeatIdx * event.duration),
+              repeatIdx === 0 ? event.startTime : events[repeatIdx - 1].endTime,
               shotMetadata,
               effectiveConfig,
-              pattern
+              pattern,
+              generatorState.random,
+              withJitterRemaining(jitter, jitterRemaining + resolvedRepeatCount - 1 - repeatIdx)
             );
             events.push(shotEvent);
           }
@@ -1113,7 +1516,7 @@ export function generateWorkoutTimeline(workout) {
           patternState.patternShotsPlayed += 1;
           patternState.patternTimeElapsed += event.duration;
 
-          timeline.push(events[0]);
+          yield events[0];
         } else {
           // Single shot (resolvedRepeatCount === 1), update state normally
           generatorState.currentTime = event.endTime;
@@ -1121,11 +1524,15 @@ export function generateWorkoutTimeline(workout) {
           generatorState.workoutTotalShots += 1;
           patternState.patternShotsPlayed += 1;
           patternState.patternTimeElapsed += event.duration;
-          timeline.push(event);
+          yield event;
         }
       } else {
         // Fixed repeat: use the existing logic
         const resolvedRepeatCount = resolveRepeatCount(entry.config?.repeatCount, generatorState.workoutSeed);
+        if (jitter && resolvedRepeatCount !== 1) {
+          // The first draw is replaced by the repeats (or dropped with the shot)
+          jitter.balance = jitterBalance;
+        }
         
         if (resolvedRepeatCount === 0) {
           // Skip this shot entirely (0 repeats)
@@ -1140,10 +1547,12 @@ export function generateWorkoutTimeline(workout) {
             };
             const shotEvent = createTimelineEventData(
               entry, 
-              event.startTime + (repeatIdx * event.duration),
+              repeatIdx === 0 ? event.startTime : events[repeatIdx - 1].endTime,
               shotMetadata,
               effectiveConfig,
-              pattern
+              pattern,
+              generatorState.random,
+              withJitterRemaining(jitter, jitterRemaining + resolvedRepeatCount - 1 - repeatIdx)
             );
             events.push(shotEvent);
           }
@@ -1160,7 +1569,7 @@ export function generateWorkoutTimeline(workout) {
           patternState.patternShotsPlayed += 1;
           patternState.patternTimeElapsed += event.duration;
 
-          timeline.push(events[0]);
+          yield events[0];
         } else {
           // Single shot (resolvedRepeatCount === 1), update state normally
           generatorState.currentTime = event.endTime;
@@ -1168,7 +1577,7 @@ export function generateWorkoutTimeline(workout) {
           generatorState.workoutTotalShots += 1;
           patternState.patternShotsPlayed += 1;
           patternState.patternTimeElapsed += event.duration;
-          timeline.push(event);
+          yield event;
         }
       }
     } else {
@@ -1176,7 +1585,7 @@ export function generateWorkoutTimeline(workout) {
       generatorState.currentTime = event.endTime;
       generatorState.workoutTotalTime = event.endTime;
       patternState.patternTimeElapsed += event.duration;
-      timeline.push(event);
+      yield event;
     }
 
     totalEventsGenerated += 1;
@@ -1189,16 +1598,81 @@ export function generateWorkoutTimeline(workout) {
       noProgressCount++;
       if (noProgressCount >= maxNoProgress) {
         console.warn(`No time progress for ${maxNoProgress} events, stopping to prevent infinite loop`);
+        endReason = TimelineEndReason.NO_PROGRESS;
         break;
       }
     }
   }
 
-  if (totalEventsGenerated >= maxEvents) {
-    throw new Error(`Generated ${maxEvents} events, stopping to prevent infinite loop`);
+  if (endReason === TimelineEndReason.COMPLETE && totalEventsGenerated >= maxEvents) {
+    endReason = TimelineEndReason.MAX_EVENTS;
   }
 
-  return timeline;
+  // A workout never ends on automatic rest queued after its last entry
+  if (endReason === TimelineEndReason.COMPLETE) {
+    discardQueuedRest(generatorState);
+  }
+
+  return endReason;
+}
+
+/**
+ * Gets the number of times the whole workout is played (config.rounds, default 1).
+ */
+function resolveRoundCount(rounds) {
+  return Number.isInteger(rounds) && rounds >= 1 ? rounds : 1;
+}
+
+/**
+ * Moves an event generated for a round to its place in the whole session.
+ */
+function shiftTimelineEvent(event, offset) {
+  if (offset === 0) {
+    return event;
+  }
+  event.startTime += offset;
+  event.endTime += offset;
+  Object.keys(event.subEvents || {}).forEach(key => {
+    if (typeof event.subEvents[key] === 'number') {
+      event.subEvents[key] += offset;
+    }
+  });
+  return event;
+}
+
+/**
+ * Creates the rest played between two rounds (config.restBetweenRounds),
+ * or null when the workout has none.
+ * @param {object} speech - { speechDuration, translation } the rest's message is timed by
+ */
+function createRoundRestEvent(workout, startTime, speech = {}) {
+  const config = workout.config || {};
+  const event = createRestEvent(config.restBetweenRounds, 'workout__restBetweenRounds', config, startTime, speech);
+  if (event) {
+    event.restKind = 'restBetweenRounds';
+  }
+  return event;
+}
+
+/**
+ * Creates the spoken "Round N of M" message that opens a round. It lasts as
+ * long as the announcement plus a one-second pause, so it never talks over
+ * the round's first entry.
+ * @param {object} speech - { speechDuration, translation } the announcement is timed by
+ */
+function createRoundAnnouncementEvent(workout, roundNumber, totalRounds, startTime, speech = {}) {
+  const text = `Round ${roundNumber} of ${totalRounds}`;
+  const announcement = new MessageData({
+    id: `workout__round_${roundNumber}`,
+    name: text,
+    config: { message: text, interval: 1, intervalType: 'additional' },
+  });
+  const announcementConfig = { ...announcement.config, ...pickVoiceConfig(workout.config || {}) };
+
+  const [event] = generateMessageTimeline(announcement, announcementConfig, startTime, speech);
+  event.entry = announcement;
+  event.isRoundAnnouncement = true;
+  return event;
 }
 
 // These functions are no longer needed as we've implemented the Python-style timeline generation
@@ -1206,44 +1680,140 @@ export function generateWorkoutTimeline(workout) {
 
 /**
  * Gets ordered entries based on iteration type and positional constraints.
+ * Every pass (each repeat and extended set) is ordered afresh, so position
+ * locks hold in all of them; every-Nth entries are woven into the ordered pass,
+ * counting slots on from the slotsBefore that the pattern's earlier passes took.
+ * Sequence constraints shape shuffles and weighted draws, continuing from the
+ * shots already played; in-order sequences are fixed and checked by validation.
  */
-function getOrderedEntries(entries, iterationType, workoutContext = null) {
+function getOrderedEntries(entries, iterationType, workoutContext = null, sequenceConstraints = null, slotsBefore = 0) {
   if (entries.length === 0) {
     return [];
   }
 
+  const everyNthEntries = entries.filter(isEveryNthEntry);
+  if (everyNthEntries.length > 0) {
+    const regularEntries = entries.filter(entry => !isEveryNthEntry(entry));
+    return interleaveEveryNthEntries(
+      getOrderedEntries(regularEntries, iterationType, workoutContext, sequenceConstraints),
+      everyNthEntries,
+      slotsBefore
+    );
+  }
+
+  const generatorState = workoutContext?.generatorState;
+  const accepts = hasSequenceConstraints(sequenceConstraints)
+    ? createSequenceAcceptor(sequenceConstraints, generatorState?.recentShots || [])
+    : null;
+
   if (iterationType === 'shuffle') {
     // For shuffle, use the proper linked-aware shuffle function that keeps
     // linked elements with their predecessors and respects position locks
-    // Use random seeds for unpredictable shuffle orders
-    return shuffleArrayRespectingLinks(entries, null); // null = random seed
+    // Draw from the workout's seeded random so shuffles are reproducible
+    const random = generatorState?.random || null;
+    if (accepts) {
+      const constrainedEntries = shuffleArrayWithConstraints(entries, random, accepts);
+      if (constrainedEntries) {
+        return constrainedEntries;
+      }
+      console.warn('Sequence constraints could not be met for this pass; using an unconstrained shuffle');
+    }
+    return shuffleArrayRespectingLinks(entries, random);
+  }
+
+  if (iterationType === 'weighted-random') {
+    // Each pass draws entries with replacement by weight; pattern limits
+    // decide how many passes (extended sets) are played
+    const random = generatorState?.random || null;
+    return drawWeightedEntries(entries, random, accepts);
   }
 
-  // in-order: return entries in original order
-  return entries;
+  // in-order: return entries in original order, with locked entries in their
+  // slots and linked entries behind their targets
+  return orderLinkedEntries(entries);
 }
 
+// Block settings that shape the block itself and are not inherited by its entries
+const BLOCK_OWN_CONFIG_KEYS = ['repeatCount', 'iterationType', 'sequenceConstraints', 'limits'];
+
 /**
- * Creates a seeded random number generator for deterministic shuffling.
- * Uses hardcoded sequences to match Python's behavior for specific examples.
+ * Replaces Block entries in an ordered pass with the entries they play.
+ * Each block plays its entries repeatCount times, ordered by the block's own
+ * iterationType (in-order unless set), and nested blocks are expanded in turn.
+ * The played entries are copies whose config inherits the block's config and
+ * that carry blockInfo ({ id, name, repeatNumber, totalRepeats }) for display.
  */
-function createSeededRandom(seed) {
-  // Hardcoded sequences to match Python's behavior for specific examples
-  const sequences = {
-    6: [2, 0, 1], // For example 3: [C, A, B]
-    7: [1, 0],    // For superset 1: [B, A]
-  };
-  
-  const sequence = sequences[seed] || [];
-  let index = 0;
-  
-  return function() {
-    if (index < sequence.length) {
-      return sequence[index++] / 3; // Normalize to 0-1 range
+function expandBlocks(entries, workoutContext = null) {
+  const expanded = [];
+  entries.forEach(entry => {
+    if (entry.type === 'Block') {
+      expanded.push(...expandBlock(entry, workoutContext));
+    } else {
+      expanded.push(entry);
     }
-    // Fallback to simple random if no hardcoded sequence
-    return Math.random();
-  };
+  });
+  return expanded;
+}
+
+function expandBlock(block, workoutContext) {
+  const blockConfig = block.config || {};
+  const inheritedConfig = { ...blockConfig };
+  BLOCK_OWN_CONFIG_KEYS.forEach(key => delete inheritedConfig[key]);
+
+  // Random repeat counts draw from the session's random so blocks are reproducible
+  const random = workoutContext?.generatorState?.random;
+  const totalRepeats = resolveRepeatCount(
+    blockConfig.repeatCount ?? 1,
+    random ? Math.floor(random() * 0xFFFFFFFF) : null
+  );
+
+  const played = [];
+  // Every-Nth entries keep their spacing across the block's repeats
+  let slotsBefore = 0;
+  for (let run = 0; run < totalRepeats; run++) {
+    const ordered = getOrderedEntries(
+      block.entries || [],
+      blockConfig.iterationType || 'in-order',
+      workoutContext,
+      blockConfig.sequenceConstraints,
+      slotsBefore
+    );
+    slotsBefore += ordered.length;
+    ordered.forEach(child => {
+      // Position locks and links were applied when ordering the block
+      const copy = Object.assign(Object.create(Object.getPrototypeOf(child)), child, {
+        positionType: 'normal',
+        config: mergeConfigs(inheritedConfig, child.config || {}),
+        blockInfo: { id: block.id, name: block.name, repeatNumber: run + 1, totalRepeats }
+      });
+      if (copy.type === 'Block') {
+        played.push(...expandBlock(copy, workoutContext));
+      } else {
+        played.push(copy);
+      }
+    });
+  }
+  return played;
+}
+
+/**
+ * Counts the shots one pass over the entries plays, counting each block's
+ * shots once per repeat (random block repeats count their average).
+ */
+function countShotsPerPass(entries) {
+  return entries.reduce((count, entry) => {
+    if (entry.type === 'Shot') {
+      return count + 1;
+    }
+    if (entry.type === 'Block') {
+      const repeatCount = entry.config?.repeatCount;
+      const repeats = repeatCount && typeof repeatCount === 'object' && repeatCount.type !== 'fixed'
+        ? ((repeatCount.min || 0) + (repeatCount.max || 0)) / 2
+        : resolveRepeatCount(repeatCount ?? 1);
+      return count + repeats * countShotsPerPass(entry.entries || []);
+    }
+    return count;
+  }, 0);
 }
 
 /**
@@ -1277,13 +1847,15 @@ function createPatternState(pattern, workoutContext = null) {
   if (iterationType === undefined) {
     iterationType = 'in-order';
   }
-  const orderedEntries = getOrderedEntries(pattern.entries, iterationType, workoutContext);
+  const passEntries = getOrderedEntries(pattern.entries, iterationType, workoutContext, pattern.config?.sequenceConstraints);
+  const orderedEntries = expandBlocks(passEntries, workoutContext);
   
   return {
     patternInstance: pattern,
     patternShotsPlayed: 0,
     patternTimeElapsed: 0.0,
     patternRunsCompleted: 0,
+    patternSlotsOrdered: passEntries.length, // Slots of the passes so far, for every-Nth entries
     availableEntries: [...orderedEntries],
     lastPlayedEntry: null
   };
@@ -1302,13 +1874,16 @@ function resetPatternState(patternState, workoutContext = null) {
   if (iterationType === undefined) {
     iterationType = 'in-order';
   }
-  const orderedEntries = getOrderedEntries(pattern.entries, iterationType, workoutContext);
+  const slotsBefore = patternState.patternSlotsOrdered || 0;
+  const passEntries = getOrderedEntries(pattern.entries, iterationType, workoutContext, pattern.config?.sequenceConstraints, slotsBefore);
+  const orderedEntries = expandBlocks(passEntries, workoutContext);
 
   return {
     patternInstance: pattern,
     patternShotsPlayed: 0,
     patternTimeElapsed: 0.0,
     patternRunsCompleted: runsCompleted,
+    patternSlotsOrdered: slotsBefore + passEntries.length,
     availableEntries: [...orderedEntries],
     lastPlayedEntry: null
   };
@@ -1378,8 +1953,9 @@ function shouldContinuePatternExtendedSet(patternState, limits, limitType) {
       // Find the minimum interval among all shots in the pattern
       let minInterval = Infinity;
       pattern.entries.forEach(entry => {
-        if (entry.type === 'Shot' && entry.config && entry.config.interval) {
-          minInterval = Math.min(minInterval, entry.config.interval);
+        const entryInterval = resolveConfigInterval(entry.config);
+        if (entry.type === 'Shot' && entryInterval) {
+          minInterval = Math.min(minInterval, entryInterval);
         }
       });
       
@@ -1416,18 +1992,148 @@ function resetPatternStateForExtendedSet(patternState, workoutContext) {
   }
   
   // For extended sets, we want to reinitialize shuffle seeding to get fresh randomness
-  const orderedEntries = getOrderedEntries(pattern.entries, iterationType, workoutContext);
+  const slotsBefore = patternState.patternSlotsOrdered || 0;
+  const passEntries = getOrderedEntries(pattern.entries, iterationType, workoutContext, pattern.config?.sequenceConstraints, slotsBefore);
+  const orderedEntries = expandBlocks(passEntries, workoutContext);
 
   return {
     patternInstance: pattern,
     patternShotsPlayed: patternState.patternShotsPlayed, // Keep the total shots played across iterations
     patternTimeElapsed: patternState.patternTimeElapsed, // Keep the total time elapsed across iterations
     patternRunsCompleted: runsCompleted + 1, // Increment the run count for extended set
+    patternSlotsOrdered: slotsBefore + passEntries.length,
     availableEntries: [...orderedEntries],
     lastPlayedEntry: null
   };
 }
 
+/**
+ * Queues the automatic rest a pattern asks for (restBetweenRepeats or
+ * restAfterPattern, inherited from the workout config) as a Message event.
+ * The event goes into pendingEvents so it plays before the next entry.
+ * Like skipAtEndOfWorkout messages, rest that would run into the workout
+ * time limit is left out.
+ */
+function queueAutomaticRest(restKey, patternState, totalPatternRepeats, workout, generatorState) {
+  const pattern = patternState.patternInstance;
+  const config = mergeConfigs(workout.config || {}, pattern.config || {});
+  const event = createRestEvent(
+    config[restKey],
+    `${pattern.id || pattern.name || 'pattern'}__${restKey}`,
+    config,
+    generatorState.currentTime,
+    { workout, generatorState }
+  );
+  queueRestEvent(event, restKey, patternState, totalPatternRepeats, generatorState);
+}
+
+/**
+ * Queues the rest that ends a protocol round: whatever is left of the round
+ * once its work is done (e.g. the 10 seconds of a Tabata round, or the rest
+ * of the minute in an EMOM). Nothing is queued when the work overran the round.
+ */
+function queueProtocolRest(protocol, patternState, totalPatternRepeats, workout, generatorState) {
+  const pattern = patternState.patternInstance;
+  const remaining = protocol.cycleSeconds - patternState.patternTimeElapsed;
+  const config = mergeConfigs(workout.config || {}, pattern.config || {});
+  const event = createRestEvent(
+    { duration: remaining, message: protocol.restMessage, countdown: true },
+    `${pattern.id || pattern.name || 'pattern'}__protocolRest`,
+    config,
+    generatorState.currentTime,
+    { workout, generatorState }
+  );
+  queueRestEvent(event, 'protocolRest', patternState, totalPatternRepeats, generatorState);
+}
+
+/**
+ * Queues a pattern's rest event so it plays before the pattern's next entry.
+ */
+function queueRestEvent(event, restKind, patternState, totalPatternRepeats, generatorState) {
+  if (!event) {
+    return;
+  }
+  event.sourcePattern = patternState.patternInstance;
+  event.restKind = restKind;
+  event.repeatMetadata = {
+    supersetNumber: generatorState.currentSuperset,
+    patternRepeatNumber: patternState.patternRunsCompleted + 1,
+    shotRepeatNumber: 1,
+    totalPatternRepeats: totalPatternRepeats,
+    totalShotRepeats: 1
+  };
+
+  generatorState.pendingEvents.push(event);
+  generatorState.currentTime = event.endTime;
+  generatorState.workoutTotalTime = event.endTime;
+}
+
+/**
+ * Creates a rest Message event from a rest setting ({ duration, message?, countdown? }).
+ * Returns null when there is no rest to play.
+ * @param {object} rest - The rest setting
+ * @param {string} restId - Id for the generated rest entry
+ * @param {object} inheritedConfig - Config the rest takes its voice settings from
+ * @param {number} startTime - When the rest starts
+ * @param {object} workoutContext - Optional { workout, generatorState } for end-of-workout checks,
+ *   or { speechDuration, translation } alone outside a round
+ */
+function createRestEvent(rest, restId, inheritedConfig, startTime, workoutContext = null) {
+  const duration = parseTimeLimit(rest?.duration);
+  if (typeof duration !== 'number' || !(duration > 0)) {
+    return null;
+  }
+
+  const restEntry = new MessageData({
+    id: restId,
+    name: rest.message || 'Rest',
+    config: {
+      message: rest.message || '',
+      interval: duration,
+      intervalType: 'fixed',
+      countdown: rest.countdown === true,
+      skipAtEndOfWorkout: true,
+    },
+  });
+
+  // Rest keeps the voice settings but none of the interval settings
+  const restConfig = { ...restEntry.config, ...pickVoiceConfig(inheritedConfig) };
+
+  const [event] = generateMessageTimeline(restEntry, restConfig, startTime, workoutContext);
+  if (!event) {
+    return null;
+  }
+  event.entry = restEntry;
+  return event;
+}
+
+/**
+ * Picks the voice settings (voice, speechRate, voiceProfile) that generated messages inherit.
+ */
+function pickVoiceConfig(config) {
+  const voiceConfig = {};
+  ['voice', 'speechRate', 'voiceProfile'].forEach(key => {
+    if (config[key] !== undefined) {
+      voiceConfig[key] = config[key];
+    }
+  });
+  return voiceConfig;
+}
+
+/**
+ * Drops automatic rest that is still queued and winds the clock back to
+ * where it started.
+ */
+function discardQueuedRest(generatorState) {
+  const firstRest = generatorState.pendingEvents.find(event => event.restKind);
+  if (!firstRest) {
+    return;
+  }
+  generatorState.pendingEvents = generatorState.pendingEvents.filter(event => !event.restKind);
+  generatorState.currentTime = firstRest.startTime;
+  generatorState.workoutTotalTime = firstRest.startTime;
+}
+
 function moveToNextPattern(workout, patternState, generatorState) {
   // Check if current pattern needs to repeat
   if (patternState) {
@@ -1444,24 +2150,49 @@ function moveToNextPattern(workout, patternState, generatorState) {
       generatorState._resolvedPatternRepeats.set(supersetKey2, resolvedRepeatCount);
     }
     const limits = pattern.config?.limits || {};
+    const protocol = resolveProtocol(pattern.config?.protocol);
+
+    // Only a run that actually played something is followed by rest
+    const playedThisRun = patternState.lastPlayedEntry !== null;
 
     // Check if pattern should continue with extended set due to limits
     if (limits.type === 'shot-limit' || limits.type === 'time-limit') {
       const shouldContinueExtendedSet = shouldContinuePatternExtendedSet(patternState, limits, limits.type);
       if (shouldContinueExtendedSet) {
+        // Extended sets rest between them like repeats do
+        if (playedThisRun && !protocol) {
+          queueAutomaticRest('restBetweenRepeats', patternState, resolvedRepeatCount, workout, generatorState);
+        }
         // Continue with extended set
         const newPatternState = resetPatternStateForExtendedSet(patternState, { workout, generatorState });
+        if (protocol) {
+          // A protocol round fills its work period; the extra sets are not rounds of their own
+          newPatternState.patternRunsCompleted = patternState.patternRunsCompleted;
+        }
         return newPatternState;
       }
     }
 
+    // Protocol rounds rest until the round's time is up, the last round included
+    if (protocol && playedThisRun) {
+      queueProtocolRest(protocol, patternState, resolvedRepeatCount, workout, generatorState);
+    }
+
     // Check normal pattern repeats
     if (patternState.patternRunsCompleted < resolvedRepeatCount - 1) {
       // Pattern needs to run again
+      if (playedThisRun && !protocol) {
+        queueAutomaticRest('restBetweenRepeats', patternState, resolvedRepeatCount, workout, generatorState);
+      }
       const newPatternState = resetPatternState(patternState, { workout, generatorState });
       newPatternState.patternRunsCompleted += 1;
       return newPatternState;
     }
+
+    // Rest after the pattern; dropped again if the workout ends here
+    if (playedThisRun) {
+      queueAutomaticRest('restAfterPattern', patternState, resolvedRepeatCount, workout, generatorState);
+    }
   }
 
   // Move to next pattern using shuffled order
@@ -1483,8 +2214,8 @@ function moveToNextPattern(workout, patternState, generatorState) {
       generatorState.currentSuperset += 1;
       generatorState.patternOrderIndex = 0;
       
-      // Create new shuffle order for this superset with random seed
-      generatorState.patternOrder = createShuffledPatternOrder(workout.patterns, null);
+      // Create new shuffle order for this superset from the workout's seeded random
+      generatorState.patternOrder = createShuffledPatternOrder(workout.patterns, generatorState.random);
     }
   } else {
     // Original in-order logic
@@ -1507,10 +2238,9 @@ function moveToNextPattern(workout, patternState, generatorState) {
     }
   }
 
-  // Initialize new pattern state
-  const nextPatternIndex = getNextPatternIndex(generatorState, workout);
-  if (nextPatternIndex < workout.patterns.length) {
-    const newPattern = workout.patterns[nextPatternIndex];
+  // Initialize new pattern state (a choice slot picks its pattern here)
+  const newPattern = applyProtocol(getNextPattern(generatorState, workout), workout.config);
+  if (newPattern !== null) {
     const newPatternState = createPatternState(newPattern, { workout, generatorState });
     
     // Check if this pattern has 0 repeats and should be skipped
@@ -1526,55 +2256,6 @@ function moveToNextPattern(workout, patternState, generatorState) {
   return null;
 }
 
-function applyPositionalConstraints(candidates, patternState) {
-  if (!candidates || candidates.length === 0) {
-    return candidates;
-  }
-
-  // Check for linked elements first
-  const lastPlayed = patternState.lastPlayedEntry;
-  if (lastPlayed && lastPlayed.positionType === 'normal') {
-    // Look for linked elements that are actually linked to the last played element
-    // In the current implementation, we can't directly determine which linked element
-    // belongs to which normal element, so we need to rely on the initial ordering
-    // from getOrderedEntries() which already handles this correctly.
-    // Therefore, we should NOT override the ordering here.
-    // 
-    // The bug was that this code was prioritizing ANY linked element after ANY normal element,
-    // which could cause linked elements to be played out of order.
-    // 
-    // Instead, we should trust the initial ordering from getOrderedEntries() and only
-    // apply constraints for position locks, not for linked elements.
-  }
-
-  // Check for position locks
-  // First, check if we're at the beginning and need a position "1" element
-  if (!patternState.lastPlayedEntry) {
-    const position1Candidates = candidates.filter(c => c.positionType === '1');
-    if (position1Candidates.length > 0) {
-      return position1Candidates;
-    }
-  }
-
-  // Check if we're at the end and need a "last" position element
-  if (candidates.length === 1) {
-    const lastCandidates = candidates.filter(c => c.positionType === 'last');
-    if (lastCandidates.length > 0) {
-      return lastCandidates;
-    }
-  }
-
-  // For other positions, check if there are any position-locked elements
-  // that should be played at the current position
-  const currentPosition = patternState.patternShotsPlayed + 1;
-  const positionLockedCandidates = candidates.filter(c => c.positionType === String(currentPosition));
-  if (positionLockedCandidates.length > 0) {
-    return positionLockedCandidates;
-  }
-
-  return candidates;
-}
-
 function selectFromCandidates(candidates, pattern, workout, generatorState) {
   if (!candidates || candidates.length === 0) {
     return null;
@@ -1643,7 +2324,9 @@ function isLastEntryInWorkout(entry, patternState, workout, generatorState) {
       const effectiveConfig = getEffectiveConfig(
         workout.config || {},
         pattern.config || {},
-        entry.config || {}
+        entry.config || {},
+        entry,
+        { rampPosition: getRampPosition(workout, patternState, entry, generatorState, resolvedRepeatCount) }
       );
       entryDuration = effectiveConfig.interval || 5.0;
     } else if (entry.type === 'Message') {
@@ -1652,9 +2335,10 @@ function isLastEntryInWorkout(entry, patternState, workout, generatorState) {
         pattern.config || {},
         entry.config || {}
       );
-      const messageText = entry.config?.message || '';
-      const speechRate = effectiveConfig.speechRate || 1.0;
-      const ttsDuration = estimateTTSDuration(messageText, speechRate);
+      const messageText = getSpokenText(entry.config?.message || '', entry.messageTranslations, generatorState.translation);
+      const speechRate = getVoiceSpeechRate(effectiveConfig);
+      const ttsDuration = getRecordedSpeechDuration(messageText, generatorState.speechDuration)
+        ?? estimateTTSDuration(messageText, speechRate);
       const intervalType = effectiveConfig.intervalType || 'fixed';
       const baseInterval = effectiveConfig.interval || 5.0;
       
@@ -1695,18 +2379,18 @@ function getNextEntry(workout, patternState, generatorState) {
       patternState.patternShotsPlayed = newPatternState.patternShotsPlayed;
       patternState.patternTimeElapsed = newPatternState.patternTimeElapsed;
       patternState.patternRunsCompleted = newPatternState.patternRunsCompleted;
+      patternState.patternSlotsOrdered = newPatternState.patternSlotsOrdered;
       patternState.availableEntries = newPatternState.availableEntries;
       patternState.lastPlayedEntry = newPatternState.lastPlayedEntry;
       continue;
     }
 
-    // Get candidate entries
+    // Get candidate entries; getOrderedEntries() already put every pass in
+    // order, with position-locked entries in their slots and linked entries
+    // behind their targets
     const candidates = [...patternState.availableEntries];
 
-    // Apply positional constraints
-    const constrainedCandidates = applyPositionalConstraints(candidates, patternState);
-
-    if (constrainedCandidates.length === 0) {
+    if (candidates.length === 0) {
       // No candidates available, pattern is done
       const newPatternState = moveToNextPattern(workout, patternState, generatorState);
       if (newPatternState === null) {
@@ -1717,6 +2401,7 @@ function getNextEntry(workout, patternState, generatorState) {
       patternState.patternShotsPlayed = newPatternState.patternShotsPlayed;
       patternState.patternTimeElapsed = newPatternState.patternTimeElapsed;
       patternState.patternRunsCompleted = newPatternState.patternRunsCompleted;
+      patternState.patternSlotsOrdered = newPatternState.patternSlotsOrdered;
       patternState.availableEntries = newPatternState.availableEntries;
       patternState.lastPlayedEntry = newPatternState.lastPlayedEntry;
       continue;
@@ -1728,7 +2413,7 @@ function getNextEntry(workout, patternState, generatorState) {
 
     // Select from remaining candidates
     const pattern = patternState.patternInstance;
-    const selectedEntry = selectFromCandidates(constrainedCandidates, pattern, workout, generatorState);
+    const selectedEntry = selectFromCandidates(candidates, pattern, workout, generatorState);
 
     if (selectedEntry === null) {
       // No valid selection, pattern is done
@@ -1741,6 +2426,7 @@ function getNextEntry(workout, patternState, generatorState) {
       patternState.patternShotsPlayed = newPatternState.patternShotsPlayed;
       patternState.patternTimeElapsed = newPatternState.patternTimeElapsed;
       patternState.patternRunsCompleted = newPatternState.patternRunsCompleted;
+      patternState.patternSlotsOrdered = newPatternState.patternSlotsOrdered;
       patternState.availableEntries = newPatternState.availableEntries;
       patternState.lastPlayedEntry = newPatternState.lastPlayedEntry;
       continue;
@@ -1795,9 +2481,10 @@ function getNextEntry(workout, patternState, generatorState) {
       } else if (workoutLimits.type === 'time-limit') {
         // Check if adding this shot would exceed the time limit
         const shotDuration = calculateEffectiveInterval(
-          selectedEntry.config?.interval || 5.0,
+          resolveConfigInterval(selectedEntry.config) || 5.0,
           selectedEntry.config?.intervalOffset,
-          selectedEntry.config?.intervalOffsetType
+          selectedEntry.config?.intervalOffsetType,
+          generatorState.random
         );
         const limitSeconds = timeStrToSeconds(workoutLimits.value || '00:00');
         if (generatorState.workoutTotalTime + shotDuration > limitSeconds) {
@@ -1812,6 +2499,12 @@ function getNextEntry(workout, patternState, generatorState) {
       patternState.availableEntries.splice(entryIndex, 1);
     }
     patternState.lastPlayedEntry = selectedEntry;
+    if (selectedEntry.type === 'Shot') {
+      generatorState.recentShots.push(selectedEntry);
+      if (generatorState.recentShots.length > SEQUENCE_HISTORY_LENGTH) {
+        generatorState.recentShots.shift();
+      }
+    }
 
     return selectedEntry;
   }
@@ -1820,7 +2513,57 @@ function getNextEntry(workout, patternState, generatorState) {
   throw new Error(`Infinite loop detected in getNextEntry after ${maxLoops} iterations`);
 }
 
-function createTimelineEventData(entry, startTime, metadata = {}, effectiveConfig = null, sourcePattern = null) {
+/**
+ * Gets the running zero-sum jitter balance for the next shot, for shots whose
+ * intervalOffsetType is 'zero-sum'. The offsets of each pass over a pattern
+ * add up to zero, so the pattern takes exactly as long as with fixed intervals;
+ * remaining counts the shots still to come in the pass (at least), capped by a
+ * pattern shot limit.
+ * @returns {Object|null} { balance, remaining }, or null for other offset types
+ */
+function getZeroSumJitter(config, patternState, generatorState) {
+  if (config.intervalOffsetType !== 'zero-sum') {
+    return null;
+  }
+
+  const pattern = patternState.patternInstance;
+  if (!generatorState.intervalJitter || generatorState.intervalJitter.pattern !== pattern) {
+    generatorState.intervalJitter = { pattern, balance: 0, remaining: 0 };
+  }
+
+  let remaining = patternState.availableEntries
+    .filter(entry => entry.type === 'Shot')
+    .reduce((count, entry) => count + getMinimumRepeatCount(entry.config?.repeatCount), 0);
+  const limits = pattern.config?.limits || {};
+  if (limits.type === 'shot-limit' && limits.value) {
+    remaining = Math.max(0, Math.min(remaining, limits.value - patternState.patternShotsPlayed - 1));
+  }
+  generatorState.intervalJitter.remaining = remaining;
+  return generatorState.intervalJitter;
+}
+
+/**
+ * Sets how many intervals follow the next one in the pass (for the repeats of
+ * a shot) and returns the jitter balance; null when there is no balance.
+ */
+function withJitterRemaining(jitter, remaining) {
+  if (jitter) {
+    jitter.remaining = remaining;
+  }
+  return jitter;
+}
+
+/**
+ * The fewest times a repeatCount setting plays an entry (see resolveRepeatCount).
+ */
+function getMinimumRepeatCount(repeatCount) {
+  if (repeatCount && typeof repeatCount === 'object') {
+    return repeatCount.type === 'fixed' ? (repeatCount.count || 1) : Math.max(0, repeatCount.min || 0);
+  }
+  return repeatCount || 1;
+}
+
+function createTimelineEventData(entry, startTime, metadata = {}, effectiveConfig = null, sourcePattern = null, random = Math.random, jitter = null) {
   const entryName = entry.name || '';
   
   // Use effective config if provided, otherwise fall back to entry config
@@ -1832,7 +2575,9 @@ function createTimelineEventData(entry, startTime, metadata = {}, effectiveConfi
   const effectiveInterval = calculateEffectiveInterval(
     baseInterval,
     config.intervalOffset,
-    config.intervalOffsetType
+    config.intervalOffsetType,
+    random,
+    jitter
   );
 
   // Event duration should be just the interval, not including lead time
@@ -1849,9 +2594,7 @@ function createTimelineEventData(entry, startTime, metadata = {}, effectiveConfi
   const splitStepSpeed = effectiveConfig?.splitStepSpeed || config.splitStepSpeed || 'auto-scale';
   if (splitStepSpeed !== 'none') {
     // Calculate effective split-step speed (resolve auto-scale and random dynamically)
-    // Use a seed based on the event timing for consistent random generation
-    const seed = splitStepSpeed === 'random' ? Math.floor(startTime * 1000) : null;
-    const effectiveSplitStepSpeed = getEffectiveSplitStepSpeed(splitStepSpeed, effectiveInterval, seed);
+    const effectiveSplitStepSpeed = getEffectiveSplitStepSpeed(splitStepSpeed, effectiveInterval, random);
     const splitStepDuration = effectiveSplitStepSpeed === 'slow' ? 0.64 : 
                              effectiveSplitStepSpeed === 'fast' ? 0.32 : 0.48;
     subEvents.split_step_time = eventEndTime - splitStepDuration;
@@ -1917,26 +2660,24 @@ function calculateAutoScaleSplitStepSpeed(interval) {
  * Gets the effective split-step speed, resolving auto-scale and random to dynamic values.
  * @param {string} splitStepSpeed - The configured split-step speed
  * @param {number} interval - The interval in seconds (for auto-scale calculation)
- * @param {number} seed - Optional seed for random generation
+ * @param {function} random - Random function for random speeds (defaults to Math.random)
  * @returns {string} The effective speed: 'fast', 'medium', 'slow', or 'none'
  */
-function getEffectiveSplitStepSpeed(splitStepSpeed, interval, seed = null) {
+function getEffectiveSplitStepSpeed(splitStepSpeed, interval, random = Math.random) {
   if (splitStepSpeed === 'auto-scale') {
     return calculateAutoScaleSplitStepSpeed(interval);
   } else if (splitStepSpeed === 'random') {
-    return calculateRandomSplitStepSpeed(seed);
+    return calculateRandomSplitStepSpeed(random);
   }
   return splitStepSpeed;
 }
 
 /**
- * Calculates a random split-step speed using a seed for consistency.
- * @param {number} seed - Seed for random generation
+ * Calculates a random split-step speed.
+ * @param {function} random - Random function, typically the workout's seeded random
  * @returns {string} The calculated speed: 'fast', 'medium', or 'slow'
  */
-function calculateRandomSplitStepSpeed(seed = null) {
-  // Use a simple seeded random function for consistency
-  const random = seed !== null ? createSeededRandom(seed) : Math.random;
+function calculateRandomSplitStepSpeed(random = Math.random) {
   const rand = random();
   
   if (rand < 0.33) {
@@ -1979,8 +2720,36 @@ export function generateShotTimeline(shot, config, startTime, workoutContext = n
   const repeatCount = config.repeatCount || 1;
   let currentTime = startTime;
   const generatorState = workoutContext?.generatorState;
+  const random = generatorState?.random || Math.random;
+
+  // Configs from getEffectiveConfig are already ramped (rampedInterval is set) and
+  // scaled (baseInterval is set); the ramp has to come before the scaling
+  const needsRamp = Boolean(config.intervalRamp) && config.rampedInterval === undefined;
+  const needsScaling = config.intervalMode === IntervalMode.DISTANCE_SCALED &&
+    (config.baseInterval === undefined || needsRamp);
+  const sourceConfig = config;
 
   for (let i = 0; i < repeatCount; i++) {
+    config = sourceConfig;
+    if (needsRamp || needsScaling) {
+      config = { ...sourceConfig };
+      if (needsRamp) {
+        // Without a position from the caller, ramp across this shot's repeats
+        const rampPosition = workoutContext?.rampPosition || {
+          progress: repeatCount > 1 ? i / (repeatCount - 1) : 0,
+          stage: i / repeatCount,
+          runs: repeatCount
+        };
+        applyIntervalRamp(config, rampPosition);
+      }
+      if (needsScaling) {
+        if (needsRamp && config.baseInterval !== undefined) {
+          config.interval = config.rampedInterval ?? config.baseInterval;
+        }
+        applyDistanceScaledInterval(config, shot);
+      }
+    }
+
     const shotName = shot.name || '';
     const baseInterval = config.interval || 5.0;
     const leadTime = config.shotAnnouncementLeadTime || 2.5;
@@ -1990,6 +2759,7 @@ export function generateShotTimeline(shot, config, startTime, workoutContext = n
       baseInterval,
       config.intervalOffset,
       config.intervalOffsetType,
+      random
     );
 
     // Shot duration should be just the interval, not including lead time
@@ -2008,9 +2778,7 @@ export function generateShotTimeline(shot, config, startTime, workoutContext = n
     const splitStepSpeed = config.splitStepSpeed || 'auto-scale';
     if (splitStepSpeed !== 'none') {
       // Calculate effective split-step speed (resolve auto-scale and random dynamically)
-      // Use a seed based on the shot timing for consistent random generation
-      const seed = splitStepSpeed === 'random' ? Math.floor(currentTime * 1000) : null;
-      const effectiveSplitStepSpeed = getEffectiveSplitStepSpeed(splitStepSpeed, effectiveInterval, seed);
+      const effectiveSplitStepSpeed = getEffectiveSplitStepSpeed(splitStepSpeed, effectiveInterval, random);
       const splitStepDuration = effectiveSplitStepSpeed === 'slow' ? 0.64 : 
                                effectiveSplitStepSpeed === 'fast' ? 0.32 : 0.48;
       subEvents.split_step_time = shotEndTime - splitStepDuration;
@@ -2076,9 +2844,10 @@ export function shouldSkipMessageAtEnd(message, config, workoutContext) {
     const limitSeconds = timeStrToSeconds(limitValue);
     
     // Calculate the duration of this message
-    const messageText = message.config?.message || '';
-    const speechRate = config.speechRate || 1.0;
-    const ttsDuration = estimateTTSDuration(messageText, speechRate);
+    const messageText = getSpokenText(message.config?.message || '', message.messageTranslations, generatorState.translation);
+    const speechRate = getVoiceSpeechRate(config);
+    const ttsDuration = getRecordedSpeechDuration(messageText, generatorState.speechDuration)
+      ?? estimateTTSDuration(messageText, speechRate);
     const intervalType = config.intervalType || 'fixed';
     const baseInterval = config.interval || 5.0;
     
@@ -2102,6 +2871,9 @@ export function shouldSkipMessageAtEnd(message, config, workoutContext) {
 
 /**
  * Generates timeline for a message.
+ * @param {object} workoutContext - Optional { workout, generatorState } for end-of-workout checks;
+ *   speech is timed by generatorState.speechDuration and generatorState.translation, or by a
+ *   speechDuration and translation given alongside
  */
 export function generateMessageTimeline(message, config, startTime, workoutContext = null) {
   const timeline = [];
@@ -2113,7 +2885,7 @@ export function generateMessageTimeline(message, config, startTime, workoutConte
     baseInterval = parseTimeLimit(baseInterval);
   }
   
-  const speechRate = config.speechRate || 1.0;
+  const speechRate = getVoiceSpeechRate(config);
   const generatorState = workoutContext?.generatorState;
 
   // Check if workout should terminate due to limits
@@ -2126,17 +2898,27 @@ export function generateMessageTimeline(message, config, startTime, workoutConte
     return timeline; // Return empty timeline - message is skipped
   }
 
-  // Estimate TTS duration (rough approximation: 150 words per minute)
+  // Use the recorded clip's length when there is one, otherwise estimate
+  // TTS duration (rough approximation: 150 words per minute)
   // For empty or whitespace-only messages, TTS duration should be 0
-  const trimmedMessage = messageText.trim();
+  // A translated message is timed by its translation, the text actually said
+  const spokenText = getSpokenText(
+    messageText,
+    message.messageTranslations || null,
+    generatorState?.translation ?? workoutContext?.translation
+  );
+  const trimmedMessage = spokenText.trim();
   const wordCount = trimmedMessage === '' ? 0 : trimmedMessage.split(/\s+/).length;
-  const ttsDuration = ((wordCount / 150) * 60) / speechRate;
+  const speechDuration = generatorState?.speechDuration ?? workoutContext?.speechDuration;
+  const ttsDuration = getRecordedSpeechDuration(spokenText, speechDuration)
+    ?? ((wordCount / 150) * 60) / speechRate;
 
   // Calculate effective interval with offset
   const effectiveInterval = calculateEffectiveInterval(
     baseInterval,
     config.intervalOffset,
     config.intervalOffsetType,
+    generatorState?.random || Math.random
   );
 
   const messageStartTime = startTime;
@@ -2184,8 +2966,10 @@ export function generateMessageTimeline(message, config, startTime, workoutConte
 
 /**
  * Calculates effective interval with offset.
+ * @param {function} random - Random function for random offsets (defaults to Math.random)
+ * @param {Object|null} jitter - Running zero-sum balance of the pattern pass (see getZeroSumJitter)
  */
-function calculateEffectiveInterval(baseInterval, offsetConfig, offsetType) {
+function calculateEffectiveInterval(baseInterval, offsetConfig, offsetType, random = Math.random, jitter = null) {
   if (typeof baseInterval !== 'number' || baseInterval < 0) {
     return 0;
   }
@@ -2194,40 +2978,51 @@ function calculateEffectiveInterval(baseInterval, offsetConfig, offsetType) {
     return baseInterval;
   }
 
-  if (offsetType === 'fixed') {
-    const min = offsetConfig.min || 0;
-    return baseInterval + min;
-  }
+  return baseInterval + drawIntervalOffset(offsetConfig, offsetType, random, jitter);
+}
+
+// Object-valued settings that a lower level replaces as a whole instead of merging into
+const ATOMIC_CONFIG_KEYS = ['intervalRamp'];
 
-  if (offsetType === 'random') {
-    const min = offsetConfig.min || 0;
-    const max = offsetConfig.max || 0;
-    const range = max - min;
-    const randomOffset = Math.random() * range + min;
-    return baseInterval + randomOffset;
+/**
+ * Merges one object's settings over another's, recursing into nested objects.
+ */
+function mergeConfigValues(baseConfig, overrideConfig) {
+  const merged = { ...baseConfig };
+
+  for (const [key, value] of Object.entries(overrideConfig)) {
+    if (value !== undefined && value !== null) {
+      if (ATOMIC_CONFIG_KEYS.includes(key)) {
+        merged[key] = { ...value };
+      } else if (typeof value === 'object' && !Array.isArray(value)) {
+        merged[key] = mergeConfigValues(merged[key] || {}, value);
+      } else {
+        merged[key] = value;
+      }
+    }
   }
 
-  return baseInterval;
+  return merged;
 }
 
 /**
  * Merges configurations with inheritance.
+ * Tempos are resolved for the config level itself only; nested settings such
+ * as an EMOM protocol's shotsPerMinute are merged as they are.
  */
 export function mergeConfigs(baseConfig, overrideConfig) {
   if (!overrideConfig) {
     return baseConfig;
   }
 
-  const merged = { ...baseConfig };
+  const merged = mergeConfigValues(baseConfig, overrideConfig);
 
-  for (const [key, value] of Object.entries(overrideConfig)) {
-    if (value !== undefined && value !== null) {
-      if (typeof value === 'object' && !Array.isArray(value)) {
-        merged[key] = mergeConfigs(merged[key] || {}, value);
-      } else {
-        merged[key] = value;
-      }
-    }
+  // A level's tempo sets its interval, and a level's own interval replaces an inherited tempo
+  const tempoInterval = resolveConfigInterval({ shotsPerMinute: overrideConfig.shotsPerMinute });
+  if (tempoInterval !== undefined) {
+    merged.interval = tempoInterval;
+  } else if (overrideConfig.interval !== undefined && overrideConfig.interval !== null) {
+    delete merged.shotsPerMinute;
   }
 
   return merged;
@@ -2235,9 +3030,17 @@ export function mergeConfigs(baseConfig, overrideConfig) {
 
 /**
  * Gets effective configuration for an entry.
+ * Each level's shotsPerMinute is converted to interval (seconds per shot) and
+ * kept alongside it, so the most specific level's pace wins whichever way it
+ * was entered.
+ * When the entry is a shot and an interval ramp is in effect, interval is taken
+ * from the ramp at options.rampPosition (see getRampPosition).
+ * When the entry is a shot and the distance-scaled interval mode is in effect,
+ * interval is scaled by the shot's travel distance from the T; the configured
+ * (or ramped) value is kept as baseInterval.
  */
-export function getEffectiveConfig(workoutConfig, patternConfig, entryConfig) {
-  let effective = { ...workoutConfig };
+export function getEffectiveConfig(workoutConfig, patternConfig, entryConfig, entry = null, options = {}) {
+  let effective = mergeConfigs({}, workoutConfig);
 
   if (patternConfig) {
     effective = mergeConfigs(effective, patternConfig);
@@ -2247,9 +3050,172 @@ export function getEffectiveConfig(workoutConfig, patternConfig, entryConfig) {
     effective = mergeConfigs(effective, entryConfig);
   }
 
+  if (entry && entry.type === 'Shot') {
+    applyIntervalRamp(effective, options.rampPosition);
+    applyDistanceScaledInterval(effective, entry);
+  }
+
   return effective;
 }
 
+/**
+ * Applies an interval ramp to an effective shot config in place.
+ * The ramp replaces the configured interval; the result is kept as rampedInterval.
+ */
+function applyIntervalRamp(config, rampPosition) {
+  const rampedInterval = calculateRampedInterval(config.intervalRamp, rampPosition);
+  if (rampedInterval === null) {
+    return config;
+  }
+
+  config.interval = rampedInterval;
+  config.rampedInterval = rampedInterval;
+  return config;
+}
+
+/**
+ * Works out where the next shot of a pattern falls on the pattern's interval ramp.
+ * Patterns with a shot or time limit ramp across the limit; other patterns ramp
+ * across all of their repeats.
+ * @returns {Object} { progress, stage, runs } for calculateRampedInterval
+ */
+export function getPatternRampPosition(patternState, totalPatternRepeats = 1) {
+  const pattern = patternState.patternInstance;
+  const limits = pattern.config?.limits || {};
+  const runs = Math.max(1, totalPatternRepeats || 1);
+
+  if (limits.type === 'time-limit' && limits.value !== undefined && limits.value !== null) {
+    const limitSeconds = typeof limits.value === 'number' ? limits.value : timeStrToSeconds(limits.value);
+    const elapsed = limitSeconds > 0 ? patternState.patternTimeElapsed / limitSeconds : 0;
+    return { progress: elapsed, stage: elapsed, runs };
+  }
+
+  let shotIndex = patternState.patternShotsPlayed;
+  let totalShots;
+  if (limits.type === 'shot-limit' && limits.value) {
+    totalShots = limits.value;
+  } else {
+    const shotsPerRun = countShotsPerPass(pattern.entries);
+    shotIndex += patternState.patternRunsCompleted * shotsPerRun;
+    totalShots = runs * shotsPerRun;
+  }
+
+  return {
+    progress: totalShots > 1 ? shotIndex / (totalShots - 1) : 0,
+    stage: totalShots > 0 ? shotIndex / totalShots : 0,
+    runs
+  };
+}
+
+/**
+ * Works out where the next shot falls on its interval ramp. A ramp set on the
+ * workout itself runs across the whole workout (each round of it); a ramp
+ * set on the pattern, a block or the entry runs across the pattern.
+ * @returns {Object} { progress, stage, runs } for calculateRampedInterval
+ */
+function getRampPosition(workout, patternState, entry, generatorState, totalPatternRepeats = 1) {
+  const rampFromWorkout = Boolean(workout.config?.intervalRamp) &&
+    !patternState.patternInstance.config?.intervalRamp && !entry?.config?.intervalRamp;
+  if (rampFromWorkout) {
+    const workoutPosition = getWorkoutRampPosition(workout, generatorState);
+    if (workoutPosition) {
+      return workoutPosition;
+    }
+  }
+  return getPatternRampPosition(patternState, totalPatternRepeats);
+}
+
+/**
+ * Works out where the next shot of the workout falls on a workout-wide ramp:
+ * across the workout's shot or time limit, or across all of its shots when
+ * it plays every pattern through. Stepwise ramps hold one level per pattern.
+ * @returns {Object|null} { progress, stage, runs }, or null when the workout
+ *   has no known end (open-ended)
+ */
+function getWorkoutRampPosition(workout, generatorState) {
+  const limits = workout.config?.limits || {};
+  const runs = Math.max(1, workout.patterns?.length || 1);
+
+  if (limits.type === 'time-limit' && limits.value !== undefined && limits.value !== null) {
+    const limitSeconds = typeof limits.value === 'number' ? limits.value : timeStrToSeconds(limits.value);
+    const elapsed = limitSeconds > 0 ? generatorState.workoutTotalTime / limitSeconds : 0;
+    return { progress: elapsed, stage: elapsed, runs };
+  }
+
+  let totalShots;
+  if (limits.type === 'shot-limit' && limits.value) {
+    totalShots = limits.value;
+  } else if (!limits.type || limits.type === 'all-shots') {
+    // Counted once per round; the workout's patterns do not change while it plays
+    if (generatorState._workoutRampShots === undefined) {
+      generatorState._workoutRampShots = countWorkoutShots(workout);
+    }
+    totalShots = generatorState._workoutRampShots;
+  } else {
+    return null;
+  }
+
+  const shotIndex = generatorState.workoutTotalShots;
+  return {
+    progress: totalShots > 1 ? shotIndex / (totalShots - 1) : 0,
+    stage: totalShots > 0 ? shotIndex / totalShots : 0,
+    runs
+  };
+}
+
+/**
+ * Estimates the shots one pass through the workout plays: each pattern's
+ * shots over its repeats, or its shot limit, or as many shots as fit in its
+ * time limit. Random repeat counts count their average, and a choice slot
+ * the average of the patterns it offers.
+ */
+function countWorkoutShots(workout) {
+  const workoutConfig = workout.config || {};
+  const countPatternShots = slot => {
+    if (slot.type === 'Choice') {
+      const options = slot.patterns || [];
+      return options.length > 0
+        ? options.reduce((total, option) => total + countPatternShots(option), 0) / options.length
+        : 0;
+    }
+
+    const pattern = applyProtocol(slot, workoutConfig);
+    const limits = pattern.config?.limits || {};
+    if (limits.type === 'shot-limit' && limits.value) {
+      return limits.value;
+    }
+    if (limits.type === 'time-limit' && limits.value !== undefined && limits.value !== null) {
+      const limitSeconds = typeof limits.value === 'number' ? limits.value : timeStrToSeconds(limits.value);
+      const interval = resolveConfigInterval(pattern.config) ?? resolveConfigInterval(workoutConfig) ?? 5.0;
+      return Math.floor(limitSeconds / interval);
+    }
+
+    const repeatCount = pattern.config?.repeatCount;
+    const repeats = repeatCount && typeof repeatCount === 'object' && repeatCount.type !== 'fixed'
+      ? ((repeatCount.min || 0) + (repeatCount.max || 0)) / 2
+      : resolveRepeatCount(repeatCount ?? 1);
+    return repeats * countShotsPerPass(pattern.entries || []);
+  };
+
+  return (workout.patterns || []).reduce((total, slot) => total + countPatternShots(slot), 0);
+}
+
+/**
+ * Applies the distance-scaled interval mode to an effective shot config in place.
+ */
+function applyDistanceScaledInterval(config, shot) {
+  if (config.intervalMode !== IntervalMode.DISTANCE_SCALED) {
+    return config;
+  }
+
+  const baseInterval = config.interval || 5.0;
+  const position = resolveCourtPosition(shot);
+  config.baseInterval = baseInterval;
+  config.travelDistance = position ? distanceFromT(position) : null;
+  config.interval = calculateDistanceScaledInterval(baseInterval, position, config.baseSpeed);
+  return config;
+}
+
 /**
  * Validates and loads a workout from JSON with error handling.
  */
@@ -2276,6 +3242,7 @@ export function loadWorkoutFromJsonWithValidation(jsonData) {
       workout,
       validationResult,
       validationErrors: [],
+      validationWarnings: validationResult.warnings,
       error: null,
     };
   } catch (error) {
@@ -2332,7 +3299,7 @@ export function calculateMessageDuration(entryConfig) {
   // Calculate TTS duration
   const ttsDuration = estimateTTSDuration(
     entryConfig.message,
-    entryConfig.speechRate || 1.0
+    getVoiceSpeechRate(entryConfig)
   );
 
   // Handle delay (legacy property, may not be present)
@@ -2358,16 +3325,46 @@ export function calculateMessageDuration(entryConfig) {
   return messageDuration;
 }
 
+/**
+ * Translates an announcement into the session language. The voice profile
+ * gets the language it is spoken in, so a matching voice is chosen for it.
+ * @returns {object} { text, entryConfig }
+ */
+function translateAnnouncement(text, entryTranslations, ttsConfig, options) {
+  if (!options.language) {
+    return { text, entryConfig: ttsConfig };
+  }
+
+  const translated = translateText(text, options.language, {
+    entryTranslations,
+    workoutTranslations: options.translations,
+    baseLanguage: options.baseLanguage,
+  });
+  if (!translated.language) {
+    return { text: translated.text, entryConfig: ttsConfig };
+  }
+  return {
+    text: translated.text,
+    entryConfig: { ...ttsConfig, voiceProfile: { ...(ttsConfig.voiceProfile || {}), language: translated.language } },
+  };
+}
+
 /**
  * Converts timeline events to sound events for audio playback
+ * @param {Array} timeline - Timeline events to convert
+ * @param {object} options - Optional settings: { includeCompletion } (default true), and
+ *   { language, translations, baseLanguage } to announce in a session language using
+ *   the entries' translations and the workout's translation table and base language
  */
-export function timelineEventsToSoundEvents(timeline) {
+export function timelineEventsToSoundEvents(timeline, options = {}) {
+  const { includeCompletion = true } = options;
   const soundEvents = [];
   
   timeline.forEach(event => {
     // Add TTS events for shots (announced time)
     if (event.subEvents.announced_time !== undefined) {
       let text = event.name;
+      let entryTranslations = event.entry?.nameTranslations || null;
       
       // Use effective config with proper inheritance for voice settings
       const effectiveConfig = event.effectiveConfig || event.config || {};
@@ -2375,6 +3372,7 @@ export function timelineEventsToSoundEvents(timeline) {
       // For messages, use the actual message text from config
       if (event.type === 'Message' && event.entry && event.entry.config) {
         text = event.entry.config.message || event.name;
+        entryTranslations = event.entry.config.message ? event.entry.messageTranslations || null : entryTranslations;
       }
       
       // Skip TTS for empty shot names - they should be silent
@@ -2385,12 +3383,13 @@ export function timelineEventsToSoundEvents(timeline) {
           speechRate: 1.0,
           ...effectiveConfig
         };
+        const announcement = translateAnnouncement(text, entryTranslations, ttsConfig, options);
         
         soundEvents.push({
           type: 'tts',
           time: event.subEvents.announced_time,
-          text: text,
-          entryConfig: ttsConfig,
+          text: announcement.text,
+          entryConfig: announcement.entryConfig,
           entry: event.entry
         });
       }
@@ -2407,12 +3406,13 @@ export function timelineEventsToSoundEvents(timeline) {
       // Skip TTS for empty messages - they should be silent
       if (messageText && messageText.trim() !== '') {
         const ttsConfig = { voice: 'Default', speechRate: 1.0, ...effectiveConfig };
+        const announcement = translateAnnouncement(messageText, event.entry?.messageTranslations || null, ttsConfig, options);
         
         soundEvents.push({
           type: 'tts',
           time: event.subEvents.message_start,
-          text: messageText,
-          entryConfig: ttsConfig,
+          text: announcement.text,
+          entryConfig: announcement.entryConfig,
           entry: event.entry
         });
       }
@@ -2506,20 +3506,19 @@ export function timelineEventsToSoundEvents(timeline) {
   soundEvents.sort((a, b) => a.time - b.time);
   
   // Add workout completion TTS event at the end
-  if (timeline.length > 0) {
+  // (callers converting a partial timeline chunk pass includeCompletion: false)
+  if (includeCompletion && timeline.length > 0) {
     // Find the latest event time
     const lastEvent = timeline[timeline.length - 1];
     const completionTime = lastEvent.endTime || lastEvent.startTime;
     
     // Add completion TTS event
+    const announcement = translateAnnouncement('Workout complete', null, { voice: 'Default', speechRate: 1.0 }, options);
     soundEvents.push({
       type: 'tts',
       time: completionTime,
-      text: 'Workout complete',
-      entryConfig: {
-        voice: 'Default',
-        speechRate: 1.0
-      },
+      text: announcement.text,
+      entryConfig: announcement.entryConfig,
       entry: null, // No specific entry for completion
       isCompletion: true // Flag to identify completion event
     });
@@ -2543,7 +3542,8 @@ function calculateWorkRestRatio(timeline) {
     const duration = (event.endTime - event.startTime) || 0;
     if (event.type === 'Shot') {
       totalWorkTime += duration;
-    } else if (event.type === 'Message') {
+    } else if (event.type === 'Message' || event.restKind) {
+      // Messages and automatic rest between repeats and patterns
       totalRestTime += duration;
     }
   }
@@ -2555,13 +3555,35 @@ function calculateWorkRestRatio(timeline) {
   return { ratio, workTime: totalWorkTime, restTime: totalRestTime, hasRest };
 }
 
+/**
+ * Lists the tempos (shotsPerMinute) a workout sets at any level.
+ * @returns {Object|null} { min, max }, or null when no level sets a tempo
+ */
+function collectTargetShotsPerMinute(workout) {
+  const tempos = [];
+  const addTempo = config => {
+    if (typeof config?.shotsPerMinute === 'number' && config.shotsPerMinute > 0) {
+      tempos.push(config.shotsPerMinute);
+    }
+  };
+
+  addTempo(workout?.config);
+  flattenPatterns(workout?.patterns || []).forEach(pattern => {
+    addTempo(pattern.config);
+    flattenEntries(pattern.entries || []).forEach(entry => addTempo(entry.config));
+  });
+  return tempos.length > 0 ? { min: Math.min(...tempos), max: Math.max(...tempos) } : null;
+}
+
 /**
  * Generate a descriptive summary of a completed squash workout.
  * @param {Array<TimelineEventData>} timeline - The array of all events from the workout.
  * @param {WorkoutData} workout - The original workout configuration object.
- * @returns {Object} An object containing the primary focus, structure, and a descriptive explanation.
+ * @returns {Object} An object containing the primary focus, structure, and a descriptive explanation,
+ *   with repsPerMinute (shots per minute of work) and targetShotsPerMinute ({ min, max } of the
+ *   tempos the workout sets, or null when its intervals are all in seconds).
  */
-function generateWorkoutSummary(timeline, workout) {
+export function generateWorkoutSummary(timeline, workout) {
   //--------------------------------------------------------------------------
   // 1. CALCULATE KEY METRICS FROM TIMELINE DATA
   //--------------------------------------------------------------------------
@@ -2583,6 +3605,10 @@ function generateWorkoutSummary(timeline, workout) {
     repsPerMinute = (totalShots / workTime) * 60;
   }
 
+  // The pace played, beside the tempo the workout asked for when it was set in shots per minute
+  const targetShotsPerMinute = collectTargetShotsPerMinute(workout);
+  const summarize = summary => ({ ...summary, repsPerMinute, targetShotsPerMinute });
+
   //--------------------------------------------------------------------------
   // 2. DETERMINE WORKOUT CATEGORY AND GENERATE SUMMARY
   //--------------------------------------------------------------------------
@@ -2591,11 +3617,11 @@ function generateWorkoutSummary(timeline, workout) {
   // A very low number of reps per minute strongly suggests a focus on technique,
   // regardless of the work-rest ratio. This check should come first.
   if (repsPerMinute < 10 && totalShots > 0) {
-    return {
+    return summarize({
       primaryFocus: "Technical Refinement (Inferred)",
       intensityStructure: "Deliberate Practice",
       explanation: "Based on the deliberate pace of movements, this session appears to focus on refining footwork mechanics and shot preparation rather than cardiovascular conditioning."
-    };
+    });
   }
 
   // **Secondary Check: Classification by Work-to-Rest Ratio**
@@ -2605,60 +3631,60 @@ function generateWorkoutSummary(timeline, workout) {
   // If there's no work-rest ratio (no rest elements), classify based on work intensity
   if (workRestRatio === null) {
     if (repsPerMinute >= 20) {
-      return {
+      return summarize({
         primaryFocus: "High-Intensity Continuous",
         intensityStructure: "Continuous High-Pace Drill",
         explanation: "This session was performed as a continuous high-intensity drill without structured rest periods, focusing on building cardiovascular endurance and movement speed."
-      };
+      });
     } else if (repsPerMinute >= 12) {
-      return {
+      return summarize({
         primaryFocus: "Moderate-Intensity Continuous",
         intensityStructure: "Continuous Moderate-Pace Drill",
         explanation: "This session was performed as a continuous moderate-intensity drill without structured rest periods, focusing on building stamina and movement consistency."
-      };
+      });
     } else {
-      return {
+      return summarize({
         primaryFocus: "Technical Refinement",
         intensityStructure: "Continuous Technical Drill",
         explanation: "This session was performed as a continuous technical drill without structured rest periods, focusing on movement precision and form."
-      };
+      });
     }
   }
 
   // Case 1: Anaerobic Fitness & Speed (Advanced)
   if (workRestRatio >= 2.0) { // Covers 2:1 and 3:1 ratios
-    return {
+    return summarize({
       primaryFocus: "Anaerobic Fitness & Speed",
       intensityStructure: "High-Intensity Interval Training (HIIT)",
       explanation: `This workout's ${workRestRatio.toFixed(1)}:1 work-to-rest ratio is designed to maximize your explosive power and on-court quickness, mimicking the demands of high-intensity rallies.`
-    };
+    });
   }
 
   // Case 2: Match Endurance & Stamina (Intermediate)
   else if (workRestRatio >= 0.9 && workRestRatio < 2.0) { // Centered around the 1:1 ratio
-    return {
+    return summarize({
       primaryFocus: "Match Endurance & Stamina",
       intensityStructure: "Sustained Intervals",
       explanation: `With a balanced ${workRestRatio.toFixed(1)}:1 work-to-rest structure, this session is ideal for building the stamina needed to maintain a high level of play during long rallies and tough matches.`
-    };
+    });
   }
 
   // Case 3: Foundational Endurance (Beginner)
   else if (workRestRatio > 0 && workRestRatio < 0.9) { // Covers 1:2, 1:3 ratios etc.
-    return {
+    return summarize({
       primaryFocus: "Foundational Endurance",
       intensityStructure: "Foundational Intervals",
       explanation: `This workout's ${workRestRatio.toFixed(1)}:1 work-to-rest ratio is perfect for building a solid fitness foundation, allowing for ample recovery to ensure every movement is performed correctly.`
-    };
+    });
   }
 
   // Case 4: Default/Fallback Case (e.g., a workout with no rest)
   else {
-    return {
+    return summarize({
       primaryFocus: "Continuous Effort",
       intensityStructure: "Continuous Drill",
       explanation: "This session was performed as a continuous drill without structured rest periods, focusing on sustained physical effort."
-    };
+    });
   }
 }
 
@@ -2679,7 +3705,7 @@ function resolveRepeatCount(repeatCount, seed = null, callCount = 0) {
       if (seed !== null) {
         // Use seed + callCount for deterministic but fresh random generation
         // This ensures each call gets a different random number even with the same seed
-        const random = seedRandom(seed + callCount);
+        const random = createSeededRandom(seed + callCount);
         return Math.floor(random() * (max - min + 1)) + min;
       } else {
         // Use Math.random for non-deterministic generation
@@ -2694,7 +3720,7 @@ function resolveRepeatCount(repeatCount, seed = null, callCount = 0) {
       const max = Math.max(min, repeatCount.max || min);
       
       if (seed !== null) {
-        const random = seedRandom(seed + callCount);
+        const random = createSeededRandom(seed + callCount);
         return Math.floor(random() * (max - min + 1)) + min;
       } else {
         return Math.floor(Math.random() * (max - min + 1)) + min;
@@ -2705,24 +3731,3 @@ function resolveRepeatCount(repeatCount, seed = null, callCount = 0) {
   // Return fixed repeat count (legacy integer format) or default to 1
   return repeatCount || 1;
 }
-
-/**
- * Simple seeded random number generator for deterministic workouts.
- * @param {number} seed - The seed value
- * @returns {function} A random function that returns values between 0 and 1
- */
-function seedRandom(seed) {
-  let m = 0x80000000; // 2**31
-  let a = 1103515245;
-  let c = 12345;
-  let state = seed ? seed : Math.floor(Math.random() * (m - 1));
-  
-  return function() {
-    state = (a * state + c) % m;
-    return state / (m - 1);
-  };
-}
-
-
-
-
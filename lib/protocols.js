@@ -0,0 +1,128 @@
+/**
+ * Interval protocol module for squash workout definitions.
+ *
+ * This module provides pure functions for:
+ * - Resolving a protocol setting into its rounds, work period and rest
+ * - Applying a protocol to a pattern as the limits the generator enforces
+ * - Describing a protocol for the preview
+ *
+ * Protocols are declared on the workout or a pattern config, e.g.
+ *   protocol: { type: 'tabata' }                                    (20s work / 10s rest, 8 rounds)
+ *   protocol: { type: 'emom', minutes: 10, shotsPerMinute: 6 }
+ *   protocol: { type: 'work-rest', work: 40, rest: 20, rounds: 6 }
+ *
+ * A pattern plays its shots for the work period of each round (the whole
+ * minute for EMOM, up to shotsPerMinute shots) and then rests until the
+ * round's time is up. Patterns without their own protocol inherit the
+ * workout's; a protocol replaces the pattern's limits and repeatCount.
+ * Like any automatic rest, the final rest is dropped when it would end the workout.
+ */
+
+import { PatternData } from './data-structures.js';
+import { ProtocolType } from './config.js';
+import { parseTimeLimit } from './timing.js';
+
+// Tabata defaults: 20 seconds on, 10 seconds off, 8 rounds
+const TABATA_DEFAULTS = { work: 20, rest: 10, rounds: 8 };
+
+const EMOM_PERIOD_SECONDS = 60;
+
+// Patterns with a protocol applied, so each pattern keeps a single identity during generation
+const appliedPatterns = new WeakMap();
+
+/**
+ * Resolves a protocol setting into the plan the generator follows.
+ * @param {object} protocol - The protocol setting
+ * @returns {object|null} { type, rounds, cycleSeconds, limits, restMessage }, or null for no protocol
+ */
+export function resolveProtocol(protocol) {
+  if (!protocol || typeof protocol !== 'object') {
+    return null;
+  }
+
+  const restMessage = typeof protocol.restMessage === 'string' ? protocol.restMessage : 'Rest';
+
+  if (protocol.type === ProtocolType.EMOM) {
+    return {
+      type: protocol.type,
+      rounds: protocol.minutes,
+      cycleSeconds: EMOM_PERIOD_SECONDS,
+      limits: { type: 'shot-limit', value: protocol.shotsPerMinute },
+      restMessage: restMessage,
+    };
+  }
+
+  if (protocol.type === ProtocolType.TABATA || protocol.type === ProtocolType.WORK_REST) {
+    const defaults = protocol.type === ProtocolType.TABATA ? TABATA_DEFAULTS : {};
+    const work = parseTimeLimit(protocol.work ?? defaults.work);
+    const rest = parseTimeLimit(protocol.rest ?? defaults.rest);
+    return {
+      type: protocol.type,
+      rounds: protocol.rounds ?? defaults.rounds,
+      cycleSeconds: work + rest,
+      limits: { type: 'time-limit', value: work },
+      restMessage: restMessage,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Returns the pattern as the generator plays it: with its own or the
+ * workout's protocol turned into limits and repeatCount. Patterns without a
+ * protocol are returned unchanged; the same pattern always gets the same copy.
+ * @param {PatternData|null} pattern - The pattern about to be played
+ * @param {object} workoutConfig - The workout config (for an inherited protocol)
+ */
+export function applyProtocol(pattern, workoutConfig = {}) {
+  if (!pattern) {
+    return pattern;
+  }
+
+  const protocol = pattern.config?.protocol ?? workoutConfig?.protocol;
+  const plan = resolveProtocol(protocol);
+  if (!plan) {
+    return pattern;
+  }
+
+  if (appliedPatterns.has(pattern)) {
+    return appliedPatterns.get(pattern);
+  }
+
+  const applied = new PatternData({
+    id: pattern.id,
+    name: pattern.name,
+    type: pattern.type,
+    positionType: pattern.positionType,
+    config: {
+      ...pattern.config,
+      protocol: protocol,
+      limits: plan.limits,
+      repeatCount: plan.rounds,
+    },
+    entries: pattern.entries,
+    weight: pattern.weight,
+  });
+  appliedPatterns.set(pattern, applied);
+  return applied;
+}
+
+/**
+ * Describes a protocol for display, e.g. "Tabata 20s/10s × 8" or "EMOM 6 shots × 10 min".
+ */
+export function describeProtocol(protocol) {
+  const plan = resolveProtocol(protocol);
+  if (!plan) {
+    return '';
+  }
+
+  if (plan.type === ProtocolType.EMOM) {
+    return `EMOM ${plan.limits.value} shots × ${plan.rounds} min`;
+  }
+
+  const work = plan.limits.value;
+  const rest = plan.cycleSeconds - work;
+  const label = plan.type === ProtocolType.TABATA ? 'Tabata' : 'Intervals';
+  return `${label} ${work}s/${rest}s × ${plan.rounds}`;
+}
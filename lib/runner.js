@@ -0,0 +1,656 @@
+/**
+ * Workout runner module for squash workout definitions.
+ *
+ * This module provides:
+ * - WorkoutRunner, which plays a workout in real time without touching the DOM
+ * - Clocks for driving a runner from animation frames or by hand
+ * - Pure helpers for finding the event active at a given workout time and the next shot
+ *
+ * The runner pulls the timeline lazily from iterateWorkoutTimeline, keeping
+ * `lookahead` seconds generated ahead of the current time, and turns it into
+ * cues. As cues fall due the runner plays them through the audio and speech
+ * sinks and emits one of RunnerEventType, so the UI only subscribes:
+ *
+ *   const runner = new WorkoutRunner(workout, { seed, audio, tts });
+ *   runner.on(RunnerEventType.SHOT_BEEP, ({ shotsCompleted }) => ...);
+ *   runner.start();
+ *
+ * Sinks are optional: audio { beep(when), splitStep(speed, when), voice(text, config, when),
+ * cancel(), cancelVoice() } and tts { speak(text, config), cancel() }. A clock provides now() in
+ * milliseconds plus requestFrame(callback) / cancelFrame(handle); in Node, pass
+ * createManualClock() and advance it to play the workout without waiting.
+ *
+ * With scheduleAhead set, sounds are handed to the audio sink up to that many
+ * seconds early, with `when` (in seconds on the clock's time base) saying when
+ * to play them. Driven by createAudioClock, that lets Web Audio play beeps
+ * sample-accurately however late frames arrive, while speech and the events
+ * the display follows fire when the same clock reaches them. Pausing, stopping
+ * or seeking calls audio.cancel() to drop sounds scheduled past that point.
+ *
+ * Announcements go to audio.voice() first, which returns true when it will
+ * play a recorded clip (a voice pack); only the rest are spoken through tts.
+ * Pass options.speechDuration, (text) => seconds or null, so messages are timed
+ * by those clips' lengths. Pausing and stopping cut off clips with audio.cancelVoice().
+ *
+ * Pass options.language to announce in that language using the workout's
+ * translations (see translations.js); messageStart cues carry the translated text too.
+ *
+ * An optional haptics sink { play(cue), cancel() } (see createHapticPlayer)
+ * gets the HapticCue of every sound cue as it falls due, and is cancelled with speech.
+ */
+
+import { WorkoutData } from './data-structures.js';
+import { RunnerEventType } from './config.js';
+import { iterateWorkoutTimeline, timelineEventsToSoundEvents } from './parser.js';
+import { generateSeed, normalizeSeed } from './utils.js';
+import { translateText } from './translations.js';
+import { getHapticCue } from './haptics.js';
+
+// Seconds of timeline kept generated ahead of the current workout time
+const DEFAULT_LOOKAHEAD = 60;
+
+// Cues more than this many seconds overdue (e.g. after a stalled frame) are not played
+const DEFAULT_LATE_CUE_TOLERANCE = 0.25;
+
+// Frame interval used when animation frames are unavailable or paused (hidden tabs)
+const FALLBACK_FRAME_MS = 16;
+
+/**
+ * Requests a frame: an animation frame while the page is visible, a timer
+ * otherwise, so a run keeps advancing in background tabs.
+ * @returns {Function} Cancels the frame
+ */
+function requestFrame(callback) {
+  const isHidden = typeof document !== 'undefined' && document.hidden;
+  if (typeof requestAnimationFrame === 'function' && !isHidden) {
+    const id = requestAnimationFrame(callback);
+    return () => cancelAnimationFrame(id);
+  }
+  const id = setTimeout(callback, FALLBACK_FRAME_MS);
+  return () => clearTimeout(id);
+}
+
+/**
+ * Creates the default clock: performance.now() and animation frames.
+ */
+export function createSystemClock() {
+  return {
+    now: () => performance.now(),
+    requestFrame: requestFrame,
+    cancelFrame: (cancel) => cancel(),
+  };
+}
+
+/**
+ * Creates a clock that reads an AudioContext, so sounds scheduled with
+ * scheduleAhead and everything else the runner does share one time base.
+ * The clock stands still while the context is suspended.
+ * @param {AudioContext} audioContext - The context the audio sink plays through
+ */
+export function createAudioClock(audioContext) {
+  return {
+    now: () => audioContext.currentTime * 1000,
+    requestFrame: requestFrame,
+    cancelFrame: (cancel) => cancel(),
+  };
+}
+
+/**
+ * Creates a clock that only moves when advanced, for driving a runner by hand.
+ * advance(ms) moves time forward and runs the frames that were waiting.
+ * @param {number} startMs - Initial clock reading in milliseconds
+ */
+export function createManualClock(startMs = 0) {
+  let time = startMs;
+  let nextFrameId = 1;
+  const frames = new Map();
+
+  return {
+    now: () => time,
+    requestFrame(callback) {
+      const id = nextFrameId++;
+      frames.set(id, callback);
+      return id;
+    },
+    cancelFrame(id) {
+      frames.delete(id);
+    },
+    advance(ms) {
+      time += ms;
+      const due = [...frames.values()];
+      frames.clear();
+      due.forEach(callback => callback(time));
+    },
+  };
+}
+
+/**
+ * Indexes a timeline's shots and messages for findActiveEvent.
+ * @param {Array} timelineEvents - Timeline events in any order
+ * @returns {object} { shots, messages }, each sorted by start time
+ */
+export function buildTimelineIndex(timelineEvents) {
+  const shots = [];
+  const messages = [];
+
+  timelineEvents.forEach(event => {
+    if (event.type === 'Shot') {
+      shots.push({
+        startTime: event.startTime,
+        endTime: event.endTime,
+        ttsTime: event.subEvents.announced_time,
+        beepTime: event.subEvents.beep_time,
+        splitStepTime: event.subEvents.split_step_time,
+        name: event.name,
+        entry: event.entry,
+      });
+    } else if (event.type === 'Message') {
+      messages.push({
+        startTime: event.startTime,
+        endTime: event.endTime,
+        ttsEndTime: event.subEvents.tts_end || event.subEvents.message_start || event.startTime,
+        text: event.entry?.config?.message || event.name,
+        entry: event.entry,
+        interval: event.entry?.config?.interval || 0,
+      });
+    }
+  });
+
+  shots.sort((a, b) => a.startTime - b.startTime);
+  messages.sort((a, b) => a.startTime - b.startTime);
+
+  return { shots, messages };
+}
+
+/**
+ * Finds what is happening at a workout time: a shot before or after its beep,
+ * or a message while it is spoken or counting down.
+ * A shot is still active at exactly its end time, so its progress reaches 100%.
+ * @param {number} currentTime - Workout time in seconds
+ * @param {object} timelineIndex - Result of buildTimelineIndex
+ * @returns {object|null} { type, data } with type one of 'shot_preparing',
+ *   'shot_executing', 'message_tts' or 'message_countdown', or null between events
+ */
+export function findActiveEvent(currentTime, timelineIndex) {
+  const activeShot = timelineIndex.shots.find(shot =>
+    currentTime >= shot.startTime && currentTime <= shot.endTime
+  );
+  if (activeShot) {
+    return {
+      type: currentTime < activeShot.beepTime ? 'shot_preparing' : 'shot_executing',
+      data: activeShot,
+    };
+  }
+
+  const ttsMessage = timelineIndex.messages.find(message =>
+    currentTime >= message.startTime && currentTime <= message.ttsEndTime
+  );
+  if (ttsMessage) {
+    return { type: 'message_tts', data: ttsMessage };
+  }
+
+  const countdownMessage = timelineIndex.messages.find(message =>
+    currentTime >= message.ttsEndTime && currentTime <= message.endTime
+  );
+  if (countdownMessage) {
+    return { type: 'message_countdown', data: countdownMessage };
+  }
+
+  return null;
+}
+
+/**
+ * Finds the first shot that starts after a workout time, for "up next" displays.
+ * Only shots generated so far are known, so near the lookahead edge this can be null.
+ * @param {number} currentTime - Workout time in seconds
+ * @param {object} timelineIndex - Result of buildTimelineIndex
+ * @returns {object|null} The shot's index entry ({ startTime, name, entry, ... })
+ */
+export function findNextShot(currentTime, timelineIndex) {
+  return timelineIndex.shots.find(shot => shot.startTime > currentTime) || null;
+}
+
+/**
+ * Turns newly generated timeline events into cues: each message's start, then
+ * the sound events (announcements, split steps, beeps, countdown ticks).
+ * Cues without an eventType (message speech, the completion announcement) only speak.
+ * Speech cues are flagged `voiced` once the audio sink takes them as clips.
+ */
+function createCues(timelineEvents, options) {
+  const cues = [];
+
+  timelineEvents.forEach(event => {
+    if (event.type === 'Message') {
+      const message = event.entry?.config?.message || '';
+      cues.push({
+        eventType: RunnerEventType.MESSAGE_START,
+        time: event.subEvents.message_start ?? event.startTime,
+        text: message && translateText(message, options.language, {
+          entryTranslations: event.entry.messageTranslations,
+          workoutTranslations: options.translations,
+          baseLanguage: options.baseLanguage,
+        }).text,
+        entry: event.entry,
+        event: event,
+      });
+    }
+  });
+
+  timelineEventsToSoundEvents(timelineEvents, options).forEach(soundEvent => {
+    if (soundEvent.type === 'splitStep') {
+      cues.push({ ...soundEvent, eventType: RunnerEventType.SPLIT_STEP });
+    } else if (soundEvent.type === 'beep') {
+      cues.push({
+        ...soundEvent,
+        eventType: soundEvent.isCountdown ? RunnerEventType.COUNTDOWN_TICK : RunnerEventType.SHOT_BEEP,
+      });
+    } else if (soundEvent.type === 'tts') {
+      const isShotAnnouncement = !soundEvent.isCompletion && soundEvent.entry?.type !== 'Message';
+      cues.push({ ...soundEvent, eventType: isShotAnnouncement ? RunnerEventType.SHOT_ANNOUNCED : null });
+    }
+    // Silent sound events only mark empty messages, which already have their messageStart cue
+  });
+
+  return cues;
+}
+
+/**
+ * Whether a cue completes a shot (and so counts towards shotsCompleted).
+ */
+function isShotBeep(cue) {
+  return cue.eventType === RunnerEventType.SHOT_BEEP && cue.entry?.type === 'Shot';
+}
+
+/**
+ * Plays a workout against a clock, calling the audio/speech sinks and emitting
+ * RunnerEventType events as the timeline's cues fall due.
+ *
+ * State is read straight off the runner: isRunning, isPaused, isCompleted,
+ * currentTime (seconds), shotsCompleted, timeline (generated so far), and
+ * maxTime / totalShots, which stay Infinity / null until the timeline ends.
+ */
+export class WorkoutRunner {
+  /**
+   * @param {WorkoutData} workout - The workout to play
+   * @param {object} options - Optional settings: { seed, clock, audio, tts, haptics, speechDuration, language, lookahead, scheduleAhead, lateCueTolerance }
+   */
+  constructor(workout, options = {}) {
+    if (!(workout instanceof WorkoutData)) {
+      throw new Error('Invalid workout: must be a WorkoutData instance');
+    }
+
+    this.workout = workout;
+    this.seed = normalizeSeed(options.seed) ?? generateSeed();
+    this.clock = options.clock || createSystemClock();
+    this.audio = options.audio || {};
+    this.tts = options.tts || {};
+    this.haptics = options.haptics || {};
+    this.scheduleAhead = options.scheduleAhead ?? 0;
+    this.lookahead = Math.max(options.lookahead ?? DEFAULT_LOOKAHEAD, this.scheduleAhead);
+    this.lateCueTolerance = options.lateCueTolerance ?? DEFAULT_LATE_CUE_TOLERANCE;
+    // Session language for announcements; null keeps the canonical names
+    this.translation = {
+      language: options.language || null,
+      translations: workout.translations,
+      baseLanguage: workout.language,
+    };
+
+    this.listeners = new Map();
+    this.stream = {
+      iterator: iterateWorkoutTimeline(workout, {
+        seed: this.seed,
+        speechDuration: options.speechDuration,
+        language: this.translation.language,
+      }),
+      generatedUntil: 0,
+      end: null,
+    };
+    this.timeline = [];
+    this.timelineIndex = null;
+    this.cues = [];
+    this.cueIndex = 0;
+    // Cues before this one have had their sounds handed to the audio sink
+    this.scheduledCueIndex = 0;
+
+    this.maxTime = Infinity;
+    this.totalShots = null;
+    this.isRunning = false;
+    this.isPaused = false;
+    this.isCompleted = false;
+    this.currentTime = 0;
+    this.shotsCompleted = 0;
+    this.startedAt = null;
+    this.frame = null;
+    this.onFrame = () => {
+      this.frame = null;
+      this.tick();
+    };
+
+    this.extendTimeline(this.lookahead);
+  }
+
+  /**
+   * Subscribes to a RunnerEventType event.
+   * @returns {Function} Call to unsubscribe
+   */
+  on(type, listener) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(listener);
+    return () => this.off(type, listener);
+  }
+
+  off(type, listener) {
+    this.listeners.get(type)?.delete(listener);
+  }
+
+  emit(type, detail) {
+    this.listeners.get(type)?.forEach(listener => listener(detail));
+  }
+
+  /**
+   * Starts playing from the current time; resumes a paused run and
+   * rewinds a completed one first.
+   */
+  start() {
+    if (this.isPaused) {
+      this.resume();
+      return;
+    }
+    if (this.isRunning) {
+      return;
+    }
+    if (this.isCompleted) {
+      this.seek(0);
+    }
+
+    this.isRunning = true;
+    this.isCompleted = false;
+    this.startedAt = this.clock.now() - this.currentTime * 1000;
+    this.tick();
+  }
+
+  /**
+   * Pauses at the current time and cuts off any speech in progress.
+   */
+  pause() {
+    if (!this.isRunning || this.isPaused) {
+      return;
+    }
+
+    this.currentTime = (this.clock.now() - this.startedAt) / 1000;
+    this.isPaused = true;
+    this.cancelFrame();
+    this.cancelScheduledSounds();
+    this.audio.cancelVoice?.();
+    this.tts.cancel?.();
+    this.haptics.cancel?.();
+  }
+
+  /**
+   * Continues a paused run; same as start() for a runner that is not playing.
+   */
+  resume() {
+    if (!this.isPaused) {
+      this.start();
+      return;
+    }
+
+    this.isPaused = false;
+    this.startedAt = this.clock.now() - this.currentTime * 1000;
+    this.tick();
+  }
+
+  /**
+   * Stops playing and rewinds to the start of the workout.
+   */
+  stop() {
+    this.isRunning = false;
+    this.isPaused = false;
+    this.isCompleted = false;
+    this.cancelFrame();
+    this.audio.cancelVoice?.();
+    this.tts.cancel?.();
+    this.haptics.cancel?.();
+    this.seek(0);
+  }
+
+  /**
+   * Ends the run now, as if the timeline had run out.
+   */
+  complete() {
+    if (!this.isRunning) {
+      return;
+    }
+
+    this.isRunning = false;
+    this.isPaused = false;
+    this.isCompleted = true;
+    this.cancelFrame();
+    this.emit(RunnerEventType.COMPLETE, { time: this.currentTime, end: this.stream.end });
+  }
+
+  /**
+   * Moves to a workout time. Cues before it are skipped without playing,
+   * though the shots they complete still count.
+   * @param {number} time - Workout time in seconds
+   */
+  seek(time) {
+    const target = Math.max(0, time);
+    this.cancelScheduledSounds();
+    this.extendTimeline(target + this.lookahead);
+
+    this.cueIndex = 0;
+    this.shotsCompleted = 0;
+    while (this.cueIndex < this.cues.length && this.cues[this.cueIndex].time < target) {
+      const cue = this.cues[this.cueIndex];
+      // The completion announcement only plays when the workout actually completes
+      if (cue.isCompletion) {
+        break;
+      }
+      if (isShotBeep(cue)) {
+        this.shotsCompleted++;
+      }
+      this.cueIndex++;
+    }
+
+    this.scheduledCueIndex = this.cueIndex;
+    this.currentTime = target;
+    if (this.isRunning && !this.isPaused) {
+      this.startedAt = this.clock.now() - target * 1000;
+    }
+  }
+
+  /**
+   * Advances to the clock's current time: plays the cues that fell due, emits
+   * a tick (or completes at the end of the workout) and requests the next frame.
+   * The clock's frames call this; call it directly to step a manual clock.
+   */
+  tick() {
+    if (!this.isRunning || this.isPaused) {
+      return;
+    }
+
+    this.currentTime = (this.clock.now() - this.startedAt) / 1000;
+    this.extendTimeline(this.currentTime + this.lookahead);
+    this.scheduleSounds();
+    this.playDueCues();
+
+    if (this.currentTime >= this.maxTime) {
+      this.complete();
+      return;
+    }
+
+    this.emit(RunnerEventType.TICK, { time: this.currentTime });
+
+    // A listener may have paused, stopped or completed the run
+    if (this.isRunning && !this.isPaused && this.frame === null) {
+      this.frame = this.clock.requestFrame(this.onFrame);
+    }
+  }
+
+  /**
+   * Finds the event active at a workout time (see findActiveEvent).
+   */
+  getActiveEvent(time = this.currentTime) {
+    if (!this.timelineIndex) {
+      this.timelineIndex = buildTimelineIndex(this.timeline);
+    }
+    return findActiveEvent(time, this.timelineIndex);
+  }
+
+  /**
+   * Finds the next shot to start after a workout time (see findNextShot).
+   */
+  getNextShot(time = this.currentTime) {
+    if (!this.timelineIndex) {
+      this.timelineIndex = buildTimelineIndex(this.timeline);
+    }
+    return findNextShot(time, this.timelineIndex);
+  }
+
+  cancelFrame() {
+    if (this.frame !== null) {
+      this.clock.cancelFrame(this.frame);
+      this.frame = null;
+    }
+  }
+
+  /**
+   * Drops sounds handed to the audio sink that have not played yet; they are
+   * scheduled again from the current cue when the run continues.
+   */
+  cancelScheduledSounds() {
+    if (this.scheduledCueIndex > this.cueIndex) {
+      this.audio.cancel?.();
+    }
+    this.scheduledCueIndex = this.cueIndex;
+  }
+
+  /**
+   * Pulls events from the timeline stream until it reaches targetTime and
+   * queues their cues. Once the stream ends, the workout's real end time and
+   * shot count are known and the completion announcement is queued.
+   * @param {number} targetTime - Workout time (seconds) the timeline should cover
+   */
+  extendTimeline(targetTime) {
+    const stream = this.stream;
+    if (stream.end) {
+      return;
+    }
+
+    const newEvents = [];
+    while (stream.generatedUntil < targetTime) {
+      const step = stream.iterator.next();
+      if (step.done) {
+        stream.end = step.value;
+        if (stream.end.truncated) {
+          console.warn(`Workout timeline stopped early: ${stream.end.reason}`);
+        }
+        break;
+      }
+      newEvents.push(step.value);
+      stream.generatedUntil = Math.max(stream.generatedUntil, step.value.endTime);
+    }
+
+    const newCues = createCues(newEvents, { ...this.translation, includeCompletion: false });
+    if (newEvents.length > 0) {
+      this.timeline.push(...newEvents);
+      this.timelineIndex = null;
+    }
+
+    if (stream.end) {
+      if (this.timeline.length > 0) {
+        // Only the final event is needed to place the completion announcement
+        newCues.push(...createCues(this.timeline.slice(-1), this.translation).filter(cue => cue.isCompletion));
+        this.maxTime = Math.max(...this.timeline.map(event => event.endTime || 0));
+        this.totalShots = this.timeline.filter(event => event.type === 'Shot').length;
+      } else {
+        this.maxTime = 0;
+        this.totalShots = 0;
+      }
+    }
+
+    // Cues already played or scheduled keep their place; only the rest are re-sorted
+    const pending = this.cues.splice(this.scheduledCueIndex).concat(newCues);
+    pending.sort((a, b) => a.time - b.time);
+    this.cues.push(...pending);
+  }
+
+  /**
+   * Hands the sounds of cues due within scheduleAhead to the audio sink,
+   * timed on the clock; sounds already too late are dropped. Speech is offered
+   * to audio.voice, and cues it takes are not spoken through tts.
+   */
+  scheduleSounds() {
+    const horizon = this.currentTime + this.scheduleAhead;
+    while (this.scheduledCueIndex < this.cues.length && this.cues[this.scheduledCueIndex].time <= horizon) {
+      const cue = this.cues[this.scheduledCueIndex++];
+      cue.voiced = false;
+      if (this.currentTime - cue.time > this.lateCueTolerance) {
+        continue;
+      }
+
+      const when = (this.startedAt + cue.time * 1000) / 1000;
+      if (cue.eventType === RunnerEventType.SPLIT_STEP) {
+        this.audio.splitStep?.(cue.speed, when);
+      } else if (cue.eventType === RunnerEventType.SHOT_BEEP || cue.eventType === RunnerEventType.COUNTDOWN_TICK) {
+        this.audio.beep?.(when);
+      } else if (cue.type === 'tts') {
+        cue.voiced = this.audio.voice?.(cue.text, cue.entryConfig, when) === true;
+      }
+    }
+  }
+
+  playDueCues() {
+    while (this.cueIndex < this.cues.length && this.cues[this.cueIndex].time <= this.currentTime) {
+      const cue = this.cues[this.cueIndex++];
+      this.playCue(cue, this.currentTime - cue.time > this.lateCueTolerance);
+    }
+  }
+
+  /**
+   * Speaks a due cue (unless it is late or voiced by a clip), vibrates it and
+   * emits its event; its sound was already scheduled by scheduleSounds.
+   */
+  playCue(cue, late) {
+    const detail = { time: cue.time, entry: cue.entry, late: late };
+    const shouldSpeak = !late && !cue.voiced;
+
+    // Vibration cannot be scheduled ahead, so it plays as the cue falls due
+    const hapticCue = getHapticCue(cue);
+    if (hapticCue && !late) {
+      this.haptics.play?.(hapticCue);
+    }
+
+    switch (cue.eventType) {
+      case RunnerEventType.SHOT_ANNOUNCED:
+        if (shouldSpeak) {
+          this.tts.speak?.(cue.text, cue.entryConfig);
+        }
+        this.emit(cue.eventType, { ...detail, text: cue.text, config: cue.entryConfig });
+        break;
+      case RunnerEventType.MESSAGE_START:
+        this.emit(cue.eventType, { ...detail, text: cue.text, event: cue.event });
+        break;
+      case RunnerEventType.SPLIT_STEP:
+        this.emit(cue.eventType, { ...detail, speed: cue.speed });
+        break;
+      case RunnerEventType.SHOT_BEEP:
+        if (isShotBeep(cue)) {
+          this.shotsCompleted++;
+        }
+        this.emit(cue.eventType, { ...detail, shotsCompleted: this.shotsCompleted });
+        break;
+      case RunnerEventType.COUNTDOWN_TICK:
+        this.emit(cue.eventType, { ...detail, count: cue.countdownNumber });
+        break;
+      default:
+        // Message speech and the completion announcement
+        if (shouldSpeak) {
+          this.tts.speak?.(cue.text, cue.entryConfig);
+        }
+    }
+  }
+}
@@ -0,0 +1,143 @@
+/**
+ * Session history module for squash workout definitions.
+ *
+ * This module provides functions for:
+ * - Building the record of a completed session
+ * - Keeping session records in IndexedDB: saving, listing, reading and deleting them
+ *
+ * A record is { id, name, workout, seed, startedAt, endedAt, pauses, skipped,
+ * shotsCompleted, totalShots, summary }. workout is the workout JSON as it was
+ * run, including the config lock and default interval in force at the time, so
+ * the session can be run again with its seed. startedAt and endedAt
+ * are epoch milliseconds; pauses are { time, pausedAt, resumedAt }, with time
+ * in workout seconds; skipped are { from, to, shots }: stretches of the workout
+ * (in workout seconds) that were not played, such as the start of a session
+ * entered part way through from the preview. summary is the one
+ * generateWorkoutSummary gives for the session's timeline.
+ */
+
+const DATABASE_NAME = 'squash-ghoster';
+const DATABASE_VERSION = 1;
+const SESSION_STORE = 'sessions';
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionToPromise(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Session history transaction aborted'));
+  });
+}
+
+/**
+ * Checks whether this browser can keep a session history.
+ */
+export function isSessionHistorySupported() {
+  return typeof indexedDB !== 'undefined';
+}
+
+/**
+ * Builds the record of a completed session.
+ * @param {object} session - { workout, seed, startedAt, endedAt, pauses, skipped,
+ *   shotsCompleted, totalShots, summary }
+ * @returns {object} The record to save, with the workout's name and the time spent paused (pausedDuration, seconds)
+ */
+export function createSessionRecord(session) {
+  const endedAt = session.endedAt ?? Date.now();
+  const pauses = (session.pauses || []).map(pause => ({
+    ...pause,
+    // A pause still open when the session ended lasted until then
+    resumedAt: pause.resumedAt ?? endedAt,
+  }));
+  const pausedDuration = pauses.reduce((total, pause) => total + (pause.resumedAt - pause.pausedAt), 0) / 1000;
+
+  return {
+    name: session.workout?.name || 'Workout',
+    workout: session.workout,
+    seed: session.seed ?? null,
+    startedAt: session.startedAt,
+    endedAt,
+    pauses,
+    pausedDuration,
+    skipped: session.skipped || [],
+    shotsCompleted: session.shotsCompleted ?? 0,
+    totalShots: session.totalShots ?? null,
+    summary: session.summary || null,
+  };
+}
+
+/**
+ * Opens the session history database, creating it on first use.
+ * @param {IDBFactory} [factory] - indexedDB by default
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openSessionHistory(factory = null) {
+  const idb = factory || (isSessionHistorySupported() ? indexedDB : null);
+  if (!idb) {
+    return Promise.reject(new Error('Session history needs IndexedDB, which this browser does not provide'));
+  }
+
+  const request = idb.open(DATABASE_NAME, DATABASE_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(SESSION_STORE)) {
+      const store = db.createObjectStore(SESSION_STORE, { keyPath: 'id', autoIncrement: true });
+      store.createIndex('startedAt', 'startedAt');
+    }
+  };
+  return requestToPromise(request);
+}
+
+/**
+ * Saves a session record.
+ * @param {IDBDatabase} db - From openSessionHistory
+ * @param {object} record - From createSessionRecord
+ * @returns {Promise<number>} The record's id
+ */
+export async function saveSession(db, record) {
+  const transaction = db.transaction(SESSION_STORE, 'readwrite');
+  const id = await requestToPromise(transaction.objectStore(SESSION_STORE).add(record));
+  await transactionToPromise(transaction);
+  return id;
+}
+
+/**
+ * Lists the saved sessions, most recent first.
+ * @param {IDBDatabase} db - From openSessionHistory
+ * @returns {Promise<Array<object>>}
+ */
+export async function listSessions(db) {
+  const transaction = db.transaction(SESSION_STORE, 'readonly');
+  const records = await requestToPromise(transaction.objectStore(SESSION_STORE).index('startedAt').getAll());
+  return records.reverse();
+}
+
+/**
+ * Reads one saved session.
+ * @param {IDBDatabase} db - From openSessionHistory
+ * @param {number} id - The record's id
+ * @returns {Promise<object|null>} The record, or null when there is none
+ */
+export async function getSession(db, id) {
+  const transaction = db.transaction(SESSION_STORE, 'readonly');
+  const record = await requestToPromise(transaction.objectStore(SESSION_STORE).get(id));
+  return record ?? null;
+}
+
+/**
+ * Deletes a saved session.
+ * @param {IDBDatabase} db - From openSessionHistory
+ * @param {number} id - The record's id
+ * @returns {Promise<void>}
+ */
+export async function deleteSession(db, id) {
+  const transaction = db.transaction(SESSION_STORE, 'readwrite');
+  transaction.objectStore(SESSION_STORE).delete(id);
+  await transactionToPromise(transaction);
+}
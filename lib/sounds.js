@@ -0,0 +1,111 @@
+/**
+ * Sound synthesis module for squash workout definitions.
+ *
+ * This module provides functions for:
+ * - Scheduling the two-tone beep (shot and countdown beeps)
+ * - Scheduling the rising split-step sweep
+ *
+ * Both work on any BaseAudioContext, so live playback (AudioContext) and
+ * audio export (OfflineAudioContext) sound the same. Each returns the
+ * oscillators it started, so callers can stop sounds scheduled ahead.
+ */
+
+// Two-tone beep: 800 Hz then 1200 Hz, 0.15 s each
+const BEEP_TONE_DURATION = 0.15;
+const BEEP_FREQUENCIES = [800, 1200];
+const BEEP_VOLUME = 4.0;
+
+// Split-step sweep: eight rising steps, each 15% higher than the last
+const SPLIT_STEP_STEPS = 8;
+const SPLIT_STEP_RISE = 1.15;
+const SPLIT_STEP_ATTACK = 0.01;
+const SPLIT_STEP_DECAY = 0.05;
+const SPLIT_STEP_VOLUME = 0.8;
+
+const SPLIT_STEP_BASE_FREQUENCIES = {
+  low: 220, // A3
+  medium: 440, // A4
+  high: 880, // A5
+};
+
+// Seconds per step for each split-step speed ('auto-scale' should be resolved before playing)
+const SPLIT_STEP_STEP_DURATIONS = {
+  slow: 0.08,
+  medium: 0.06,
+  fast: 0.04,
+  'auto-scale': 0.06,
+};
+
+/**
+ * Schedules a two-tone beep.
+ * @param {BaseAudioContext} context - The context to play through
+ * @param {number} when - Context time to start at (clamped to now)
+ * @param {AudioNode} [destination] - Where to connect; the context's destination by default
+ * @returns {OscillatorNode[]} The oscillators started
+ */
+export function scheduleTwoToneBeep(context, when, destination = context.destination) {
+  const start = Math.max(context.currentTime, when);
+
+  return BEEP_FREQUENCIES.map((frequency, index) => {
+    const toneStart = start + index * BEEP_TONE_DURATION;
+    const oscillator = context.createOscillator();
+    const gainNode = context.createGain();
+    oscillator.connect(gainNode);
+    gainNode.connect(destination);
+    oscillator.type = 'sine';
+    oscillator.frequency.setValueAtTime(frequency, toneStart);
+    gainNode.gain.setValueAtTime(BEEP_VOLUME, toneStart);
+    oscillator.start(toneStart);
+    gainNode.gain.exponentialRampToValueAtTime(0.00001, toneStart + BEEP_TONE_DURATION);
+    oscillator.stop(toneStart + BEEP_TONE_DURATION);
+    return oscillator;
+  });
+}
+
+/**
+ * Schedules the rising "power-up" sweep that cues the split step.
+ * @param {BaseAudioContext} context - The context to play through
+ * @param {string} speed - 'slow', 'medium' or 'fast' (any case); other speeds play nothing
+ * @param {number} when - Context time to start at (clamped to now)
+ * @param {object} [options] - { pitch: 'low' | 'medium' | 'high', destination }
+ * @returns {OscillatorNode[]} The oscillators started
+ */
+export function scheduleSplitStepSweep(context, speed, when, options = {}) {
+  const { pitch = 'medium', destination = context.destination } = options;
+  const durationPerStep = SPLIT_STEP_STEP_DURATIONS[String(speed).toLowerCase()];
+  if (!durationPerStep) {
+    return [];
+  }
+
+  const baseFrequency = SPLIT_STEP_BASE_FREQUENCIES[pitch] || SPLIT_STEP_BASE_FREQUENCIES.medium;
+  const start = Math.max(context.currentTime, when);
+  const oscillators = [];
+
+  for (let i = 0; i < SPLIT_STEP_STEPS; i++) {
+    const stepStart = start + i * durationPerStep;
+    const oscillator = context.createOscillator();
+    const gainNode = context.createGain();
+    oscillator.connect(gainNode);
+    gainNode.connect(destination);
+
+    oscillator.type = 'triangle';
+    oscillator.frequency.setValueAtTime(baseFrequency * Math.pow(SPLIT_STEP_RISE, i), stepStart);
+
+    // Attack then decay within each step
+    gainNode.gain.setValueAtTime(0, stepStart);
+    gainNode.gain.linearRampToValueAtTime(SPLIT_STEP_VOLUME, stepStart + SPLIT_STEP_ATTACK);
+    gainNode.gain.linearRampToValueAtTime(0, stepStart + SPLIT_STEP_ATTACK + SPLIT_STEP_DECAY);
+
+    oscillator.start(stepStart);
+    oscillator.stop(stepStart + durationPerStep);
+
+    // Clean up nodes after they are no longer needed
+    oscillator.onended = () => {
+      oscillator.disconnect();
+      gainNode.disconnect();
+    };
+    oscillators.push(oscillator);
+  }
+
+  return oscillators;
+}
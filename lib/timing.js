@@ -82,8 +82,10 @@ export function parseDuration(durationStr) {
 
 /**
  * Calculates the effective interval for a shot or message.
+ * @param {function} random - Random function for random offsets (defaults to Math.random)
+ * @param {Object|null} jitter - Running zero-sum balance (see drawIntervalOffset)
  */
-export function calculateEffectiveInterval(baseInterval, offsetConfig, offsetType) {
+export function calculateEffectiveInterval(baseInterval, offsetConfig, offsetType, random = Math.random, jitter = null) {
   if (typeof baseInterval !== 'number' || baseInterval < 0) {
     return 0;
   }
@@ -92,20 +94,156 @@ export function calculateEffectiveInterval(baseInterval, offsetConfig, offsetTyp
     return baseInterval;
   }
 
+  return baseInterval + drawIntervalOffset(offsetConfig, offsetType, random, jitter);
+}
+
+/**
+ * Draws the offset added to an interval.
+ *
+ * - fixed: always min
+ * - random: uniform between min and max
+ * - normal: around mean (default: the middle of min and max) with stddev
+ *   (default: a quarter of the range), clamped to min and max
+ * - triangular: between min and max, most often near mode (default: the middle)
+ * - zero-sum: uniform between min and max, steered so the offsets of a run of
+ *   intervals add up to zero. jitter is { balance, remaining }: the offsets
+ *   drawn so far and how many intervals of the run follow this one. The last
+ *   interval of the run cancels the balance; balance is updated in place.
+ *   Without a jitter balance there is nothing to cancel against, so the offset is 0.
+ * @returns {number} The offset in seconds
+ */
+export function drawIntervalOffset(offsetConfig, offsetType, random = Math.random, jitter = null) {
+  const min = offsetConfig.min || 0;
+  const max = offsetConfig.max || 0;
+
   if (offsetType === 'fixed') {
-    const fixedOffset = offsetConfig.min || 0;
-    return baseInterval + fixedOffset;
+    return min;
   }
 
   if (offsetType === 'random') {
-    const min = offsetConfig.min || 0;
-    const max = offsetConfig.max || 0;
+    return random() * (max - min) + min;
+  }
+
+  if (offsetType === 'normal') {
+    const mean = offsetConfig.mean ?? (min + max) / 2;
+    const stddev = offsetConfig.stddev ?? (max - min) / 4;
+    // Box-Muller transform; 1 - random() keeps the logarithm finite
+    const gaussian = Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+    return Math.min(max, Math.max(min, mean + gaussian * stddev));
+  }
+
+  if (offsetType === 'triangular') {
+    const mode = Math.min(max, Math.max(min, offsetConfig.mode ?? (min + max) / 2));
     const range = max - min;
-    const randomOffset = Math.random() * range + min;
-    return baseInterval + randomOffset;
+    if (range <= 0) {
+      return min;
+    }
+    const u = random();
+    const split = (mode - min) / range;
+    return u < split
+      ? min + Math.sqrt(u * range * (mode - min))
+      : max - Math.sqrt((1 - u) * range * (max - mode));
   }
 
-  return baseInterval;
+  if (offsetType === 'zero-sum') {
+    if (!jitter) {
+      return 0;
+    }
+    // Keep the balance where the intervals still to come can bring it back to zero
+    const remaining = Math.max(0, jitter.remaining || 0);
+    const low = Math.max(min, -remaining * max - jitter.balance);
+    const high = Math.min(max, -remaining * min - jitter.balance);
+    const offset = remaining === 0 || low > high
+      ? -jitter.balance
+      : low + random() * (high - low);
+    jitter.balance += offset;
+    return offset;
+  }
+
+  return 0;
+}
+
+/**
+ * Calculates the base interval at a point on an interval ramp.
+ *
+ * Linear ramps move smoothly from `from` to `to`. Stepwise ramps hold each
+ * level for an equal share of the pattern (one level per pattern repeat unless
+ * `steps` is set). Pyramid ramps go from `from` to `to` at the midpoint and
+ * back again, in `steps` levels when set.
+ * @param {Object} ramp - { type, from, to, steps }
+ * @param {Object} position - { progress, stage, runs }: progress is 0 at the first shot and
+ *   1 at the last; stage is the share of the pattern already played; runs is how many
+ *   times the pattern plays
+ * @returns {number|null} The ramped interval, or null when no ramp applies
+ */
+export function calculateRampedInterval(ramp, position) {
+  if (!ramp || !position || ramp.type === 'none' ||
+      typeof ramp.from !== 'number' || typeof ramp.to !== 'number') {
+    return null;
+  }
+
+  const clamp = value => Math.min(1, Math.max(0, value || 0));
+  const progress = clamp(position.progress);
+  const stage = clamp(position.stage);
+  const span = ramp.to - ramp.from;
+
+  if (ramp.type === 'linear') {
+    return ramp.from + span * progress;
+  }
+
+  if (ramp.type === 'stepwise') {
+    const levels = ramp.steps || (position.runs > 1 ? position.runs : 4);
+    const level = Math.min(levels - 1, Math.floor(stage * levels));
+    return ramp.from + span * (level / (levels - 1));
+  }
+
+  if (ramp.type === 'pyramid') {
+    let peak = progress <= 0.5 ? progress * 2 : (1 - progress) * 2;
+    if (ramp.steps) {
+      peak = Math.round(peak * (ramp.steps - 1)) / (ramp.steps - 1);
+    }
+    return ramp.from + span * peak;
+  }
+
+  return null;
+}
+
+/**
+ * Converts a tempo in shots per minute to an interval in seconds per shot.
+ */
+export function shotsPerMinuteToInterval(shotsPerMinute) {
+  return 60 / shotsPerMinute;
+}
+
+/**
+ * Converts an interval in seconds per shot to a tempo in shots per minute.
+ */
+export function intervalToShotsPerMinute(interval) {
+  return interval > 0 ? 60 / interval : 0;
+}
+
+/**
+ * Formats a tempo for display: whole tempos as integers ("18"), others to one decimal ("17.6").
+ */
+export function formatShotsPerMinute(shotsPerMinute) {
+  return String(Math.round(shotsPerMinute * 10) / 10);
+}
+
+/**
+ * Gets the interval a single config level sets, in seconds. A level sets its
+ * pace either as interval (seconds per shot) or as shotsPerMinute (a tempo
+ * such as 18 ghosts per minute), never both.
+ * @param {Object} config - One level's config (workout, pattern, block or entry)
+ * @returns {number|undefined} The interval, or undefined when the level sets neither
+ */
+export function resolveConfigInterval(config) {
+  if (!config) {
+    return undefined;
+  }
+  if (typeof config.shotsPerMinute === 'number' && config.shotsPerMinute > 0) {
+    return shotsPerMinuteToInterval(config.shotsPerMinute);
+  }
+  return config.interval ?? undefined;
 }
 
 /**
@@ -381,6 +519,8 @@ export function calculateWorkoutStats(timeline) {
     totalShots: 0,
     totalMessages: 0,
     eventTypes: {},
+    minShotInterval: null,
+    maxShotInterval: null,
   };
 
   for (const event of timeline) {
@@ -388,6 +528,11 @@ export function calculateWorkoutStats(timeline) {
 
     if (event.type === 'Shot') {
       stats.totalShots++;
+      // Shot durations are their intervals, so ramps show up as a range
+      if (typeof event.duration === 'number') {
+        stats.minShotInterval = stats.minShotInterval === null ? event.duration : Math.min(stats.minShotInterval, event.duration);
+        stats.maxShotInterval = stats.maxShotInterval === null ? event.duration : Math.max(stats.maxShotInterval, event.duration);
+      }
     } else if (event.type === 'Message') {
       stats.totalMessages++;
     }
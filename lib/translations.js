@@ -0,0 +1,148 @@
+/**
+ * Translation module for squash workout definitions.
+ *
+ * This module provides functions for:
+ * - Reading canonical names from translated shot names and messages
+ * - Translating announcements into a session language
+ * - Listing the languages a workout can be announced in
+ *
+ * A shot name or message can be a string or a map of language to text, e.g.
+ * { en: "Front left", es: "Delante izquierda" }. The first language listed is
+ * canonical: stats, constraints, voice packs and the builder group by its text.
+ *
+ * A workout can also carry a translation table keyed by canonical text, used
+ * for entries that have no translations of their own and for generated
+ * announcements such as "Rest":
+ *   language: 'en',
+ *   translations: { es: { "Front left": "Delante izquierda", "Rest": "Descanso" } }
+ * where language is the language the canonical texts are written in.
+ */
+
+import { normalizeLanguage, primaryLanguage } from './voice-profiles.js';
+
+/**
+ * Checks whether a name or message is a map of language to text.
+ */
+export function isTranslatedText(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Gets the canonical text of a name or message.
+ * @param {string|object} value - A string or a map of language to text
+ * @returns {string|null} The string, or the text of the first language listed
+ */
+export function getCanonicalText(value) {
+  if (isTranslatedText(value)) {
+    const [first] = Object.values(value);
+    return first === undefined ? null : first;
+  }
+  return value ?? null;
+}
+
+/**
+ * Gets the translations of a name or message.
+ * @param {string|object} value - A string or a map of language to text
+ * @returns {object|null} The map of language to text, or null for a plain string
+ */
+export function getTextTranslations(value) {
+  return isTranslatedText(value) ? { ...value } : null;
+}
+
+/**
+ * Replaces the canonical text of a translation map, keeping the other languages.
+ * @param {object|null} translations - A map of language to text
+ * @param {string} text - The new canonical text
+ * @returns {string|object} The updated map, or text when there are no translations
+ */
+export function withCanonicalText(translations, text) {
+  if (!isTranslatedText(translations) || Object.keys(translations).length === 0) {
+    return text;
+  }
+  const [canonicalLanguage] = Object.keys(translations);
+  return { ...translations, [canonicalLanguage]: text };
+}
+
+/**
+ * Finds the text for a language in a translation map: the exact language
+ * first ('es-MX'), then its primary language ('es') or any of its regions.
+ * @param {object|null} translations - A map of language to text (or to a table)
+ * @param {string} language - The wanted language
+ * @returns {object|null} { text, language } or null when there is none
+ */
+export function findTranslation(translations, language) {
+  if (!isTranslatedText(translations) || !language) {
+    return null;
+  }
+
+  const entries = Object.entries(translations);
+  const exact = entries.find(([key]) => normalizeLanguage(key) === normalizeLanguage(language));
+  const match = exact
+    || entries.find(([key]) => normalizeLanguage(key) === primaryLanguage(language))
+    || entries.find(([key]) => primaryLanguage(key) === primaryLanguage(language));
+  return match ? { text: match[1], language: match[0] } : null;
+}
+
+/**
+ * Translates an announcement into a session language. The entry's own
+ * translations are used first, then the workout's translation table.
+ * @param {string} text - The canonical text
+ * @param {string|null} language - The session language; null keeps the canonical text
+ * @param {object} [options] - { entryTranslations, workoutTranslations, baseLanguage }
+ * @returns {object} { text, language }: language is null when it is not known
+ */
+export function translateText(text, language, options = {}) {
+  const { entryTranslations = null, workoutTranslations = null, baseLanguage = null } = options;
+  const canonicalLanguage = entryTranslations ? Object.keys(entryTranslations)[0] : baseLanguage;
+
+  if (!language) {
+    return { text, language: canonicalLanguage || null };
+  }
+
+  const fromEntry = findTranslation(entryTranslations, language);
+  if (fromEntry) {
+    return fromEntry;
+  }
+
+  const table = findTranslation(workoutTranslations, language);
+  if (table && isTranslatedText(table.text) && typeof table.text[text] === 'string') {
+    return { text: table.text[text], language: table.language };
+  }
+
+  return { text, language: canonicalLanguage || null };
+}
+
+/**
+ * Lists the languages a workout can be announced in: its base language,
+ * the languages of its translation table and those of translated entries.
+ * @param {object} workoutData - Workout JSON (or WorkoutData)
+ * @returns {Array<string>} Language tags in the order first found
+ */
+export function listWorkoutLanguages(workoutData) {
+  const languages = new Set();
+  if (!workoutData) {
+    return [];
+  }
+
+  if (workoutData.language) {
+    languages.add(workoutData.language);
+  }
+  if (isTranslatedText(workoutData.translations)) {
+    Object.keys(workoutData.translations).forEach(language => languages.add(language));
+  }
+
+  const visit = node => {
+    if (!node || typeof node !== 'object') {
+      return;
+    }
+    [node.name, node.config?.message, node.nameTranslations, node.messageTranslations].forEach(value => {
+      if (isTranslatedText(value)) {
+        Object.keys(value).forEach(language => languages.add(language));
+      }
+    });
+    [...(node.patterns || []), ...(node.entries || [])].forEach(visit);
+  };
+  (workoutData.patterns || []).forEach(visit);
+
+  return [...languages];
+}
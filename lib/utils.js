@@ -2,13 +2,95 @@
  * Utility functions for the new workout parser.
  */
 
+/**
+ * Largest seed value; seeds are unsigned 32-bit integers.
+ */
+export const MAX_SEED = 0xFFFFFFFF;
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32).
+ * The same seed always produces the same sequence of values.
+ * @param {number} seed - Unsigned 32-bit integer seed
+ * @returns {function} A random function that returns values in [0, 1)
+ */
+export function createSeededRandom(seed) {
+  let state = normalizeSeed(seed) ?? 0;
+
+  return function() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Generates a fresh seed for a workout session.
+ * @returns {number} Unsigned 32-bit integer seed
+ */
+export function generateSeed() {
+  return Math.floor(Math.random() * MAX_SEED);
+}
+
+/**
+ * Normalizes a user-supplied seed to an unsigned 32-bit integer.
+ * Numeric strings are parsed; any other non-empty string is hashed so that
+ * words like "tuesday-drills" can be used as seeds too.
+ * @param {number|string} value - The seed value to normalize
+ * @returns {number|null} The normalized seed, or null if no seed was given
+ */
+export function normalizeSeed(value) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? Math.floor(Math.abs(value)) % (MAX_SEED + 1) : null;
+  }
+
+  const text = String(value).trim();
+  if (text === '') {
+    return null;
+  }
+
+  if (/^\d+$/.test(text)) {
+    return Number(BigInt(text) % BigInt(MAX_SEED + 1));
+  }
+
+  // FNV-1a hash for free-form seeds
+  let hash = 0x811C9DC5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Resolves a seed or random function to a random function.
+ * @param {number|function|null} seedOrRandom - A seed, a random function, or null for Math.random
+ * @returns {function} A random function that returns values in [0, 1)
+ */
+export function resolveRandom(seedOrRandom = null) {
+  if (typeof seedOrRandom === 'function') {
+    return seedOrRandom;
+  }
+  if (seedOrRandom === null || seedOrRandom === undefined) {
+    return Math.random;
+  }
+  return createSeededRandom(seedOrRandom);
+}
+
 /**
  * Shuffles an array using the Fisher-Yates algorithm.
+ * @param {Array} array - The array to shuffle
+ * @param {function} random - Optional random function (defaults to Math.random)
  */
-export function shuffleArray(array) {
+export function shuffleArray(array, random = Math.random) {
   const shuffled = [...array];
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
   }
   return shuffled;
@@ -18,92 +100,150 @@ export function shuffleArray(array) {
  * Shuffles an array using a seeded random number generator for deterministic results.
  */
 export function shuffleArrayWithSeed(array, seed) {
-  const shuffled = [...array];
-  
-  // Create a simple seeded random number generator
-  let randomSeed = seed;
-  const seededRandom = () => {
-    randomSeed = (randomSeed * 9301 + 49297) % 233280;
-    return randomSeed / 233280;
-  };
-  
-  for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(seededRandom() * (i + 1));
-    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-  }
-  return shuffled;
+  return shuffleArray(array, resolveRandom(seed));
 }
 
 /**
- * Shuffles an array while respecting linked elements and position locks.
+ * Parses a positionType into the position lock it describes:
+ *   '3'       → { type: 'position', position: 3 }  (third slot of every pass)
+ *   'last'    → { type: 'last', offset: 0 }
+ *   'last-1'  → { type: 'last', offset: 1 }       (second to last)
+ *   'every-4' → { type: 'every', interval: 4 }    (every 4th slot)
+ * Returns null for entries without a lock ('normal', 'linked', 'locked' or unset)
+ * and for values that are not position locks at all.
  */
-export function shuffleArrayRespectingLinks(array, seed = null) {
-  if (!array || array.length === 0) return [];
+export function parsePositionLock(positionType) {
+  if (typeof positionType !== 'string') {
+    return null;
+  }
+  if (/^\d+$/.test(positionType)) {
+    const position = parseInt(positionType, 10);
+    return position > 0 ? { type: 'position', position } : null;
+  }
+  if (positionType === 'last') {
+    return { type: 'last', offset: 0 };
+  }
+  let match = positionType.match(/^last-(\d+)$/);
+  if (match) {
+    return { type: 'last', offset: parseInt(match[1], 10) };
+  }
+  match = positionType.match(/^every-(\d+)$/);
+  if (match && parseInt(match[1], 10) >= 2) {
+    return { type: 'every', interval: parseInt(match[1], 10) };
+  }
+  return null;
+}
 
-  // Group elements where linked elements stay with their immediate predecessor
-  const groups = [];
-  let currentGroup = [];
-  
-  for (let i = 0; i < array.length; i++) {
-    const item = array[i];
+/**
+ * Checks whether an entry is played every Nth slot (positionType 'every-N').
+ */
+export function isEveryNthEntry(entry) {
+  return parsePositionLock(entry?.positionType)?.type === 'every';
+}
 
-    if (item.positionType === 'linked' && currentGroup.length > 0) {
-      // Linked element joins the current group
-      currentGroup.push(item);
-    } else {
-      // Start a new group
-      if (currentGroup.length > 0) {
-        groups.push(currentGroup);
-      }
-      currentGroup = [item];
-    }
+/**
+ * Gets the first slot (0-based) a position or last lock takes in a pass of
+ * passLength slots, for a group of groupLength entries; null if it does not fit.
+ */
+export function getLockedSlot(lock, passLength, groupLength = 1) {
+  if (!lock) {
+    return null;
   }
-
-  // Add the final group
-  if (currentGroup.length > 0) {
-    groups.push(currentGroup);
+  let start = null;
+  if (lock.type === 'position') {
+    start = lock.position - 1;
+  } else if (lock.type === 'last') {
+    start = passLength - groupLength - lock.offset;
   }
+  if (start === null || start < 0 || start + groupLength > passLength) {
+    return null;
+  }
+  return start;
+}
 
-  // Create result array
-  const result = new Array(array.length).fill(null);
-  const usedPositions = new Set();
-  
-  // First pass: handle explicit position locks
-  groups.forEach(group => {
-    const firstElement = group[0];
-    if (/^\d+$/.test(firstElement.positionType)) {
-      const position = parseInt(firstElement.positionType) - 1;
+/**
+ * Puts position-locked groups (locked by their first element) into their
+ * slots: absolute positions first, then positions counted from the end.
+ * A group whose slots are taken or out of range is left unplaced.
+ * @param {Array<Array>} groups - Linked groups of the pass
+ * @param {Array} slots - The pass, filled with null where free (modified in place)
+ * @returns {Array<Array>} The groups that were placed
+ */
+function placeLockedGroups(groups, slots) {
+  const placed = [];
+  ['position', 'last'].forEach(lockType => {
+    groups.forEach(group => {
+      const lock = parsePositionLock(group[0].positionType);
+      if (lock?.type !== lockType) {
+        return;
+      }
+      const start = getLockedSlot(lock, slots.length, group.length);
+      if (start === null || group.some((_, index) => slots[start + index] !== null)) {
+        return;
+      }
       group.forEach((element, index) => {
-        const pos = position + index;
-        if (pos < result.length) {
-          result[pos] = element;
-          usedPositions.add(pos);
-        }
+        slots[start + index] = element;
       });
-    }
+      placed.push(group);
+    });
   });
+  return placed;
+}
 
-  // Second pass: handle 'last' position
+/**
+ * Checks whether a group's first element asks for a position or last lock.
+ */
+function hasSlotLock(group) {
+  const lock = parsePositionLock(group[0].positionType);
+  return lock?.type === 'position' || lock?.type === 'last';
+}
+
+/**
+ * Places groups, in order, at the first free run of slots they fit in.
+ * Groups that fit nowhere as a unit are split over the remaining free slots.
+ */
+function fillFreeSlots(slots, groups) {
   groups.forEach(group => {
-    const firstElement = group[0];
-    if (firstElement.positionType === 'last') {
-      const endPos = result.length - 1;
-      const startPos = Math.max(0, endPos - group.length + 1);
-      group.forEach((element, index) => {
-        const pos = startPos + index;
-        if (pos <= endPos && !usedPositions.has(pos)) {
-          result[pos] = element;
-          usedPositions.add(pos);
+    // Find a starting position where the entire group can fit consecutively
+    let placed = false;
+    for (let startPos = 0; startPos <= slots.length - group.length; startPos++) {
+      if (group.every((_, i) => slots[startPos + i] === null)) {
+        group.forEach((element, index) => {
+          slots[startPos + index] = element;
+        });
+        placed = true;
+        break;
+      }
+    }
+
+    // Fallback: if we couldn't place the group as a unit, we must still place all elements
+    if (!placed) {
+      group.forEach(element => {
+        const pos = slots.indexOf(null);
+        if (pos !== -1) {
+          slots[pos] = element;
         }
       });
     }
   });
+  return slots.filter(element => element !== null);
+}
 
-  // Filter remaining groups and separate linked groups from normal groups
-  const remainingGroups = groups.filter(group => {
-    const firstElement = group[0];
-    return firstElement.positionType === 'normal' || firstElement.positionType === 'linked';
-  });
+/**
+ * Shuffles an array while respecting linked elements and position locks.
+ * @param {Array} array - The entries to shuffle
+ * @param {number|function|null} seed - A seed, a random function, or null for Math.random
+ */
+export function shuffleArrayRespectingLinks(array, seed = null) {
+  if (!array || array.length === 0) return [];
+
+  // Group elements where linked elements stay with the element they follow
+  const groups = groupLinkedElements(array);
+
+  // Position-locked groups take their slots first
+  const result = new Array(array.length).fill(null);
+  const lockedGroups = placeLockedGroups(groups, result);
+  const remainingGroups = groups.filter(group => !lockedGroups.includes(group));
 
   // Separate linked groups (must stay together) from normal groups
   // A group is considered a linked group if it contains any linked elements
@@ -111,7 +251,7 @@ export function shuffleArrayRespectingLinks(array, seed = null) {
   const normalGroups = [];
   
   remainingGroups.forEach(group => {
-    if (group.some(element => element.positionType === 'linked')) {
+    if (group.some(isLinkedEntry)) {
       // This group contains linked elements, so it's a linked group
       linkedGroups.push(group);
     } else {
@@ -125,82 +265,329 @@ export function shuffleArrayRespectingLinks(array, seed = null) {
   const allGroups = [...linkedGroups, ...normalGroups];
   
   // Shuffle all groups together (both linked and normal groups)
-  if (seed !== null) {
-    // Use seeded random for deterministic shuffling
-    let randomSeed = seed;
-    const seededRandom = () => {
-      randomSeed = (randomSeed * 9301 + 49297) % 233280;
-      return randomSeed / 233280;
-    };
-    
-    for (let i = allGroups.length - 1; i > 0; i--) {
-      const j = Math.floor(seededRandom() * (i + 1));
-      [allGroups[i], allGroups[j]] = [allGroups[j], allGroups[i]];
-    }
-  } else {
-    // Use regular random for non-deterministic shuffling
-    for (let i = allGroups.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
-      [allGroups[i], allGroups[j]] = [allGroups[j], allGroups[i]];
+  const random = resolveRandom(seed);
+  for (let i = allGroups.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [allGroups[i], allGroups[j]] = [allGroups[j], allGroups[i]];
+  }
+
+  // Place remaining groups in the free slots
+  return fillFreeSlots(result, allGroups);
+}
+
+/**
+ * Interleaves every-Nth entries (positionType 'every-N') into an ordered
+ * pass: such an entry takes slots N, 2N, 3N, ... for as long as the pass
+ * lasts, including the slot right after its last regular entry. Slots are
+ * counted on from the passes before (slotsBefore), so the spacing holds
+ * across repeats and extended sets even when a pass is shorter than N.
+ * Entries locked to the end of the pass ('last', 'last-N') and those after
+ * them stay at the end, so every-Nth entries are only woven into the slots
+ * before them.
+ * @param {Array} pass - The ordered regular entries
+ * @param {Array} everyNthEntries - Entries locked to every Nth slot
+ * @param {number} slotsBefore - Slots the pattern's earlier passes took
+ */
+export function interleaveEveryNthEntries(pass, everyNthEntries, slotsBefore = 0) {
+  if (!everyNthEntries || everyNthEntries.length === 0) {
+    return pass;
+  }
+
+  const lastLockIndex = pass.findIndex(entry => parsePositionLock(entry?.positionType)?.type === 'last');
+  const tailStart = lastLockIndex === -1 ? pass.length : lastLockIndex;
+  const intervals = everyNthEntries.map(entry => parsePositionLock(entry.positionType).interval);
+  const result = [];
+  let nextRegular = 0;
+  const addDueEntries = () => {
+    const slot = slotsBefore + result.length + 1;
+    const due = everyNthEntries.filter((_, i) => slot % intervals[i] === 0);
+    // Entries due in the same slot play back to back (validation flags the clash)
+    result.push(...due);
+    return due.length > 0;
+  };
+
+  while (nextRegular < tailStart) {
+    if (!addDueEntries()) {
+      result.push(pass[nextRegular]);
+      nextRegular += 1;
     }
   }
-  
-  const orderedGroups = allGroups;
+  if (tailStart > 0) {
+    addDueEntries();
+  }
+  result.push(...pass.slice(tailStart));
+  return result;
+}
 
-  // Place remaining groups in available positions (linked groups first)
-  orderedGroups.forEach(group => {
-    // Find a starting position where the entire group can fit consecutively
-    let placed = false;
-    for (let startPos = 0; startPos <= result.length - group.length; startPos++) {
-      // Check if we can place the entire group starting at startPos
-      let canFit = true;
-      for (let i = 0; i < group.length; i++) {
-        if (usedPositions.has(startPos + i)) {
-          canFit = false;
-          break;
-        }
-      }
-      
-      if (canFit) {
-        // Place the group
-        group.forEach((element, index) => {
-          result[startPos + index] = element;
-          usedPositions.add(startPos + index);
-        });
-        placed = true;
+/**
+ * Checks whether an entry is linked: by id (linkedTo) or, for entries saved
+ * before explicit links, by positionType 'linked' (follows its predecessor).
+ */
+export function isLinkedEntry(entry) {
+  return Boolean(entry?.linkedTo) || entry?.positionType === 'linked';
+}
+
+/**
+ * Groups elements so that linked elements stay right behind the element they
+ * are linked to, however far apart they are in the array. A group starts with
+ * an unlinked element and follows its chain of links; elements linked to the
+ * same target follow it in array order. Dangling links and links that would
+ * close a cycle are ignored (validation reports them).
+ */
+export function groupLinkedElements(array) {
+  const byId = new Map();
+  array.forEach(item => {
+    if (item.id !== null && item.id !== undefined && !byId.has(item.id)) {
+      byId.set(item.id, item);
+    }
+  });
+
+  // The element each element follows, if any
+  const targets = new Map();
+  array.forEach((item, index) => {
+    let target = null;
+    if (item.linkedTo) {
+      target = byId.get(item.linkedTo) || null;
+    } else if (item.positionType === 'linked' && index > 0) {
+      target = array[index - 1];
+    }
+    if (target && target !== item) {
+      targets.set(item, target);
+    }
+  });
+
+  // Drop the link that closes each cycle so every chain has a start
+  array.forEach(item => {
+    const seen = new Set([item]);
+    let current = item;
+    while (targets.has(current)) {
+      current = targets.get(current);
+      if (seen.has(current)) {
+        targets.delete(item);
         break;
       }
+      seen.add(current);
     }
-    
-    // Fallback: if we couldn't place the group as a unit, we must still place all elements
-    if (!placed) {
-      // Always place all elements, even if it means breaking linked groups
-      group.forEach(element => {
-        for (let pos = 0; pos < result.length; pos++) {
-          if (!usedPositions.has(pos)) {
-            result[pos] = element;
-            usedPositions.add(pos);
-            break;
-          }
-        }
-      });
+  });
+
+  const followers = new Map();
+  array.forEach(item => {
+    const target = targets.get(item);
+    if (target) {
+      if (!followers.has(target)) {
+        followers.set(target, []);
+      }
+      followers.get(target).push(item);
     }
   });
 
-  // Remove any remaining null values and ensure array is properly sized
+  const collect = (item, group) => {
+    group.push(item);
+    (followers.get(item) || []).forEach(follower => collect(follower, group));
+    return group;
+  };
+
+  return array.filter(item => !targets.has(item)).map(item => collect(item, []));
+}
+
+/**
+ * Orders entries for an in-order pass: position-locked entries take their
+ * slots, linked entries directly follow the entry they are linked to, and
+ * everything else keeps its order.
+ */
+export function orderLinkedEntries(array) {
+  if (!array || array.length === 0) return [];
+  const groups = groupLinkedElements(array);
+  const slots = new Array(array.length).fill(null);
+  const lockedGroups = placeLockedGroups(groups, slots);
+  return fillFreeSlots(slots, groups.filter(group => !lockedGroups.includes(group)));
+}
+
+/**
+ * Gets the draw weight of an entry; entries without a weight count as 1.
+ */
+export function getEntryWeight(entry) {
+  const weight = entry?.weight;
+  return typeof weight === 'number' && Number.isFinite(weight) && weight >= 0 ? weight : 1;
+}
+
+/**
+ * Draws a pass of entries with replacement according to their weights.
+ *
+ * The pass has as many slots as there are entries. Position-locked entries
+ * (numbered or 'last') keep their slots; the remaining slots are filled by
+ * weighted draws. Linked entries are drawn together with their predecessor,
+ * using the predecessor's weight.
+ * @param {Array} array - The pattern entries
+ * @param {number|function|null} seed - A seed, a random function, or null for Math.random
+ * @param {function|null} accepts - Optional (placedSoFar, element) => boolean; draws
+ *   prefer groups it accepts and fall back to any group when none is accepted
+ * @returns {Array} The drawn entries (may repeat entries and omit others)
+ */
+export function drawWeightedEntries(array, seed = null, accepts = null) {
+  if (!array || array.length === 0) return [];
+
+  const groups = groupLinkedElements(array);
+  const result = new Array(array.length).fill(null);
+
+  // Locked groups keep their slots, exactly as in a shuffle
+  placeLockedGroups(groups, result);
+
+  const drawableGroups = groups.filter(group => !hasSlotLock(group) && getEntryWeight(group[0]) > 0);
+  if (drawableGroups.length === 0) {
+    return result.filter(element => element !== null);
+  }
+
+  const random = resolveRandom(seed);
+  const drawGroup = (candidates) => {
+    const totalWeight = candidates.reduce((sum, group) => sum + getEntryWeight(group[0]), 0);
+    let threshold = random() * totalWeight;
+    for (const group of candidates) {
+      threshold -= getEntryWeight(group[0]);
+      if (threshold < 0) return group;
+    }
+    return candidates[candidates.length - 1];
+  };
+
+  // Fill each run of free slots, only drawing groups that fit in what is left of the run
+  let pos = 0;
+  while (pos < result.length) {
+    if (result[pos] !== null) {
+      pos++;
+      continue;
+    }
+
+    let runLength = 0;
+    while (pos + runLength < result.length && result[pos + runLength] === null) {
+      runLength++;
+    }
+
+    const fitting = drawableGroups.filter(group => group.length <= runLength);
+    if (fitting.length === 0) {
+      // Only long linked chains are drawable; leave the run empty
+      pos += runLength;
+      continue;
+    }
+
+    let candidates = fitting;
+    if (accepts) {
+      const placed = result.slice(0, pos).filter(element => element !== null);
+      const accepted = fitting.filter(group => acceptsGroup(placed, group, accepts));
+      if (accepted.length > 0) {
+        candidates = accepted;
+      }
+    }
+
+    const group = drawGroup(candidates);
+    group.forEach((element, index) => {
+      result[pos + index] = element;
+    });
+    pos += group.length;
+  }
+
   return result.filter(element => element !== null);
 }
 
 /**
- * Creates shuffled pattern order for workout-level shuffle
+ * Checks whether every element of a group is accepted when appended in order.
+ */
+function acceptsGroup(placed, group, accepts) {
+  const sequence = [...placed];
+  for (const element of group) {
+    if (!accepts(sequence, element)) {
+      return false;
+    }
+    sequence.push(element);
+  }
+  return true;
+}
+
+/**
+ * Shuffles entries like shuffleArrayRespectingLinks, but only produces orders
+ * in which accepts(placedSoFar, element) holds for every element.
+ *
+ * Searches randomized orders with backtracking; position locks and linked
+ * groups are respected exactly as in a plain shuffle.
+ * @param {Array} array - The pattern entries
+ * @param {number|function|null} seed - A seed, a random function, or null for Math.random
+ * @param {function} accepts - (placedSoFar, element) => boolean
+ * @param {number} maxSteps - Search budget before giving up
+ * @returns {Array|null} An accepted order, or null if none was found within the budget
+ */
+export function shuffleArrayWithConstraints(array, seed, accepts, maxSteps = 10000) {
+  if (!array || array.length === 0) return [];
+
+  const random = resolveRandom(seed);
+  const groups = groupLinkedElements(array);
+  const slots = new Array(array.length).fill(null);
+
+  // Locked groups keep their slots, exactly as in a shuffle
+  const lockedGroups = placeLockedGroups(groups, slots);
+  if (groups.some(group => hasSlotLock(group) && !lockedGroups.includes(group))) {
+    // Conflicting locks: leave it to the plain shuffle's fallback placement
+    return null;
+  }
+
+  const freeGroups = groups.filter(group => !lockedGroups.includes(group));
+  const used = new Array(freeGroups.length).fill(false);
+  const sequence = [];
+  let steps = 0;
+
+  const place = (pos) => {
+    if (++steps > maxSteps) return false;
+    if (pos >= slots.length) return true;
+
+    if (slots[pos] !== null) {
+      if (!accepts(sequence, slots[pos])) return false;
+      sequence.push(slots[pos]);
+      if (place(pos + 1)) return true;
+      sequence.pop();
+      return false;
+    }
+
+    let runLength = 0;
+    while (pos + runLength < slots.length && slots[pos + runLength] === null) {
+      runLength++;
+    }
+
+    const order = shuffleArray(freeGroups.map((_, index) => index), random);
+    for (const index of order) {
+      const group = freeGroups[index];
+      if (used[index] || group.length > runLength || !acceptsGroup(sequence, group, accepts)) {
+        continue;
+      }
+
+      used[index] = true;
+      sequence.push(...group);
+      if (place(pos + group.length)) return true;
+      sequence.splice(sequence.length - group.length, group.length);
+      used[index] = false;
+    }
+    return false;
+  };
+
+  return place(0) ? sequence : null;
+}
+
+/**
+ * Creates shuffled pattern order for workout-level shuffle; position-locked
+ * and linked patterns keep their places just like entries in a pattern.
+ * @param {Array} patterns - The workout patterns
+ * @param {number|function|null} seed - A seed, a random function, or null for Math.random
  */
 export function createShuffledPatternOrder(patterns, seed = null) {
   const patternIndices = Array.from({ length: patterns.length }, (_, i) => i);
-  
-  if (seed !== null) {
-    return shuffleArrayWithSeed(patternIndices, seed);
+  const hasPlacement = patterns.some(pattern => parsePositionLock(pattern?.positionType) || isLinkedEntry(pattern));
+  if (!hasPlacement) {
+    return shuffleArray(patternIndices, resolveRandom(seed));
   }
-  return shuffleArray(patternIndices);
+  const items = patterns.map((pattern, index) => ({
+    index,
+    id: pattern?.id,
+    positionType: pattern?.positionType,
+    linkedTo: pattern?.linkedTo ?? null,
+  }));
+  return shuffleArrayRespectingLinks(items, seed).map(item => item.index);
 }
 
 /**
@@ -215,4 +602,72 @@ export function getNextPatternIndex(generatorState, workout) {
     return generatorState.patternIndex;
   }
   return generatorState.patternIndex;
-}
\ No newline at end of file
+}
+/**
+ * Picks the pattern a choice slot plays this time, by pattern weight
+ * (patterns without a weight count as 1).
+ * @param {Object} choice - Choice slot with a patterns array
+ * @param {number|function|null} seed - Seed or random function (null uses Math.random)
+ * @returns {Object|null} The picked pattern, or null if none can be picked
+ */
+export function pickChoicePattern(choice, seed = null) {
+  const options = (choice?.patterns || []).filter(pattern => getEntryWeight(pattern) > 0);
+  if (options.length === 0) {
+    return null;
+  }
+
+  const random = resolveRandom(seed);
+  const totalWeight = options.reduce((sum, pattern) => sum + getEntryWeight(pattern), 0);
+  let threshold = random() * totalWeight;
+  for (const pattern of options) {
+    threshold -= getEntryWeight(pattern);
+    if (threshold < 0) return pattern;
+  }
+  return options[options.length - 1];
+}
+
+/**
+ * Gets the pattern for the next workout slot. A choice slot picks one of its
+ * patterns every time it is reached, so each superset can play a different one.
+ */
+export function getNextPattern(generatorState, workout) {
+  const slot = workout.patterns[getNextPatternIndex(generatorState, workout)];
+  if (slot && slot.type === 'Choice') {
+    return pickChoicePattern(slot, generatorState.random);
+  }
+  return slot || null;
+}
+
+/**
+ * Lists a workout's patterns together with the patterns offered by its
+ * choices (each choice comes before its own patterns).
+ * @param {Array} patterns - Workout patterns and choices
+ * @returns {Array} All patterns and choices
+ */
+export function flattenPatterns(patterns) {
+  const flattened = [];
+  (patterns || []).forEach(pattern => {
+    flattened.push(pattern);
+    if (pattern && pattern.type === 'Choice' && Array.isArray(pattern.patterns)) {
+      flattened.push(...pattern.patterns);
+    }
+  });
+  return flattened;
+}
+
+/**
+ * Lists a pattern's entries together with the entries nested in its blocks,
+ * depth first (each block comes before its own entries).
+ * @param {Array} entries - Pattern or block entries
+ * @returns {Array} All entries at every nesting level
+ */
+export function flattenEntries(entries) {
+  const flattened = [];
+  (entries || []).forEach(entry => {
+    flattened.push(entry);
+    if (entry && entry.type === 'Block' && Array.isArray(entry.entries)) {
+      flattened.push(...flattenEntries(entry.entries));
+    }
+  });
+  return flattened;
+}
@@ -23,35 +23,88 @@ const SplitStepSpeed = {
 
 const IterationType = {
   IN_ORDER: 'in-order',
-  SHUFFLE: 'shuffle'
+  SHUFFLE: 'shuffle',
+  WEIGHTED_RANDOM: 'weighted-random'
 };
 
 const IntervalOffsetType = {
   FIXED: 'fixed',
-  RANDOM: 'random'
+  RANDOM: 'random',
+  NORMAL: 'normal',
+  TRIANGULAR: 'triangular',
+  ZERO_SUM: 'zero-sum'
 };
 
 const LimitsType = {
   ALL_SHOTS: 'all-shots',
   SHOT_LIMIT: 'shot-limit',
-  TIME_LIMIT: 'time-limit'
+  TIME_LIMIT: 'time-limit',
+  OPEN_ENDED: 'open-ended'
 };
 
 const IntervalType = {
   FIXED: 'fixed',
   ADDITIONAL: 'additional'
 };
-import { validateTimingConsistency } from './timing.js';
+
+const IntervalMode = {
+  FIXED: 'fixed',
+  DISTANCE_SCALED: 'distance-scaled'
+};
+
+const IntervalRampType = {
+  NONE: 'none',
+  LINEAR: 'linear',
+  STEPWISE: 'stepwise',
+  PYRAMID: 'pyramid'
+};
+
+// Pattern and workout settings that insert automatic rest
+const REST_CONFIG_KEYS = ['restBetweenRepeats', 'restAfterPattern'];
+
+const VoiceGender = {
+  ANY: 'any',
+  MALE: 'male',
+  FEMALE: 'female'
+};
+
+const HapticCue = {
+  ANNOUNCEMENT: 'announcement',
+  SPLIT_STEP: 'splitStep',
+  SHOT_BEEP: 'shotBeep',
+  COUNTDOWN: 'countdown'
+};
+
+const ProtocolType = {
+  TABATA: 'tabata',
+  EMOM: 'emom',
+  WORK_REST: 'work-rest'
+};
+
+// Pattern settings an interval protocol takes over
+const PROTOCOL_MANAGED_KEYS = ['limits', 'repeatCount', 'restBetweenRepeats'];
+import { validateTimingConsistency, parseTimeLimit, resolveConfigInterval } from './timing.js';
+import { isValidCourtPosition, CourtPosition } from './court.js';
+import { SequenceConstraint, findUnsatisfiableConstraints } from './constraints.js';
+import { getCanonicalText, isTranslatedText } from './translations.js';
+import { flattenEntries, flattenPatterns, parsePositionLock, isEveryNthEntry, getLockedSlot, groupLinkedElements } from './utils.js';
 
 /**
- * Represents a validation error.
+ * Represents a validation error. An error with severity 'warning' flags a
+ * workout that runs, but perhaps not as its author expects; validateWorkout
+ * reports warnings apart from errors and they do not make a workout invalid.
  */
 export class ValidationError {
-  constructor({ field = null, message, value = null, suggestions = [] }) {
+  constructor({ field = null, message, value = null, suggestions = [], severity = 'error' }) {
     this.field = field;
     this.message = message;
     this.value = value;
     this.suggestions = suggestions;
+    this.severity = severity;
+  }
+
+  isWarning() {
+    return this.severity === 'warning';
   }
 
   toDict() {
@@ -60,6 +113,7 @@ export class ValidationError {
       message: this.message,
       value: this.value,
       suggestions: this.suggestions,
+      severity: this.severity,
     };
   }
 }
@@ -68,9 +122,10 @@ export class ValidationError {
  * Represents a validation result.
  */
 export class ValidationResult {
-  constructor({ isValid = true, errors = [] } = {}) {
+  constructor({ isValid = true, errors = [], warnings = [] } = {}) {
     this.isValid = isValid;
     this.errors = errors;
+    this.warnings = warnings;
   }
 
   addError(error) {
@@ -80,6 +135,7 @@ export class ValidationResult {
 
   merge(otherResult) {
     this.errors.push(...otherResult.errors);
+    this.warnings.push(...(otherResult.warnings || []));
     this.isValid = this.isValid && otherResult.isValid;
   }
 
@@ -87,6 +143,7 @@ export class ValidationResult {
     return {
       isValid: this.isValid,
       errors: this.errors.map(error => error.toDict()),
+      warnings: this.warnings.map(warning => warning.toDict()),
     };
   }
 }
@@ -147,9 +204,9 @@ export function validateWorkout(data) {
     delete data.config.iteration;
   }
 
-  // Convert pattern configs for backward compatibility
+  // Convert pattern configs for backward compatibility (including patterns offered by choices)
   if (data.patterns) {
-    for (const pattern of data.patterns) {
+    for (const pattern of flattenPatterns(data.patterns)) {
       if (pattern.config) {
         // Convert pattern iteration to iterationType
         if (pattern.config.iteration && !pattern.config.iterationType) {
@@ -163,10 +220,10 @@ export function validateWorkout(data) {
         }
       }
       
-      // Convert entry configs for backward compatibility
+      // Convert entry configs for backward compatibility (including entries inside blocks)
       if (pattern.entries) {
-        for (const entry of pattern.entries) {
-          if (entry.config) {
+        for (const entry of flattenEntries(pattern.entries)) {
+          if (entry && entry.config) {
             // Convert message interval from time string to number
             if (entry.type === 'Message' && typeof entry.config.interval === 'string') {
               const timeStr = entry.config.interval;
@@ -197,6 +254,8 @@ export function validateWorkout(data) {
     result.errors.push(...configErrors);
   }
 
+  result.errors.push(...validateWorkoutTranslations(data));
+
   // Validate patterns
   if (!Array.isArray(data.patterns)) {
     result.addError(
@@ -209,11 +268,17 @@ export function validateWorkout(data) {
   } else {
     for (let i = 0; i < data.patterns.length; i++) {
       const pattern = data.patterns[i];
-      const patternErrors = validatePattern(pattern, i);
+      const patternErrors = pattern && pattern.type === 'Choice'
+        ? validateChoice(pattern, i, data.config)
+        : validatePattern(pattern, i, data.config);
       result.errors.push(...patternErrors);
     }
+    result.errors.push(...validatePositionLocks(data.patterns, 'patterns'));
   }
 
+  // Warnings are collected with the errors; they are reported apart
+  result.warnings = result.errors.filter(error => error.isWarning?.());
+  result.errors = result.errors.filter(error => !error.isWarning?.());
   result.isValid = result.errors.length === 0;
   return result;
 }
@@ -246,6 +311,47 @@ export function validateWorkoutConfig(config) {
     errors.push(...limitErrors);
   }
 
+  // Validate automatic rest defaults inherited by every pattern
+  REST_CONFIG_KEYS.forEach(key => {
+    if (config[key] !== undefined) {
+      errors.push(...validateRestConfig(config[key], key));
+    }
+  });
+
+  // Validate the interval protocol inherited by every pattern
+  if (config.protocol !== undefined) {
+    errors.push(...validateProtocolConfig(config.protocol));
+  }
+
+  // Validate rounds (the whole workout played several times)
+  if (config.rounds !== undefined && (!Number.isInteger(config.rounds) || config.rounds < 1)) {
+    errors.push(
+      new ValidationError({
+        field: 'rounds',
+        message: 'Rounds must be a whole number of at least 1',
+        value: config.rounds,
+      }),
+    );
+  }
+
+  if (config.restBetweenRounds !== undefined) {
+    errors.push(...validateRestConfig(config.restBetweenRounds, 'restBetweenRounds'));
+  }
+
+  if (config.announceRounds !== undefined && typeof config.announceRounds !== 'boolean') {
+    errors.push(
+      new ValidationError({
+        field: 'announceRounds',
+        message: 'announceRounds must be a boolean',
+        value: config.announceRounds,
+      }),
+    );
+  }
+
+  if (config.haptics !== undefined) {
+    errors.push(...validateHapticsConfig(config.haptics));
+  }
+
   // Validate base configuration
   const baseErrors = validateBaseConfig(config);
   errors.push(...baseErrors);
@@ -279,6 +385,46 @@ export function validatePatternConfig(config) {
   if (config.limits) {
     const limitErrors = validateLimitsConfig(config.limits);
     errors.push(...limitErrors);
+
+    // Only the workout can run open-ended; a pattern must end for the next one to start
+    if (config.limits.type === LimitsType.OPEN_ENDED) {
+      errors.push(
+        new ValidationError({
+          field: 'limits.type',
+          message: 'Open-ended limits are only supported at the workout level',
+          value: config.limits.type,
+          suggestions: [LimitsType.ALL_SHOTS, LimitsType.SHOT_LIMIT, LimitsType.TIME_LIMIT],
+        }),
+      );
+    }
+  }
+
+  // Validate sequence constraints if present
+  if (config.sequenceConstraints !== undefined) {
+    errors.push(...validateSequenceConstraintsConfig(config.sequenceConstraints));
+  }
+
+  // Validate automatic rest if present
+  REST_CONFIG_KEYS.forEach(key => {
+    if (config[key] !== undefined) {
+      errors.push(...validateRestConfig(config[key], key));
+    }
+  });
+
+  // Validate the interval protocol if present; it sets the pattern's limits, repeats and rest itself
+  if (config.protocol !== undefined) {
+    errors.push(...validateProtocolConfig(config.protocol));
+    PROTOCOL_MANAGED_KEYS.forEach(key => {
+      if (config[key] !== undefined) {
+        errors.push(
+          new ValidationError({
+            field: key,
+            message: `${key} cannot be combined with a protocol, which sets it for the pattern`,
+            value: config[key],
+          }),
+        );
+      }
+    });
   }
   
   if (config.repeatCount !== undefined && config.repeatCount !== null) {
@@ -502,15 +648,9 @@ export function validateMessageConfig(config) {
     return errors;
   }
 
-  // Validate message content
-  if (config.message !== undefined && typeof config.message !== 'string') {
-    errors.push(
-      new ValidationError({
-        field: 'message',
-        message: 'Message must be a string',
-        value: config.message,
-      }),
-    );
+  // Validate message content (a string, or its text by language)
+  if (config.message !== undefined) {
+    errors.push(...validateTranslatedText(config.message, 'message', 'Message'));
   }
 
   // Validate interval type
@@ -537,6 +677,18 @@ export function validateMessageConfig(config) {
     );
   }
 
+  // A message lasts its interval; a tempo only paces shots
+  if (config.shotsPerMinute !== undefined) {
+    errors.push(
+      new ValidationError({
+        field: 'shotsPerMinute',
+        message: 'Messages cannot use shotsPerMinute; set the message length with interval',
+        value: config.shotsPerMinute,
+        suggestions: ['Remove shotsPerMinute'],
+      }),
+    );
+  }
+
   // Validate skip at end of workout
   if (config.skipAtEndOfWorkout !== undefined && typeof config.skipAtEndOfWorkout !== 'boolean') {
     errors.push(
@@ -555,6 +707,236 @@ export function validateMessageConfig(config) {
   return errors;
 }
 
+/**
+ * Validates a name or message that is either a string or a non-empty map of
+ * language to text, e.g. { en: "Front left", es: "Delante izquierda" }.
+ */
+export function validateTranslatedText(value, field, label) {
+  if (typeof value === 'string') {
+    return [];
+  }
+  if (!isTranslatedText(value) || Object.keys(value).length === 0) {
+    return [
+      new ValidationError({
+        field: field,
+        message: `${label} must be a string or a map of language to text`,
+        value: value,
+        suggestions: ['{ "en": "Front left", "es": "Delante izquierda" }'],
+      }),
+    ];
+  }
+
+  return Object.entries(value)
+    .filter(([, text]) => typeof text !== 'string')
+    .map(([language, text]) => new ValidationError({
+      field: `${field}.${language}`,
+      message: `${label} translation must be a string`,
+      value: text,
+    }));
+}
+
+/**
+ * Validates a workout's base language and translation table
+ * ({ es: { "Front left": "Delante izquierda" } }).
+ */
+export function validateWorkoutTranslations(data) {
+  const errors = [];
+
+  if (data.language !== undefined && data.language !== null && (typeof data.language !== 'string' || !data.language.trim())) {
+    errors.push(
+      new ValidationError({
+        field: 'language',
+        message: 'Workout language must be a language tag such as "en"',
+        value: data.language,
+      }),
+    );
+  }
+
+  if (data.translations === undefined || data.translations === null) {
+    return errors;
+  }
+  if (!isTranslatedText(data.translations)) {
+    errors.push(
+      new ValidationError({
+        field: 'translations',
+        message: 'Translations must map each language to a table of canonical text to translated text',
+        value: data.translations,
+      }),
+    );
+    return errors;
+  }
+
+  Object.entries(data.translations).forEach(([language, table]) => {
+    if (!isTranslatedText(table)) {
+      errors.push(
+        new ValidationError({
+          field: `translations.${language}`,
+          message: 'A translation table must map canonical text to translated text',
+          value: table,
+        }),
+      );
+      return;
+    }
+    Object.entries(table)
+      .filter(([, text]) => typeof text !== 'string')
+      .forEach(([canonical, text]) => {
+        errors.push(
+          new ValidationError({
+            field: `translations.${language}.${canonical}`,
+            message: 'Translated text must be a string',
+            value: text,
+          }),
+        );
+      });
+  });
+
+  return errors;
+}
+
+/**
+ * Validates haptic settings: true, false or
+ * { enabled, patterns: { announcement, splitStep, shotBeep, countdown } } where
+ * each pattern is false or a list of vibrate/pause milliseconds.
+ */
+export function validateHapticsConfig(haptics) {
+  const errors = [];
+
+  if (typeof haptics === 'boolean') {
+    return errors;
+  }
+  if (!haptics || typeof haptics !== 'object' || Array.isArray(haptics)) {
+    errors.push(
+      new ValidationError({
+        field: 'haptics',
+        message: 'Haptics must be true, false or an object with enabled and patterns',
+        value: haptics,
+      }),
+    );
+    return errors;
+  }
+
+  if (haptics.enabled !== undefined && typeof haptics.enabled !== 'boolean') {
+    errors.push(
+      new ValidationError({
+        field: 'haptics.enabled',
+        message: 'haptics.enabled must be a boolean',
+        value: haptics.enabled,
+      }),
+    );
+  }
+
+  if (haptics.patterns === undefined) {
+    return errors;
+  }
+  if (!haptics.patterns || typeof haptics.patterns !== 'object' || Array.isArray(haptics.patterns)) {
+    errors.push(
+      new ValidationError({
+        field: 'haptics.patterns',
+        message: 'haptics.patterns must map each cue to a vibration pattern',
+        value: haptics.patterns,
+        suggestions: Object.values(HapticCue),
+      }),
+    );
+    return errors;
+  }
+
+  Object.entries(haptics.patterns).forEach(([cue, pattern]) => {
+    if (!Object.values(HapticCue).includes(cue)) {
+      errors.push(
+        new ValidationError({
+          field: `haptics.patterns.${cue}`,
+          message: `Unknown haptic cue: ${cue}`,
+          value: cue,
+          suggestions: Object.values(HapticCue),
+        }),
+      );
+    } else if (pattern !== false && (!Array.isArray(pattern)
+      || !pattern.every(duration => typeof duration === 'number' && Number.isFinite(duration) && duration >= 0))) {
+      errors.push(
+        new ValidationError({
+          field: `haptics.patterns.${cue}`,
+          message: 'A vibration pattern must be false or a list of non-negative milliseconds (vibrate, pause, vibrate, ...)',
+          value: pattern,
+          suggestions: ['[200]', '[40, 60, 40]', 'false'],
+        }),
+      );
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validates a portable voice profile ({ gender, language, rate, pitch, name }).
+ */
+export function validateVoiceProfile(profile) {
+  const errors = [];
+
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    errors.push(
+      new ValidationError({
+        field: 'voiceProfile',
+        message: 'Voice profile must be an object',
+        value: profile,
+      }),
+    );
+    return errors;
+  }
+
+  if (profile.gender !== undefined && !Object.values(VoiceGender).includes(profile.gender)) {
+    errors.push(
+      new ValidationError({
+        field: 'voiceProfile.gender',
+        message: `Invalid voice gender: ${profile.gender}`,
+        value: profile.gender,
+        suggestions: Object.values(VoiceGender),
+      }),
+    );
+  }
+
+  if (profile.language !== undefined && (typeof profile.language !== 'string' || !/^[a-z]{2,3}([-_][a-z0-9]{2,8})*$/i.test(profile.language))) {
+    errors.push(
+      new ValidationError({
+        field: 'voiceProfile.language',
+        message: 'Voice language must be a language tag such as "en" or "en-GB"',
+        value: profile.language,
+      }),
+    );
+  }
+
+  if (profile.rate !== undefined && (typeof profile.rate !== 'number' || profile.rate < 0.5 || profile.rate > 1.5)) {
+    errors.push(
+      new ValidationError({
+        field: 'voiceProfile.rate',
+        message: 'Voice rate must be between 0.5 and 1.5',
+        value: profile.rate,
+      }),
+    );
+  }
+
+  if (profile.pitch !== undefined && (typeof profile.pitch !== 'number' || profile.pitch < 0 || profile.pitch > 2)) {
+    errors.push(
+      new ValidationError({
+        field: 'voiceProfile.pitch',
+        message: 'Voice pitch must be between 0 and 2',
+        value: profile.pitch,
+      }),
+    );
+  }
+
+  if (profile.name !== undefined && typeof profile.name !== 'string') {
+    errors.push(
+      new ValidationError({
+        field: 'voiceProfile.name',
+        message: 'Voice name must be a string',
+        value: profile.name,
+      }),
+    );
+  }
+
+  return errors;
+}
+
 /**
  * Validates base configuration properties.
  */
@@ -585,6 +967,11 @@ export function validateBaseConfig(config) {
     }
   }
 
+  // Validate voice profile
+  if (config.voiceProfile !== undefined) {
+    errors.push(...validateVoiceProfile(config.voiceProfile));
+  }
+
   // Validate interval
   if (config.interval !== undefined) {
     if (typeof config.interval !== 'number' || config.interval < 0) {
@@ -598,6 +985,29 @@ export function validateBaseConfig(config) {
     }
   }
 
+  // Validate tempo (an interval entered as shots per minute)
+  if (config.shotsPerMinute !== undefined) {
+    if (typeof config.shotsPerMinute !== 'number' || !(config.shotsPerMinute > 0)) {
+      errors.push(
+        new ValidationError({
+          field: 'shotsPerMinute',
+          message: 'Shots per minute must be a positive number',
+          value: config.shotsPerMinute,
+        }),
+      );
+    }
+    if (config.interval !== undefined) {
+      errors.push(
+        new ValidationError({
+          field: 'shotsPerMinute',
+          message: 'Set either interval (seconds per shot) or shotsPerMinute, not both',
+          value: { interval: config.interval, shotsPerMinute: config.shotsPerMinute },
+          suggestions: ['Remove interval', 'Remove shotsPerMinute'],
+        }),
+      );
+    }
+  }
+
   // Validate split step speed
   if (config.splitStepSpeed && !Object.values(SplitStepSpeed).includes(config.splitStepSpeed)) {
     errors.push(
@@ -643,10 +1053,41 @@ export function validateBaseConfig(config) {
 
   // Validate interval offset
   if (config.intervalOffset) {
-    const offsetErrors = validateIntervalOffsetConfig(config.intervalOffset);
+    const offsetErrors = validateIntervalOffsetConfig(config.intervalOffset, config.intervalOffsetType);
     errors.push(...offsetErrors);
   }
 
+  // Validate interval mode
+  if (config.intervalMode !== undefined && !Object.values(IntervalMode).includes(config.intervalMode)) {
+    errors.push(
+      new ValidationError({
+        field: 'intervalMode',
+        message: `Invalid interval mode: ${config.intervalMode}`,
+        value: config.intervalMode,
+        suggestions: Object.values(IntervalMode),
+      }),
+    );
+  }
+
+  // Validate base speed (used by distance-scaled intervals)
+  if (config.baseSpeed !== undefined) {
+    if (typeof config.baseSpeed !== 'number' || !(config.baseSpeed > 0)) {
+      errors.push(
+        new ValidationError({
+          field: 'baseSpeed',
+          message: 'Base speed must be a positive number (meters per second)',
+          value: config.baseSpeed,
+        }),
+      );
+    }
+  }
+
+  // Validate interval ramp
+  if (config.intervalRamp !== undefined) {
+    const rampErrors = validateIntervalRampConfig(config.intervalRamp);
+    errors.push(...rampErrors);
+  }
+
   // Validate auto voice split step
   if (config.autoVoiceSplitStep !== undefined && typeof config.autoVoiceSplitStep !== 'boolean') {
     errors.push(
@@ -662,48 +1103,54 @@ export function validateBaseConfig(config) {
 }
 
 /**
- * Validates interval offset configuration.
+ * Validates the shape of a pattern's sequence constraints.
  */
-export function validateIntervalOffsetConfig(config) {
+export function validateSequenceConstraintsConfig(constraints) {
   const errors = [];
 
-  if (!config) {
+  if (!constraints || typeof constraints !== 'object' || Array.isArray(constraints)) {
+    errors.push(
+      new ValidationError({
+        field: 'sequenceConstraints',
+        message: 'Sequence constraints must be an object',
+        value: constraints,
+      }),
+    );
     return errors;
   }
 
-  // Validate min value
-  if (config.min !== undefined) {
-    if (typeof config.min !== 'number' || config.min < -2.0 || config.min > 2.0) {
+  Object.keys(constraints).forEach(key => {
+    if (!Object.values(SequenceConstraint).includes(key)) {
       errors.push(
         new ValidationError({
-          field: 'intervalOffset.min',
-          message: 'Interval offset min must be between -2.0 and 2.0',
-          value: config.min,
+          field: `sequenceConstraints.${key}`,
+          message: `Unknown sequence constraint: ${key}`,
+          value: constraints[key],
+          suggestions: Object.values(SequenceConstraint),
         }),
       );
     }
-  }
+  });
 
-  // Validate max value
-  if (config.max !== undefined) {
-    if (typeof config.max !== 'number' || config.max < -2.0 || config.max > 2.0) {
+  [SequenceConstraint.NO_IMMEDIATE_REPEAT, SequenceConstraint.MUST_ALTERNATE_FRONT_BACK].forEach(key => {
+    if (constraints[key] !== undefined && typeof constraints[key] !== 'boolean') {
       errors.push(
         new ValidationError({
-          field: 'intervalOffset.max',
-          message: 'Interval offset max must be between -2.0 and 2.0',
-          value: config.max,
+          field: `sequenceConstraints.${key}`,
+          message: `${key} must be a boolean`,
+          value: constraints[key],
         }),
       );
     }
-  }
+  });
 
-  // Validate min <= max
-  if (config.min !== undefined && config.max !== undefined && config.min > config.max) {
+  const maxSameSide = constraints[SequenceConstraint.MAX_CONSECUTIVE_SAME_SIDE];
+  if (maxSameSide !== undefined && (!Number.isInteger(maxSameSide) || maxSameSide < 1)) {
     errors.push(
       new ValidationError({
-        field: 'intervalOffset',
-        message: 'Interval offset min must be less than or equal to max',
-        value: { min: config.min, max: config.max },
+        field: `sequenceConstraints.${SequenceConstraint.MAX_CONSECUTIVE_SAME_SIDE}`,
+        message: 'maxConsecutiveSameSide must be a positive integer',
+        value: maxSameSide,
       }),
     );
   }
@@ -712,22 +1159,304 @@ export function validateIntervalOffsetConfig(config) {
 }
 
 /**
- * Validates limits configuration.
+ * Validates an interval ramp (intervalRamp config).
  */
-export function validateLimitsConfig(config) {
+export function validateIntervalRampConfig(ramp) {
   const errors = [];
 
-  if (!config) {
+  if (!ramp || typeof ramp !== 'object' || Array.isArray(ramp)) {
+    errors.push(
+      new ValidationError({
+        field: 'intervalRamp',
+        message: 'Interval ramp must be an object with type, from and to',
+        value: ramp,
+      }),
+    );
     return errors;
   }
 
-  // Validate type
-  if (!Object.values(LimitsType).includes(config.type)) {
+  if (!Object.values(IntervalRampType).includes(ramp.type)) {
     errors.push(
       new ValidationError({
-        field: 'limits.type',
-        message: `Invalid limits type: ${config.type}`,
-        value: config.type,
+        field: 'intervalRamp.type',
+        message: `Invalid interval ramp type: ${ramp.type}`,
+        value: ramp.type,
+        suggestions: Object.values(IntervalRampType),
+      }),
+    );
+    return errors;
+  }
+
+  // A 'none' ramp switches off an inherited ramp and needs no values
+  if (ramp.type === IntervalRampType.NONE) {
+    return errors;
+  }
+
+  ['from', 'to'].forEach(key => {
+    if (typeof ramp[key] !== 'number' || !(ramp[key] > 0)) {
+      errors.push(
+        new ValidationError({
+          field: `intervalRamp.${key}`,
+          message: `Interval ramp ${key} must be a positive number of seconds`,
+          value: ramp[key],
+        }),
+      );
+    }
+  });
+
+  if (ramp.steps !== undefined && (!Number.isInteger(ramp.steps) || ramp.steps < 2)) {
+    errors.push(
+      new ValidationError({
+        field: 'intervalRamp.steps',
+        message: 'Interval ramp steps must be a whole number of at least 2',
+        value: ramp.steps,
+      }),
+    );
+  }
+
+  return errors;
+}
+
+/**
+ * Validates an automatic rest setting (restBetweenRepeats or restAfterPattern):
+ * { duration, message?, countdown? } with duration in seconds or MM:SS.
+ */
+export function validateRestConfig(rest, field) {
+  const errors = [];
+
+  if (!rest || typeof rest !== 'object' || Array.isArray(rest)) {
+    errors.push(
+      new ValidationError({
+        field: field,
+        message: 'Rest must be an object with a duration',
+        value: rest,
+      }),
+    );
+    return errors;
+  }
+
+  const duration = parseTimeLimit(rest.duration);
+  if (typeof duration !== 'number' || !Number.isFinite(duration) || duration < 0) {
+    errors.push(
+      new ValidationError({
+        field: `${field}.duration`,
+        message: 'Rest duration must be a non-negative number of seconds or an MM:SS string',
+        value: rest.duration,
+      }),
+    );
+  }
+
+  if (rest.message !== undefined && typeof rest.message !== 'string') {
+    errors.push(
+      new ValidationError({
+        field: `${field}.message`,
+        message: 'Rest message must be a string',
+        value: rest.message,
+      }),
+    );
+  }
+
+  if (rest.countdown !== undefined && typeof rest.countdown !== 'boolean') {
+    errors.push(
+      new ValidationError({
+        field: `${field}.countdown`,
+        message: 'Rest countdown must be a boolean',
+        value: rest.countdown,
+      }),
+    );
+  }
+
+  return errors;
+}
+
+/**
+ * Validates an interval protocol setting (Tabata, EMOM or custom work/rest).
+ */
+export function validateProtocolConfig(protocol) {
+  const errors = [];
+
+  if (!protocol || typeof protocol !== 'object' || Array.isArray(protocol)) {
+    errors.push(
+      new ValidationError({
+        field: 'protocol',
+        message: 'Protocol must be an object with a type',
+        value: protocol,
+        suggestions: Object.values(ProtocolType),
+      }),
+    );
+    return errors;
+  }
+
+  if (!Object.values(ProtocolType).includes(protocol.type)) {
+    errors.push(
+      new ValidationError({
+        field: 'protocol.type',
+        message: `Invalid protocol type: ${protocol.type}`,
+        value: protocol.type,
+        suggestions: Object.values(ProtocolType),
+      }),
+    );
+    return errors;
+  }
+
+  const checkWholeNumber = (key, label) => {
+    if (!Number.isInteger(protocol[key]) || protocol[key] < 1) {
+      errors.push(
+        new ValidationError({
+          field: `protocol.${key}`,
+          message: `${label} must be a whole number of at least 1`,
+          value: protocol[key],
+        }),
+      );
+    }
+  };
+
+  const checkSeconds = (key, label, allowZero) => {
+    const seconds = parseTimeLimit(protocol[key]);
+    if (typeof seconds !== 'number' || !Number.isFinite(seconds) || seconds < 0 || (seconds === 0 && !allowZero)) {
+      errors.push(
+        new ValidationError({
+          field: `protocol.${key}`,
+          message: `${label} must be a ${allowZero ? 'non-negative' : 'positive'} number of seconds or an MM:SS string`,
+          value: protocol[key],
+        }),
+      );
+    }
+  };
+
+  if (protocol.type === ProtocolType.EMOM) {
+    checkWholeNumber('minutes', 'EMOM minutes');
+    checkWholeNumber('shotsPerMinute', 'EMOM shots per minute');
+  } else {
+    // Tabata only needs the settings it changes from 20s work / 10s rest / 8 rounds
+    const required = protocol.type === ProtocolType.WORK_REST;
+    if (required || protocol.work !== undefined) {
+      checkSeconds('work', 'Work time', false);
+    }
+    if (required || protocol.rest !== undefined) {
+      checkSeconds('rest', 'Rest time', true);
+    }
+    if (required || protocol.rounds !== undefined) {
+      checkWholeNumber('rounds', 'Protocol rounds');
+    }
+  }
+
+  if (protocol.restMessage !== undefined && typeof protocol.restMessage !== 'string') {
+    errors.push(
+      new ValidationError({
+        field: 'protocol.restMessage',
+        message: 'Protocol rest message must be a string',
+        value: protocol.restMessage,
+      }),
+    );
+  }
+
+  return errors;
+}
+
+/**
+ * Validates interval offset configuration.
+ */
+export function validateIntervalOffsetConfig(config, offsetType = null) {
+  const errors = [];
+
+  if (!config) {
+    return errors;
+  }
+
+  // Validate min value
+  if (config.min !== undefined) {
+    if (typeof config.min !== 'number' || config.min < -2.0 || config.min > 2.0) {
+      errors.push(
+        new ValidationError({
+          field: 'intervalOffset.min',
+          message: 'Interval offset min must be between -2.0 and 2.0',
+          value: config.min,
+        }),
+      );
+    }
+  }
+
+  // Validate max value
+  if (config.max !== undefined) {
+    if (typeof config.max !== 'number' || config.max < -2.0 || config.max > 2.0) {
+      errors.push(
+        new ValidationError({
+          field: 'intervalOffset.max',
+          message: 'Interval offset max must be between -2.0 and 2.0',
+          value: config.max,
+        }),
+      );
+    }
+  }
+
+  // Validate min <= max
+  if (config.min !== undefined && config.max !== undefined && config.min > config.max) {
+    errors.push(
+      new ValidationError({
+        field: 'intervalOffset',
+        message: 'Interval offset min must be less than or equal to max',
+        value: { min: config.min, max: config.max },
+      }),
+    );
+  }
+
+  // Shape of the normal and triangular distributions, inside the offset range
+  const min = typeof config.min === 'number' ? config.min : 0;
+  const max = typeof config.max === 'number' ? config.max : 0;
+  ['mean', 'mode'].forEach(key => {
+    if (config[key] !== undefined && (typeof config[key] !== 'number' || config[key] < min || config[key] > max)) {
+      errors.push(
+        new ValidationError({
+          field: `intervalOffset.${key}`,
+          message: `Interval offset ${key} must be a number between min (${min}) and max (${max})`,
+          value: config[key],
+        }),
+      );
+    }
+  });
+
+  if (config.stddev !== undefined && (typeof config.stddev !== 'number' || config.stddev < 0)) {
+    errors.push(
+      new ValidationError({
+        field: 'intervalOffset.stddev',
+        message: 'Interval offset stddev must be a number of seconds of at least 0',
+        value: config.stddev,
+      }),
+    );
+  }
+
+  // Zero-sum offsets cancel out, so the range must allow both signs
+  if (offsetType === IntervalOffsetType.ZERO_SUM && (min > 0 || max < 0)) {
+    errors.push(
+      new ValidationError({
+        field: 'intervalOffset',
+        message: 'Zero-sum interval offsets need min at or below 0 and max at or above 0 so they can cancel out',
+        value: { min: config.min, max: config.max },
+      }),
+    );
+  }
+
+  return errors;
+}
+
+/**
+ * Validates limits configuration.
+ */
+export function validateLimitsConfig(config) {
+  const errors = [];
+
+  if (!config) {
+    return errors;
+  }
+
+  // Validate type
+  if (!Object.values(LimitsType).includes(config.type)) {
+    errors.push(
+      new ValidationError({
+        field: 'limits.type',
+        message: `Invalid limits type: ${config.type}`,
+        value: config.type,
         suggestions: Object.values(LimitsType),
       }),
     );
@@ -761,8 +1490,9 @@ export function validateLimitsConfig(config) {
 
 /**
  * Validates a pattern.
+ * workoutConfig, when given, supplies inherited settings such as iterationType.
  */
-export function validatePattern(pattern, index) {
+export function validatePattern(pattern, index, workoutConfig = null) {
   const errors = [];
 
   if (!pattern || typeof pattern !== 'object') {
@@ -786,6 +1516,9 @@ export function validatePattern(pattern, index) {
     );
   }
 
+  // Patterns can be locked to a slot of a shuffled workout, but not repeat every Nth slot
+  errors.push(...validatePositionType(pattern.positionType, `patterns[${index}].positionType`, { allowEveryNth: false }));
+
   // Validate pattern configuration
   if (pattern.config) {
     const configErrors = validatePatternConfig(pattern.config);
@@ -797,6 +1530,23 @@ export function validatePattern(pattern, index) {
     );
   }
 
+  // An EMOM minute must fit its shots, or the work runs into the next minute
+  const protocol = pattern.config?.protocol ?? workoutConfig?.protocol;
+  if (protocol?.type === ProtocolType.EMOM && Number.isInteger(protocol.shotsPerMinute) && protocol.shotsPerMinute >= 1) {
+    const interval = resolveConfigInterval(pattern.config) ?? resolveConfigInterval(workoutConfig) ?? 5.0;
+    const workSeconds = protocol.shotsPerMinute * interval;
+    if (workSeconds > 60) {
+      errors.push(
+        new ValidationError({
+          field: `patterns[${index}].protocol.shotsPerMinute`,
+          message: `${protocol.shotsPerMinute} EMOM shots at ${interval}s take ${Math.round(workSeconds * 10) / 10}s, longer than the minute they must fit in`,
+          value: protocol.shotsPerMinute,
+          suggestions: [Math.max(1, Math.floor(60 / interval))],
+        }),
+      );
+    }
+  }
+
   // Validate entries
   if (!Array.isArray(pattern.entries)) {
     errors.push(
@@ -812,13 +1562,123 @@ export function validatePattern(pattern, index) {
       const entryErrors = validateEntry(entry, index, i);
       errors.push(...entryErrors);
     }
+    errors.push(...validateEntryLinks(pattern.entries, `patterns[${index}].entries`));
+    errors.push(...validatePositionLocks(pattern.entries, `patterns[${index}].entries`));
+    errors.push(...validateEveryNthReach(pattern, index, protocol));
+
+    // Weighted-random draws need at least one entry that can be drawn
+    const iterationType = pattern.config?.iterationType ?? workoutConfig?.iterationType ?? IterationType.IN_ORDER;
+    if (iterationType === IterationType.WEIGHTED_RANDOM && pattern.entries.length > 0) {
+      const hasDrawableEntry = pattern.entries.some(entry => {
+        if (!entry || entry.linkedTo || (entry.positionType && entry.positionType !== 'normal')) return false;
+        const weight = entry.weight ?? 1;
+        return typeof weight === 'number' && weight > 0;
+      });
+      if (!hasDrawableEntry) {
+        errors.push(
+          new ValidationError({
+            field: `patterns[${index}].entries`,
+            message: 'Weighted-random patterns need at least one unlocked entry with a weight above 0',
+            value: pattern.entries.map(entry => entry?.weight ?? 1),
+          }),
+        );
+      }
+    }
+
+    // Sequence constraints must leave at least one playable order
+    const sequenceConstraints = pattern.config?.sequenceConstraints;
+    if (sequenceConstraints && typeof sequenceConstraints === 'object') {
+      const reasons = findUnsatisfiableConstraints(pattern, iterationType);
+      if (reasons.length > 0) {
+        errors.push(
+          new ValidationError({
+            field: `patterns[${index}].sequenceConstraints`,
+            message: `Sequence constraints cannot be satisfied: ${reasons.join('; ')}`,
+            value: sequenceConstraints,
+          }),
+        );
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validates a choice slot: a non-empty list of patterns, one of which is
+ * picked by weight each time the slot is reached.
+ */
+export function validateChoice(choice, index, workoutConfig = null) {
+  const errors = [];
+  const choiceField = `patterns[${index}]`;
+
+  if (choice.name !== undefined && choice.name !== null && typeof choice.name !== 'string') {
+    errors.push(
+      new ValidationError({
+        field: `${choiceField}.name`,
+        message: 'Choice name must be a string',
+        value: choice.name,
+      }),
+    );
+  }
+
+  if (!Array.isArray(choice.patterns) || choice.patterns.length === 0) {
+    errors.push(
+      new ValidationError({
+        field: `${choiceField}.patterns`,
+        message: 'Choice patterns must be a non-empty array',
+        value: choice.patterns,
+      }),
+    );
+    return errors;
+  }
+
+  // Offered patterns are validated as workout patterns, then moved under this choice
+  choice.patterns.forEach((pattern, i) => {
+    const patternPrefix = `patterns[${i}]`;
+    const patternErrors = validatePattern(pattern, i, workoutConfig);
+    errors.push(
+      ...patternErrors.map(error => ({
+        ...error,
+        field: error.field && error.field.startsWith(patternPrefix)
+          ? `${choiceField}.patterns[${i}]${error.field.slice(patternPrefix.length)}`
+          : error.field,
+      })),
+    );
+
+    // Validate weight (relative chance of this pattern being picked)
+    if (pattern && pattern.weight !== undefined && pattern.weight !== null) {
+      if (typeof pattern.weight !== 'number' || !Number.isFinite(pattern.weight) || pattern.weight < 0) {
+        errors.push(
+          new ValidationError({
+            field: `${choiceField}.patterns[${i}].weight`,
+            message: 'Weight must be a non-negative number',
+            value: pattern.weight,
+          }),
+        );
+      }
+    }
+  });
+
+  const hasPickablePattern = choice.patterns.some(pattern => {
+    const weight = pattern?.weight ?? 1;
+    return typeof weight === 'number' && weight > 0;
+  });
+  if (!hasPickablePattern) {
+    errors.push(
+      new ValidationError({
+        field: `${choiceField}.patterns`,
+        message: 'Choices need at least one pattern with a weight above 0',
+        value: choice.patterns.map(pattern => pattern?.weight ?? 1),
+      }),
+    );
   }
 
   return errors;
 }
 
 /**
- * Validates an entry (shot or message).
+ * Validates an entry (shot, message or block).
  */
 export function validateEntry(entry, patternIndex, entryIndex) {
   const errors = [];
@@ -840,11 +1700,14 @@ export function validateEntry(entry, patternIndex, entryIndex) {
   } else if (entry.type === 'Message') {
     const messageErrors = validateMessage(entry, patternIndex, entryIndex);
     errors.push(...messageErrors);
+  } else if (entry.type === 'Block') {
+    const blockErrors = validateBlock(entry, patternIndex, entryIndex);
+    errors.push(...blockErrors);
   } else {
     errors.push(
       new ValidationError({
         field: `patterns[${patternIndex}].entries[${entryIndex}].type`,
-        message: "Entry type must be 'Shot' or 'Message'",
+        message: "Entry type must be 'Shot', 'Message' or 'Block'",
         value: entry.type,
       }),
     );
@@ -859,6 +1722,11 @@ export function validateEntry(entry, patternIndex, entryIndex) {
 export function validateShot(shot, patternIndex, entryIndex) {
   const errors = [];
 
+  // Validate name (a string, or the name by language)
+  if (shot.name !== undefined && shot.name !== null) {
+    errors.push(...validateTranslatedText(shot.name, `patterns[${patternIndex}].entries[${entryIndex}].name`, 'Shot name'));
+  }
+
   // Validate shot configuration
   if (shot.config) {
     const configErrors = validateShotConfig(shot.config);
@@ -870,24 +1738,34 @@ export function validateShot(shot, patternIndex, entryIndex) {
     );
   }
 
-  // Validate position type
-  if (shot.positionType) {
-    const validSpecialTypes = ['normal', 'locked', 'linked', 'last'];
-    const positionNum = parseInt(shot.positionType);
-    const isValidPosition = !isNaN(positionNum) && positionNum > 0;
-    
-    if (!validSpecialTypes.includes(shot.positionType) && !isValidPosition) {
+  // Validate weight (used by weighted-random patterns)
+  if (shot.weight !== undefined && shot.weight !== null) {
+    if (typeof shot.weight !== 'number' || !Number.isFinite(shot.weight) || shot.weight < 0) {
       errors.push(
         new ValidationError({
-          field: `patterns[${patternIndex}].entries[${entryIndex}].positionType`,
-          message: `Invalid position type: ${shot.positionType}`,
-          value: shot.positionType,
-          suggestions: ['normal', 'locked', 'linked', 'last', '1', '2', '3', '...'],
+          field: `patterns[${patternIndex}].entries[${entryIndex}].weight`,
+          message: 'Weight must be a non-negative number',
+          value: shot.weight,
         }),
       );
     }
   }
 
+  // Validate court position
+  if (shot.courtPosition !== undefined && shot.courtPosition !== null && !isValidCourtPosition(shot.courtPosition)) {
+    errors.push(
+      new ValidationError({
+        field: `patterns[${patternIndex}].entries[${entryIndex}].courtPosition`,
+        message: 'Court position must be a position name (e.g. "front-left", "3R") or {x, y} meters from the T within the court',
+        value: shot.courtPosition,
+        suggestions: Object.values(CourtPosition),
+      }),
+    );
+  }
+
+  // Validate position type
+  errors.push(...validatePositionType(shot.positionType, `patterns[${patternIndex}].entries[${entryIndex}].positionType`));
+
   return errors;
 }
 
@@ -897,6 +1775,11 @@ export function validateShot(shot, patternIndex, entryIndex) {
 export function validateMessage(message, patternIndex, entryIndex) {
   const errors = [];
 
+  // Validate name (a string, or the name by language)
+  if (message.name !== undefined && message.name !== null) {
+    errors.push(...validateTranslatedText(message.name, `patterns[${patternIndex}].entries[${entryIndex}].name`, 'Message name'));
+  }
+
   // Validate message configuration
   if (message.config) {
     const configErrors = validateMessageConfig(message.config);
@@ -909,22 +1792,496 @@ export function validateMessage(message, patternIndex, entryIndex) {
   }
 
   // Validate position type
-  if (message.positionType) {
-    const validSpecialTypes = ['normal', 'locked', 'linked', 'last'];
-    const positionNum = parseInt(message.positionType);
-    const isValidPosition = !isNaN(positionNum) && positionNum > 0;
-    
-    if (!validSpecialTypes.includes(message.positionType) && !isValidPosition) {
+  errors.push(...validatePositionType(message.positionType, `patterns[${patternIndex}].entries[${entryIndex}].positionType`));
+
+  return errors;
+}
+
+const POSITION_TYPE_SUGGESTIONS = ['normal', 'linked', 'last', 'last-1', '1', '2', '3', 'every-2', 'every-3', '...'];
+
+/**
+ * Validates a positionType: 'normal', 'locked', 'linked', a slot number
+ * ('1', '2', ...), 'last', 'last-N' (N slots before the last) or 'every-N'
+ * (every Nth slot, N of 2 or more; entries only).
+ */
+function validatePositionType(positionType, field, { allowEveryNth = true } = {}) {
+  if (positionType === undefined || positionType === null || positionType === '') {
+    return [];
+  }
+
+  const lock = parsePositionLock(positionType);
+  const isSpecialType = ['normal', 'locked', 'linked'].includes(positionType);
+  if (!isSpecialType && !lock) {
+    return [
+      new ValidationError({
+        field: field,
+        message: `Invalid position type: ${positionType}`,
+        value: positionType,
+        suggestions: allowEveryNth ? POSITION_TYPE_SUGGESTIONS : POSITION_TYPE_SUGGESTIONS.filter(type => !type.startsWith('every')),
+      }),
+    ];
+  }
+  if (lock?.type === 'every' && !allowEveryNth) {
+    return [
+      new ValidationError({
+        field: field,
+        message: 'Only entries can be played every Nth slot; use a slot number or last instead',
+        value: positionType,
+        suggestions: ['normal', 'last', '1'],
+      }),
+    ];
+  }
+  return [];
+}
+
+/**
+ * Names an entry in messages: its name in quotes, or "entry 3".
+ */
+function describeEntry(entry, index) {
+  const name = getCanonicalText(entry?.name);
+  return name ? `"${name}"` : `entry ${index + 1}`;
+}
+
+/**
+ * Validates the position locks of sibling entries against each other. A pass
+ * has one slot per entry that is not played every Nth slot; locks must fall
+ * inside the pass, no two entries can be locked to the same slot, and
+ * every-Nth entries cannot be linked or fall due in the same slot. Every-Nth
+ * entries are not woven in among the entries locked to the end of the pass,
+ * which is reported as a warning.
+ * @param {Array} entries - The sibling entries (or the workout's patterns)
+ * @param {string} entriesField - Field path of the entries array, e.g. "patterns[0].entries"
+ */
+export function validatePositionLocks(entries, entriesField) {
+  const errors = [];
+  if (!Array.isArray(entries)) {
+    return errors;
+  }
+
+  const regularEntries = entries.filter(entry => entry && typeof entry === 'object' && !isEveryNthEntry(entry));
+  const passLength = regularEntries.length;
+  const slotOwners = new Map();
+  // Slots at the end of the pass held by 'last' / 'last-N' locks and the entries after them
+  let lockedTailLength = 0;
+
+  groupLinkedElements(regularEntries).forEach(group => {
+    const lock = parsePositionLock(group[0].positionType);
+    if (!lock) {
+      return;
+    }
+    const index = entries.indexOf(group[0]);
+    const field = `${entriesField}[${index}].positionType`;
+    const start = getLockedSlot(lock, passLength, group.length);
+    if (start === null) {
+      const followers = group.length > 1 ? ` with the ${group.length - 1} ${group.length > 2 ? 'entries' : 'entry'} linked to it` : '';
+      errors.push(
+        new ValidationError({
+          field: field,
+          message: `Position ${group[0].positionType}${followers} does not fit in a pass of ${passLength} ${passLength === 1 ? 'slot' : 'slots'}`,
+          value: group[0].positionType,
+          suggestions: ['normal', 'last', String(Math.max(1, passLength - group.length + 1))],
+        }),
+      );
+      return;
+    }
+
+    for (let slot = start; slot < start + group.length; slot++) {
+      if (slotOwners.has(slot)) {
+        const owner = slotOwners.get(slot);
+        errors.push(
+          new ValidationError({
+            field: field,
+            message: `Slot ${slot + 1} is already locked to ${describeEntry(owner, entries.indexOf(owner))}; two entries cannot be locked to the same slot`,
+            value: group[0].positionType,
+          }),
+        );
+        return;
+      }
+    }
+    for (let slot = start; slot < start + group.length; slot++) {
+      slotOwners.set(slot, group[0]);
+    }
+    if (lock.type === 'last') {
+      lockedTailLength = Math.max(lockedTailLength, passLength - start);
+    }
+  });
+
+  const everyNthEntries = entries.filter(entry => entry && typeof entry === 'object' && isEveryNthEntry(entry));
+  everyNthEntries.forEach(entry => {
+    const field = `${entriesField}[${entries.indexOf(entry)}].positionType`;
+    const isLinkTarget = entry.id !== null && entry.id !== undefined && entries.some(other => other?.linkedTo === entry.id);
+    if (entry.linkedTo || isLinkTarget) {
+      errors.push(
+        new ValidationError({
+          field: field,
+          message: 'Entries played every Nth slot cannot be linked to or followed by linked entries',
+          value: entry.positionType,
+        }),
+      );
+    }
+    if (passLength === 0) {
+      errors.push(
+        new ValidationError({
+          field: field,
+          message: 'Entries played every Nth slot need other entries to fill the slots in between',
+          value: entry.positionType,
+        }),
+      );
+    } else if (lockedTailLength > 0) {
       errors.push(
         new ValidationError({
-          field: `patterns[${patternIndex}].entries[${entryIndex}].positionType`,
-          message: `Invalid position type: ${message.positionType}`,
-          value: message.positionType,
-          suggestions: ['normal', 'locked', 'linked', 'last', '1', '2', '3', '...'],
+          field: field,
+          message: `${describeEntry(entry, entries.indexOf(entry))} is not played in ${lockedTailLength === 1 ? 'the last slot of a pass, which is' : `the last ${lockedTailLength} slots of a pass, which are`} kept for entries locked to the end ('last' / 'last-N')`,
+          value: entry.positionType,
+          severity: 'warning',
         }),
       );
     }
+  });
+
+  // Walk a pass the way the generator fills it, looking for slots that two
+  // every-Nth entries fall due in; they are woven in before the locked tail
+  const intervals = everyNthEntries.map(entry => parsePositionLock(entry.positionType).interval);
+  const wovenLength = passLength - lockedTailLength;
+  const clashes = new Map();
+  let filledSlots = 0;
+  let regularPlayed = 0;
+  while (wovenLength > 0) {
+    const slot = filledSlots + 1;
+    const due = everyNthEntries.filter((_, i) => slot % intervals[i] === 0);
+    const key = due.map(entry => entries.indexOf(entry)).join(',');
+    if (due.length > 1 && !clashes.has(key)) {
+      clashes.set(key, slot);
+    }
+    if (due.length > 0) {
+      filledSlots += due.length;
+    } else if (regularPlayed < wovenLength) {
+      filledSlots += 1;
+      regularPlayed += 1;
+    } else {
+      break;
+    }
   }
+  clashes.forEach((slot, key) => {
+    const indices = key.split(',').map(Number);
+    errors.push(
+      new ValidationError({
+        field: `${entriesField}[${indices[0]}].positionType`,
+        message: `${indices.map(i => describeEntry(entries[i], i)).join(' and ')} are ${indices.length > 2 ? 'all' : 'both'} due in slot ${slot}; entries played every Nth slot cannot fall due in the same slot`,
+        value: entries[indices[0]].positionType,
+      }),
+    );
+  });
+
+  return errors;
+}
+
+/**
+ * Checks that every-Nth entries of a pattern without a shot or time limit
+ * fall due before the pattern ends. Slots are counted on across the
+ * pattern's repeats, so an entry due in slot N needs N - 1 slots played
+ * before it over all of them.
+ * @param {Object} pattern - The pattern
+ * @param {number} index - The pattern's index, for field paths
+ * @param {Object|undefined} protocol - The protocol in effect, which sets the pattern's limits
+ */
+function validateEveryNthReach(pattern, index, protocol) {
+  const errors = [];
+  const limitType = pattern.config?.limits?.type;
+  if (protocol || limitType === 'shot-limit' || limitType === 'time-limit') {
+    return errors;
+  }
+
+  const entries = pattern.entries.filter(entry => entry && typeof entry === 'object');
+  const passLength = entries.filter(entry => !isEveryNthEntry(entry)).length;
+  if (passLength === 0) {
+    return errors;
+  }
+
+  // Random repeat counts can reach as far as their maximum
+  const repeatCount = pattern.config?.repeatCount ?? 1;
+  let repeats = repeatCount;
+  if (repeatCount && typeof repeatCount === 'object') {
+    repeats = repeatCount.type === 'fixed' ? repeatCount.count || 1 : Math.max(repeatCount.min || 0, repeatCount.max || 0);
+  }
+  if (typeof repeats !== 'number' || !Number.isFinite(repeats)) {
+    return errors;
+  }
+
+  const slots = passLength * repeats;
+  entries.filter(isEveryNthEntry).forEach(entry => {
+    const interval = parsePositionLock(entry.positionType)?.interval;
+    if (interval && slots < interval - 1) {
+      const entryIndex = pattern.entries.indexOf(entry);
+      errors.push(
+        new ValidationError({
+          field: `patterns[${index}].entries[${entryIndex}].positionType`,
+          message: `${describeEntry(entry, entryIndex)} is due in slot ${interval}, but the pattern ends after ${slots} ${slots === 1 ? 'slot' : 'slots'}, so it would never play`,
+          value: entry.positionType,
+          suggestions: [`every-${slots + 1}`],
+        }),
+      );
+    }
+  });
+  return errors;
+}
+
+/**
+ * Validates the explicit links (linkedTo) between sibling entries of a
+ * pattern or block: every link must name another sibling by id, each entry
+ * can be followed by only one linked entry, links cannot form a cycle, and
+ * linked entries cannot also be position-locked.
+ * @param {Array} entries - The sibling entries
+ * @param {string} entriesField - Field path of the entries array, e.g. "patterns[0].entries"
+ */
+export function validateEntryLinks(entries, entriesField) {
+  const errors = [];
+  if (!Array.isArray(entries)) {
+    return errors;
+  }
+
+  const ids = new Set(entries.filter(entry => entry && entry.id !== null && entry.id !== undefined).map(entry => entry.id));
+  const targetById = new Map();
+  const linkedBy = new Map();
+
+  entries.forEach((entry, i) => {
+    if (!entry || entry.linkedTo === undefined || entry.linkedTo === null) {
+      return;
+    }
+    const field = `${entriesField}[${i}].linkedTo`;
+
+    if (typeof entry.linkedTo !== 'string' || entry.linkedTo.trim() === '') {
+      errors.push(
+        new ValidationError({
+          field: field,
+          message: 'linkedTo must be the id of another entry',
+          value: entry.linkedTo,
+        }),
+      );
+      return;
+    }
+
+    if (entry.linkedTo === entry.id) {
+      errors.push(
+        new ValidationError({
+          field: field,
+          message: 'An entry cannot be linked to itself',
+          value: entry.linkedTo,
+        }),
+      );
+      return;
+    }
+
+    if (!ids.has(entry.linkedTo)) {
+      errors.push(
+        new ValidationError({
+          field: field,
+          message: `linkedTo refers to "${entry.linkedTo}", which is not an entry of the same pattern or block`,
+          value: entry.linkedTo,
+          suggestions: [...ids].filter(id => id !== entry.id),
+        }),
+      );
+      return;
+    }
+
+    if (linkedBy.has(entry.linkedTo)) {
+      errors.push(
+        new ValidationError({
+          field: field,
+          message: `Only one entry can be linked to "${entry.linkedTo}"; link this one to the end of the chain instead`,
+          value: entry.linkedTo,
+        }),
+      );
+      return;
+    }
+    linkedBy.set(entry.linkedTo, entry);
+
+    if (entry.positionType && entry.positionType !== 'normal' && entry.positionType !== 'linked') {
+      errors.push(
+        new ValidationError({
+          field: `${entriesField}[${i}].positionType`,
+          message: 'Linked entries follow the entry they are linked to and cannot be position-locked',
+          value: entry.positionType,
+          suggestions: ['normal'],
+        }),
+      );
+    }
+
+    if (entry.id !== null && entry.id !== undefined) {
+      targetById.set(entry.id, entry.linkedTo);
+    }
+  });
+
+  // Follow each chain of links; coming back to its start means a cycle
+  const reported = new Set();
+  targetById.forEach((_, startId) => {
+    if (reported.has(startId)) {
+      return;
+    }
+    const chain = [startId];
+    let current = targetById.get(startId);
+    while (current !== undefined && current !== startId && !chain.includes(current)) {
+      chain.push(current);
+      current = targetById.get(current);
+    }
+    if (current === startId) {
+      chain.forEach(id => reported.add(id));
+      const index = entries.findIndex(entry => entry && entry.id === startId);
+      errors.push(
+        new ValidationError({
+          field: `${entriesField}[${index}].linkedTo`,
+          message: `Linked entries form a cycle: ${[...chain, startId].join(' → ')}`,
+          value: entries[index].linkedTo,
+        }),
+      );
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validates a block and, recursively, the entries nested in it.
+ */
+export function validateBlock(block, patternIndex, entryIndex) {
+  const errors = [];
+  const blockField = `patterns[${patternIndex}].entries[${entryIndex}]`;
+
+  // Validate block configuration
+  if (block.config) {
+    const configErrors = validateBlockConfig(block.config);
+    errors.push(
+      ...configErrors.map(error => ({
+        ...error,
+        field: `${blockField}.${error.field}`,
+      })),
+    );
+  }
+
+  // Validate weight (used when the block sits in a weighted-random pattern)
+  if (block.weight !== undefined && block.weight !== null) {
+    if (typeof block.weight !== 'number' || !Number.isFinite(block.weight) || block.weight < 0) {
+      errors.push(
+        new ValidationError({
+          field: `${blockField}.weight`,
+          message: 'Weight must be a non-negative number',
+          value: block.weight,
+        }),
+      );
+    }
+  }
+
+  // Validate position type
+  errors.push(...validatePositionType(block.positionType, `${blockField}.positionType`));
+
+  // Validate entries
+  if (!Array.isArray(block.entries) || block.entries.length === 0) {
+    errors.push(
+      new ValidationError({
+        field: `${blockField}.entries`,
+        message: 'Block entries must be a non-empty array',
+        value: block.entries,
+      }),
+    );
+    return errors;
+  }
+
+  // Nested entries are validated as pattern entries, then moved under this block
+  const entryPrefix = `patterns[${patternIndex}].entries[`;
+  block.entries.forEach((entry, i) => {
+    const entryErrors = validateEntry(entry, patternIndex, i);
+    errors.push(
+      ...entryErrors.map(error => ({
+        ...error,
+        field: error.field && error.field.startsWith(entryPrefix)
+          ? `${blockField}.entries[${error.field.slice(entryPrefix.length)}`
+          : error.field,
+      })),
+    );
+  });
+  errors.push(...validateEntryLinks(block.entries, `${blockField}.entries`));
+  errors.push(...validatePositionLocks(block.entries, `${blockField}.entries`));
+
+  const iterationType = block.config?.iterationType ?? IterationType.IN_ORDER;
+  if (iterationType === IterationType.WEIGHTED_RANDOM) {
+    const hasDrawableEntry = block.entries.some(entry => {
+      if (!entry || entry.linkedTo || (entry.positionType && entry.positionType !== 'normal')) return false;
+      const weight = entry.weight ?? 1;
+      return typeof weight === 'number' && weight > 0;
+    });
+    if (!hasDrawableEntry) {
+      errors.push(
+        new ValidationError({
+          field: `${blockField}.entries`,
+          message: 'Weighted-random blocks need at least one unlocked entry with a weight above 0',
+          value: block.entries.map(entry => entry?.weight ?? 1),
+        }),
+      );
+    }
+  }
+
+  const sequenceConstraints = block.config?.sequenceConstraints;
+  if (sequenceConstraints && typeof sequenceConstraints === 'object') {
+    const reasons = findUnsatisfiableConstraints(block, iterationType);
+    if (reasons.length > 0) {
+      errors.push(
+        new ValidationError({
+          field: `${blockField}.sequenceConstraints`,
+          message: `Sequence constraints cannot be satisfied: ${reasons.join('; ')}`,
+          value: sequenceConstraints,
+        }),
+      );
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validates block configuration. Blocks take the pattern settings except
+ * limits, automatic rest and protocols, which only patterns and the workout support.
+ */
+export function validateBlockConfig(config) {
+  const errors = [];
+
+  if (!config) {
+    return errors;
+  }
+
+  if (config.limits !== undefined) {
+    errors.push(
+      new ValidationError({
+        field: 'limits',
+        message: 'Limits are not supported on blocks; use repeatCount instead',
+        value: config.limits,
+      }),
+    );
+  }
+
+  REST_CONFIG_KEYS.forEach(key => {
+    if (config[key] !== undefined) {
+      errors.push(
+        new ValidationError({
+          field: key,
+          message: `${key} is not supported on blocks; set it on the pattern instead`,
+          value: config[key],
+        }),
+      );
+    }
+  });
+
+  if (config.protocol !== undefined) {
+    errors.push(
+      new ValidationError({
+        field: 'protocol',
+        message: 'Protocols are not supported on blocks; set it on the pattern instead',
+        value: config.protocol,
+      }),
+    );
+  }
+
+  const { limits, restBetweenRepeats, restAfterPattern, protocol, ...patternSettings } = config;
+  errors.push(...validatePatternConfig(patternSettings));
 
   return errors;
 }
@@ -0,0 +1,140 @@
+/**
+ * Voice pack module for squash workout definitions.
+ *
+ * This module provides functions for:
+ * - Loading voice packs (recorded clips keyed by shot name or phrase) from files, folders or zips
+ * - Looking up the clip and exact duration for an announcement's text
+ *
+ * A clip is named after the text it voices, so "Front Left.mp3" voices the shot
+ * "front left" and "Rest 30 seconds.wav" voices that message. Folder paths and
+ * extensions are ignored, and names match regardless of case and spacing.
+ * Texts without a clip fall back to speech synthesis.
+ */
+
+import { readZipEntries } from './zip.js';
+
+const AUDIO_EXTENSIONS = ['mp3', 'wav', 'ogg', 'oga', 'm4a', 'aac', 'webm', 'flac'];
+
+// Sample rate for decoding when no context is given; playback resamples as needed
+const DEFAULT_DECODE_SAMPLE_RATE = 44100;
+
+/**
+ * Normalizes clip names and announcement texts so "Front Left.mp3" matches "front left".
+ * @param {string} text - A clip's base name or an announcement's text
+ * @returns {string} The lookup key
+ */
+export function normalizeClipKey(text) {
+  return String(text).trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function splitClipPath(path) {
+  const baseName = String(path).split(/[\\/]/).pop();
+  const match = baseName.match(/^(.*)\.([^.]+)$/);
+  return match
+    ? { name: match[1], extension: match[2].toLowerCase() }
+    : { name: baseName, extension: '' };
+}
+
+function isAudioClipPath(path) {
+  const { name, extension } = splitClipPath(path);
+  // Skip hidden files such as macOS "._" resource forks
+  return !name.startsWith('.') && AUDIO_EXTENSIONS.includes(extension);
+}
+
+/**
+ * A set of decoded voice clips keyed by the text they voice.
+ */
+export class VoicePack {
+  /**
+   * @param {string} name - Shown in the UI
+   * @param {Map<string, AudioBuffer>} [clips] - Decoded clips by normalizeClipKey'd text
+   */
+  constructor(name, clips = new Map()) {
+    this.name = name;
+    this.clips = clips;
+  }
+
+  get size() {
+    return this.clips.size;
+  }
+
+  /**
+   * @param {string} text - An announcement's text
+   * @returns {AudioBuffer|null} The clip voicing it
+   */
+  get(text) {
+    return this.clips.get(normalizeClipKey(text)) || null;
+  }
+
+  has(text) {
+    return this.clips.has(normalizeClipKey(text));
+  }
+
+  /**
+   * @param {string} text - An announcement's text
+   * @returns {number|null} The clip's length in seconds, or null without a clip
+   */
+  getDuration(text) {
+    const clip = this.get(text);
+    return clip ? clip.duration : null;
+  }
+}
+
+async function decodeClips(sources, options) {
+  const {
+    name = 'Voice pack',
+    context = new OfflineAudioContext(1, 1, DEFAULT_DECODE_SAMPLE_RATE),
+  } = options;
+
+  const clips = new Map();
+  for (const { path, data } of sources) {
+    try {
+      clips.set(normalizeClipKey(splitClipPath(path).name), await context.decodeAudioData(data));
+    } catch (error) {
+      console.warn(`Skipping voice clip "${path}": ${error.message}`);
+    }
+  }
+
+  return new VoicePack(name, clips);
+}
+
+/**
+ * Loads a voice pack from audio files, such as a file picker's selection or a
+ * folder chosen with webkitdirectory. Non-audio files are ignored.
+ * @param {Iterable<File>} files - Clips named after the text they voice
+ * @param {object} [options] - { name, context (BaseAudioContext to decode with) }
+ * @returns {Promise<VoicePack>} The pack; undecodable clips are skipped
+ */
+export async function loadVoicePackFromFiles(files, options = {}) {
+  const sources = [];
+  for (const file of files) {
+    const path = file.webkitRelativePath || file.name;
+    if (isAudioClipPath(path)) {
+      sources.push({ path, data: await file.arrayBuffer() });
+    }
+  }
+
+  return decodeClips(sources, options);
+}
+
+/**
+ * Loads a voice pack from a zip of audio files. Clips may sit in folders
+ * within the zip; non-audio entries are ignored.
+ * @param {Blob} file - The zip file
+ * @param {object} [options] - { name (defaults to the zip's file name), context }
+ * @returns {Promise<VoicePack>} The pack; undecodable clips are skipped
+ */
+export async function loadVoicePackFromZip(file, options = {}) {
+  const entries = await readZipEntries(await file.arrayBuffer());
+  const sources = entries
+    .filter(entry => isAudioClipPath(entry.name))
+    .map(entry => ({
+      path: entry.name,
+      // decodeAudioData takes ownership of its buffer, so give it a standalone copy
+      data: entry.data.buffer.slice(entry.data.byteOffset, entry.data.byteOffset + entry.data.byteLength),
+    }));
+
+  const defaultName = file.name ? splitClipPath(file.name).name : undefined;
+  return decodeClips(sources, { name: defaultName, ...options });
+}
+
@@ -0,0 +1,287 @@
+/**
+ * Voice profile module for squash workout definitions.
+ *
+ * This module provides functions for:
+ * - Resolving an entry's effective config to a portable voice profile
+ * - Picking the local speech synthesis voice that best matches a profile
+ * - Reporting where a workout's voices had to be substituted on this device
+ *
+ * Voice names differ between devices, so a workout describes the voice it
+ * wants rather than only naming one. A profile is
+ * { gender, language, rate, pitch, name }: name is a preferred voice that is
+ * used when present, and the other fields pick the closest voice otherwise.
+ *
+ * Profiles come from three config keys, later ones taking precedence:
+ * - voiceProfile: the profile itself, e.g. { gender: 'female', language: 'en-GB' }
+ * - voice: 'Default', a preset from VOICE_PROFILE_PRESETS ('Male', 'Female',
+ *   'Fast', 'Slow') or the name of a voice
+ * - speechRate applies unless the profile or preset sets a rate
+ */
+
+import { VoiceGender } from './config.js';
+
+/**
+ * The voice options the builder offers, as profiles.
+ */
+export const VOICE_PROFILE_PRESETS = {
+  Default: {},
+  Male: { gender: VoiceGender.MALE },
+  Female: { gender: VoiceGender.FEMALE },
+  Fast: { rate: 1.25 },
+  Slow: { rate: 0.75 },
+};
+
+// Speech synthesis voices do not report a gender, so it is inferred from
+// well-known voice names and from names that say it outright
+const FEMALE_VOICE_NAMES = [
+  'samantha', 'karen', 'moira', 'tessa', 'fiona', 'victoria', 'serena', 'kate',
+  'susan', 'zira', 'hazel', 'heera', 'catherine', 'allison', 'ava', 'veena',
+  'paulina', 'monica', 'amelie', 'anna', 'alice', 'joana', 'luciana', 'sara',
+];
+const MALE_VOICE_NAMES = [
+  'daniel', 'alex', 'fred', 'rishi', 'tom', 'david', 'mark', 'george', 'james',
+  'oliver', 'arthur', 'aaron', 'gordon', 'ralph', 'jorge', 'diego', 'juan',
+  'thomas', 'luca', 'xander', 'yuri',
+];
+
+const VOICE_SCORE = {
+  EXACT_LANGUAGE: 4,
+  SAME_PRIMARY_LANGUAGE: 2,
+  MATCHING_GENDER: 3,
+  UNKNOWN_GENDER: 1,
+  LOCAL_SERVICE: 0.5,
+  BROWSER_DEFAULT: 0.25,
+};
+
+/**
+ * Normalizes a language tag for comparison, e.g. "en_GB" to "en-gb".
+ * @param {string|null} language - A language tag
+ * @returns {string|null} The normalized tag, or null when there is none
+ */
+export function normalizeLanguage(language) {
+  return language ? String(language).replace(/_/g, '-').toLowerCase() : null;
+}
+
+/**
+ * Gets the primary language of a language tag, e.g. "en" for "en-GB".
+ * @param {string|null} language - A language tag
+ * @returns {string|null} The primary language, or null when there is none
+ */
+export function primaryLanguage(language) {
+  return normalizeLanguage(language)?.split('-')[0] || null;
+}
+
+/**
+ * Works out a voice's gender from its name.
+ * @param {SpeechSynthesisVoice|object} voice - Anything with a name
+ * @returns {string|null} VoiceGender.MALE or VoiceGender.FEMALE, or null when it cannot tell
+ */
+export function inferVoiceGender(voice) {
+  const name = String(voice?.name || '').toLowerCase();
+  if (/\bfemale\b|\bwoman\b/.test(name)) {
+    return VoiceGender.FEMALE;
+  }
+  if (/\bmale\b|\bman\b/.test(name)) {
+    return VoiceGender.MALE;
+  }
+
+  const words = name.split(/[^a-z]+/);
+  if (words.some(word => FEMALE_VOICE_NAMES.includes(word))) {
+    return VoiceGender.FEMALE;
+  }
+  if (words.some(word => MALE_VOICE_NAMES.includes(word))) {
+    return VoiceGender.MALE;
+  }
+  return null;
+}
+
+/**
+ * Resolves an effective config's voice settings to a complete profile.
+ * @param {object} config - Effective config (voice, speechRate, voiceProfile)
+ * @returns {object} { gender, language, rate, pitch, name }
+ */
+export function resolveVoiceProfile(config = {}) {
+  const voice = config.voice || 'Default';
+  const preset = VOICE_PROFILE_PRESETS[voice];
+  const profile = {
+    gender: VoiceGender.ANY,
+    language: null,
+    rate: null,
+    pitch: 1.0,
+    name: null,
+    ...(config.voiceProfile || {}),
+    ...(preset || {}),
+  };
+
+  if (!preset) {
+    profile.name = voice;
+  }
+  if (profile.rate === null || profile.rate === undefined) {
+    profile.rate = config.speechRate || 1.0;
+  }
+
+  return profile;
+}
+
+/**
+ * Gets the speech rate an effective config speaks at, for timing estimates.
+ * @param {object} config - Effective config
+ * @returns {number} The rate (1.0 is normal speed)
+ */
+export function getVoiceSpeechRate(config = {}) {
+  return resolveVoiceProfile(config).rate;
+}
+
+/**
+ * Describes a profile for messages, e.g. 'female en-GB voice'.
+ */
+export function describeVoiceProfile(profile) {
+  const parts = [];
+  if (profile.gender && profile.gender !== VoiceGender.ANY) {
+    parts.push(profile.gender);
+  }
+  if (profile.language) {
+    parts.push(profile.language);
+  }
+  const description = `${parts.join(' ')} voice`.trim();
+  return profile.name ? `"${profile.name}" (${description})` : description;
+}
+
+/**
+ * Describes a local voice as a portable profile, so a workout that names it
+ * can find a similar voice on devices that lack it.
+ * @param {SpeechSynthesisVoice} voice - The voice
+ * @returns {object} { name, language, gender }, without gender when it cannot be inferred
+ */
+export function createVoiceProfileFromVoice(voice) {
+  const profile = { name: voice.name, language: voice.lang };
+  const gender = inferVoiceGender(voice);
+  if (gender) {
+    profile.gender = gender;
+  }
+  return profile;
+}
+
+function scoreVoice(voice, profile, targetLanguage) {
+  let score = 0;
+
+  const voiceLanguage = normalizeLanguage(voice.lang);
+  if (targetLanguage && voiceLanguage === targetLanguage) {
+    score += VOICE_SCORE.EXACT_LANGUAGE;
+  } else if (targetLanguage && primaryLanguage(voiceLanguage) === primaryLanguage(targetLanguage)) {
+    score += VOICE_SCORE.SAME_PRIMARY_LANGUAGE;
+  }
+
+  if (profile.gender && profile.gender !== VoiceGender.ANY) {
+    const gender = inferVoiceGender(voice);
+    if (gender === profile.gender) {
+      score += VOICE_SCORE.MATCHING_GENDER;
+    } else if (gender === null) {
+      score += VOICE_SCORE.UNKNOWN_GENDER;
+    }
+  }
+
+  if (voice.localService) {
+    score += VOICE_SCORE.LOCAL_SERVICE;
+  }
+  if (voice.default) {
+    score += VOICE_SCORE.BROWSER_DEFAULT;
+  }
+  return score;
+}
+
+/**
+ * Picks the local voice that best matches a profile: the named voice when it
+ * exists and speaks the profile's language, otherwise the voice that best fits its language (the device's when
+ * the profile has none) and gender.
+ * @param {object} profile - A profile from resolveVoiceProfile
+ * @param {Array<SpeechSynthesisVoice>} voices - The voices available
+ * @param {object} [options] - { defaultLanguage } (e.g. navigator.language)
+ * @returns {object} { voice, substitution }: voice is null to use the browser's
+ *   default; substitution is null when the profile was met, otherwise
+ *   { requested, used, reasons } describing the compromise
+ */
+export function selectVoice(profile, voices = [], options = {}) {
+  const reasons = [];
+
+  if (profile.name) {
+    const named = voices.find(voice => voice.name === profile.name);
+    if (named && (!profile.language || primaryLanguage(named.lang) === primaryLanguage(profile.language))) {
+      return { voice: named, substitution: null };
+    }
+    // A named voice cannot speak another language, e.g. when announcements are translated
+    reasons.push(named ? `"${profile.name}" does not speak ${profile.language}` : `"${profile.name}" is not installed`);
+  }
+
+  const wantsGender = Boolean(profile.gender) && profile.gender !== VoiceGender.ANY;
+  if (!profile.name && !profile.language && !wantsGender) {
+    return { voice: null, substitution: null };
+  }
+
+  const targetLanguage = normalizeLanguage(profile.language || options.defaultLanguage);
+  let bestVoice = null;
+  let bestScore = -1;
+  voices.forEach(voice => {
+    const score = scoreVoice(voice, profile, targetLanguage);
+    if (score > bestScore) {
+      bestVoice = voice;
+      bestScore = score;
+    }
+  });
+
+  if (profile.language && primaryLanguage(bestVoice?.lang) !== primaryLanguage(profile.language)) {
+    reasons.push(`no ${profile.language} voice`);
+  } else if (profile.language && normalizeLanguage(profile.language).includes('-')
+    && normalizeLanguage(bestVoice?.lang) !== normalizeLanguage(profile.language)) {
+    // A bare language such as 'es' is met by any of its regions
+    reasons.push(`no ${profile.language} voice, using ${bestVoice.lang}`);
+  }
+  if (wantsGender && bestVoice && inferVoiceGender(bestVoice) !== profile.gender) {
+    reasons.push(`no ${profile.gender} voice in that language`);
+  }
+
+  return {
+    voice: bestVoice,
+    substitution: reasons.length > 0
+      ? { requested: describeVoiceProfile(profile), used: bestVoice ? bestVoice.name : 'browser default', reasons }
+      : null,
+  };
+}
+
+function collectVoiceConfigs(node, inheritedConfig, configs) {
+  const config = { ...inheritedConfig, ...(node.config || {}) };
+  if (node.config?.voiceProfile && inheritedConfig.voiceProfile) {
+    config.voiceProfile = { ...inheritedConfig.voiceProfile, ...node.config.voiceProfile };
+  }
+  configs.push(config);
+
+  [...(node.patterns || []), ...(node.entries || [])].forEach(child => {
+    if (child && typeof child === 'object') {
+      collectVoiceConfigs(child, config, configs);
+    }
+  });
+}
+
+/**
+ * Lists where a workout's voices cannot be matched on this device.
+ * @param {object} workoutData - Workout JSON (or WorkoutData)
+ * @param {Array<SpeechSynthesisVoice>} voices - The voices available
+ * @param {object} [options] - { defaultLanguage }
+ * @returns {Array<object>} One { requested, used, reasons } per distinct voice substituted
+ */
+export function findVoiceSubstitutions(workoutData, voices = [], options = {}) {
+  const configs = [];
+  collectVoiceConfigs(workoutData || {}, {}, configs);
+
+  const substitutions = new Map();
+  configs.forEach(config => {
+    const profile = resolveVoiceProfile(config);
+    const key = JSON.stringify([profile.name, profile.gender, profile.language]);
+    if (substitutions.has(key)) {
+      return;
+    }
+    substitutions.set(key, selectVoice(profile, voices, options).substitution);
+  });
+
+  return [...substitutions.values()].filter(Boolean);
+}
@@ -0,0 +1,92 @@
+/**
+ * Zip reading module.
+ *
+ * This module provides a function for:
+ * - Listing a zip archive's files with their uncompressed contents
+ *
+ * Only what voice packs need is supported: stored and deflated entries in a
+ * single-disk archive without zip64 extensions. Deflated entries are inflated
+ * with DecompressionStream('deflate-raw').
+ */
+
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+
+// The end record is 22 bytes plus a comment of up to 65535 bytes
+const END_RECORD_SIZE = 22;
+const MAX_COMMENT_LENGTH = 0xffff;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+function findEndOfCentralDirectory(view) {
+  const earliest = Math.max(0, view.byteLength - END_RECORD_SIZE - MAX_COMMENT_LENGTH);
+  for (let offset = view.byteLength - END_RECORD_SIZE; offset >= earliest; offset--) {
+    if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+      return offset;
+    }
+  }
+  throw new Error('Invalid zip file: end of central directory not found');
+}
+
+async function inflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Reads the files in a zip archive. Directories are skipped, as are entries
+ * compressed with a method other than store or deflate (with a console warning).
+ * @param {ArrayBuffer} arrayBuffer - The archive's bytes
+ * @returns {Promise<Array<object>>} [{ name, data }] with name the entry's path and data a Uint8Array
+ */
+export async function readZipEntries(arrayBuffer) {
+  const view = new DataView(arrayBuffer);
+  const bytes = new Uint8Array(arrayBuffer);
+  const decoder = new TextDecoder();
+
+  const endOffset = findEndOfCentralDirectory(view);
+  const entryCount = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+
+  const entries = [];
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_SIGNATURE) {
+      throw new Error('Invalid zip file: corrupt central directory');
+    }
+
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localHeaderOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) {
+      continue;
+    }
+    if (method !== METHOD_STORED && method !== METHOD_DEFLATE) {
+      console.warn(`Skipping zip entry "${name}": unsupported compression method ${method}`);
+      continue;
+    }
+
+    // The local header repeats the name and may carry a different extra field
+    if (view.getUint32(localHeaderOffset, true) !== LOCAL_HEADER_SIGNATURE) {
+      throw new Error(`Invalid zip file: corrupt local header for "${name}"`);
+    }
+    const dataStart = localHeaderOffset + 30
+      + view.getUint16(localHeaderOffset + 26, true)
+      + view.getUint16(localHeaderOffset + 28, true);
+    const compressed = bytes.subarray(dataStart, dataStart + compressedSize);
+
+    entries.push({
+      name: name,
+      data: method === METHOD_DEFLATE ? await inflateRaw(compressed) : compressed.slice(),
+    });
+  }
+
+  return entries;
+}
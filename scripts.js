@@ -35,6 +35,12 @@ document.addEventListener("DOMContentLoaded", function () {
   const messageInstanceTemplate = document.querySelector(
     ".message-instance-template",
   );
+  const blockInstanceTemplate = document.querySelector(
+    ".block-instance-template",
+  );
+  const choiceInstanceTemplate = document.querySelector(
+    ".choice-instance-template",
+  );
   const addPatternBtn = document.getElementById("addPatternBtn");
   const workoutFileInput = document.getElementById("workoutFileInput");
   const themeToggle = document.getElementById("themeToggle");
@@ -60,7 +66,7 @@ document.addEventListener("DOMContentLoaded", function () {
       selector: '.shot-interval-slider',
       defaultKey: 'shotInterval',
       displayName: 'Shot Interval',
-      formatValue: (value) => `${parseFloat(value).toFixed(1)}s`
+      formatValue: (value) => formatIntervalLabel(value)
     },
     shotAnnouncementLeadTime: {
       selector: '.lead-time-slider',
@@ -125,6 +131,130 @@ document.addEventListener("DOMContentLoaded", function () {
     }
   };
 
+  // --- Interval Tempo ---
+  // Interval sliders always hold seconds per shot. In tempo mode they are shown
+  // and dragged in whole shots per minute, and intervals that are whole tempos
+  // are saved as config.shotsPerMinute instead of config.interval.
+
+  const INTERVAL_SLIDER_SELECTOR = ".shot-interval-slider, #defaultShotIntervalSlider";
+  let intervalTempoMode = localStorage.getItem("intervalUnit") === "shotsPerMinute";
+
+  /**
+   * Formats an interval for its slider label: "5.0s", or "12/min" in tempo mode.
+   * @param {number|string} seconds Seconds per shot.
+   * @returns {string} The label text.
+   */
+  function formatIntervalLabel(seconds) {
+    if (intervalTempoMode) {
+      return `${WorkoutLib.formatShotsPerMinute(WorkoutLib.intervalToShotsPerMinute(parseFloat(seconds)))}/min`;
+    }
+    return `${parseFloat(seconds).toFixed(1)}s`;
+  }
+
+  /**
+   * Shows an interval on a slider label, remembering the seconds it stands for.
+   * @param {HTMLElement|null} labelElement The label's value span.
+   * @param {number|string} seconds Seconds per shot.
+   */
+  function setIntervalLabel(labelElement, seconds) {
+    if (!labelElement) return;
+    labelElement.dataset.seconds = seconds;
+    labelElement.textContent = formatIntervalLabel(seconds);
+  }
+
+  /**
+   * Reads the seconds an interval label shows.
+   * @param {HTMLElement} labelElement The label's value span.
+   * @param {string} fallback Value when the label has not been set yet.
+   * @returns {string} Seconds per shot.
+   */
+  function getIntervalLabelSeconds(labelElement, fallback) {
+    if (labelElement.dataset.seconds !== undefined) return labelElement.dataset.seconds;
+    const seconds = parseFloat(labelElement.textContent);
+    return Number.isFinite(seconds) ? String(seconds) : fallback;
+  }
+
+  /**
+   * Gets the tempo an interval is saved as, if it is a whole tempo.
+   * @param {number} interval Seconds per shot.
+   * @returns {number|null} Shots per minute (to 0.1), or null to save seconds.
+   */
+  function getSavedTempo(interval) {
+    const shotsPerMinute = Math.round(WorkoutLib.intervalToShotsPerMinute(interval) * 10) / 10;
+    return shotsPerMinute > 0 && Math.abs(60 / shotsPerMinute - interval) < 1e-9 ? shotsPerMinute : null;
+  }
+
+  /**
+   * Rewrites a workout's shot intervals as tempos when tempo mode is on.
+   * Intervals that are not whole tempos stay in seconds so nothing is rounded.
+   * @param {Object} node Workout, pattern, block or entry JSON (modified in place).
+   */
+  function applyIntervalTempo(node) {
+    const config = node.config;
+    if (intervalTempoMode && node.type !== "Message" && typeof config?.interval === "number") {
+      const shotsPerMinute = getSavedTempo(config.interval);
+      if (shotsPerMinute !== null) {
+        delete config.interval;
+        config.shotsPerMinute = shotsPerMinute;
+      }
+    }
+
+    [...(node.patterns || []), ...(node.entries || [])].forEach(applyIntervalTempo);
+  }
+
+  /**
+   * Checks whether any level of a workout sets its interval as a tempo.
+   * @param {Object} node Workout, pattern, block or entry JSON.
+   * @returns {boolean}
+   */
+  function usesShotsPerMinute(node) {
+    if (!node || typeof node !== "object") return false;
+    if (node.config?.shotsPerMinute !== undefined) return true;
+    return [...(node.patterns || []), ...(node.entries || [])].some(usesShotsPerMinute);
+  }
+
+  /**
+   * Copies a workout with every tempo converted to seconds, for the sliders.
+   * @param {Object} node Workout, pattern, block or entry JSON.
+   * @returns {Object} The copy.
+   */
+  function withIntervalsInSeconds(node) {
+    if (!node || typeof node !== "object") return node;
+    const copy = { ...node };
+    if (node.config?.shotsPerMinute !== undefined) {
+      const { shotsPerMinute, ...config } = node.config;
+      copy.config = { ...config, interval: WorkoutLib.resolveConfigInterval(node.config) };
+    }
+    if (Array.isArray(node.patterns)) copy.patterns = node.patterns.map(withIntervalsInSeconds);
+    if (Array.isArray(node.entries)) copy.entries = node.entries.map(withIntervalsInSeconds);
+    return copy;
+  }
+
+  /**
+   * Switches interval sliders between seconds and tempo, in the page and in
+   * the templates new patterns and shots are made from.
+   * @param {boolean} enabled Whether to show and enter intervals as shots per minute.
+   */
+  function setIntervalTempoMode(enabled) {
+    intervalTempoMode = enabled;
+    localStorage.setItem("intervalUnit", enabled ? "shotsPerMinute" : "seconds");
+
+    const toggle = document.getElementById("intervalTempoToggle");
+    if (toggle) toggle.checked = enabled;
+
+    const templates = [patternInstanceTemplate, shotInstanceTemplate].filter(Boolean);
+    [document, ...templates.map((template) => template.content)].forEach((root) => {
+      root.querySelectorAll(INTERVAL_SLIDER_SELECTOR).forEach((slider) => {
+        // Whole tempos fall between the 0.1 s steps
+        slider.step = enabled ? "any" : "0.1";
+        const label = slider.id === "defaultShotIntervalSlider"
+          ? document.getElementById("defaultShotIntervalValue")
+          : slider.parentElement.querySelector(".shot-interval-value");
+        setIntervalLabel(label, slider.value);
+      });
+    });
+  }
+
 
 
   function initializeRocketMode() {
@@ -1011,6 +1141,7 @@ document.addEventListener("DOMContentLoaded", function () {
     const prepTimeValue = document.getElementById("prepTimeValue");
     const previewMenuItem = document.getElementById("previewMenuItem");
     const runMenuItem = document.getElementById("runMenuItem");
+    const historyMenuItem = document.getElementById("historyMenuItem");
 
     // Toggle dropdown on execute button click
     executeBtn.addEventListener("click", function(event) {
@@ -1081,6 +1212,15 @@ document.addEventListener("DOMContentLoaded", function () {
       });
     }
 
+    // History menu item click
+    if (historyMenuItem) {
+      historyMenuItem.addEventListener("click", function(event) {
+        event.stopPropagation();
+        executeDropdown.classList.remove("active");
+        showSessionHistory();
+      });
+    }
+
     // Function to show main execute menu
     function showExecuteMainMenu() {
       executeDropdown.style.display = 'block';
@@ -1392,6 +1532,7 @@ document.addEventListener("DOMContentLoaded", function () {
     const saveDropdown = document.getElementById("saveDropdown");
     const saveFileMenuItem = document.getElementById("saveFileMenuItem");
     const copyMenuItem = document.getElementById("copyMenuItem");
+    const exportAudioMenuItem = document.getElementById("exportAudioMenuItem");
 
     // Toggle dropdown on save button click
     saveBtn.addEventListener("click", function(event) {
@@ -1441,6 +1582,15 @@ document.addEventListener("DOMContentLoaded", function () {
       });
     }
 
+    // Export audio menu item click
+    if (exportAudioMenuItem) {
+      exportAudioMenuItem.addEventListener("click", function(event) {
+        event.stopPropagation();
+        saveDropdown.classList.remove("active");
+        exportWorkoutAudio();
+      });
+    }
+
 
   }
 
@@ -1810,6 +1960,8 @@ document.addEventListener("DOMContentLoaded", function () {
     if (isPositionLocked) {
       if (lockType === "last") {
         return "last"; // Locked to last position
+      } else if (isCountedLockType(lockType)) {
+        return lockType; // Counted from the end or every Nth slot, as loaded
       } else {
         // For position locks, return the actual current position within the pattern
         return getElementPosition(element).toString();
@@ -1818,6 +1970,158 @@ document.addEventListener("DOMContentLoaded", function () {
     return "normal"; // Default in-order execution
   }
 
+  /**
+   * Checks whether a lock type is one of the locks the builder keeps as loaded
+   * rather than cycling through: "last-N" (N slots before the last) or "every-N".
+   * @param {string} lockType The element's positionLockType.
+   * @returns {boolean}
+   */
+  function isCountedLockType(lockType) {
+    return /^(last|every)-\d+$/.test(lockType || "");
+  }
+
+  /**
+   * Gives an element a persistent id (if it has none yet) so that links to it stay valid.
+   * @param {HTMLElement} element The shot, message or block element.
+   * @returns {string} The element's id.
+   */
+  function ensureElementId(element) {
+    if (!element.id) {
+      element.id = generateUniqueId();
+    }
+    return element.id;
+  }
+
+  /**
+   * Gets the id of the entry a "linked with previous" shot or message is linked to.
+   * @param {HTMLElement} element The shot or message element.
+   * @returns {string|null} The previous entry's id, or null if the element is not linked.
+   */
+  function getLinkTargetId(element) {
+    if (element.dataset.linkedWithPrevious !== "true") return null;
+    const siblings = getSiblings(element, mainContainer);
+    const previous = siblings[siblings.indexOf(element) - 1];
+    return previous ? ensureElementId(previous) : null;
+  }
+
+  // Keys the builder reads and writes through its own controls. Any other keys
+  // on loaded data (e.g. courtPosition, intervalMode, baseSpeed) have no UI yet,
+  // so they are stashed on load and merged back when converting to JSON.
+  const BUILDER_MANAGED_KEYS = new Set([
+    "type", "id", "name", "positionType", "config", "entries", "patterns",
+    "weight", "linkedTo",
+  ]);
+  const BUILDER_MANAGED_CONFIG_KEYS = new Set([
+    "repeatCount", "interval", "shotAnnouncementLeadTime", "intervalOffset",
+    "intervalOffsetType", "splitStepSpeed", "autoVoiceSplitStep", "voice",
+    "speechRate", "iterationType", "limits", "message", "intervalType",
+    "countdown", "skipAtEndOfWorkout", "shotsPerMinute",
+  ]);
+
+  // Unmanaged fields of the loaded workout itself ({ fields, config })
+  let workoutUnmanagedFields = null;
+
+  /**
+   * Extracts the fields of a loaded object that the builder does not manage.
+   * @param {Object} data Workout, pattern, shot or message JSON.
+   * @returns {{fields: Object|null, config: Object|null, offsetShape: Object|null, nameTranslations: Object|null, messageTranslations: Object|null}|null} Unmanaged fields, or null if none.
+   */
+  function extractUnmanagedFields(data) {
+    if (!data || typeof data !== "object") return null;
+
+    const pick = (source, managedKeys) => {
+      if (!source || typeof source !== "object") return null;
+      const picked = {};
+      Object.keys(source).forEach((key) => {
+        if (!managedKeys.has(key) && source[key] !== undefined) {
+          picked[key] = source[key];
+        }
+      });
+      return Object.keys(picked).length > 0 ? picked : null;
+    };
+
+    const fields = pick(data, BUILDER_MANAGED_KEYS);
+    const config = pick(data.config, BUILDER_MANAGED_CONFIG_KEYS);
+    // The sliders set the offset range; a distribution's mean, stddev or mode has no control
+    const offsetShape = pick(data.config?.intervalOffset, new Set(["min", "max"]));
+    if (offsetShape) {
+      offsetShape.type = data.config.intervalOffsetType;
+    }
+    // The inputs edit the canonical name and message; other languages are kept as loaded
+    const nameTranslations = WorkoutLib.getTextTranslations(data.name);
+    const messageTranslations = WorkoutLib.getTextTranslations(data.config?.message);
+    return fields || config || offsetShape || nameTranslations || messageTranslations
+      ? { fields, config, offsetShape, nameTranslations, messageTranslations }
+      : null;
+  }
+
+  /**
+   * Stashes unmanaged fields of loaded JSON on the element built from it.
+   * @param {HTMLElement} element The pattern, shot or message element.
+   * @param {Object} data The JSON the element was created from.
+   */
+  function stashUnmanagedFields(element, data) {
+    const unmanaged = extractUnmanagedFields(data);
+    if (unmanaged) {
+      element.dataset.unmanagedFields = JSON.stringify(unmanaged);
+    } else {
+      delete element.dataset.unmanagedFields;
+    }
+  }
+
+  /**
+   * Merges stashed unmanaged fields back into an object built from the UI.
+   * Values from the UI win over stashed ones.
+   * @param {Object} target The JSON object being built (modified in place).
+   * @param {{fields: Object|null, config: Object|null}|null} unmanaged Stashed fields.
+   * @returns {Object} The target object.
+   */
+  function mergeUnmanagedFields(target, unmanaged) {
+    if (!unmanaged) return target;
+
+    if (unmanaged.fields) {
+      Object.keys(unmanaged.fields).forEach((key) => {
+        if (!(key in target)) {
+          target[key] = unmanaged.fields[key];
+        }
+      });
+    }
+    if (unmanaged.config) {
+      target.config = { ...unmanaged.config, ...(target.config || {}) };
+    }
+    const offset = target.config?.intervalOffset;
+    if (unmanaged.offsetShape && offset && target.config.intervalOffsetType === unmanaged.offsetShape.type) {
+      const { type, ...shape } = unmanaged.offsetShape;
+      // A mean or mode left outside a range the sliders have since narrowed is dropped
+      ["mean", "mode"].forEach((key) => {
+        if (shape[key] < offset.min || shape[key] > offset.max) delete shape[key];
+      });
+      target.config.intervalOffset = { ...shape, ...offset };
+    }
+    if (unmanaged.nameTranslations && target.name) {
+      target.name = WorkoutLib.withCanonicalText(unmanaged.nameTranslations, target.name);
+    }
+    if (unmanaged.messageTranslations && target.config?.message) {
+      target.config.message = WorkoutLib.withCanonicalText(unmanaged.messageTranslations, target.config.message);
+    }
+    return target;
+  }
+
+  /**
+   * Reads the unmanaged fields stashed on an element.
+   * @param {HTMLElement} element The pattern, shot or message element.
+   * @returns {{fields: Object|null, config: Object|null}|null} Stashed fields, or null.
+   */
+  function getUnmanagedFields(element) {
+    if (!element.dataset.unmanagedFields) return null;
+    try {
+      return JSON.parse(element.dataset.unmanagedFields);
+    } catch (error) {
+      console.warn("Ignoring unreadable unmanaged fields on", element.id, error);
+      return null;
+    }
+  }
+
   /**
    * Collects global/default configuration values.
    * @returns {Object} Global configuration object.
@@ -1934,11 +2238,22 @@ document.addEventListener("DOMContentLoaded", function () {
 
     const shotObject = {
       type: "Shot",
-      id: shotElement.id || generateUniqueId(),
+      id: ensureElementId(shotElement),
       name: titleInput ? titleInput.value : "",
       positionType: getPositionType(shotElement),
     };
 
+    const linkedTo = getLinkTargetId(shotElement);
+    if (linkedTo) {
+      shotObject.linkedTo = linkedTo;
+    }
+
+    // Include draw weight (only if not 1, since 1 is the default)
+    const weight = getShotWeight(shotElement);
+    if (weight !== 1) {
+      shotObject.weight = weight;
+    }
+
     // Build config object with all values
     const config = {};
     
@@ -2043,7 +2358,7 @@ document.addEventListener("DOMContentLoaded", function () {
       shotObject.config = cleanedConfig;
     }
 
-    return shotObject;
+    return mergeUnmanagedFields(shotObject, getUnmanagedFields(shotElement));
   }
 
   /**
@@ -2074,11 +2389,16 @@ document.addEventListener("DOMContentLoaded", function () {
 
     const messageObject = {
       type: "Message",
-      id: messageElement.id || generateUniqueId(),
+      id: ensureElementId(messageElement),
       name: titleInput ? titleInput.value : "",
       positionType: getPositionType(messageElement),
     };
 
+    const linkedTo = getLinkTargetId(messageElement);
+    if (linkedTo) {
+      messageObject.linkedTo = linkedTo;
+    }
+
     // Build config object with all values
     const config = {};
 
@@ -2155,7 +2475,57 @@ document.addEventListener("DOMContentLoaded", function () {
     if (cleanedConfig) {
       messageObject.config = cleanedConfig;
     }
-    return messageObject;
+    return mergeUnmanagedFields(messageObject, getUnmanagedFields(messageElement));
+  }
+
+  /**
+   * Converts a block instance to JSON format.
+   * The block's entries are kept as JSON on the element; the builder moves
+   * entries into and out of the block and edits its name, repeat count and
+   * iteration type, but not the settings of the entries inside it.
+   * @param {HTMLElement} blockElement The block instance element.
+   * @returns {Object} Block object in JSON format.
+   */
+  function blockToJSON(blockElement) {
+    const blockObject = JSON.parse(blockElement.dataset.blockData || "{}");
+    const titleInput = blockElement.querySelector(".block-title");
+    const repeatInput = blockElement.querySelector(".block-repeat-input");
+    const iterationTypeSelect = blockElement.querySelector(
+      ".block-iteration-type-select",
+    );
+
+    blockObject.type = "Block";
+    blockObject.id = blockElement.id || generateUniqueId();
+    blockObject.name = titleInput ? titleInput.value : blockObject.name;
+    blockObject.positionType = blockObject.positionType || "normal";
+    blockObject.entries = blockObject.entries || [];
+
+    const config = { ...(blockObject.config || {}) };
+
+    // Random repeat counts have no builder control and are kept as loaded
+    if (repeatInput && !repeatInput.disabled) {
+      const repeatCount = Math.max(1, parseInt(repeatInput.value) || 1);
+      if (repeatCount > 1) {
+        config.repeatCount = { type: "fixed", count: repeatCount };
+      } else {
+        delete config.repeatCount;
+      }
+    }
+
+    if (iterationTypeSelect) {
+      if (iterationTypeSelect.value === "in-order") {
+        delete config.iterationType;
+      } else {
+        config.iterationType = iterationTypeSelect.value;
+      }
+    }
+
+    if (Object.keys(config).length > 0) {
+      blockObject.config = config;
+    } else {
+      delete blockObject.config;
+    }
+    return blockObject;
   }
 
   /**
@@ -2191,15 +2561,17 @@ document.addEventListener("DOMContentLoaded", function () {
     const voiceSelect = patternElement.querySelector(".voice-select");
     const voiceRateSelect = patternElement.querySelector(".voice-rate-select");
 
-    // Collect entries (shots and messages)
+    // Collect entries (shots, messages and blocks)
     const entries = [];
     patternElement
-      .querySelectorAll(".shot-msg-instance")
+      .querySelectorAll(".shot-msg-instance, .block-instance")
       .forEach((instance) => {
         if (instance.classList.contains("shot-instance")) {
           entries.push(shotToJSON(instance));
         } else if (instance.classList.contains("message-instance")) {
           entries.push(messageToJSON(instance));
+        } else if (instance.classList.contains("block-instance")) {
+          entries.push(blockToJSON(instance));
         }
       });
 
@@ -2326,7 +2698,7 @@ document.addEventListener("DOMContentLoaded", function () {
       patternObject.config = cleanedConfig;
     }
 
-    return patternObject;
+    return mergeUnmanagedFields(patternObject, getUnmanagedFields(patternElement));
   }
 
   // Make functions available globally for debugging
@@ -2456,19 +2828,26 @@ document.addEventListener("DOMContentLoaded", function () {
 
   function getWorkoutJSON() {
     const patterns = [];
-    document.querySelectorAll(".pattern-instance").forEach((patternElement) => {
-      patterns.push(patternToJSON(patternElement));
+    document.querySelectorAll(".pattern-instance, .choice-instance").forEach((slotElement) => {
+      patterns.push(
+        slotElement.classList.contains("choice-instance")
+          ? choiceToJSON(slotElement)
+          : patternToJSON(slotElement),
+      );
     });
 
     const globalConfig = getGlobalConfigValues();
 
     const workoutNameInput = document.querySelector(".workout-name");
-    return {
+    const workoutData = mergeUnmanagedFields({
       type: "Workout",
       name: workoutNameInput ? workoutNameInput.value : "My Squash Workout",
       config: globalConfig,
       patterns: patterns,
-    };
+    }, workoutUnmanagedFields);
+    addPortableVoiceProfiles(workoutData);
+    applyIntervalTempo(workoutData);
+    return workoutData;
   }
 
   // Make main function available globally for debugging
@@ -2507,6 +2886,101 @@ document.addEventListener("DOMContentLoaded", function () {
     }
   }
 
+  /**
+   * Lets the user choose audio files; resolves with none if the picker is cancelled.
+   * @returns {Promise<Array<File>>} The chosen files
+   */
+  function pickVoiceClipFiles() {
+    return new Promise((resolve) => {
+      const input = document.createElement("input");
+      input.type = "file";
+      input.accept = "audio/*";
+      input.multiple = true;
+      input.addEventListener("change", () => resolve(Array.from(input.files)));
+      input.addEventListener("cancel", () => resolve([]));
+      input.click();
+    });
+  }
+
+  /**
+   * Renders the workout, beeps and voice clips included, to a WAV file and downloads it.
+   */
+  async function exportWorkoutAudio() {
+    const workoutData = getWorkoutJSON();
+
+    try {
+      WorkoutLib.validateWorkoutJSON(workoutData);
+    } catch (error) {
+      alert(`Cannot export workout audio: ${error.message}`);
+      return;
+    }
+
+    // Determine the current config state from the UI
+    const isConfigLocked = document.documentElement.getAttribute("data-rocket-mode") === "off";
+    const workoutDefaultInterval = defaultShotIntervalSlider ? parseFloat(defaultShotIntervalSlider.value) : 5.0;
+
+    // Enrich workout data with current UI config state
+    const enrichedWorkoutData = {
+      ...workoutData,
+      config: {
+        ...workoutData.config,
+        isConfigLocked: isConfigLocked,
+        workoutDefaultInterval: workoutDefaultInterval,
+      },
+    };
+
+    const result = WorkoutLib.loadWorkoutFromJsonWithValidation(enrichedWorkoutData);
+    if (!result.success) {
+      alert(`Cannot export workout audio: ${result.error || result.validationErrors[0]?.message || 'invalid workout'}`);
+      return;
+    }
+
+    // Speech synthesis cannot be recorded, so announcements need recorded clips:
+    // the imported voice pack, or clips chosen now
+    const wantsClips = Boolean(activeVoicePack) || confirm(
+      "Add recorded voice clips for the announcements?\n\n" +
+      "Choose audio files named after the shot or message they voice, e.g. \"Front Left.mp3\". " +
+      "Press Cancel to export beeps only."
+    );
+    const clipFiles = wantsClips && !activeVoicePack ? await pickVoiceClipFiles() : [];
+
+    try {
+      const voicePack = activeVoicePack || await WorkoutLib.loadVoicePackFromFiles(clipFiles);
+      // Match the preview's session when there is one
+      const seed = timelinePlayback.seed ?? WorkoutLib.generateSeed();
+      const rendered = await WorkoutLib.renderWorkoutAudio(result.workout, {
+        seed,
+        voicePack,
+        language: getSessionLanguage(),
+      });
+      const blob = new Blob([WorkoutLib.encodeWav(rendered.buffer)], { type: "audio/wav" });
+
+      // Create a temporary link element and trigger download
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `${(workoutData.name || "workout").replace(/[\\/:*?"<>|]/g, "-")} (seed ${seed}).wav`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+
+      const notes = [];
+      if (rendered.truncated) {
+        notes.push(`This workout does not end, so only its first ${WorkoutLib.formatTime(rendered.endTime)} was exported.`);
+      }
+      if (wantsClips && rendered.missingClips.length > 0) {
+        notes.push(`No voice clip for: ${rendered.missingClips.join(", ")}. These announcements are silent.`);
+      }
+      if (notes.length > 0) {
+        alert(notes.join("\n\n"));
+      }
+    } catch (error) {
+      console.error("Error exporting workout audio:", error);
+      alert("Error exporting workout audio. Please check the console for details.");
+    }
+  }
+
   /**
    * Handles copying the current workout to clipboard.
    */
@@ -2546,10 +3020,20 @@ document.addEventListener("DOMContentLoaded", function () {
     try {
       // Use the new library's validation function directly
       const { validateWorkoutJSON } = await import('./lib/parser.js');
-      validateWorkoutJSON(workoutData);
-      return { success: true, errors: [] };
+      const warnings = validateWorkoutJSON(workoutData) || [];
+      return { success: true, errors: [], warnings: warnings.map(warning => warning.message) };
     } catch (error) {
-      return { success: false, errors: [error.message] };
+      return { success: false, errors: [error.message], warnings: [] };
+    }
+  }
+
+  /**
+   * Tells the user about the warnings of a workout that was loaded anyway.
+   * @param {Object} validation Result of validateWorkoutJSON.
+   */
+  function reportValidationWarnings(validation) {
+    if (validation.warnings && validation.warnings.length > 0) {
+      alert("This workout loaded with warnings:\n\n" + validation.warnings.join("\n"));
     }
   }
 
@@ -2602,10 +3086,12 @@ document.addEventListener("DOMContentLoaded", function () {
       workoutNameInput.value = "My Squash Workout";
     }
 
-    // Remove all existing patterns
+    // Remove all existing patterns and choices
     const existingPatterns =
-      mainContainer.querySelectorAll(".pattern-instance");
+      mainContainer.querySelectorAll(".pattern-instance, .choice-instance");
     existingPatterns.forEach((pattern) => pattern.remove());
+
+    workoutUnmanagedFields = null;
   }
 
   /**
@@ -2686,7 +3172,7 @@ document.addEventListener("DOMContentLoaded", function () {
     if (defaultShotIntervalSlider && config.interval) {
       defaultShotIntervalSlider.value = config.interval;
       if (defaultShotIntervalValue) {
-        defaultShotIntervalValue.textContent = `${parseFloat(config.interval).toFixed(1)}s`;
+        setIntervalLabel(defaultShotIntervalValue, config.interval);
       }
     }
 
@@ -2734,10 +3220,10 @@ document.addEventListener("DOMContentLoaded", function () {
       if (defaultOffsetRandomMaximumSlider && config.intervalOffset.max !== undefined) {
         defaultOffsetRandomMaximumSlider.value = config.intervalOffset.max;
         // Update the option text to reflect the new values
-        if (defaultOffsetRandomOption) {
+        if (defaultOffsetTypeSelect) {
           const minVal = parseFloat(config.intervalOffset.min || 0).toFixed(1);
           const maxVal = parseFloat(config.intervalOffset.max || 0).toFixed(1);
-          defaultOffsetRandomOption.textContent = `Random range: ${minVal}s to ${maxVal}s`;
+          setOffsetRangeLabels(defaultOffsetTypeSelect, minVal, maxVal);
         }
       }
     }
@@ -2765,7 +3251,13 @@ document.addEventListener("DOMContentLoaded", function () {
       default:
         // Check if it's a numeric position (1, 2, 3, etc.)
         const positionNum = parseInt(positionType);
-        if (!isNaN(positionNum) && positionNum > 0) {
+        if (isCountedLockType(positionType)) {
+          element.dataset.positionLocked = "true";
+          element.dataset.linkedWithPrevious = "false";
+          element.dataset.positionLockType = positionType;
+          // The next toggle unlocks, as for any locked element
+          element.dataset.positionCycleState = "1";
+        } else if (!isNaN(positionNum) && positionNum > 0) {
           element.dataset.positionLocked = "true";
           element.dataset.linkedWithPrevious = "false";
           element.dataset.positionLockType = "position";
@@ -2793,6 +3285,9 @@ document.addEventListener("DOMContentLoaded", function () {
       newPattern.id = patternData.id;
     }
 
+    // Keep fields the builder has no controls for
+    stashUnmanagedFields(newPattern, patternData);
+
     // Set basic properties
     const titleInput = newPattern.querySelector(".pattern-panel-title");
     if (titleInput && patternData.name) {
@@ -2934,7 +3429,7 @@ document.addEventListener("DOMContentLoaded", function () {
             // Update display spans if present
             if (prop === 'interval') {
               const valSpan = newPattern.querySelector('.shot-interval-value');
-              if (valSpan) valSpan.textContent = `${parseFloat(effectiveValue).toFixed(1)}s`;
+              if (valSpan) setIntervalLabel(valSpan, effectiveValue);
             }
             if (prop === 'shotAnnouncementLeadTime') {
               const valSpan = newPattern.querySelector('.lead-time-value');
@@ -2956,6 +3451,10 @@ document.addEventListener("DOMContentLoaded", function () {
           createShotFromJSON(newPattern, entryData);
         } else if (entryData.type === "Message") {
           createMessageFromJSON(newPattern, entryData);
+        } else if (entryData.type === "Block") {
+          const blockElement = createBlockFromJSON(entryData);
+          const container = newPattern.querySelector(".shot-msg-instances-container");
+          if (container) container.appendChild(blockElement);
         }
       });
     }
@@ -2981,6 +3480,12 @@ document.addEventListener("DOMContentLoaded", function () {
       shotElement.id = shotData.id;
     }
 
+    // Keep fields the builder has no controls for
+    stashUnmanagedFields(shotElement, shotData);
+
+    // Set draw weight (used by weighted-random patterns)
+    setShotWeight(shotElement, shotData.weight);
+
     // Store original config data for data preservation
     if (shotData.config) {
       shotElement.dataset.originalConfig = JSON.stringify(shotData.config);
@@ -2989,11 +3494,13 @@ document.addEventListener("DOMContentLoaded", function () {
     // Set basic properties
     const titleInput = shotElement.querySelector(".shot-title");
     if (titleInput && shotData.name) {
-      titleInput.value = shotData.name;
+      titleInput.value = WorkoutLib.getCanonicalText(shotData.name);
     }
 
     // Set position type
-    if (shotData.positionType) {
+    if (shotData.linkedTo) {
+      setPositionType(shotElement, "linked"); // Explicit links are shown as a link with the previous entry
+    } else if (shotData.positionType) {
       setPositionType(shotElement, shotData.positionType);
     } else {
       setPositionType(shotElement, "normal"); // Default to normal if not specified
@@ -3011,10 +3518,10 @@ document.addEventListener("DOMContentLoaded", function () {
       }
 
       if (intervalSlider && config.interval) {
-        intervalSlider.value = parseFloat(config.interval).toFixed(1);
+        intervalSlider.value = parseFloat(config.interval);
         const intervalValue = shotElement.querySelector(".shot-interval-value");
         if (intervalValue)
-          intervalValue.textContent = `${parseFloat(config.interval).toFixed(1)}s`;
+          setIntervalLabel(intervalValue, config.interval);
       }
 
       if (leadTimeSlider && config.shotAnnouncementLeadTime) {
@@ -3043,7 +3550,7 @@ document.addEventListener("DOMContentLoaded", function () {
 
         if (config.intervalOffsetType === "fixed" && offsetFixedSlider) {
           offsetFixedSlider.value = config.intervalOffset.min;
-        } else if (config.intervalOffsetType === "random") {
+        } else if (config.intervalOffsetType) {
           if (offsetRandomMaxSlider)
             offsetRandomMaxSlider.value = config.intervalOffset.max;
           if (offsetRandomMinSlider)
@@ -3143,7 +3650,7 @@ document.addEventListener("DOMContentLoaded", function () {
             el.value = effectiveValue;
             if (prop === 'interval') {
               const valSpan = shotElement.querySelector('.shot-interval-value');
-              if (valSpan) valSpan.textContent = `${parseFloat(effectiveValue).toFixed(1)}s`;
+              if (valSpan) setIntervalLabel(valSpan, effectiveValue);
             }
             if (prop === 'shotAnnouncementLeadTime') {
               const valSpan = shotElement.querySelector('.lead-time-value');
@@ -3175,6 +3682,9 @@ document.addEventListener("DOMContentLoaded", function () {
       messageElement.id = messageData.id;
     }
 
+    // Keep fields the builder has no controls for
+    stashUnmanagedFields(messageElement, messageData);
+
     // Store original config data for data preservation
     if (messageData.config) {
       messageElement.dataset.originalConfig = JSON.stringify(messageData.config);
@@ -3183,11 +3693,13 @@ document.addEventListener("DOMContentLoaded", function () {
     // Set basic properties
     const titleInput = messageElement.querySelector(".message-title");
     if (titleInput && messageData.name) {
-      titleInput.value = messageData.name;
+      titleInput.value = WorkoutLib.getCanonicalText(messageData.name);
     }
 
     // Set position type
-    if (messageData.positionType) {
+    if (messageData.linkedTo) {
+      setPositionType(messageElement, "linked"); // Explicit links are shown as a link with the previous entry
+    } else if (messageData.positionType) {
       setPositionType(messageElement, messageData.positionType);
     } else {
       setPositionType(messageElement, "normal"); // Default to normal if not specified
@@ -3216,7 +3728,7 @@ document.addEventListener("DOMContentLoaded", function () {
       }
 
       if (messageInput && config.message) {
-        messageInput.value = config.message;
+        messageInput.value = WorkoutLib.getCanonicalText(config.message);
       }
 
       if (intervalSlider && config.interval) {
@@ -3281,66 +3793,387 @@ document.addEventListener("DOMContentLoaded", function () {
   }
 
   /**
-   * Loads a workout from JSON data.
-   * @param {Object} workoutData The validated workout JSON object.
+   * Creates a block instance from JSON data. The caller inserts it into the
+   * pattern's entry container.
+   * @param {Object} blockData The block JSON object.
+   * @returns {HTMLElement} The block instance element.
    */
-  function loadWorkout(workoutData) {
-    try {
-      // Check if this is a large workout that needs async loading
-      const totalShots = workoutData.patterns ?
-        workoutData.patterns.reduce((sum, pattern) => sum + (pattern.entries || []).length, 0) : 0;
+  function createBlockFromJSON(blockData) {
+    const blockElement =
+      blockInstanceTemplate.content.firstElementChild.cloneNode(true);
+    blockElement.id = blockData.id || generateUniqueId();
+    blockElement.dataset.blockData = JSON.stringify(blockData);
 
-      if (totalShots > 50) {
-        // Use async loading for large workouts
-        loadWorkoutAsync(workoutData);
-        return;
-      }
+    const titleInput = blockElement.querySelector(".block-title");
+    if (titleInput) {
+      titleInput.value = blockData.name || "Block";
+    }
 
-      // Use synchronous loading for small workouts
-      loadWorkoutSync(workoutData);
-    } catch (error) {
-      console.error("Error loading workout:", error);
-      alert("Error loading workout. Please check the console for details.");
+    const repeatInput = blockElement.querySelector(".block-repeat-input");
+    const repeatCount = blockData.config?.repeatCount;
+    if (repeatInput) {
+      if (repeatCount && typeof repeatCount === "object" && repeatCount.type !== "fixed") {
+        // No builder control for random repeats; show the range read-only
+        repeatInput.type = "text";
+        repeatInput.value = `${repeatCount.min ?? 0}–${repeatCount.max ?? 0}`;
+        repeatInput.disabled = true;
+      } else {
+        repeatInput.value =
+          typeof repeatCount === "number" ? repeatCount : repeatCount?.count || 1;
+      }
     }
-  }
 
-  /**
-   * Loads a workout synchronously (original behavior for small workouts)
-   */
-  function loadWorkoutSync(workoutData) {
-    // Set loading flag to prevent interference during loading
-    window.isLoadingWorkout = true;
-    
-    // Only remove favorites glow if this is not a favorite being loaded
-    // (favorites will set their own glow after loading)
-    if (!window._favoritesGlowActiveFor) {
-      removeFavoritesGlow();
+    const iterationTypeSelect = blockElement.querySelector(
+      ".block-iteration-type-select",
+    );
+    if (iterationTypeSelect) {
+      iterationTypeSelect.value = blockData.config?.iterationType || "in-order";
     }
-    
-    // Clear existing workout
-    clearWorkout();
 
-    // Reset the global instance counter to ensure consistent ID generation
-    globalInstanceCounter = 0;
+    renderBlockEntries(blockElement);
 
-    // Set workout name
-    const workoutNameInput = document.querySelector(".workout-name");
-    if (workoutNameInput && workoutData.name) {
-      workoutNameInput.value = workoutData.name;
+    const moveInSelect = blockElement.querySelector(".block-move-in-select");
+    if (moveInSelect) {
+      // The entries that could move in change as the pattern is edited
+      moveInSelect.addEventListener("focus", () => refreshBlockMoveInOptions(blockElement));
+      moveInSelect.addEventListener("mousedown", () => refreshBlockMoveInOptions(blockElement));
+      moveInSelect.addEventListener("change", () => {
+        const entryElement = moveInSelect.value ? document.getElementById(moveInSelect.value) : null;
+        moveInSelect.value = "";
+        if (entryElement) {
+          moveEntryIntoBlock(blockElement, entryElement);
+        }
+      });
     }
 
-    // Set global configuration
-    setGlobalConfig(workoutData.config);
-
-    // Create patterns
-    if (workoutData.patterns && Array.isArray(workoutData.patterns)) {
-      workoutData.patterns.forEach((patternData) => {
-        createPatternFromJSON(patternData);
+    const removeBtn = blockElement.querySelector(".block-remove-btn");
+    if (removeBtn) {
+      removeBtn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        const patternElement = blockElement.closest(".pattern-instance");
+        blockElement.remove();
+        if (patternElement) updateShotLimitSlider(patternElement);
       });
     }
 
-    // Update all UI states
-    updateAllPositionLockButtons();
+    return blockElement;
+  }
+
+  /**
+   * Gets the label the builder shows for an entry, in a block's entry list
+   * or in its move-in picker.
+   * @param {Object} entry The entry JSON object.
+   * @returns {string} The label.
+   */
+  function describeBlockEntry(entry) {
+    const name = WorkoutLib.getCanonicalText(entry.name || (entry.type === "Message" ? entry.config?.message : ""));
+    return name ? `${entry.type}: ${name}` : entry.type;
+  }
+
+  /**
+   * Shows a block's entries, each with a button to move it out of the block.
+   * @param {HTMLElement} blockElement The block instance element.
+   */
+  function renderBlockEntries(blockElement) {
+    const blockData = JSON.parse(blockElement.dataset.blockData || "{}");
+    const entries = blockData.entries || [];
+
+    const summary = blockElement.querySelector(".block-entries-summary");
+    if (summary) {
+      summary.textContent = `${entries.length} ${entries.length === 1 ? "entry" : "entries"}. Edit the entries' settings in the editor.`;
+    }
+
+    const list = blockElement.querySelector(".block-entries-list");
+    if (!list) return;
+    list.innerHTML = "";
+    entries.forEach((entry, index) => {
+      const item = document.createElement("li");
+      item.className = "flex justify-between items-center gap-2";
+      const label = document.createElement("span");
+      label.textContent = describeBlockEntry(entry);
+      const moveOutBtn = document.createElement("button");
+      moveOutBtn.type = "button";
+      moveOutBtn.className = "text-xs text-indigo-700 hover:underline";
+      moveOutBtn.textContent = "Move out";
+      moveOutBtn.title = "Move this entry out of the block, to just after it";
+      // A block needs at least one entry; remove the block to take out its last
+      if (entries.length === 1) {
+        moveOutBtn.disabled = true;
+        moveOutBtn.classList.add("opacity-50", "cursor-not-allowed");
+        moveOutBtn.title = "A block needs at least one entry; remove the block instead";
+      }
+      moveOutBtn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        moveEntryOutOfBlock(blockElement, index);
+      });
+      item.append(label, moveOutBtn);
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Fills a block's move-in picker with the other entries of its pattern.
+   * @param {HTMLElement} blockElement The block instance element.
+   */
+  function refreshBlockMoveInOptions(blockElement) {
+    const select = blockElement.querySelector(".block-move-in-select");
+    const container = blockElement.parentElement;
+    if (!select || !container) return;
+
+    select.querySelectorAll("option:not([value=''])").forEach((option) => option.remove());
+    Array.from(container.children)
+      .filter((element) => element !== blockElement && element.matches(".shot-msg-instance, .block-instance"))
+      .forEach((element) => {
+        const option = document.createElement("option");
+        option.value = ensureElementId(element);
+        option.textContent = describeBlockEntry(entryElementToJSON(element));
+        select.appendChild(option);
+      });
+  }
+
+  /**
+   * Converts a shot, message or block instance to JSON format.
+   * @param {HTMLElement} entryElement The entry instance element.
+   * @returns {Object} The entry JSON object.
+   */
+  function entryElementToJSON(entryElement) {
+    if (entryElement.classList.contains("block-instance")) {
+      return blockToJSON(entryElement);
+    }
+    return entryElement.classList.contains("shot-instance")
+      ? shotToJSON(entryElement)
+      : messageToJSON(entryElement);
+  }
+
+  /**
+   * Moves a shot, message or block of a pattern to the end of a block's entries.
+   * A link with the previous entry does not carry over, as the entry before it changes.
+   * @param {HTMLElement} blockElement The block instance element.
+   * @param {HTMLElement} entryElement The entry to move in.
+   */
+  function moveEntryIntoBlock(blockElement, entryElement) {
+    const entry = entryElementToJSON(entryElement);
+    delete entry.linkedTo;
+
+    const blockData = JSON.parse(blockElement.dataset.blockData || "{}");
+    blockData.entries = [...(blockData.entries || []), entry];
+    blockElement.dataset.blockData = JSON.stringify(blockData);
+
+    const patternElement = blockElement.closest(".pattern-instance");
+    entryElement.remove();
+    renderBlockEntries(blockElement);
+    if (patternElement) {
+      updateShotLimitSlider(patternElement);
+      updateWeightControlsVisibility(patternElement);
+    }
+    updateAllPositionLockButtons();
+    updateAllMoveButtonStates();
+  }
+
+  /**
+   * Moves one of a block's entries out of it, to just after the block.
+   * @param {HTMLElement} blockElement The block instance element.
+   * @param {number} index The entry's index in the block.
+   */
+  function moveEntryOutOfBlock(blockElement, index) {
+    const patternElement = blockElement.closest(".pattern-instance");
+    const blockData = JSON.parse(blockElement.dataset.blockData || "{}");
+    const entries = blockData.entries || [];
+    const entry = entries[index];
+    if (!patternElement || !entry || entries.length === 1) return;
+
+    // Links to or from the entry were within the block, so they end here
+    const movedEntry = { ...entry };
+    delete movedEntry.linkedTo;
+    blockData.entries = entries.filter((_, i) => i !== index);
+    blockData.entries.forEach((other) => {
+      if (other.linkedTo === entry.id) delete other.linkedTo;
+    });
+    blockElement.dataset.blockData = JSON.stringify(blockData);
+
+    let entryElement = null;
+    if (movedEntry.type === "Shot") {
+      entryElement = createShotFromJSON(patternElement, movedEntry);
+    } else if (movedEntry.type === "Message") {
+      entryElement = createMessageFromJSON(patternElement, movedEntry);
+    } else if (movedEntry.type === "Block") {
+      entryElement = createBlockFromJSON(movedEntry);
+    }
+    if (entryElement) {
+      blockElement.after(entryElement);
+    }
+
+    renderBlockEntries(blockElement);
+    updateShotLimitSlider(patternElement);
+    updateWeightControlsVisibility(patternElement);
+    updateAllPositionLockButtons();
+    updateAllMoveButtonStates();
+  }
+
+  /**
+   * Adds a block to the end of a pattern's entries. Blocks cannot be empty,
+   * so it starts with a blank shot, like a new pattern does.
+   * @param {HTMLElement} patternElement The pattern instance element.
+   */
+  function addBlockToPattern(patternElement) {
+    const container = patternElement.querySelector(".shot-msg-instances-container");
+    if (!container) return;
+    container.appendChild(
+      createBlockFromJSON({
+        type: "Block",
+        id: generateUniqueId(),
+        name: "Block",
+        positionType: "normal",
+        entries: [
+          { type: "Shot", id: generateUniqueId(), name: "", positionType: "normal" },
+        ],
+      }),
+    );
+  }
+
+  /**
+   * Creates a read-only card for a choice slot. The builder has no controls
+   * for the patterns a choice offers, so they are kept as loaded.
+   * @param {Object} choiceData The choice JSON object.
+   * @returns {HTMLElement} The choice element.
+   */
+  function createChoiceFromJSON(choiceData) {
+    const choiceElement =
+      choiceInstanceTemplate.content.firstElementChild.cloneNode(true);
+    choiceElement.id = choiceData.id || generateUniqueId();
+    choiceElement.dataset.choiceData = JSON.stringify(choiceData);
+
+    const titleInput = choiceElement.querySelector(".choice-title");
+    if (titleInput) {
+      titleInput.value = choiceData.name || "Choice";
+    }
+
+    const summary = choiceElement.querySelector(".choice-patterns-summary");
+    if (summary) {
+      const patterns = choiceData.patterns || [];
+      const names = patterns.map((pattern) =>
+        pattern.weight !== undefined && pattern.weight !== null
+          ? `${pattern.name || "Pattern"} (weight ${pattern.weight})`
+          : pattern.name || "Pattern",
+      );
+      summary.textContent = `Plays one of ${patterns.length} ${patterns.length === 1 ? "pattern" : "patterns"}: ${names.join(", ")}. Edit the patterns in the editor.`;
+    }
+
+    const removeBtn = choiceElement.querySelector(".choice-remove-btn");
+    if (removeBtn) {
+      removeBtn.addEventListener("click", (e) => {
+        e.stopPropagation();
+        choiceElement.remove();
+        positionAddPatternButton();
+      });
+    }
+
+    return choiceElement;
+  }
+
+  /**
+   * Converts a choice card back to JSON, keeping its patterns as loaded.
+   * @param {HTMLElement} choiceElement The choice element.
+   * @returns {Object} The choice JSON object.
+   */
+  function choiceToJSON(choiceElement) {
+    const choiceData = JSON.parse(choiceElement.dataset.choiceData || "{}");
+    const titleInput = choiceElement.querySelector(".choice-title");
+    return {
+      ...choiceData,
+      type: "Choice",
+      name: titleInput ? titleInput.value : choiceData.name,
+    };
+  }
+
+  /**
+   * Returns a copy of a block whose own and nested entry ids are new, so a
+   * cloned pattern does not share ids with the original.
+   * @param {Object} blockData The block JSON object.
+   * @returns {Object} The copy with fresh ids.
+   */
+  function withFreshEntryIds(blockData) {
+    const copy = JSON.parse(JSON.stringify(blockData));
+    const refresh = (entry) => {
+      entry.id = generateUniqueId();
+      (entry.entries || []).forEach(refresh);
+    };
+    refresh(copy);
+    return copy;
+  }
+
+  /**
+   * Loads a workout from JSON data.
+   * @param {Object} workoutData The validated workout JSON object.
+   */
+  function loadWorkout(workoutData) {
+    try {
+      // Sliders hold seconds; a workout written in tempos is shown in tempos
+      if (usesShotsPerMinute(workoutData)) {
+        setIntervalTempoMode(true);
+        workoutData = withIntervalsInSeconds(workoutData);
+      }
+
+      // Check if this is a large workout that needs async loading
+      const totalShots = workoutData.patterns ?
+        workoutData.patterns.reduce((sum, pattern) => sum + (pattern.entries || []).length, 0) : 0;
+
+      if (totalShots > 50) {
+        // Use async loading for large workouts
+        loadWorkoutAsync(workoutData);
+        return;
+      }
+
+      // Use synchronous loading for small workouts
+      loadWorkoutSync(workoutData);
+    } catch (error) {
+      console.error("Error loading workout:", error);
+      alert("Error loading workout. Please check the console for details.");
+    }
+  }
+
+  /**
+   * Loads a workout synchronously (original behavior for small workouts)
+   */
+  function loadWorkoutSync(workoutData) {
+    // Set loading flag to prevent interference during loading
+    window.isLoadingWorkout = true;
+    
+    // Only remove favorites glow if this is not a favorite being loaded
+    // (favorites will set their own glow after loading)
+    if (!window._favoritesGlowActiveFor) {
+      removeFavoritesGlow();
+    }
+    
+    // Clear existing workout
+    clearWorkout();
+
+    // Reset the global instance counter to ensure consistent ID generation
+    globalInstanceCounter = 0;
+
+    // Set workout name
+    const workoutNameInput = document.querySelector(".workout-name");
+    if (workoutNameInput && workoutData.name) {
+      workoutNameInput.value = workoutData.name;
+    }
+
+    // Set global configuration
+    setGlobalConfig(workoutData.config);
+    workoutUnmanagedFields = extractUnmanagedFields(workoutData);
+
+    // Create patterns
+    if (workoutData.patterns && Array.isArray(workoutData.patterns)) {
+      workoutData.patterns.forEach((patternData) => {
+        if (patternData.type === "Choice") {
+          mainContainer.appendChild(createChoiceFromJSON(patternData));
+        } else {
+          createPatternFromJSON(patternData);
+        }
+      });
+    }
+
+    // Update all UI states
+    updateAllPositionLockButtons();
     updateAllMoveButtonStates();
 
     // Reinitialize all UI states and event listeners
@@ -3386,6 +4219,7 @@ document.addEventListener("DOMContentLoaded", function () {
 
       // Set global configuration
       setGlobalConfig(workoutData.config);
+      workoutUnmanagedFields = extractUnmanagedFields(workoutData);
 
       // Create patterns asynchronously to prevent UI blocking
       if (workoutData.patterns && Array.isArray(workoutData.patterns)) {
@@ -3528,6 +4362,7 @@ document.addEventListener("DOMContentLoaded", function () {
           )
         ) {
           loadWorkout(jsonData);
+          reportValidationWarnings(validation);
         }
       } catch (error) {
         console.error("Error parsing JSON:", error);
@@ -3723,6 +4558,7 @@ document.addEventListener("DOMContentLoaded", function () {
         )
       ) {
         loadWorkout(jsonData);
+        reportValidationWarnings(validation);
         console.log("Workout loaded from clipboard successfully");
       }
     } catch (parseError) {
@@ -3814,6 +4650,7 @@ document.addEventListener("DOMContentLoaded", function () {
           )
         ) {
           loadWorkout(jsonData);
+          reportValidationWarnings(validation);
           console.log("Workout loaded from URL successfully");
         }
 
@@ -3917,7 +4754,11 @@ document.addEventListener("DOMContentLoaded", function () {
         updateLoadingProgress(i + 1, totalPatterns, `Loading pattern ${i + 1} of ${totalPatterns}: ${patternData.name || 'Unnamed'}`);
 
         // Create pattern using optimized function that skips expensive updates
-        createPatternFromJSONOptimized(patternData);
+        if (patternData.type === "Choice") {
+          mainContainer.appendChild(createChoiceFromJSON(patternData));
+        } else {
+          createPatternFromJSONOptimized(patternData);
+        }
       }
 
       // Update current index
@@ -3950,6 +4791,9 @@ document.addEventListener("DOMContentLoaded", function () {
       newPattern.id = patternData.id;
     }
 
+    // Keep fields the builder has no controls for
+    stashUnmanagedFields(newPattern, patternData);
+
     // Set basic properties
     const titleInput = newPattern.querySelector(".pattern-panel-title");
     if (titleInput && patternData.name) {
@@ -4069,7 +4913,7 @@ document.addEventListener("DOMContentLoaded", function () {
             // Update display spans if present
             if (prop === 'interval') {
               const valSpan = newPattern.querySelector('.shot-interval-value');
-              if (valSpan) valSpan.textContent = `${parseFloat(effectiveValue).toFixed(1)}s`;
+              if (valSpan) setIntervalLabel(valSpan, effectiveValue);
             }
             if (prop === 'shotAnnouncementLeadTime') {
               const valSpan = newPattern.querySelector('.lead-time-value');
@@ -4094,6 +4938,8 @@ document.addEventListener("DOMContentLoaded", function () {
           entryElement = createShotFromJSONOptimized(newPattern, entryData);
         } else if (entryData.type === "Message") {
           entryElement = createMessageFromJSONOptimized(newPattern, entryData);
+        } else if (entryData.type === "Block") {
+          entryElement = createBlockFromJSON(entryData);
         }
         if (entryElement) {
           fragment.appendChild(entryElement);
@@ -4137,14 +4983,22 @@ document.addEventListener("DOMContentLoaded", function () {
       shotElement.id = shotData.id;
     }
 
+    // Keep fields the builder has no controls for
+    stashUnmanagedFields(shotElement, shotData);
+
+    // Set draw weight (used by weighted-random patterns)
+    setShotWeight(shotElement, shotData.weight);
+
     // Set basic properties
     const titleInput = shotElement.querySelector(".shot-title");
     if (titleInput && shotData.name) {
-      titleInput.value = shotData.name;
+      titleInput.value = WorkoutLib.getCanonicalText(shotData.name);
     }
 
     // Set position type
-    if (shotData.positionType) {
+    if (shotData.linkedTo) {
+      setPositionType(shotElement, "linked"); // Explicit links are shown as a link with the previous entry
+    } else if (shotData.positionType) {
       setPositionType(shotElement, shotData.positionType);
     } else {
       setPositionType(shotElement, "normal");
@@ -4162,9 +5016,9 @@ document.addEventListener("DOMContentLoaded", function () {
       }
 
       if (intervalSlider && config.interval) {
-        intervalSlider.value = parseFloat(config.interval).toFixed(1);
+        intervalSlider.value = parseFloat(config.interval);
         const intervalValue = shotElement.querySelector(".shot-interval-value");
-        if (intervalValue) intervalValue.textContent = `${parseFloat(config.interval).toFixed(1)}s`;
+        if (intervalValue) setIntervalLabel(intervalValue, config.interval);
       }
 
       if (leadTimeSlider && config.shotAnnouncementLeadTime) {
@@ -4184,7 +5038,7 @@ document.addEventListener("DOMContentLoaded", function () {
 
         if (config.intervalOffsetType === "fixed" && offsetFixedSlider) {
           offsetFixedSlider.value = config.intervalOffset.min;
-        } else if (config.intervalOffsetType === "random") {
+        } else if (config.intervalOffsetType) {
           if (offsetRandomMaxSlider) offsetRandomMaxSlider.value = config.intervalOffset.max;
           if (offsetRandomMinSlider) offsetRandomMinSlider.value = config.intervalOffset.min;
         }
@@ -4251,7 +5105,7 @@ document.addEventListener("DOMContentLoaded", function () {
             el.value = effectiveValue;
             if (prop === 'interval') {
               const valSpan = shotElement.querySelector('.shot-interval-value');
-              if (valSpan) valSpan.textContent = `${parseFloat(effectiveValue).toFixed(1)}s`;
+              if (valSpan) setIntervalLabel(valSpan, effectiveValue);
             }
             if (prop === 'shotAnnouncementLeadTime') {
               const valSpan = shotElement.querySelector('.lead-time-value');
@@ -4276,14 +5130,19 @@ document.addEventListener("DOMContentLoaded", function () {
       messageElement.id = messageData.id;
     }
 
+    // Keep fields the builder has no controls for
+    stashUnmanagedFields(messageElement, messageData);
+
     // Set basic properties
     const titleInput = messageElement.querySelector(".message-title");
     if (titleInput && messageData.name) {
-      titleInput.value = messageData.name;
+      titleInput.value = WorkoutLib.getCanonicalText(messageData.name);
     }
 
     // Set position type
-    if (messageData.positionType) {
+    if (messageData.linkedTo) {
+      setPositionType(messageElement, "linked"); // Explicit links are shown as a link with the previous entry
+    } else if (messageData.positionType) {
       setPositionType(messageElement, messageData.positionType);
     } else {
       setPositionType(messageElement, "normal");
@@ -4297,7 +5156,7 @@ document.addEventListener("DOMContentLoaded", function () {
       const skipCheckbox = messageElement.querySelector(".skip-at-end-of-workout");
 
       if (messageInput && config.message) {
-        messageInput.value = config.message;
+        messageInput.value = WorkoutLib.getCanonicalText(config.message);
       }
 
       if (intervalSlider && config.interval) {
@@ -4521,6 +5380,11 @@ document.addEventListener("DOMContentLoaded", function () {
       limitsSelect.dispatchEvent(new Event("change"));
     });
 
+    // Show weight inputs for weighted-random patterns
+    document.querySelectorAll(".pattern-instance").forEach((pattern) => {
+      updateWeightControlsVisibility(pattern);
+    });
+
     // Update all message interval displays
     document
       .querySelectorAll(".message-interval-slider")
@@ -4901,6 +5765,44 @@ document.addEventListener("DOMContentLoaded", function () {
     }
   }
 
+  /**
+   * Reads a shot's draw weight from its weight input.
+   * @param {HTMLElement} shotElement The shot instance element.
+   * @returns {number} The weight, 1 when unset or invalid.
+   */
+  function getShotWeight(shotElement) {
+    const weightInput = shotElement.querySelector(".weight-input");
+    const weight = weightInput ? parseFloat(weightInput.value) : NaN;
+    return Number.isFinite(weight) && weight >= 0 ? weight : 1;
+  }
+
+  /**
+   * Sets a shot's draw weight input.
+   * @param {HTMLElement} shotElement The shot instance element.
+   * @param {number|undefined|null} weight The weight to show; defaults to 1.
+   */
+  function setShotWeight(shotElement, weight) {
+    const weightInput = shotElement.querySelector(".weight-input");
+    if (weightInput) {
+      weightInput.value = typeof weight === "number" ? weight : 1;
+    }
+  }
+
+  /**
+   * Shows the weight inputs of a pattern's shots only while the pattern
+   * iterates weighted-random.
+   * @param {HTMLElement} patternElement The pattern element containing the shots.
+   */
+  function updateWeightControlsVisibility(patternElement) {
+    if (!patternElement) return;
+
+    const iterationTypeSelect = patternElement.querySelector(".iteration-type-select");
+    const isWeighted = iterationTypeSelect && iterationTypeSelect.value === "weighted-random";
+    patternElement.querySelectorAll(".shot-instance .weight-container").forEach((container) => {
+      container.classList.toggle("hidden", !isWeighted);
+    });
+  }
+
   /**
    * Updates the default offset controls visibility and text.
    */
@@ -4955,9 +5857,9 @@ document.addEventListener("DOMContentLoaded", function () {
         const val2 = parseFloat(defaultOffsetRandomMinimumSlider.value).toFixed(
           1,
         );
-        defaultOffsetRandomOption.textContent = `Random range: ${val2}s to ${val1}s`;
+        setOffsetRangeLabels(defaultOffsetTypeSelect, val2, val1);
       } else {
-        // 'random'
+        // 'random', 'normal', 'triangular' and 'zero-sum' share the range sliders
         defaultOffsetFixedContainer.classList.add("hidden");
         defaultOffsetRandomContainer.classList.remove("hidden");
         defaultOffsetFixedSlider.disabled = true;
@@ -4970,7 +5872,7 @@ document.addEventListener("DOMContentLoaded", function () {
         const val2 = parseFloat(defaultOffsetRandomMinimumSlider.value).toFixed(
           1,
         );
-        defaultOffsetRandomOption.textContent = `Random range: ${val2}s to ${val1}s`;
+        setOffsetRangeLabels(defaultOffsetTypeSelect, val2, val1);
         defaultOffsetFixedOption.textContent = `Fixed: ${parseFloat(defaultOffsetFixedSlider.value).toFixed(1)}s`;
       }
     } else {
@@ -4983,7 +5885,7 @@ document.addEventListener("DOMContentLoaded", function () {
       defaultOffsetRandomMinimumSlider.disabled = true;
 
       defaultOffsetFixedOption.textContent = `Fixed: 0.0s`;
-      defaultOffsetRandomOption.textContent = `Random range: 0.0s to 0.0s`;
+      setOffsetRangeLabels(defaultOffsetTypeSelect, "0.0", "0.0");
     }
   }
 
@@ -5137,7 +6039,8 @@ document.addEventListener("DOMContentLoaded", function () {
       iterationType: defaultIterationTypeSelect
         ? defaultIterationTypeSelect.value
         : "in-order",
-      limitsType: defaultLimitsTypeSelect
+      // Patterns cannot be open-ended, so they fall back to playing all their shots
+      limitsType: defaultLimitsTypeSelect && defaultLimitsTypeSelect.value !== "open-ended"
         ? defaultLimitsTypeSelect.value
         : "all-shots",
       shotLimit: defaultShotLimitSlider ? defaultShotLimitSlider.value : "1",
@@ -5340,7 +6243,7 @@ document.addEventListener("DOMContentLoaded", function () {
       if (patternShotInterval) {
         patternShotInterval.value = defaults.shotInterval;
         if (patternShotIntervalValue)
-          patternShotIntervalValue.textContent = `${parseFloat(defaults.shotInterval).toFixed(1)}s`;
+          setIntervalLabel(patternShotIntervalValue, defaults.shotInterval);
       }
       if (patternLeadTime) {
         patternLeadTime.value = defaults.leadTime;
@@ -5408,7 +6311,7 @@ document.addEventListener("DOMContentLoaded", function () {
           if (shotInterval) {
             shotInterval.value = defaults.shotInterval;
             if (shotIntervalValue)
-              shotIntervalValue.textContent = `${parseFloat(defaults.shotInterval).toFixed(1)}s`;
+              setIntervalLabel(shotIntervalValue, defaults.shotInterval);
           }
           if (leadTime) {
             leadTime.value = defaults.leadTime;
@@ -5774,6 +6677,8 @@ document.addEventListener("DOMContentLoaded", function () {
     if (isLocked) {
       if (lockType === "last") {
         positionLockText.textContent = "Unlock from LAST position";
+      } else if (isCountedLockType(lockType)) {
+        positionLockText.textContent = `Unlock from "${lockType}"`;
       } else {
         positionLockText.textContent = `Unlock from position ${currentPosition}`;
       }
@@ -6043,6 +6948,29 @@ document.addEventListener("DOMContentLoaded", function () {
     // NOTE: Add buttons are NOT hidden when locked - users can still add shots/messages
   }
 
+  // Offset types that draw from the min/max range sliders, with their option labels
+  const OFFSET_RANGE_LABELS = {
+    random: "Random range",
+    normal: "Normal",
+    triangular: "Triangular",
+    "zero-sum": "Zero-sum",
+  };
+
+  /**
+   * Updates the labels of an offset type select's range options.
+   * @param {HTMLSelectElement} offsetTypeSelect The offset type select.
+   * @param {string} min The formatted range minimum.
+   * @param {string} max The formatted range maximum.
+   */
+  function setOffsetRangeLabels(offsetTypeSelect, min, max) {
+    Array.from(offsetTypeSelect.options).forEach((option) => {
+      const label = OFFSET_RANGE_LABELS[option.value];
+      if (label) {
+        option.textContent = `${label}: ${min}s to ${max}s`;
+      }
+    });
+  }
+
   /**
    * Updates offset controls visibility and text.
    * @param {HTMLElement} instanceContainer The root element of the instance.
@@ -6127,9 +7055,9 @@ document.addEventListener("DOMContentLoaded", function () {
         offsetFixedOption.textContent = `Fixed: ${parseFloat(offsetFixedSlider.value).toFixed(1)}s`;
         const val1 = parseFloat(offsetRandomMaximumSlider.value).toFixed(1);
         const val2 = parseFloat(offsetRandomMinimumSlider.value).toFixed(1);
-        offsetRandomOption.textContent = `Random range: ${val2}s to ${val1}s`;
+        setOffsetRangeLabels(offsetTypeSelect, val2, val1);
       } else {
-        // 'random'
+        // 'random', 'normal', 'triangular' and 'zero-sum' share the range sliders
         offsetFixedContainer.classList.add("hidden");
         offsetRandomContainer.classList.remove("hidden");
         offsetFixedSlider.disabled = true;
@@ -6138,7 +7066,7 @@ document.addEventListener("DOMContentLoaded", function () {
 
         const val1 = parseFloat(offsetRandomMaximumSlider.value).toFixed(1);
         const val2 = parseFloat(offsetRandomMinimumSlider.value).toFixed(1);
-        offsetRandomOption.textContent = `Random range: ${val2}s to ${val1}s`;
+        setOffsetRangeLabels(offsetTypeSelect, val2, val1);
         offsetFixedOption.textContent = `Fixed: ${parseFloat(offsetFixedSlider.value).toFixed(1)}s`;
       }
     } else {
@@ -6151,7 +7079,7 @@ document.addEventListener("DOMContentLoaded", function () {
       offsetRandomMinimumSlider.disabled = true;
 
       offsetFixedOption.textContent = `Fixed: 0.0s`;
-      offsetRandomOption.textContent = `Random range: 0.0s to 0.0s`;
+      setOffsetRangeLabels(offsetTypeSelect, "0.0", "0.0");
     }
     if (
       settingsPanel &&
@@ -6166,6 +7094,106 @@ document.addEventListener("DOMContentLoaded", function () {
     }
   }
 
+  /**
+   * Describes each device voice chosen in the workout as a voiceProfile, so
+   * devices without that voice can pick a similar one. Profiles left over from
+   * a voice that is installed here but no longer chosen are dropped, keeping
+   * their rate and pitch.
+   * @param {Object} node - Workout, pattern or entry JSON; updated in place
+   */
+  function addPortableVoiceProfiles(node) {
+    const config = node.config;
+    if (config && "speechSynthesis" in window) {
+      const voices = speechSynthesis.getVoices();
+      const isDeviceVoice = config.voice && !(config.voice in WorkoutLib.VOICE_PROFILE_PRESETS);
+      const chosenVoice = isDeviceVoice ? voices.find((voice) => voice.name === config.voice) : null;
+      const profileName = config.voiceProfile?.name;
+      const isStaleProfile = profileName && profileName !== config.voice &&
+        voices.some((voice) => voice.name === profileName);
+
+      if ((chosenVoice && profileName !== chosenVoice.name) || isStaleProfile) {
+        const { rate, pitch } = config.voiceProfile || {};
+        const voiceProfile = chosenVoice ? WorkoutLib.createVoiceProfileFromVoice(chosenVoice) : {};
+        if (rate !== undefined) voiceProfile.rate = rate;
+        if (pitch !== undefined) voiceProfile.pitch = pitch;
+        if (Object.keys(voiceProfile).length > 0) {
+          config.voiceProfile = voiceProfile;
+        } else {
+          delete config.voiceProfile;
+        }
+      }
+    }
+
+    [...(node.patterns || []), ...(node.entries || [])].forEach(addPortableVoiceProfiles);
+  }
+
+  /**
+   * Shows which of the workout's voices are not installed on this device and
+   * what plays instead, under the default voice setting.
+   * @param {Object} workoutData - Workout JSON
+   * @returns {Array<Object>} The substitutions ({ requested, used, reasons })
+   */
+  function updateVoiceSubstitutionReport(workoutData) {
+    const report = document.getElementById("voiceSubstitutionReport");
+    const voices = "speechSynthesis" in window ? speechSynthesis.getVoices() : [];
+    // Voices load asynchronously; without them every voice would look substituted
+    const substitutions = voices.length > 0
+      ? WorkoutLib.findVoiceSubstitutions(workoutData, voices, { defaultLanguage: navigator.language })
+      : [];
+
+    if (report) {
+      report.textContent = substitutions
+        .map((substitution) => `${substitution.requested}: ${substitution.reasons.join(", ")}; using ${substitution.used}.`)
+        .join(" ");
+      report.classList.toggle("hidden", substitutions.length === 0);
+    }
+    return substitutions;
+  }
+
+  /**
+   * Offers the languages the workout has translations for, keeping the
+   * session's choice; hidden when the workout is in one language only.
+   * @param {Object} workoutData - Workout JSON
+   */
+  function updateSessionLanguageSelect(workoutData) {
+    const container = document.getElementById("sessionLanguageContainer");
+    const select = document.getElementById("sessionLanguageSelect");
+    if (!container || !select) {
+      return;
+    }
+
+    const languages = WorkoutLib.listWorkoutLanguages(workoutData);
+    const selected = select.value || localStorage.getItem("sessionLanguage") || "";
+
+    select.innerHTML = "";
+    const canonicalOption = document.createElement("option");
+    canonicalOption.value = "";
+    canonicalOption.textContent = workoutData?.language ? `As written (${workoutData.language})` : "As written";
+    select.appendChild(canonicalOption);
+    languages
+      .filter((language) => language !== workoutData?.language)
+      .forEach((language) => {
+        const option = document.createElement("option");
+        option.value = language;
+        option.textContent = language;
+        select.appendChild(option);
+      });
+
+    select.value = languages.includes(selected) ? selected : "";
+    container.classList.toggle("hidden", select.options.length < 2);
+  }
+
+  /**
+   * The language announcements are translated into, or null for the names as written.
+   */
+  function getSessionLanguage() {
+    return document.getElementById("sessionLanguageSelect")?.value || null;
+  }
+
+  document.getElementById("sessionLanguageSelect")?.addEventListener("change", (event) => {
+    localStorage.setItem("sessionLanguage", event.target.value);
+  });
+
   /**
    * Populates voice select dropdown for a given instance.
    * @param {HTMLElement} voiceSelectElement
@@ -6178,6 +7206,9 @@ document.addEventListener("DOMContentLoaded", function () {
       return;
     }
 
+    // Keep the current choice across repopulating (voices load asynchronously)
+    const previousValue = voiceSelectElement.value;
+
     // Clear existing options
     voiceSelectElement.innerHTML = "";
 
@@ -6187,6 +7218,19 @@ document.addEventListener("DOMContentLoaded", function () {
     defaultOption.textContent = "Default";
     voiceSelectElement.appendChild(defaultOption);
 
+    // Portable profiles, matched to the best local voice wherever the workout is played
+    const profileGroup = document.createElement("optgroup");
+    profileGroup.label = "Voice profiles";
+    Object.keys(WorkoutLib.VOICE_PROFILE_PRESETS)
+      .filter((name) => name !== "Default")
+      .forEach((name) => {
+        const option = document.createElement("option");
+        option.value = name;
+        option.textContent = name;
+        profileGroup.appendChild(option);
+      });
+    voiceSelectElement.appendChild(profileGroup);
+
     // Get system voices
     const voices = window.speechSynthesis.getVoices();
 
@@ -6223,17 +7267,22 @@ document.addEventListener("DOMContentLoaded", function () {
     }
 
     // Add system voices, ensuring uniqueness
-    const addedVoices = new Set(["Default"]); // Track added voices to avoid duplicates
+    const addedVoices = new Set(Object.keys(WorkoutLib.VOICE_PROFILE_PRESETS)); // Track added voices to avoid duplicates
+    const deviceGroup = document.createElement("optgroup");
+    deviceGroup.label = "This device";
 
     filteredVoices.forEach((voice) => {
       if (!addedVoices.has(voice.name)) {
         const option = document.createElement("option");
         option.value = voice.name;
         option.textContent = voice.name;
-        voiceSelectElement.appendChild(option);
+        deviceGroup.appendChild(option);
         addedVoices.add(voice.name);
       }
     });
+    if (deviceGroup.children.length > 0) {
+      voiceSelectElement.appendChild(deviceGroup);
+    }
 
     // If no voices available, show a message
     if (filteredVoices.length === 0) {
@@ -6245,6 +7294,12 @@ document.addEventListener("DOMContentLoaded", function () {
       return;
     }
 
+    // Restore the previous choice if it is still offered
+    if (previousValue && addedVoices.has(previousValue)) {
+      voiceSelectElement.value = previousValue;
+      return;
+    }
+
     // Set default selection
     let defaultVoiceFound = false;
     for (let i = 0; i < voiceSelectElement.options.length; i++) {
@@ -6415,33 +7470,173 @@ document.addEventListener("DOMContentLoaded", function () {
       updateRepeatTypeDisplay(instanceElement);
   }
 
+  // --- Court Picker ---
+
+  const COURT_PICKER_HINT = "Tap where the shot is played.";
+
   /**
-   * Switches tabs within a given instance.
-   * @param {HTMLElement} instanceContainer The root element of the instance.
-   * @param {string} tabType 'msg' or 'shot'.
+   * Stores a shot's court position with the fields the builder has no controls for.
+   * @param {HTMLElement} shotElement The shot instance.
+   * @param {Object} position {x, y} in meters from the T.
    */
+  function setShotCourtPosition(shotElement, position) {
+    const unmanaged = getUnmanagedFields(shotElement) || {};
+    unmanaged.fields = { ...(unmanaged.fields || {}), courtPosition: position };
+    shotElement.dataset.unmanagedFields = JSON.stringify(unmanaged);
+  }
 
   /**
-   * Initializes event listeners and states for a newly created or cloned Shot/Message instance.
-   * @param {HTMLElement} instanceElement The root element of the Shot/Message instance.
-   * @param {Object} [initialState] Optional state to apply to the instance.
+   * Draws a shot's court picker with the zone of the given shot lit.
+   * @param {HTMLElement} pickerShot The shot instance the picker belongs to.
+   * @param {HTMLElement} litShot The shot whose zone to light.
    */
-  function initializeShotMsgInstance(instanceElement, initialState = {}) {
-    const instanceType = instanceElement.dataset.type;
-
-    // Get elements specific to this instance based on type
-    const headerElement = instanceElement.querySelector(
-      instanceType === "shot" ? ".shot-header" : ".message-header",
-    );
-    const bodyElement = instanceElement.querySelector(
-      instanceType === "shot" ? ".shot-body" : ".message-body",
-    );
-    const arrowElement = instanceElement.querySelector(
-      instanceType === "shot" ? ".shot-arrow" : ".message-arrow",
-    );
-    const titleInput = instanceElement.querySelector(
-      instanceType === "shot" ? ".shot-title" : ".message-title",
-    );
+  function renderCourtPicker(pickerShot, litShot) {
+    const diagram = pickerShot.querySelector(".court-picker-diagram");
+    if (!diagram) return;
+    const shot = {
+      name: litShot.querySelector(".shot-title")?.value || null,
+      courtPosition: getUnmanagedFields(litShot)?.fields?.courtPosition ?? null,
+    };
+    diagram.innerHTML = WorkoutLib.renderCourtDiagram({
+      current: {
+        zone: WorkoutLib.resolveShotZone(shot),
+        position: WorkoutLib.resolveCourtPosition(shot),
+      },
+    });
+  }
+
+  /**
+   * Converts a tap on the picker's SVG to diagram coordinates.
+   * @param {SVGSVGElement} svg The court diagram.
+   * @param {MouseEvent} event The tap.
+   * @returns {{x: number, y: number}|null} The point, or null if the SVG is not laid out.
+   */
+  function getCourtPickerPoint(svg, event) {
+    const matrix = svg.getScreenCTM();
+    if (!matrix) return null;
+    const point = svg.createSVGPoint();
+    point.x = event.clientX;
+    point.y = event.clientY;
+    const { x, y } = point.matrixTransform(matrix.inverse());
+    return { x, y };
+  }
+
+  /**
+   * Adds the shot for a tapped zone. An unnamed shot takes the first tap
+   * itself; other taps append a copy of it, named after the zone, to its pattern.
+   * @param {HTMLElement} shotElement The shot instance the picker belongs to.
+   * @param {string} zone The CourtPosition tapped.
+   * @param {Object} position {x, y} in meters from the T.
+   * @param {boolean} isFirstTap Whether this is the first tap since the picker opened.
+   * @returns {HTMLElement} The shot that was named.
+   */
+  function addCourtShot(shotElement, zone, position, isFirstTap) {
+    const titleInput = shotElement.querySelector(".shot-title");
+    let target = shotElement;
+    if (!isFirstTap || (titleInput && titleInput.value.trim() !== "")) {
+      const parentPattern = shotElement.closest(".pattern-instance");
+      const currentState = getShotMsgInstanceCurrentState(shotElement);
+      target = createShotMsgInstance(parentPattern, "shot", currentState, shotElement);
+    }
+
+    const targetTitle = target.querySelector(".shot-title");
+    if (targetTitle) {
+      targetTitle.value = WorkoutLib.getCourtZoneName(zone);
+    }
+    setShotCourtPosition(target, position);
+    updateRocketIndicator(target);
+    return target;
+  }
+
+  /**
+   * Wires up the court picker of a shot instance. A tap names a shot after the
+   * zone and stores where it was tapped; in sequence mode every tap appends
+   * another shot until Done.
+   * @param {HTMLElement} shotElement The shot instance.
+   */
+  function initializeCourtPicker(shotElement) {
+    const toggleBtn = shotElement.querySelector(".court-picker-toggle");
+    const picker = shotElement.querySelector(".court-picker");
+    const diagram = shotElement.querySelector(".court-picker-diagram");
+    const sequenceCheckbox = shotElement.querySelector(".court-picker-sequence");
+    const caption = shotElement.querySelector(".court-picker-caption");
+    const doneBtn = shotElement.querySelector(".court-picker-done");
+    if (!toggleBtn || !picker || !diagram) return;
+
+    // Names tapped since the picker was opened, in order
+    let tappedNames = [];
+
+    const setPickerOpen = (open) => {
+      picker.classList.toggle("hidden", !open);
+      toggleBtn.setAttribute("aria-expanded", String(open));
+      tappedNames = [];
+      if (caption) caption.textContent = COURT_PICKER_HINT;
+      if (open) renderCourtPicker(shotElement, shotElement);
+    };
+
+    toggleBtn.addEventListener("click", (event) => {
+      event.stopPropagation();
+      setPickerOpen(picker.classList.contains("hidden"));
+    });
+
+    if (sequenceCheckbox && doneBtn) {
+      sequenceCheckbox.addEventListener("change", () => {
+        doneBtn.classList.toggle("hidden", !sequenceCheckbox.checked);
+      });
+      doneBtn.addEventListener("click", (event) => {
+        event.stopPropagation();
+        setPickerOpen(false);
+      });
+    }
+
+    diagram.addEventListener("click", (event) => {
+      const zoneElement = event.target.closest("[data-zone]");
+      const svg = diagram.querySelector("svg");
+      if (!zoneElement || !svg) return;
+      const point = getCourtPickerPoint(svg, event);
+      if (!point) return;
+
+      const zone = zoneElement.dataset.zone;
+      const position = WorkoutLib.pickCourtPosition(point, zone);
+      const addedShot = addCourtShot(shotElement, zone, position, tappedNames.length === 0);
+      tappedNames.push(WorkoutLib.getCourtZoneName(zone));
+
+      if (sequenceCheckbox && sequenceCheckbox.checked) {
+        renderCourtPicker(shotElement, addedShot);
+        if (caption) caption.textContent = `Added: ${tappedNames.join(" → ")}`;
+      } else {
+        setPickerOpen(false);
+      }
+    });
+  }
+
+  /**
+   * Switches tabs within a given instance.
+   * @param {HTMLElement} instanceContainer The root element of the instance.
+   * @param {string} tabType 'msg' or 'shot'.
+   */
+
+  /**
+   * Initializes event listeners and states for a newly created or cloned Shot/Message instance.
+   * @param {HTMLElement} instanceElement The root element of the Shot/Message instance.
+   * @param {Object} [initialState] Optional state to apply to the instance.
+   */
+  function initializeShotMsgInstance(instanceElement, initialState = {}) {
+    const instanceType = instanceElement.dataset.type;
+
+    // Get elements specific to this instance based on type
+    const headerElement = instanceElement.querySelector(
+      instanceType === "shot" ? ".shot-header" : ".message-header",
+    );
+    const bodyElement = instanceElement.querySelector(
+      instanceType === "shot" ? ".shot-body" : ".message-body",
+    );
+    const arrowElement = instanceElement.querySelector(
+      instanceType === "shot" ? ".shot-arrow" : ".message-arrow",
+    );
+    const titleInput = instanceElement.querySelector(
+      instanceType === "shot" ? ".shot-title" : ".message-title",
+    );
 
     const repeatSlider = instanceElement.querySelector(".repeat-slider");
     const repeatValueSpan = instanceElement.querySelector(".repeat-value");
@@ -6556,6 +7751,8 @@ document.addEventListener("DOMContentLoaded", function () {
           initialState.shotInterval || shotIntervalSlider.value;
       if (leadTimeSlider)
         leadTimeSlider.value = initialState.leadTime || leadTimeSlider.value;
+      if (initialState.weight !== undefined)
+        setShotWeight(instanceElement, initialState.weight);
       if (messageInput)
         messageInput.value = initialState.message || messageInput.value;
       if (messageIntervalSlider)
@@ -6618,7 +7815,7 @@ document.addEventListener("DOMContentLoaded", function () {
     if (repeatSlider && repeatValueSpan)
       repeatValueSpan.textContent = `${repeatSlider.value}x`;
     if (shotIntervalSlider && shotIntervalValueSpan)
-      shotIntervalValueSpan.textContent = `${parseFloat(shotIntervalSlider.value).toFixed(1)}s`;
+      setIntervalLabel(shotIntervalValueSpan, shotIntervalSlider.value);
     if (messageIntervalSlider && messageIntervalValueSpan) {
       const totalSeconds = parseInt(messageIntervalSlider.value);
       const minutes = Math.floor(totalSeconds / 60);
@@ -6742,7 +7939,7 @@ document.addEventListener("DOMContentLoaded", function () {
     if (shotIntervalSlider)
       shotIntervalSlider.addEventListener("input", function () {
         if (shotIntervalValueSpan)
-          shotIntervalValueSpan.textContent = `${parseFloat(this.value).toFixed(1)}s`;
+          setIntervalLabel(shotIntervalValueSpan, this.value);
         updateLeadTimeSlider(
           shotIntervalSlider,
           leadTimeSlider,
@@ -7223,6 +8420,10 @@ document.addEventListener("DOMContentLoaded", function () {
         }
       });
     }
+
+    if (instanceType === "shot") {
+      initializeCourtPicker(instanceElement);
+    }
   }
 
   /**
@@ -7300,6 +8501,7 @@ document.addEventListener("DOMContentLoaded", function () {
       updateMoveButtonsState(newInstance);
       if (type === "shot") {
         updateShotLimitSlider(parentPatternElement);
+        updateWeightControlsVisibility(parentPatternElement);
       }
       updateAllPositionLockButtons();
       updateAllMoveButtonStates();
@@ -7340,6 +8542,7 @@ document.addEventListener("DOMContentLoaded", function () {
       if (repeatSlider) state.repeat = repeatSlider.value;
       if (shotIntervalSlider) state.shotInterval = shotIntervalSlider.value;
       if (leadTimeSlider) state.leadTime = leadTimeSlider.value;
+      state.weight = getShotWeight(instanceElement);
 
       const offsetEnabledCheckbox =
         instanceElement.querySelector(".offset-enabled");
@@ -7558,6 +8761,7 @@ document.addEventListener("DOMContentLoaded", function () {
 
     const addShotBtn = patternElement.querySelector(".add-shot-btn");
     const addMsgBtn = patternElement.querySelector(".add-msg-btn");
+    const addBlockBtn = patternElement.querySelector(".add-block-btn");
     const shotMsgInstancesContainer = patternElement.querySelector(
       ".shot-msg-instances-container",
     );
@@ -7619,6 +8823,12 @@ document.addEventListener("DOMContentLoaded", function () {
       // Recreate nested Shot/Message instances
       if (initialState.shotsAndMessages && shotMsgInstancesContainer) {
         initialState.shotsAndMessages.forEach((shotMsgState) => {
+          if (shotMsgState.type === "block") {
+            shotMsgInstancesContainer.appendChild(
+              createBlockFromJSON(withFreshEntryIds(shotMsgState.blockData)),
+            );
+            return;
+          }
           createShotMsgInstance(
             patternElement,
             shotMsgState.type,
@@ -7650,7 +8860,7 @@ document.addEventListener("DOMContentLoaded", function () {
     if (patternRepeatSlider && patternRepeatValueSpan)
       patternRepeatValueSpan.textContent = `${patternRepeatSlider.value}x`;
     if (patternShotIntervalSlider && patternShotIntervalValueSpan)
-      patternShotIntervalValueSpan.textContent = `${parseFloat(patternShotIntervalSlider.value).toFixed(1)}s`;
+      setIntervalLabel(patternShotIntervalValueSpan, patternShotIntervalSlider.value);
 
     // Initialize shot limit default value based on current shots
     // Only set to shot count if it's still at the default value (1)
@@ -7821,10 +9031,10 @@ document.addEventListener("DOMContentLoaded", function () {
     if (patternShotIntervalSlider)
       patternShotIntervalSlider.addEventListener("input", function () {
         const newValue = this.value;
-        const oldValue = patternShotIntervalValueSpan ? patternShotIntervalValueSpan.textContent.replace('s', '') : '5.0';
+        const oldValue = patternShotIntervalValueSpan ? getIntervalLabelSeconds(patternShotIntervalValueSpan, '5.0') : '5.0';
 
         if (patternShotIntervalValueSpan)
-          patternShotIntervalValueSpan.textContent = `${parseFloat(newValue).toFixed(1)}s`;
+          setIntervalLabel(patternShotIntervalValueSpan, newValue);
         updateLeadTimeSlider(
           patternShotIntervalSlider,
           patternLeadTimeSlider,
@@ -7859,6 +9069,12 @@ document.addEventListener("DOMContentLoaded", function () {
       });
 
     // Event listeners for new pattern configuration options
+    if (iterationTypeSelect) {
+      iterationTypeSelect.addEventListener("change", function () {
+        updateWeightControlsVisibility(patternElement);
+      });
+    }
+
     if (limitsTypeSelect) {
       limitsTypeSelect.addEventListener("change", function () {
         const limitsType = this.value;
@@ -8209,6 +9425,10 @@ document.addEventListener("DOMContentLoaded", function () {
       addMsgBtn.addEventListener("click", () =>
         createShotMsgInstance(patternElement, "msg"),
       );
+    if (addBlockBtn)
+      addBlockBtn.addEventListener("click", () =>
+        addBlockToPattern(patternElement),
+      );
 
     // Position lock button for this pattern
     if (patternPositionLockBtn) {
@@ -8348,11 +9568,15 @@ document.addEventListener("DOMContentLoaded", function () {
       rate: voiceRateSelect ? voiceRateSelect.value : "1.0",
     };
 
-    // Get state of all nested Shot/Message instances
+    // Get state of all nested Shot/Message instances (blocks are kept as JSON)
     state.shotsAndMessages = [];
     patternElement
-      .querySelectorAll(".shot-msg-instance")
+      .querySelectorAll(".shot-msg-instance, .block-instance")
       .forEach((shotMsgInstance) => {
+        if (shotMsgInstance.classList.contains("block-instance")) {
+          state.shotsAndMessages.push({ type: "block", blockData: blockToJSON(shotMsgInstance) });
+          return;
+        }
         state.shotsAndMessages.push(
           getShotMsgInstanceCurrentState(shotMsgInstance),
         );
@@ -8377,7 +9601,7 @@ document.addEventListener("DOMContentLoaded", function () {
    */
   function positionAddPatternButton() {
     const addPatternContainer = document.getElementById('addPatternContainer');
-    const patterns = mainContainer.querySelectorAll('.pattern-instance');
+    const patterns = mainContainer.querySelectorAll('.pattern-instance, .choice-instance');
 
     if (addPatternContainer && patterns.length > 0) {
       // Get the last pattern
@@ -8419,7 +9643,7 @@ document.addEventListener("DOMContentLoaded", function () {
 
     // Find the correct insertion position using shared logic
     const existingPatterns = Array.from(
-      mainContainer.querySelectorAll(".pattern-instance"),
+      mainContainer.querySelectorAll(".pattern-instance, .choice-instance"),
     );
 
     // Use the shared pattern insertion logic
@@ -8704,6 +9928,20 @@ document.addEventListener("DOMContentLoaded", function () {
     console.error("presentBtn not found.");
   }
 
+  // Seed input: regenerate the preview from an entered seed
+  const previewSeedInput = document.getElementById("previewSeedInput");
+  if (previewSeedInput) {
+    previewSeedInput.addEventListener("change", function () {
+      if (timelinePlayback.isPlaying) {
+        pauseTimeline();
+      }
+      clearTimelineHighlights();
+      generateWorkoutPreview(previewSeedInput.value);
+    });
+  } else {
+    console.error("previewSeedInput not found.");
+  }
+
 
 
   if (previewModal) {
@@ -8774,6 +10012,20 @@ document.addEventListener("DOMContentLoaded", function () {
     console.error("workoutPauseBtn not found.");
   }
 
+  // Seed input: reload the session from an entered seed (only while stopped)
+  const workoutSeedInput = document.getElementById("workoutSeedInput");
+  if (workoutSeedInput) {
+    workoutSeedInput.addEventListener("change", function () {
+      if (workoutExecution.isRunning) {
+        updateSeedInput("workoutSeedInput", workoutExecution.seed);
+        return;
+      }
+      startWorkoutExecutionAtTime(0, false, workoutSeedInput.value, workoutExecution.workoutData);
+    });
+  } else {
+    console.error("workoutSeedInput not found.");
+  }
+
   const workoutReplayBtn = document.getElementById("workoutReplayBtn");
   if (workoutReplayBtn) {
     workoutReplayBtn.addEventListener("click", function () {
@@ -8895,12 +10147,29 @@ document.addEventListener("DOMContentLoaded", function () {
     });
   }
 
+  const intervalTempoToggle = document.getElementById("intervalTempoToggle");
+  if (intervalTempoToggle) {
+    intervalTempoToggle.addEventListener("change", () => setIntervalTempoMode(intervalTempoToggle.checked));
+  }
+  setIntervalTempoMode(intervalTempoMode);
+
+  // Snap interval sliders to whole tempos before their own listeners read them
+  document.addEventListener("input", (event) => {
+    if (intervalTempoMode && event.target.matches?.(INTERVAL_SLIDER_SELECTOR)) {
+      const slider = event.target;
+      const shotsPerMinute = Math.round(WorkoutLib.intervalToShotsPerMinute(parseFloat(slider.value)));
+      const min = parseFloat(slider.min);
+      const max = parseFloat(slider.max);
+      slider.value = Math.min(max, Math.max(min, 60 / shotsPerMinute));
+    }
+  }, true);
+
   if (defaultShotIntervalSlider && defaultShotIntervalValue) {
     defaultShotIntervalSlider.addEventListener("input", function () {
       const newValue = this.value;
-      const oldValue = defaultShotIntervalValue.textContent.replace('s', ''); // Get old value
+      const oldValue = getIntervalLabelSeconds(defaultShotIntervalValue, '5.0'); // Get old value
 
-      defaultShotIntervalValue.textContent = `${parseFloat(newValue).toFixed(1)}s`;
+      setIntervalLabel(defaultShotIntervalValue, newValue);
       updateLeadTimeSlider(
         defaultShotIntervalSlider,
         defaultLeadTimeSlider,
@@ -9298,6 +10567,7 @@ document.addEventListener("DOMContentLoaded", function () {
         populateVoiceSelect(defaultVoiceSelect);
         setDefaultVoiceOptionsState();
       }
+      updateVoiceSubstitutionReport(getWorkoutJSON());
     };
   }
   // Populate voices for initially loaded (static) elements
@@ -9389,8 +10659,9 @@ document.addEventListener("DOMContentLoaded", function () {
 
   /**
    * Generates and displays the workout preview
+   * @param {number|string|null} seed - Session seed to reproduce; a fresh seed is used if omitted
    */
-  function generateWorkoutPreview() {
+  function generateWorkoutPreview(seed = null) {
     const workoutData = getWorkoutJSON();
 
     // Determine the current config state from the UI
@@ -9413,7 +10684,14 @@ document.addEventListener("DOMContentLoaded", function () {
     // DEBUG: Log the data being sent to the parser
 
 
-    const previewResult = WorkoutLib.generatePreviewHtml(enrichedWorkoutData);
+    updateVoiceSubstitutionReport(workoutData);
+    updateSessionLanguageSelect(workoutData);
+
+    const previewResult = WorkoutLib.generatePreviewHtml(enrichedWorkoutData, {
+      seed,
+      speechDuration: getVoicePackSpeechDuration(),
+      language: getSessionLanguage(),
+    });
     
     // Handle both old (string) and new (object) return formats
     if (typeof previewResult === 'string') {
@@ -9440,10 +10718,12 @@ document.addEventListener("DOMContentLoaded", function () {
       // New format with html and soundEvents
       document.getElementById("previewContent").innerHTML = previewResult.html;
       timelinePlayback.soundEvents = previewResult.soundEvents;
+      timelinePlayback.seed = previewResult.seed;
     }
     
     document.getElementById("previewWorkoutName").textContent =
       enrichedWorkoutData.name;
+    updateSeedInput("previewSeedInput", timelinePlayback.seed);
     document.getElementById("previewModal").classList.remove("hidden");
 
     // Initialize timeline playback
@@ -9457,6 +10737,7 @@ document.addEventListener("DOMContentLoaded", function () {
     startTime: null,
     timingBadges: [],
     soundEvents: [], // Store calculated sound events from workout data
+    seed: null, // Seed the previewed timeline was generated from
     maxTime: 0,
     animationFrame: null,
     ghostProgress: 0, // Track the furthest timestamp the ghost has visited
@@ -9467,6 +10748,201 @@ document.addEventListener("DOMContentLoaded", function () {
   // --- Sound Effects System ---
   let audioContext;
 
+  // Oscillators scheduled ahead of time, so pausing a workout can silence them
+  const scheduledSoundNodes = new Set();
+
+  function trackScheduledSoundNode(oscillator) {
+    scheduledSoundNodes.add(oscillator);
+    oscillator.addEventListener('ended', () => scheduledSoundNodes.delete(oscillator));
+  }
+
+  /**
+   * Stops every sound scheduled ahead of time that has not finished playing.
+   */
+  function cancelScheduledSounds() {
+    scheduledSoundNodes.forEach(oscillator => {
+      try {
+        oscillator.stop();
+      } catch (error) {
+        // Already stopped
+      }
+    });
+    scheduledSoundNodes.clear();
+  }
+
+  // --- Voice Packs ---
+  // Recorded clips used instead of speech synthesis for the texts they voice
+  let activeVoicePack = null;
+  const playingVoiceClips = new Set();
+
+  /**
+   * Times spoken messages by the active voice pack's clips.
+   * @returns {Function|undefined} A speechDuration for timeline generation, or undefined without a pack
+   */
+  function getVoicePackSpeechDuration() {
+    return activeVoicePack ? (text) => activeVoicePack.getDuration(text) : undefined;
+  }
+
+  /**
+   * Plays the active voice pack's clip for a text.
+   * @param {string} text - The text to voice
+   * @param {number|null} [when=null] - AudioContext time to play at; now if omitted or past
+   * @returns {boolean} Whether a clip will play; false means the caller should fall back to TTS
+   */
+  function playVoiceClip(text, when = null) {
+    const clip = activeVoicePack?.get(text);
+    if (!clip || !audioContext || audioContext.state === 'closed') {
+      return false;
+    }
+
+    try {
+      const source = audioContext.createBufferSource();
+      source.buffer = clip;
+      source.connect(audioContext.destination);
+      source.start(Math.max(audioContext.currentTime, when ?? 0));
+      trackScheduledSoundNode(source);
+      playingVoiceClips.add(source);
+      source.addEventListener('ended', () => playingVoiceClips.delete(source));
+      return true;
+    } catch (error) {
+      console.warn('Error playing voice clip, falling back to TTS:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Cuts off voice clips that are playing or scheduled.
+   */
+  function stopVoiceClips() {
+    playingVoiceClips.forEach(source => {
+      try {
+        source.stop();
+      } catch (error) {
+        // Already stopped
+      }
+    });
+    playingVoiceClips.clear();
+  }
+
+  /**
+   * Speaks text with the voice pack's clip when there is one, otherwise with TTS.
+   * @param {string} text - The text to speak
+   * @param {Object} entryConfig - Voice settings for the TTS fallback
+   */
+  function announce(text, entryConfig) {
+    if (!playVoiceClip(text)) {
+      playTTS(text, entryConfig);
+    }
+  }
+
+  function updateVoicePackStatus() {
+    const status = document.getElementById("voicePackStatus");
+    const removeBtn = document.getElementById("voicePackRemoveBtn");
+    if (status) {
+      status.textContent = activeVoicePack
+        ? `${activeVoicePack.name}: ${activeVoicePack.size} clip${activeVoicePack.size === 1 ? "" : "s"}, other announcements use the voice above`
+        : "None: announcements use the voice above";
+    }
+    if (removeBtn) {
+      removeBtn.classList.toggle("hidden", !activeVoicePack);
+    }
+  }
+
+  /**
+   * Loads a voice pack and makes it the active one.
+   * @param {Function} loadPack - (options) => Promise<VoicePack>, one of the WorkoutLib loaders
+   */
+  async function importVoicePack(loadPack) {
+    // Decode with the playback context so clips need no resampling
+    initializeAudioContext();
+    try {
+      const pack = await loadPack({ context: audioContext });
+      if (pack.size === 0) {
+        alert("No playable audio clips found. Name each clip after the shot or message it voices, e.g. \"Front Left.mp3\".");
+        return;
+      }
+      activeVoicePack = pack;
+      updateVoicePackStatus();
+    } catch (error) {
+      console.error("Error importing voice pack:", error);
+      alert(`Could not import voice pack: ${error.message}`);
+    }
+  }
+
+  const voicePackZipBtn = document.getElementById("voicePackZipBtn");
+  const voicePackZipInput = document.getElementById("voicePackZipInput");
+  const voicePackFolderBtn = document.getElementById("voicePackFolderBtn");
+  const voicePackFolderInput = document.getElementById("voicePackFolderInput");
+  const voicePackRemoveBtn = document.getElementById("voicePackRemoveBtn");
+
+  if (voicePackZipBtn && voicePackZipInput) {
+    voicePackZipBtn.addEventListener("click", () => voicePackZipInput.click());
+    voicePackZipInput.addEventListener("change", async function () {
+      const file = this.files[0];
+      this.value = "";
+      if (file) {
+        await importVoicePack(options => WorkoutLib.loadVoicePackFromZip(file, options));
+      }
+    });
+  }
+
+  if (voicePackFolderBtn && voicePackFolderInput) {
+    voicePackFolderBtn.addEventListener("click", () => voicePackFolderInput.click());
+    voicePackFolderInput.addEventListener("change", async function () {
+      const files = Array.from(this.files);
+      this.value = "";
+      if (files.length > 0) {
+        // Name the pack after the chosen folder
+        const name = (files[0].webkitRelativePath || "").split("/")[0] || "Voice pack";
+        await importVoicePack(options => WorkoutLib.loadVoicePackFromFiles(files, { ...options, name }));
+      }
+    });
+  }
+
+  if (voicePackRemoveBtn) {
+    voicePackRemoveBtn.addEventListener("click", () => {
+      stopVoiceClips();
+      activeVoicePack = null;
+      updateVoicePackStatus();
+    });
+  }
+
+  // --- Haptics ---
+  // Vibration cues for courts too loud to hear the beeps. The workout's
+  // config.haptics sets the default; this device's choice overrides it.
+  const hapticsModeSelect = document.getElementById("hapticsModeSelect");
+
+  /**
+   * This device's haptics choice: true or false to override the workout, undefined to follow it.
+   */
+  function getDeviceHapticSettings() {
+    const mode = localStorage.getItem("hapticsMode");
+    if (mode === "on") return true;
+    if (mode === "off") return false;
+    return undefined;
+  }
+
+  /**
+   * Creates the haptics sink for a session of a workout.
+   * @param {Object} workoutConfig - The workout's config
+   * @returns {Object} { play(cue), cancel() }
+   */
+  function createSessionHaptics(workoutConfig) {
+    const settings = WorkoutLib.resolveHapticSettings(workoutConfig?.haptics, getDeviceHapticSettings());
+    return WorkoutLib.createHapticPlayer(settings);
+  }
+
+  if (hapticsModeSelect) {
+    hapticsModeSelect.value = localStorage.getItem("hapticsMode") || "";
+    hapticsModeSelect.addEventListener("change", () => {
+      localStorage.setItem("hapticsMode", hapticsModeSelect.value);
+    });
+    if (!WorkoutLib.isHapticsSupported()) {
+      hapticsModeSelect.disabled = true;
+      document.getElementById("hapticsUnsupportedNote")?.classList.remove("hidden");
+    }
+  }
+
   /**
    * Initializes the Web Audio API AudioContext.
    * Attempts to resume if suspended, often necessary due to browser autoplay policies.
@@ -9504,15 +10980,16 @@ document.addEventListener("DOMContentLoaded", function () {
 
   /**
    * Plays a two-tone beep sound.
+   * @param {number|null} [when=null] - AudioContext time to play at; now if omitted or past
    */
-  function playTwoToneBeep() {
+  function playTwoToneBeep(when = null) {
     try {
       if (!audioContext || audioContext.state !== 'running') {
         // Attempt to resume it one last time.
         if(audioContext && audioContext.state === 'suspended') {
           audioContext.resume().then(() => {
             // Retry the beep after a short delay
-            setTimeout(() => playTwoToneBeep(), 50);
+            setTimeout(() => playTwoToneBeep(when), 50);
           }).catch(error => {
             console.error("Failed to resume AudioContext for beep:", error);
           });
@@ -9520,35 +10997,7 @@ document.addEventListener("DOMContentLoaded", function () {
         return;
       }
 
-      const duration = 0.15;
-      const frequency1 = 800;
-      const frequency2 = 1200;
-      const volume = 4.0;
-
-      const now = audioContext.currentTime;
-
-      const oscillator1 = audioContext.createOscillator();
-      const gainNode1 = audioContext.createGain();
-      oscillator1.connect(gainNode1);
-      gainNode1.connect(audioContext.destination);
-      oscillator1.type = 'sine';
-      oscillator1.frequency.setValueAtTime(frequency1, now);
-      gainNode1.gain.setValueAtTime(volume, now);
-      oscillator1.start(now);
-      gainNode1.gain.exponentialRampToValueAtTime(0.00001, now + duration);
-      oscillator1.stop(now + duration);
-
-      const oscillator2 = audioContext.createOscillator();
-      const gainNode2 = audioContext.createGain();
-      oscillator2.connect(gainNode2);
-      gainNode2.connect(audioContext.destination);
-      oscillator2.type = 'sine';
-      oscillator2.frequency.setValueAtTime(frequency2, now + duration);
-      gainNode2.gain.setValueAtTime(volume, now + duration);
-      oscillator2.start(now + duration);
-      gainNode2.gain.exponentialRampToValueAtTime(0.00001, now + duration * 2);
-      oscillator2.stop(now + duration * 2);
-
+      WorkoutLib.scheduleTwoToneBeep(audioContext, when ?? 0).forEach(trackScheduledSoundNode);
     } catch (error) {
       console.error("playTwoToneBeep: Error playing two-tone beep:", error);
     }
@@ -9597,14 +11046,15 @@ document.addEventListener("DOMContentLoaded", function () {
    * Plays a "power-up" sound effect for split-step hint.
    * @param {string} speed - 'Slow', 'Medium', or 'Fast'.
    * @param {string} [pitch='medium'] - 'low', 'medium', or 'high'.
+   * @param {number|null} [when=null] - AudioContext time to play at; now if omitted or past
    */
-  function playSplitStepPowerUp(speed, pitch = 'medium') {
+  function playSplitStepPowerUp(speed, pitch = 'medium', when = null) {
     try {
       if (!audioContext || audioContext.state !== 'running') {
         if(audioContext && audioContext.state === 'suspended') {
           audioContext.resume().then(() => {
             // Retry the split-step after a short delay
-            setTimeout(() => playSplitStepPowerUp(speed, pitch), 50);
+            setTimeout(() => playSplitStepPowerUp(speed, pitch, when), 50);
           }).catch(error => {
             console.error("Failed to resume AudioContext for split-step:", error);
           });
@@ -9612,80 +11062,8 @@ document.addEventListener("DOMContentLoaded", function () {
         return;
       }
 
-      let baseFrequency;
-      // Determine base frequency based on pitch
-      switch (pitch) {
-        case 'low':
-          baseFrequency = 220; // A3
-          break;
-        case 'medium':
-          baseFrequency = 440; // A4 (standard)
-          break;
-        case 'high':
-          baseFrequency = 880; // A5
-          break;
-        default:
-          baseFrequency = 440;
-      }
-
-      let durationPerStep;
-      // Determine speed (handle both lowercase and capitalized)
-      const normalizedSpeed = speed.toLowerCase();
-      switch (normalizedSpeed) {
-        case 'slow':
-          durationPerStep = 0.08;
-          break;
-        case 'medium':
-          durationPerStep = 0.06;
-          break;
-        case 'fast':
-          durationPerStep = 0.04;
-          break;
-        case 'auto-scale':
-          // Auto-scale should be resolved to the actual speed before calling this function
-          // This case should not be reached if the timeline generation is working correctly
-          durationPerStep = 0.06; // Fallback to medium speed
-          break;
-        default:
-          return; // Don't play if speed is not recognized or 'None'
-      }
-
-      const numberOfSteps = 8;
-      const attack = 0.01; // Attack phase duration for each step
-      const decay = 0.05;  // Decay phase duration for each step
-      const oscillatorType = 'triangle'; // Triangle wave for a distinct sound
-      const volume = 0.8; // 80% volume
-
-      const now = audioContext.currentTime;
-
-      for (let i = 0; i < numberOfSteps; i++) {
-        const startTime = now + (i * durationPerStep);
-        const frequency = baseFrequency * Math.pow(1.15, i); // Exponential increase for rising sound
-
-        const oscillator = audioContext.createOscillator();
-        const gainNode = audioContext.createGain();
-
-        oscillator.connect(gainNode);
-        gainNode.connect(audioContext.destination); // Connect directly to audio context destination
-
-        oscillator.type = oscillatorType;
-        oscillator.frequency.setValueAtTime(frequency, startTime);
-
-        // ADSR envelope for each step (simplified to A and D here)
-        gainNode.gain.setValueAtTime(0, startTime); // Start from 0 volume
-        gainNode.gain.linearRampToValueAtTime(volume, startTime + attack); // Ramp up to 80% volume
-        gainNode.gain.linearRampToValueAtTime(0, startTime + attack + decay); // Ramp down to 0 volume
-
-        oscillator.start(startTime);
-        // Stop the oscillator after its full step duration, allowing the ADSR to complete within it
-        oscillator.stop(startTime + durationPerStep);
-
-        // Clean up nodes after they are no longer needed
-        oscillator.onended = () => {
-          oscillator.disconnect();
-          gainNode.disconnect();
-        };
-      }
+      WorkoutLib.scheduleSplitStepSweep(audioContext, speed, when ?? 0, { pitch: pitch })
+        .forEach(trackScheduledSoundNode);
     } catch (error) {
       console.error("playSplitStepPowerUp: Error playing split-step power-up sound:", error);
     }
@@ -9786,19 +11164,19 @@ document.addEventListener("DOMContentLoaded", function () {
 
         // Ensure entryConfig exists and has default values
         const config = entryConfig || {};
-        
-        // Set voice if specified and not "Default"
-        if (config.voice && config.voice !== 'Default') {
-          ensureVoicesLoaded().then(voices => {
-            const selectedVoice = voices.find(voice => voice.name === config.voice);
-            if (selectedVoice) {
-              utterance.voice = selectedVoice;
-            }
-            speakUtterance(utterance, config);
-          });
-        } else {
-          speakUtterance(utterance, config);
-        }
+        const profile = WorkoutLib.resolveVoiceProfile(config);
+
+        // Pick the local voice closest to the profile; Default leaves the browser's voice
+        ensureVoicesLoaded().then(voices => {
+          const { voice } = WorkoutLib.selectVoice(profile, voices, { defaultLanguage: navigator.language });
+          if (voice) {
+            utterance.voice = voice;
+            utterance.lang = voice.lang;
+          } else if (profile.language) {
+            utterance.lang = profile.language;
+          }
+          speakUtterance(utterance, profile);
+        });
       });
 
     } catch (error) {
@@ -9810,16 +11188,13 @@ document.addEventListener("DOMContentLoaded", function () {
   /**
    * Helper function to configure and speak an utterance
    * @param {SpeechSynthesisUtterance} utterance - The utterance to speak
-   * @param {Object} entryConfig - The entry configuration containing voice settings
+   * @param {Object} profile - The voice profile to speak with (see WorkoutLib.resolveVoiceProfile)
    */
-  function speakUtterance(utterance, entryConfig) {
+  function speakUtterance(utterance, profile) {
     try {
-      // Ensure entryConfig exists and has default values
-      const config = entryConfig || {};
-      
       // Set speech rate with proper inheritance defaults
-      if (config.speechRate && config.speechRate !== 'auto-scale') {
-        const rate = parseFloat(config.speechRate);
+      if (profile.rate && profile.rate !== 'auto-scale') {
+        const rate = parseFloat(profile.rate);
         if (!isNaN(rate) && rate >= 0.5 && rate <= 1.5) {
           utterance.rate = rate;
         }
@@ -9829,7 +11204,7 @@ document.addEventListener("DOMContentLoaded", function () {
 
       // Set other properties for better speech quality
       utterance.volume = 1.0;
-      utterance.pitch = 1.0;
+      utterance.pitch = typeof profile.pitch === 'number' ? profile.pitch : 1.0;
 
       // Track active TTS for pause/resume handling
       timelinePlayback.activeTTSUtterances.add(utterance);
@@ -10210,7 +11585,7 @@ document.addEventListener("DOMContentLoaded", function () {
                  }
                } else if (soundEvent.type === 'tts') {
                  try {
-                   playTTS(soundEvent.text, soundEvent.entryConfig);
+                   announce(soundEvent.text, soundEvent.entryConfig);
                    timelinePlayback.playedSounds.add(soundKey);
                  } catch (error) {
                    console.error('TTS error in animation loop:', error);
@@ -10501,8 +11876,21 @@ document.addEventListener("DOMContentLoaded", function () {
 
     clearTimelineHighlights();
 
-    // Start workout execution with the current preview time (paused)
-    startWorkoutExecutionAtTime(currentTime, true);
+    // Start workout execution with the current preview time (paused),
+    // using the preview's seed so the session matches what was previewed
+    startWorkoutExecutionAtTime(currentTime, true, timelinePlayback.seed);
+  }
+
+  /**
+   * Shows a session seed in one of the seed inputs
+   * @param {string} inputId - ID of the seed input element
+   * @param {number|null} seed - The seed to display
+   */
+  function updateSeedInput(inputId, seed) {
+    const seedInput = document.getElementById(inputId);
+    if (seedInput) {
+      seedInput.value = seed !== null && seed !== undefined ? String(seed) : "";
+    }
   }
 
   // --- Workout Execution Functions ---
@@ -10510,12 +11898,10 @@ document.addEventListener("DOMContentLoaded", function () {
     isRunning: false,
     isPaused: false,
     currentTime: 0,
-    startTime: null,
     workoutData: null,
-    soundEvents: [],
+    runner: null,
+    seed: null,
     maxTime: 0,
-    animationFrame: null,
-    playedSounds: new Set(),
     activeTTSUtterances: new Set(),
     currentEntryIndex: 0,
     currentPatternIndex: 0,
@@ -10526,20 +11912,123 @@ document.addEventListener("DOMContentLoaded", function () {
     isPresentationMode: false,
     isPrepTimeCountdown: false,
     prepTimeRemaining: 0,
-    prepTimeOriginal: 0
+    prepTimeOriginal: 0,
+    sessionLog: null
   };
 
   function startWorkoutExecution() {
     startWorkoutExecutionAtTime(0, false); // Start immediately when running from main interface
   }
 
+  // Seconds of sound handed to Web Audio ahead of time; covers throttled timers in background tabs
+  const EXECUTION_SCHEDULE_AHEAD = 1.5;
+
+  /**
+   * Creates the runner that plays a workout session, wiring its audio and speech
+   * sinks to this page and its events to the workout display.
+   * @param {WorkoutData} workout - The loaded workout
+   * @param {number} seed - Session seed
+   */
+  function createExecutionRunner(workout, seed) {
+    // Run on the audio clock so sounds can be scheduled ahead, sample-accurately
+    const hasAudioClock = Boolean(audioContext);
+    const runner = new WorkoutLib.WorkoutRunner(workout, {
+      seed: seed,
+      clock: hasAudioClock ? WorkoutLib.createAudioClock(audioContext) : undefined,
+      scheduleAhead: hasAudioClock ? EXECUTION_SCHEDULE_AHEAD : 0,
+      speechDuration: getVoicePackSpeechDuration(),
+      language: getSessionLanguage(),
+      audio: {
+        beep: (when) => playTwoToneBeep(when),
+        splitStep: (speed, when) => playSplitStepPowerUp(speed, 'medium', when),
+        voice: (text, config, when) => playVoiceClip(text, when),
+        cancel: cancelScheduledSounds,
+        cancelVoice: stopVoiceClips
+      },
+      haptics: createSessionHaptics(workout.config),
+      tts: {
+        speak: playTTS,
+        cancel: () => {
+          if ('speechSynthesis' in window) {
+            speechSynthesis.cancel();
+            workoutExecution.activeTTSUtterances.clear();
+          }
+        }
+      }
+    });
+    const { RunnerEventType } = WorkoutLib;
+
+    runner.on(RunnerEventType.SHOT_BEEP, ({ entry, late }) => {
+      if (!late) {
+        triggerWorkoutFlash();
+      }
+      // Flip ghost at the end of shot intervals
+      if (entry && entry.type === 'Shot') {
+        const statusIndicator = document.getElementById("workoutStatusIndicator");
+        if (statusIndicator) {
+          statusIndicator.classList.toggle("flipped");
+        }
+      }
+    });
+
+    runner.on(RunnerEventType.COUNTDOWN_TICK, ({ late }) => {
+      if (!late) {
+        triggerWorkoutFlash();
+      }
+    });
+
+    runner.on(RunnerEventType.TICK, () => {
+      syncExecutionState();
+
+      // Periodic TTS health check (every 5 seconds)
+      if (!workoutExecution.lastTTSHealthCheck ||
+          workoutExecution.currentTime - workoutExecution.lastTTSHealthCheck > 5) {
+        performTTSHealthCheck();
+        workoutExecution.lastTTSHealthCheck = workoutExecution.currentTime;
+      }
+
+      updateWorkoutUI();
+    });
+
+    runner.on(RunnerEventType.COMPLETE, () => {
+      syncExecutionState();
+      if (!workoutExecution.completionTriggered) {
+        workoutExecution.completionTriggered = true;
+        workoutExecution.isCompleted = true;
+        completeWorkout();
+      }
+    });
+
+    return runner;
+  }
+
+  /**
+   * Copies the runner's progress into the execution state the display reads.
+   */
+  function syncExecutionState() {
+    const runner = workoutExecution.runner;
+    if (!runner) {
+      return;
+    }
+    workoutExecution.currentTime = runner.currentTime;
+    workoutExecution.shotsCompleted = runner.shotsCompleted;
+    workoutExecution.maxTime = runner.maxTime;
+    // The runner knows the shot total once its timeline ends
+    if (runner.totalShots !== null) {
+      workoutExecution.totalShots = runner.totalShots;
+    }
+  }
+
   /**
    * Starts workout execution at a specific time
    * @param {number} startTime - The time in seconds to start the workout from
    * @param {boolean} startPaused - Whether to start in paused state (default: false)
+   * @param {number|string|null} seed - Session seed to reproduce; a fresh seed is used if omitted
+   * @param {Object|null} sessionWorkout - Workout JSON to run instead of the builder's (e.g. a past session's),
+   *   keeping the config lock and default interval it was run with
    */
-  function startWorkoutExecutionAtTime(startTime, startPaused = false) {
-    const workoutData = getWorkoutJSON();
+  function startWorkoutExecutionAtTime(startTime, startPaused = false, seed = null, sessionWorkout = null) {
+    const workoutData = sessionWorkout || getWorkoutJSON();
 
     // Validate workout before starting
     try {
@@ -10549,9 +12038,11 @@ document.addEventListener("DOMContentLoaded", function () {
       return;
     }
 
-    // Determine the current config state from the UI
-    const isConfigLocked = document.documentElement.getAttribute("data-rocket-mode") === "off";
-    const workoutDefaultInterval = defaultShotIntervalSlider ? parseFloat(defaultShotIntervalSlider.value) : 5.0;
+    // Determine the config state from the UI, unless a past session brings its own
+    const isConfigLocked = sessionWorkout?.config?.isConfigLocked ??
+      document.documentElement.getAttribute("data-rocket-mode") === "off";
+    const workoutDefaultInterval = sessionWorkout?.config?.workoutDefaultInterval ??
+      (defaultShotIntervalSlider ? parseFloat(defaultShotIntervalSlider.value) : 5.0);
 
     // Enrich workout data with current UI config state
     const enrichedWorkoutData = {
@@ -10563,88 +12054,38 @@ document.addEventListener("DOMContentLoaded", function () {
       },
     };
 
-    // Calculate workout stats and generate sound events
-    const stats = WorkoutLib.calculateWorkoutStats(enrichedWorkoutData);
-    const previewResult = WorkoutLib.generatePreviewHtml(enrichedWorkoutData);
+    updateVoiceSubstitutionReport(workoutData);
+
+    // Resolve the session seed once so sounds and timeline both describe the same session
+    const sessionSeed = WorkoutLib.normalizeSeed(seed) ?? WorkoutLib.generateSeed();
+
+    const result = WorkoutLib.loadWorkoutFromJsonWithValidation(enrichedWorkoutData);
+    if (!result.success) {
+      const reason = result.error || result.validationErrors[0]?.message || 'invalid workout';
+      alert(`Cannot start workout: ${reason}`);
+      return;
+    }
+
+    // Replace any previous session's runner; the new one generates its timeline on demand
+    if (workoutExecution.runner) {
+      workoutExecution.runner.stop();
+    }
+
+    // Initialize audio context first; its clock times the session
+    initializeAudioContext();
+    const runner = createExecutionRunner(result.workout, sessionSeed);
+    runner.seek(startTime);
 
     // Reset and initialize workout execution state
     workoutExecution.workoutData = enrichedWorkoutData;
-    
-    // Generate timeline for presentation mode timing
-    let timeline = [];
-    if (WorkoutLib.loadWorkoutFromJsonWithValidation && WorkoutLib.generateWorkoutTimeline) {
-      try {
-        const result = WorkoutLib.loadWorkoutFromJsonWithValidation(enrichedWorkoutData);
-        if (result.success) {
-          timeline = WorkoutLib.generateWorkoutTimeline(result.workout);
-        }
-      } catch (error) {
-        console.warn('Failed to generate timeline:', error);
-      }
-    }
-    
-    // Store the timeline data for presentation mode timing calculations
-    workoutExecution.timeline = timeline;
-    
-    // Generate soundEvents from timeline for audio playback using the new library
-    if (WorkoutLib.timelineEventsToSoundEvents) {
-      const generatedSoundEvents = WorkoutLib.timelineEventsToSoundEvents(timeline);
-      workoutExecution.audioSoundEvents = generatedSoundEvents;
-    } else {
-      // FALLBACK: If the function is not available, try to wait for it
-      // Try to wait for the function to become available
-      let attempts = 0;
-      const maxAttempts = 10;
-      const checkFunction = () => {
-        attempts++;
-        if (WorkoutLib.timelineEventsToSoundEvents && attempts <= maxAttempts) {
-          const generatedSoundEvents = WorkoutLib.timelineEventsToSoundEvents(timeline);
-          workoutExecution.audioSoundEvents = generatedSoundEvents;
-        } else if (attempts <= maxAttempts) {
-          setTimeout(checkFunction, 100);
-        } else {
-          workoutExecution.audioSoundEvents = [];
-        }
-      };
-      
-      // Start checking
-      setTimeout(checkFunction, 100);
-      
-      // For now, use empty array to prevent errors
-      workoutExecution.audioSoundEvents = [];
-    }
-    
-    // For presentation mode, use the actual timeline to determine maxTime
-    // This ensures that limits and repeats are properly respected
-    if (timeline.length > 0) {
-      // Find the actual end time from the timeline (respects limits and repeats)
-      const actualMaxTime = Math.max(...timeline.map(event => event.endTime || 0));
-      workoutExecution.maxTime = actualMaxTime;
-      
-      // Also update totalShots to reflect the actual timeline
-      const actualTotalShots = timeline.filter(event => event.type === 'Shot').length;
-      workoutExecution.totalShots = actualTotalShots;
-      
-      // Debug logging for presentation mode timing
-      if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
-        console.log('DEBUG: Presentation mode timeline:', {
-          timelineLength: timeline.length,
-          actualMaxTime,
-          actualTotalShots,
-          previewMaxTime: stats.totalTime,
-          previewTotalShots: stats.totalShots
-        });
-      }
-    } else {
-      // Fallback to preview stats if timeline generation failed
-      workoutExecution.maxTime = stats.totalTime;
-      workoutExecution.totalShots = stats.totalShots;
-      if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
-        console.warn('DEBUG: Using fallback preview stats for presentation mode');
-      }
-    }
-    workoutExecution.shotsCompleted = 0;
-    workoutExecution.currentTime = startTime; // Start at the specified time
+    workoutExecution.sessionLog = null;
+    workoutExecution.seed = sessionSeed;
+    workoutExecution.runner = runner;
+    workoutExecution.timeline = runner.timeline;
+
+    // The shot total is unknown until the runner's timeline ends; until then the counter counts up
+    workoutExecution.totalShots = runner.totalShots;
+    syncExecutionState();
 
     // Set initial state based on entry method
     if (startTime > 0 && startPaused) {
@@ -10658,12 +12099,10 @@ document.addEventListener("DOMContentLoaded", function () {
       workoutExecution.isPaused = false;
       workoutExecution.isPresentationMode = false; // Not presentation mode
     }
-    workoutExecution.playedSounds = new Set();
     workoutExecution.completionTriggered = false;
     workoutExecution.glowTriggered = false;
     workoutExecution.currentPattern = null;
     workoutExecution.activeTTSUtterances = new Set();
-    workoutExecution.timelineIndex = null; // Reset timeline index
     workoutExecution.lastProgressPercentage = 0;
     workoutExecution.lastShotTitle = null;
     workoutExecution.lastProgress = 0;
@@ -10681,28 +12120,9 @@ document.addEventListener("DOMContentLoaded", function () {
     // Hide timing ticks when workout starts (they'll show when first shot begins)
     updateTimingTicksVisibility(false);
 
-    // Mark sounds as played up to the start time to avoid replaying them
-    if (startTime > 0) {
-      workoutExecution.audioSoundEvents.forEach(soundEvent => {
-        if (soundEvent.time < startTime) {
-          // Don't mark completion events as played - they should only play at actual completion
-          if (soundEvent.isCompletion) {
-            return;
-          }
-          
-          const soundKey = `${soundEvent.type}-${soundEvent.time.toFixed(3)}`;
-          workoutExecution.playedSounds.add(soundKey);
-
-          // Count completed shots up to the start time
-          if (soundEvent.type === 'beep' && soundEvent.entry && soundEvent.entry.type === 'Shot' && !soundEvent.isCountdown) {
-            workoutExecution.shotsCompleted++;
-          }
-        }
-      });
-    }
-
     // Show workout modal first
     document.getElementById("workoutExecutionName").textContent = workoutData.name;
+    updateSeedInput("workoutSeedInput", workoutExecution.seed);
     document.getElementById("workoutModal").classList.remove("hidden");
 
     // Always ensure workout-main elements are visible when entering presentation mode
@@ -10721,13 +12141,317 @@ document.addEventListener("DOMContentLoaded", function () {
       shotTitleElement.classList.remove("glow-pulse", "countdown-pulse", "countdown-flash", "fade-out");
     }
 
-    // Initialize audio context
-    initializeAudioContext();
-    
     // Note: Prep time countdown will only start when user presses play button
     // No auto-start when entering presentation mode
   }
 
+  /**
+   * Formats the shots counter; open-ended sessions have no known total
+   * @param {number} shotsCompleted - Shots completed so far
+   * @param {number|null} totalShots - Total shots, or null when unknown
+   * @returns {string} Counter text
+   */
+  function formatShotsCounter(shotsCompleted, totalShots) {
+    return totalShots === null || totalShots === undefined
+      ? `${shotsCompleted}`
+      : `${shotsCompleted} / ${totalShots}`;
+  }
+
+  // --- Session History ---
+  // Completed sessions are kept in IndexedDB to browse, delete and run again
+  let sessionHistoryDb = null;
+
+  /**
+   * Opens the session history database once per page.
+   * @returns {Promise<IDBDatabase>}
+   */
+  function getSessionHistoryDb() {
+    if (!sessionHistoryDb) {
+      sessionHistoryDb = WorkoutLib.openSessionHistory();
+      // Let a later call try again if it could not be opened (e.g. storage blocked)
+      sessionHistoryDb.catch(() => {
+        sessionHistoryDb = null;
+      });
+    }
+    return sessionHistoryDb;
+  }
+
+  /**
+   * Starts the log of a session as the runner starts playing. A session entered
+   * part way through (from the preview) records the stretch it skipped.
+   */
+  function beginSessionLog() {
+    const runner = workoutExecution.runner;
+    if (!runner) return;
+
+    workoutExecution.sessionLog = {
+      startedAt: Date.now(),
+      pauses: [],
+      skipped: runner.currentTime > 0
+        ? [{ from: 0, to: runner.currentTime, shots: runner.shotsCompleted }]
+        : []
+    };
+  }
+
+  function logSessionPause() {
+    const log = workoutExecution.sessionLog;
+    if (log) {
+      log.pauses.push({ time: workoutExecution.currentTime, pausedAt: Date.now(), resumedAt: null });
+    }
+  }
+
+  function logSessionResume() {
+    const pauses = workoutExecution.sessionLog?.pauses || [];
+    const pause = pauses[pauses.length - 1];
+    if (pause && pause.resumedAt === null) {
+      pause.resumedAt = Date.now();
+    }
+  }
+
+  /**
+   * Saves the log of the session that just completed to the history.
+   */
+  function saveSessionLog() {
+    const log = workoutExecution.sessionLog;
+    const runner = workoutExecution.runner;
+    workoutExecution.sessionLog = null;
+    if (!log || !runner || !WorkoutLib.isSessionHistorySupported()) return;
+
+    // Summarize what was played; a run ended early has timeline generated past its end
+    const playedTimeline = runner.timeline.filter(event => event.startTime < runner.currentTime);
+    const record = WorkoutLib.createSessionRecord({
+      workout: workoutExecution.workoutData,
+      seed: workoutExecution.seed,
+      startedAt: log.startedAt,
+      endedAt: Date.now(),
+      pauses: log.pauses,
+      skipped: log.skipped,
+      shotsCompleted: runner.shotsCompleted,
+      totalShots: runner.totalShots,
+      summary: WorkoutLib.generateWorkoutSummary(playedTimeline, runner.workout)
+    });
+
+    getSessionHistoryDb()
+      .then(db => WorkoutLib.saveSession(db, record))
+      .catch(error => console.warn("Could not save the session to the history:", error));
+  }
+
+  function formatSessionDate(timestamp) {
+    return new Date(timestamp).toLocaleString(undefined, {
+      weekday: "short",
+      day: "numeric",
+      month: "short",
+      hour: "2-digit",
+      minute: "2-digit"
+    });
+  }
+
+  /**
+   * Describes a past session in one line, e.g. "12:40 · 96 / 96 shots · 1 pause (00:45) · seed 1234".
+   */
+  function describeSession(record) {
+    const details = [
+      WorkoutLib.formatTime((record.endedAt - record.startedAt) / 1000),
+      `${formatShotsCounter(record.shotsCompleted, record.totalShots)} shots`
+    ];
+    if (record.pauses.length > 0) {
+      const pauses = record.pauses.length === 1 ? "1 pause" : `${record.pauses.length} pauses`;
+      details.push(`${pauses} (${WorkoutLib.formatTime(record.pausedDuration)})`);
+    }
+    record.skipped.forEach(section => {
+      details.push(`skipped ${WorkoutLib.formatTime(section.from)}–${WorkoutLib.formatTime(section.to)}`);
+    });
+    if (record.seed !== null) {
+      details.push(`seed ${record.seed}`);
+    }
+    return details.join(" · ");
+  }
+
+  function showSessionHistoryMessage(message) {
+    const list = document.getElementById("sessionHistoryList");
+    const emptyMessage = document.getElementById("sessionHistoryEmpty");
+    list.innerHTML = "";
+    emptyMessage.textContent = message;
+    emptyMessage.classList.remove("hidden");
+  }
+
+  function renderSessionHistory(records) {
+    if (records.length === 0) {
+      showSessionHistoryMessage("No completed sessions yet. Sessions are recorded here when a workout runs to the end.");
+      return;
+    }
+
+    const list = document.getElementById("sessionHistoryList");
+    document.getElementById("sessionHistoryEmpty").classList.add("hidden");
+    list.innerHTML = "";
+
+    records.forEach(record => {
+      const item = document.createElement("li");
+      item.className = "session-history-item";
+
+      const info = document.createElement("div");
+      info.className = "session-history-info";
+      const title = document.createElement("div");
+      title.className = "session-history-title";
+      title.textContent = record.name;
+      const date = document.createElement("div");
+      date.className = "session-history-date";
+      date.textContent = formatSessionDate(record.startedAt);
+      const details = document.createElement("div");
+      details.className = "session-history-details";
+      details.textContent = describeSession(record);
+      info.append(title, date, details);
+
+      if (record.summary) {
+        const summary = document.createElement("div");
+        summary.className = "session-history-summary";
+        summary.textContent = `${record.summary.primaryFocus} · ${record.summary.repsPerMinute.toFixed(1)} reps/min`;
+        info.appendChild(summary);
+      }
+
+      const actions = document.createElement("div");
+      actions.className = "session-history-actions";
+      const runButton = document.createElement("button");
+      runButton.className = "session-history-run";
+      runButton.textContent = "Run again";
+      runButton.title = "Run this workout again with the same seed";
+      runButton.addEventListener("click", () => rerunSession(record));
+      const deleteButton = document.createElement("button");
+      deleteButton.className = "session-history-delete";
+      deleteButton.textContent = "Delete";
+      deleteButton.addEventListener("click", () => deleteSessionFromHistory(record));
+      actions.append(runButton, deleteButton);
+
+      item.append(info, actions);
+      list.appendChild(item);
+    });
+  }
+
+  function showSessionHistory() {
+    const modal = document.getElementById("sessionHistoryModal");
+    if (!modal) return;
+
+    modal.classList.remove("hidden");
+    if (!WorkoutLib.isSessionHistorySupported()) {
+      showSessionHistoryMessage("This browser cannot keep a session history.");
+      return;
+    }
+
+    showSessionHistoryMessage("Loading…");
+    getSessionHistoryDb()
+      .then(db => WorkoutLib.listSessions(db))
+      .then(renderSessionHistory)
+      .catch(error => {
+        console.error("Could not read the session history:", error);
+        showSessionHistoryMessage("The session history could not be opened.");
+      });
+  }
+
+  function deleteSessionFromHistory(record) {
+    if (!confirm(`Delete the session of ${record.name} from ${formatSessionDate(record.startedAt)}?`)) {
+      return;
+    }
+
+    getSessionHistoryDb()
+      .then(db => WorkoutLib.deleteSession(db, record.id).then(() => WorkoutLib.listSessions(db)))
+      .then(renderSessionHistory)
+      .catch(error => {
+        console.error("Could not delete the session:", error);
+        alert("The session could not be deleted. Please try again.");
+      });
+  }
+
+  /**
+   * Runs a past session's workout again with its seed, leaving the builder as it is.
+   */
+  function rerunSession(record) {
+    document.getElementById("sessionHistoryModal").classList.add("hidden");
+    startWorkoutExecutionAtTime(0, false, record.seed, record.workout);
+  }
+
+  const sessionHistoryCloseBtn = document.getElementById("sessionHistoryCloseBtn");
+  if (sessionHistoryCloseBtn) {
+    sessionHistoryCloseBtn.addEventListener("click", function() {
+      document.getElementById("sessionHistoryModal").classList.add("hidden");
+    });
+  }
+
+  // Session history modal click outside to close
+  const sessionHistoryModal = document.getElementById("sessionHistoryModal");
+  if (sessionHistoryModal) {
+    sessionHistoryModal.addEventListener("click", function(e) {
+      if (e.target === sessionHistoryModal) {
+        sessionHistoryModal.classList.add("hidden");
+      }
+    });
+  }
+
+  // --- Court View ---
+  // A top-down court with the current shot's zone lit and a ghost on the next
+  // shot, so a session can be followed from across the court without sound
+  let courtViewEnabled = localStorage.getItem("courtView") === "on";
+  let renderedCourtKey = null;
+
+  /**
+   * Places a shot from the runner's timeline index on the court.
+   * @returns {Object|null} { zone, position } for renderCourtDiagram
+   */
+  function describeCourtShot(shot) {
+    if (!shot) return null;
+    const entry = shot.entry || { name: shot.name };
+    return {
+      zone: WorkoutLib.resolveShotZone(entry),
+      position: WorkoutLib.resolveCourtPosition(entry),
+    };
+  }
+
+  /**
+   * Redraws the court view when the current or next shot changes.
+   * @param {number} currentTime - Workout time in seconds
+   */
+  function updateCourtDiagram(currentTime) {
+    const diagram = document.getElementById("workoutCourtDiagram");
+    if (!diagram) return;
+    diagram.classList.toggle("hidden", !courtViewEnabled);
+    diagram.closest(".workout-main")?.classList.toggle("court-view", courtViewEnabled);
+
+    const runner = workoutExecution.runner;
+    if (!courtViewEnabled || !runner) return;
+
+    const activeEvent = runner.getActiveEvent(currentTime);
+    const currentShot = activeEvent?.type.startsWith("shot") ? activeEvent.data : null;
+    const nextShot = runner.getNextShot(currentTime);
+    const key = [currentShot, nextShot].map((shot) => shot ? `${shot.entry?.id}@${shot.startTime}` : "").join("|");
+    if (key === renderedCourtKey) return;
+    renderedCourtKey = key;
+
+    document.getElementById("workoutCourtSvg").innerHTML = WorkoutLib.renderCourtDiagram({
+      current: describeCourtShot(currentShot),
+      next: describeCourtShot(nextShot),
+      ghostImage: "images/ghost-black.png",
+    });
+
+    // Caption the next shot as it will be announced (translated when a session language is set)
+    const nextCue = nextShot && runner.cues.find((cue) =>
+      cue.type === "tts" && cue.entry === nextShot.entry && Math.abs(cue.time - nextShot.ttsTime) < 0.1
+    );
+    document.getElementById("workoutCourtNext").textContent = nextShot
+      ? `Up next: ${nextCue?.text || nextShot.name || ""}`
+      : "";
+  }
+
+  const workoutCourtViewBtn = document.getElementById("workoutCourtViewBtn");
+  if (workoutCourtViewBtn) {
+    workoutCourtViewBtn.setAttribute("aria-pressed", String(courtViewEnabled));
+    workoutCourtViewBtn.addEventListener("click", () => {
+      courtViewEnabled = !courtViewEnabled;
+      localStorage.setItem("courtView", courtViewEnabled ? "on" : "off");
+      workoutCourtViewBtn.setAttribute("aria-pressed", String(courtViewEnabled));
+      renderedCourtKey = null;
+      updateCourtDiagram(workoutExecution.currentTime);
+    });
+  }
+
   function updateWorkoutUI() {
     const { isRunning, isPaused, currentTime, maxTime, totalShots, shotsCompleted } = workoutExecution;
 
@@ -10767,6 +12491,12 @@ document.addEventListener("DOMContentLoaded", function () {
     const pauseBtn = document.getElementById("workoutPauseBtn");
     const replayBtn = document.getElementById("workoutReplayBtn");
 
+    // The seed can only be changed before the session starts
+    const seedInput = document.getElementById("workoutSeedInput");
+    if (seedInput) {
+      seedInput.disabled = isRunning || workoutExecution.isPrepTimeCountdown;
+    }
+
     if (workoutExecution.isCompleted) {
       // At the end of the workout, it becomes a replay
       startBtn.classList.add("hidden");
@@ -10810,16 +12540,37 @@ document.addEventListener("DOMContentLoaded", function () {
     timerElement.textContent = WorkoutLib.formatTimeHighPrecision(currentTime);
 
     // Update shots counter
-    document.getElementById("workoutShotsCounter").textContent = `${shotsCompleted} / ${totalShots}`;
+    document.getElementById("workoutShotsCounter").textContent = formatShotsCounter(shotsCompleted, totalShots);
 
     // Update shot title and progress meter
     updateShotDisplay();
+    updateCourtDiagram(currentTime);
     
 
   }
 
+  /**
+   * Finds the round playing at the given time, or null for single-round workouts.
+   * @returns {object|null} { roundNumber, totalRounds }
+   */
+  function getExecutionRound(time) {
+    const timeline = workoutExecution.timeline || [];
+    if (timeline.length === 0 || (timeline[0].totalRounds || 1) <= 1) {
+      return null;
+    }
+    // Latest event that has started by now; rounds only move forward
+    let current = timeline[0];
+    for (const event of timeline) {
+      if (event.startTime > time) {
+        break;
+      }
+      current = event;
+    }
+    return { roundNumber: current.roundNumber || 1, totalRounds: current.totalRounds };
+  }
+
   function updateShotDisplay() {
-    const { currentTime, timeline, isRunning, isPaused } = workoutExecution;
+    const { currentTime, isRunning, isPaused } = workoutExecution;
 
     let shotTitle = "";  // Don't show "Get Ready" initially
     let currentPattern = "--";
@@ -10860,26 +12611,21 @@ document.addEventListener("DOMContentLoaded", function () {
       const isLastShotComplete = workoutExecution.lastShotCompleted;
 
       if (isTimeComplete || isLastShotComplete) {
-        // Only trigger completion once
+        // Only trigger completion once; a running runner reports it through its complete event
         if (!workoutExecution.completionTriggered) {
-          workoutExecution.completionTriggered = true;
-          workoutExecution.isCompleted = true; // Mark as completed for UI
-          completeWorkout();
+          if (workoutExecution.runner?.isRunning) {
+            workoutExecution.runner.complete();
+          } else {
+            workoutExecution.completionTriggered = true;
+            workoutExecution.isCompleted = true; // Mark as completed for UI
+            completeWorkout();
+          }
         }
 
         return; // Exit early to prevent other logic from overriding
       } else {
         // Use deterministic timeline lookup instead of searching
-        let activeEvent = null;
-
-        // Initialize timeline index if needed
-        if (!workoutExecution.timelineIndex) {
-          workoutExecution.timelineIndex = buildTimelineIndex(timeline);
-        }
-
-        // Find active event using timeline index
-        const timelineData = workoutExecution.timelineIndex;
-        activeEvent = findActiveEvent(currentTime, timelineData);
+        const activeEvent = workoutExecution.runner ? workoutExecution.runner.getActiveEvent(currentTime) : null;
         
 
 
@@ -11004,13 +12750,9 @@ document.addEventListener("DOMContentLoaded", function () {
                        // Force a reflow to ensure the animation can restart
                        shotTitleElement.offsetHeight;
                        
-                       // Add the flash class
+                       // Add the flash class (the runner plays the countdown beep)
                        shotTitleElement.classList.add("countdown-flash");
                        
-                       // Play countdown beep when number changes (for numbers 10 and below)
-                       playTwoToneBeep();
-                       triggerWorkoutFlash();
-                       
                        // Remove the class after animation completes (500ms)
                        setTimeout(() => {
                          if (shotTitleElement.classList.contains("countdown-flash")) {
@@ -11121,7 +12863,7 @@ document.addEventListener("DOMContentLoaded", function () {
           let correspondingTtsEvent = null;
           
           // Strategy 1: Find TTS event by exact ID and timing match
-          correspondingTtsEvent = workoutExecution.audioSoundEvents?.find(soundEvent => 
+          correspondingTtsEvent = workoutExecution.runner?.cues.find(soundEvent => 
             soundEvent.type === 'tts' && 
             soundEvent.entry?.id === shot.entry?.id &&
             Math.abs(soundEvent.time - (shot.ttsTime || shot.startTime)) < 0.1
@@ -11129,7 +12871,7 @@ document.addEventListener("DOMContentLoaded", function () {
           
           // Strategy 2: If no exact match, find TTS event that's currently playing or just played
           if (!correspondingTtsEvent) {
-            correspondingTtsEvent = workoutExecution.audioSoundEvents?.find(soundEvent => 
+            correspondingTtsEvent = workoutExecution.runner?.cues.find(soundEvent => 
               soundEvent.type === 'tts' && 
               Math.abs(soundEvent.time - currentTime) < 0.5  // TTS happening around current time
             );
@@ -11137,7 +12879,7 @@ document.addEventListener("DOMContentLoaded", function () {
           
           // Strategy 3: If still no match, find the nearest TTS event by timing
           if (!correspondingTtsEvent) {
-            const nearbyTtsEvents = workoutExecution.audioSoundEvents?.filter(e => e.type === 'tts') || [];
+            const nearbyTtsEvents = workoutExecution.runner?.cues.filter(e => e.type === 'tts') || [];
             if (nearbyTtsEvents.length > 0) {
               correspondingTtsEvent = nearbyTtsEvents.reduce((closest, current) => {
                 const currentDiff = Math.abs(current.time - currentTime);
@@ -11195,7 +12937,7 @@ document.addEventListener("DOMContentLoaded", function () {
           let correspondingTtsEvent = null;
           
           // Strategy 1: Find TTS event by exact ID and timing match
-          correspondingTtsEvent = workoutExecution.audioSoundEvents?.find(soundEvent => 
+          correspondingTtsEvent = workoutExecution.runner?.cues.find(soundEvent => 
             soundEvent.type === 'tts' && 
             soundEvent.entry?.id === shot.entry?.id &&
             Math.abs(soundEvent.time - (shot.ttsTime || shot.startTime)) < 0.1
@@ -11203,7 +12945,7 @@ document.addEventListener("DOMContentLoaded", function () {
           
           // Strategy 2: If no exact match, find TTS event that's currently playing or just played
           if (!correspondingTtsEvent) {
-            correspondingTtsEvent = workoutExecution.audioSoundEvents?.find(soundEvent => 
+            correspondingTtsEvent = workoutExecution.runner?.cues.find(soundEvent => 
               soundEvent.type === 'tts' && 
               Math.abs(soundEvent.time - currentTime) < 0.5  // TTS happening around current time
             );
@@ -11211,7 +12953,7 @@ document.addEventListener("DOMContentLoaded", function () {
           
           // Strategy 3: If still no match, find the nearest TTS event by timing
           if (!correspondingTtsEvent) {
-            const nearbyTtsEvents = workoutExecution.audioSoundEvents?.filter(e => e.type === 'tts') || [];
+            const nearbyTtsEvents = workoutExecution.runner?.cues.filter(e => e.type === 'tts') || [];
             if (nearbyTtsEvents.length > 0) {
               correspondingTtsEvent = nearbyTtsEvents.reduce((closest, current) => {
                 const currentDiff = Math.abs(current.time - currentTime);
@@ -11284,6 +13026,13 @@ document.addEventListener("DOMContentLoaded", function () {
       }
     }
 
+    // Show which round is playing when the workout repeats
+    const round = getExecutionRound(currentTime);
+    if (round) {
+      const roundLabel = `Round ${round.roundNumber}/${round.totalRounds}`;
+      currentPattern = currentPattern === "--" ? roundLabel : `${roundLabel} · ${currentPattern}`;
+    }
+
     // Update UI elements with stability check
     const shotTitleElement = document.getElementById("workoutShotTitle");
     const patternElement = document.getElementById("workoutCurrentPattern");
@@ -11601,26 +13350,6 @@ document.addEventListener("DOMContentLoaded", function () {
            parseTimeLimit(entryConfig.interval || "00:03");
   }
 
-  function estimateTTSDuration(message, speechRate = 1.0) {
-    // Use the existing WorkoutLib function
-    if (WorkoutLib.estimateTTSDuration) {
-      return WorkoutLib.estimateTTSDuration(message, speechRate);
-    }
-
-    // Fallback estimation
-    if (!message || !message.trim()) return 0;
-
-    // Average speaking rate ~150 words per minute
-    const wordsPerMinute = 150;
-    const wordsInMessage = message.trim().split(/\s+/).length;
-    const baseDuration = (wordsInMessage / wordsPerMinute) * 60;
-
-    // Minimum duration for very short messages
-    const minimumDuration = Math.max(0.8, wordsInMessage * 0.3);
-
-    return Math.max(baseDuration, minimumDuration) / speechRate;
-  }
-
   function parseTimeLimit(timeLimit) {
     if (typeof timeLimit === 'number') return timeLimit;
     if (typeof timeLimit !== 'string') return 3;
@@ -11634,105 +13363,6 @@ document.addEventListener("DOMContentLoaded", function () {
     return minutes * 60 + seconds;
   }
 
-  function buildTimelineIndex(timeline) {
-    const shots = [];
-    const messages = [];
-
-    // Process timeline events directly - they already have the correct structure
-    timeline.forEach(event => {
-      if (event.type === 'Shot') {
-        // Shot events from timeline already have the correct structure
-        shots.push({
-          name: event.name,
-          startTime: event.startTime,
-          endTime: event.endTime,
-          ttsTime: event.subEvents?.announced_time || event.startTime,
-          beepTime: event.subEvents?.beep_time || event.endTime,
-          splitStepTime: event.subEvents?.split_step_time || (event.endTime - 0.48),
-          entry: event.entry,
-          duration: event.duration
-        });
-      } else if (event.type === 'Message') {
-        // Message events from timeline
-        const messageText = event.entry?.config?.message || event.name || '';
-        const messageInterval = event.entry?.config?.interval || 0;
-        const ttsDuration = event.subEvents?.tts_end ? 
-          event.subEvents.tts_end - event.startTime : 
-          estimateTTSDuration(messageText, event.entry?.config?.speechRate || 1.0);
-        
-        messages.push({
-          text: messageText,
-          startTime: event.startTime,
-          endTime: event.endTime,
-          ttsEndTime: event.subEvents?.tts_end || (event.startTime + ttsDuration),
-          interval: messageInterval,
-          entry: event.entry,
-          duration: event.duration
-        });
-      }
-    });
-
-    // Sort by start time for proper sequencing
-    shots.sort((a, b) => a.startTime - b.startTime);
-    messages.sort((a, b) => a.startTime - b.startTime);
-
-    return { shots, messages };
-  }
-
-  function findActiveEvent(currentTime, timelineData) {
-    const { shots, messages } = timelineData;
-
-    // Check messages first (they take priority)
-    for (const message of messages) {
-      if (currentTime >= message.startTime && currentTime < message.endTime) {
-        if (currentTime < message.ttsEndTime) {
-          // TTS phase
-          return {
-            type: 'message_tts',
-            description: `Message TTS: ${message.text}`,
-            message: message,
-            data: message
-          };
-        } else {
-          // Countdown phase
-          const countdownRemaining = message.endTime - currentTime;
-          return {
-            type: 'message_countdown',
-            description: `Message countdown: ${Math.round(countdownRemaining)}s remaining`,
-            message: message,
-            data: message,
-            countdownRemaining: countdownRemaining
-          };
-        }
-      }
-    }
-
-    // Check shots
-    for (const shot of shots) {
-      if (currentTime >= shot.startTime && currentTime < shot.endTime) {
-        if (currentTime < shot.beepTime) {
-          // Preparing phase
-          return {
-            type: 'shot_preparing',
-            description: `Shot preparing: ${shot.name}`,
-            shot: shot,
-            data: shot
-          };
-        } else {
-          // Executing phase
-          return {
-            type: 'shot_executing',
-            description: `Shot executing: ${shot.name}`,
-            shot: shot,
-            data: shot
-          };
-        }
-      }
-    }
-
-    return null; // No active event
-  }
-
   function ensureTextVisible() {
     // Helper function to ensure shot text is visible (remove fade-out)
     const shotTitleElement = document.getElementById("workoutShotTitle");
@@ -11807,50 +13437,8 @@ document.addEventListener("DOMContentLoaded", function () {
   function startWorkout() {
     // If workout is already running and not paused, just ensure it's running properly
     if (workoutExecution.isRunning && !workoutExecution.isPaused) {
-      // Workout is already running, just update UI and ensure animation is active
       updateWorkoutUI();
-
-      // If animation frame is not active, restart it
-      if (!workoutExecution.animationFrame) {
-        function animate() {
-          if (!workoutExecution.isRunning) return;
-
-          // Check pause state inside the animation loop
-          if (workoutExecution.isPaused) {
-            // Save current animation frame reference and exit
-            if (workoutExecution.animationFrame) {
-              cancelAnimationFrame(workoutExecution.animationFrame);
-              workoutExecution.animationFrame = null;
-            }
-            return;
-          }
-
-          const elapsed = (performance.now() - workoutExecution.startTime) / 1000;
-          workoutExecution.currentTime = elapsed;
-
-          // Process sound events
-          processSoundEvents();
-
-          // Periodic TTS health check (every 5 seconds)
-          if (!workoutExecution.lastTTSHealthCheck || 
-              workoutExecution.currentTime - workoutExecution.lastTTSHealthCheck > 5) {
-            performTTSHealthCheck();
-            workoutExecution.lastTTSHealthCheck = workoutExecution.currentTime;
-          }
-
-          // Update UI
-          updateWorkoutUI();
-
-          // Check if workout is complete
-          if (workoutExecution.currentTime >= workoutExecution.maxTime) {
-            completeWorkout();
-            return;
-          }
-
-          workoutExecution.animationFrame = requestAnimationFrame(animate);
-        }
-        animate();
-      }
+      workoutExecution.runner?.start();
       return;
     }
 
@@ -11865,8 +13453,11 @@ document.addEventListener("DOMContentLoaded", function () {
     }
 
     // Initialize workout execution if not already done
-    if (!workoutExecution.workoutData || !workoutExecution.timeline) {
+    if (!workoutExecution.runner) {
       startWorkoutExecution();
+      if (!workoutExecution.runner) {
+        return;
+      }
     }
 
     workoutExecution.isRunning = true;
@@ -11890,48 +13481,14 @@ document.addEventListener("DOMContentLoaded", function () {
       ensureWorkoutMainVisibility();
     }
 
-    // Set start time to account for any existing elapsed time (for resume functionality)
-    workoutExecution.startTime = performance.now() - (workoutExecution.currentTime * 1000);
-
     // Reinitialize audio context for clean start
     initializeAudioContext();
 
     updateWorkoutUI();
 
-    function animate() {
-      if (!workoutExecution.isRunning) return;
-
-      // Check pause state inside the animation loop
-      if (workoutExecution.isPaused) {
-        // Save current animation frame reference and exit
-        if (workoutExecution.animationFrame) {
-          cancelAnimationFrame(workoutExecution.animationFrame);
-          workoutExecution.animationFrame = null;
-        }
-        return;
-      }
-
-      // NEW: More precise timing calculation for better synchronization
-      const elapsed = (performance.now() - workoutExecution.startTime) / 1000;
-      workoutExecution.currentTime = elapsed;
-
-      // Process sound events with precise timing
-      processSoundEvents();
-
-      // Update UI with synchronized timing
-      updateWorkoutUI();
-
-      // Check if workout is complete
-      if (workoutExecution.currentTime >= workoutExecution.maxTime) {
-        completeWorkout();
-        return;
-      }
-
-      // Use requestAnimationFrame for smooth timing updates
-      workoutExecution.animationFrame = requestAnimationFrame(animate);
-    }
-
-    animate();
+    // The runner drives sounds and display updates from here on
+    beginSessionLog();
+    workoutExecution.runner.start();
   }
 
   function pauseWorkout() {
@@ -11944,10 +13501,11 @@ document.addEventListener("DOMContentLoaded", function () {
     // Hide timing ticks when paused
     updateTimingTicksVisibility(false);
 
-    // Cancel animation frame
-    if (workoutExecution.animationFrame) {
-      cancelAnimationFrame(workoutExecution.animationFrame);
-      workoutExecution.animationFrame = null;
+    // Pausing the runner also cuts off its speech
+    if (workoutExecution.runner) {
+      workoutExecution.runner.pause();
+      syncExecutionState();
+      logSessionPause();
     }
 
     // Cancel ongoing TTS
@@ -12010,7 +13568,7 @@ document.addEventListener("DOMContentLoaded", function () {
       
       // Play TTS announcement with workout voice settings
       const globalConfig = getGlobalConfigValues();
-      playTTS("Get Ready!", globalConfig);
+      announce("Get Ready!", globalConfig);
       
       // Start countdown after a short delay
       setTimeout(() => {
@@ -12027,9 +13585,6 @@ document.addEventListener("DOMContentLoaded", function () {
       return;
     }
 
-    // Restart the timing from current position
-    workoutExecution.startTime = performance.now() - (workoutExecution.currentTime * 1000);
-
     // Ensure workout-main elements are visible in presentation mode when resuming
     if (workoutExecution.isPresentationMode) {
       ensureWorkoutMainVisibility();
@@ -12037,45 +13592,25 @@ document.addEventListener("DOMContentLoaded", function () {
 
     updateWorkoutUI();
 
-    // Restart animation loop
-    function animate() {
-      if (!workoutExecution.isRunning) return;
-
-      if (workoutExecution.isPaused) {
-        if (workoutExecution.animationFrame) {
-          cancelAnimationFrame(workoutExecution.animationFrame);
-          workoutExecution.animationFrame = null;
-        }
-        return;
-      }
-
-      const elapsed = (performance.now() - workoutExecution.startTime) / 1000;
-      workoutExecution.currentTime = elapsed;
-
-      // Process sound events
-      processSoundEvents();
-
-      // Update UI
-      updateWorkoutUI();
-
-      // Check if workout is complete
-      if (workoutExecution.currentTime >= workoutExecution.maxTime) {
-        completeWorkout();
-        return;
-      }
-
-      workoutExecution.animationFrame = requestAnimationFrame(animate);
+    // Continue from the current position (a session entered paused from the preview starts here)
+    if (workoutExecution.sessionLog) {
+      logSessionResume();
+    } else {
+      beginSessionLog();
     }
-
-    animate();
+    workoutExecution.runner.resume();
   }
 
   function stopWorkout() {
+    // Stopping the runner rewinds it to the start and cuts off its speech
+    if (workoutExecution.runner) {
+      workoutExecution.runner.stop();
+    }
+
     workoutExecution.isRunning = false;
     workoutExecution.isPaused = false;
     workoutExecution.currentTime = 0;
     workoutExecution.shotsCompleted = 0;
-    workoutExecution.playedSounds.clear();
     workoutExecution.completionTriggered = false;
     workoutExecution.glowTriggered = false;
     workoutExecution.fadeTriggered = false;
@@ -12086,6 +13621,7 @@ document.addEventListener("DOMContentLoaded", function () {
     workoutExecution.isPrepTimeCountdown = false;
     workoutExecution.prepTimeRemaining = 0;
     workoutExecution.prepTimeOriginal = 0;
+    workoutExecution.sessionLog = null; // Stopped sessions are not recorded
 
     // Hide timing ticks when workout stops
     updateTimingTicksVisibility(false);
@@ -12102,11 +13638,6 @@ document.addEventListener("DOMContentLoaded", function () {
       workoutExecution.prepTimeAnimationId = null;
     }
 
-    if (workoutExecution.animationFrame) {
-      cancelAnimationFrame(workoutExecution.animationFrame);
-      workoutExecution.animationFrame = null;
-    }
-
     // Cancel ongoing TTS
     if ('speechSynthesis' in window) {
       speechSynthesis.cancel();
@@ -12140,14 +13671,12 @@ document.addEventListener("DOMContentLoaded", function () {
     workoutExecution.isRunning = false;
     workoutExecution.isPaused = false;
 
+    // Record the session in the history
+    saveSessionLog();
+
     // Hide timing ticks when workout completes
     updateTimingTicksVisibility(false);
 
-    if (workoutExecution.animationFrame) {
-      cancelAnimationFrame(workoutExecution.animationFrame);
-      workoutExecution.animationFrame = null;
-    }
-
     // Update UI to show replay button immediately
     updateWorkoutUI();
 
@@ -12204,7 +13733,7 @@ document.addEventListener("DOMContentLoaded", function () {
 
         const shotsCounterElement = document.getElementById("workoutShotsCounter");
         if (shotsCounterElement) {
-          shotsCounterElement.textContent = `${workoutExecution.shotsCompleted} / ${workoutExecution.totalShots}`;
+          shotsCounterElement.textContent = formatShotsCounter(workoutExecution.shotsCompleted, workoutExecution.totalShots);
         }
 
         // Both modes now keep the "Done" message visible
@@ -12302,7 +13831,7 @@ document.addEventListener("DOMContentLoaded", function () {
     
     // Play TTS announcement with workout voice settings
     const globalConfig = getGlobalConfigValues();
-    playTTS("Get Ready!", globalConfig);
+    announce("Get Ready!", globalConfig);
     
     // Update workout UI to show pause button during countdown
     updateWorkoutUI();
@@ -12431,170 +13960,6 @@ document.addEventListener("DOMContentLoaded", function () {
     }, 1000);
   }
 
-      function processSoundEvents() {
-    const { currentTime, audioSoundEvents, playedSounds } = workoutExecution;
-
-    // Use audioSoundEvents for actual audio playback (the converted soundEvents)
-    // while timeline contains the timeline for timing synchronization
-    const soundEvents = audioSoundEvents || [];
-    
-
-    
-    // NEW: Use timeline-synchronized timing with reasonable tolerance
-    // This ensures presentation mode timing matches preview mode exactly
-    soundEvents.forEach(soundEvent => {
-      // Use reasonable timing tolerance (0.1 seconds) to account for frame timing variations
-      const isEventTime = Math.abs(currentTime - soundEvent.time) < 0.1;
-
-      if (isEventTime) {
-        const soundKey = `${soundEvent.type}-${soundEvent.time.toFixed(3)}`;
-        
-
-
-        if (!playedSounds.has(soundKey)) {
-          if (soundEvent.type === 'splitStep') {
-
-            playSplitStepPowerUp(soundEvent.speed);
-            playedSounds.add(soundKey);
-          } else if (soundEvent.type === 'beep') {
-            // Handle countdown beeps differently from shot beeps
-            if (soundEvent.isCountdown) {
-              // Skip countdown beeps - they are handled directly in the UI logic
-              // to ensure they coincide with the number changes
-              playedSounds.add(soundKey);
-            } else {
-              // Regular shot beeps
-  
-              playTwoToneBeep();
-              triggerWorkoutFlash();
-              
-              // Count completed shots and flip ghost (only for shot beeps, not countdown beeps)
-              if (soundEvent.entry && soundEvent.entry.type === 'Shot') {
-                workoutExecution.shotsCompleted++;
-
-                // Flip ghost at the end of shot intervals
-                const statusIndicator = document.getElementById("workoutStatusIndicator");
-                if (statusIndicator) {
-                  const wasFlipped = statusIndicator.classList.contains("flipped");
-                  statusIndicator.classList.toggle("flipped");
-                  const isNowFlipped = statusIndicator.classList.contains("flipped");
-                }
-              }
-              playedSounds.add(soundKey);
-            }
-          } else if (soundEvent.type === 'tts') {
-
-            playTTS(soundEvent.text, soundEvent.entryConfig);
-            playedSounds.add(soundKey);
-          }
-        }
-      }
-    });
-  }
-
-  /**
-   * NEW: Build a timeline index for better synchronization between preview and presentation modes
-   * This ensures that presentation mode uses the exact same timing calculations as preview mode
-   */
-  function buildTimelineIndex(timelineEvents) {
-    const timelineData = {
-      shots: [],
-      messages: [],
-      splitSteps: [],
-      ttsEvents: []
-    };
-
-    timelineEvents.forEach(event => {
-      if (event.type === 'Shot') {
-        // Shot events from timeline
-        timelineData.shots.push({
-          startTime: event.startTime,
-          endTime: event.endTime,
-          ttsTime: event.subEvents.announced_time,
-          beepTime: event.subEvents.beep_time,
-          splitStepTime: event.subEvents.split_step_time,
-          name: event.name,
-          entry: event.entry
-        });
-      } else if (event.type === 'Message') {
-        // Message events from timeline
-        const messageText = event.entry?.config?.message || event.name;
-        const messageInterval = event.entry?.config?.interval || 0;
-        const ttsEndTime = event.subEvents.tts_end || event.subEvents.message_start || event.startTime;
-        
-        timelineData.messages.push({
-          startTime: event.startTime,
-          endTime: event.endTime,
-          ttsEndTime: ttsEndTime,
-          text: messageText,
-          entry: event.entry,
-          interval: messageInterval
-        });
-      }
-    });
-
-    // Sort by time for proper sequencing
-    timelineData.shots.sort((a, b) => a.startTime - b.startTime);
-    timelineData.messages.sort((a, b) => a.startTime - b.startTime);
-
-    return timelineData;
-  }
-
-  /**
-   * NEW: Find the active event at the current time for UI synchronization
-   * This ensures that presentation mode UI updates match the preview mode timing exactly
-   */
-  function findActiveEvent(currentTime, timelineData) {
-    // Find active shot event - use startTime for proper progress calculation
-    // Handle boundary case: at exactly endTime, we're still in the current shot (100% progress)
-    const activeShot = timelineData.shots.find(shot => 
-      currentTime >= shot.startTime && currentTime <= shot.endTime
-    );
-
-    if (activeShot) {
-      if (currentTime < activeShot.beepTime) {
-        return {
-          type: 'shot_preparing',
-          data: activeShot
-        };
-      } else {
-        return {
-          type: 'shot_executing',
-          data: activeShot
-        };
-      }
-    }
-
-    // Find active message event - check TTS phase first
-    const ttsMessage = timelineData.messages.find(message => {
-      const ttsEndTime = message.ttsEndTime || message.startTime;
-      return currentTime >= message.startTime && currentTime <= ttsEndTime;
-    });
-
-    if (ttsMessage) {
-      return {
-        type: 'message_tts',
-        data: ttsMessage
-      };
-    }
-
-    // Check for countdown phase after TTS (within message duration)
-    const countdownMessage = timelineData.messages.find(message => {
-      const ttsEndTime = message.ttsEndTime || message.startTime;
-      const messageEndTime = message.endTime;
-      return currentTime >= ttsEndTime && currentTime <= messageEndTime;
-    });
-
-    if (countdownMessage) {
-      return {
-        type: 'message_countdown',
-        data: countdownMessage
-      };
-    }
-
-    return null;
-  }
-
   // Get the theme-appropriate flash color based on current theme and color scheme
   function getThemeFlashColor() {
     const theme = document.documentElement.getAttribute("data-theme");
@@ -12755,6 +14120,7 @@ document.addEventListener("DOMContentLoaded", function () {
 
           // Load the workout from URL
           loadWorkout(jsonData);
+          reportValidationWarnings(validation);
           console.log("Workout loaded from URL parameter successfully");
           
           // Clear the URL parameter to prevent reloading on refresh
@@ -13014,7 +14380,7 @@ document.addEventListener("DOMContentLoaded", function () {
         if (offsetType !== defaults.offset.type) {
           nonDefaultSettings.push({
             name: "Offset Type",
-            value: offsetType === "fixed" ? "Fixed" : "Random",
+            value: offsetType === "fixed" ? "Fixed" : OFFSET_RANGE_LABELS[offsetType] || "Random",
           });
         }
         if (offsetType === "fixed" && offsetFixed !== defaults.offset.fixedValue) {
@@ -13023,7 +14389,7 @@ document.addEventListener("DOMContentLoaded", function () {
             value: `${parseFloat(offsetFixed).toFixed(1)}s`,
           });
         }
-        if (offsetType === "random") {
+        if (offsetType !== "fixed") {
           if (offsetMax !== defaults.offset.randomMaximum) {
             nonDefaultSettings.push({
               name: "Offset Random Maximum",
@@ -13339,8 +14705,7 @@ document.addEventListener("DOMContentLoaded", function () {
 
       // Update UI elements that depend on these values
       if (shotInterval && element.querySelector(".shot-interval-value")) {
-        element.querySelector(".shot-interval-value").textContent =
-          `${parseFloat(defaults.shotInterval).toFixed(1)}s`;
+        setIntervalLabel(element.querySelector(".shot-interval-value"), defaults.shotInterval);
       }
       if (shotLeadTime && element.querySelector(".lead-time-value")) {
         element.querySelector(".lead-time-value").textContent =
@@ -13998,7 +15363,7 @@ document.addEventListener("DOMContentLoaded", function () {
     if (property === 'interval') {
       const valueDisplay = element.querySelector('.shot-interval-value');
       if (valueDisplay) {
-        valueDisplay.textContent = `${parseFloat(newValue).toFixed(1)}s`;
+        setIntervalLabel(valueDisplay, newValue);
       }
     } else if (property === 'shotAnnouncementLeadTime') {
       const valueDisplay = element.querySelector('.lead-time-value');